@@ -9,14 +9,59 @@ const { sql, db } = require('./db');
 const { batchFetchPlaceDetails } = require('./utils/googlePlaces');
 const { initRatingRefreshJob, refreshAllClinicPhotos } = require('./jobs/scheduledRefresh');
 const clinicManagementRouter = require('./clinic-management');
-const { calculateDistance, geocodeLocation, parseLocationInput, isLikelyGeographicLocationString, findMetroArea, stateMatches } = require('./utils/locationUtils');
-const { normalizeCategory } = require('./utils/categoryNormalizer');
-const { mergeAddressForResponse } = require('./utils/addressUtils');
+const { normalizeCategory, parseCategoryParam } = require('./utils/categoryNormalizer');
+const { optionalPriceUnit } = require('./utils/procedurePriceUnitColumn');
 const {
-  proceduresTableHasPriceUnitColumn,
-  innerProcedurePriceUnitSelectSql
-} = require('./utils/procedurePriceUnitColumn');
-const { matchesProcedureSearch, matchesClinicNameSearch, calculateRelevanceScore } = require('./utils/searchUtils');
+  canonicalProcedureTablesExist,
+  canonicalProcedureJoinSql,
+  canonicalProcedureIdSelectSql
+} = require('./utils/canonicalProcedureTables');
+const { parsePaginationQuery, paginateArray } = require('./utils/pagination');
+const { buildSearchFacets } = require('./utils/searchFacets');
+const { buildSpellingCorrections } = require('./utils/spellCorrection');
+const { DEFAULT_SORT, parseSortParam, sortClinics } = require('./utils/clinicSort');
+const { rankClinics, getRankingWeights, isRankDebugRequested } = require('./utils/clinicRanking');
+const { buildPriceComparison, annotateClinicPrices, checkPriceRange } = require('./utils/procedurePricing');
+const { DAY_NAMES, normalizeWorkingHours } = require('./utils/openingHours');
+const { CLUSTER_MAX_ZOOM, parseMapViewport, isInBounds, clusterPoints } = require('./utils/mapClustering');
+const { getSuggestIndex, refreshSuggestIndex } = require('./services/searchSuggestService');
+const { initProcedureSynonymSync } = require('./services/procedureSynonymService');
+const { initMetroAreaSync } = require('./services/metroAreaService');
+const { initRankingWeightSync } = require('./services/rankingWeightService');
+const { recordSearch, initSearchAnalyticsWriter } = require('./services/searchAnalyticsService');
+const {
+  buildSearchCacheKey,
+  getCachedSearch,
+  getSearchCacheGeneration,
+  setCachedSearch,
+  initSearchCache
+} = require('./services/searchCacheService');
+const { initCanonicalProcedureSync } = require('./services/canonicalProcedureService');
+const { getProcedureBenchmarks } = require('./services/priceBenchmarkService');
+const {
+  getClinicDetail,
+  getClinicProviders,
+  getClinicProcedures,
+  getClinicPhotos
+} = require('./services/clinicDetailService');
+const {
+  CLINIC_DETAIL_DOCUMENT,
+  SEARCH_INDEX_CLINIC_DOCUMENT,
+  parseClinicFieldset,
+  applyClinicFieldset
+} = require('./utils/clinicFieldsets');
+const { MAX_COMPARE_CLINICS, parseCompareIds, buildProcedureMatrix } = require('./utils/clinicComparison');
+const { buildClinicJsonLd, validateClinicJsonLd } = require('./utils/clinicJsonLd');
+const { getSiteOrigin, clinicPagePath } = require('./utils/sitePaths');
+const { MIN_BENCHMARK_SAMPLES } = require('./utils/priceBenchmarks');
+const { CACHE_POLICIES, conditionalGet } = require('./utils/conditionalGet');
+const { getClinicSpatialIndex, initClinicSpatialIndex } = require('./services/clinicSpatialIndexService');
+const { CLINIC_CHANGE_TYPES, emitClinicChange } = require('./utils/clinicEvents');
+const {
+  loadSearchIndexClinics,
+  applySearchFilters,
+  buildResponseFilters
+} = require('./services/clinicSearchIndexService');
 const app = express();
 const port = process.env.PORT || 3001;
 
@@ -81,17 +126,6 @@ const PHOTO_CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
   }
 })();
 
-/**
- * Optional procedure price unit suffix (e.g. "/unit", "/session"). Omit when empty.
- * @param {unknown} raw
- * @returns {Record<string, string>}
- */
-function optionalPriceUnit(raw) {
-  if (raw == null) return {};
-  const s = String(raw).trim();
-  return s ? { priceUnit: s } : {};
-}
-
 /**
  * Provider Photo Endpoint - Serves provider photos from database
  * GET /api/provider-photos/:providerId
@@ -101,6 +135,29 @@ function optionalPriceUnit(raw) {
  * - Works in production without requiring filesystem access
  * - Caches photos for 7 days for better performance
  * - Returns actual image binary data with proper content type
+ *
+ * @swagger
+ * /api/provider-photos/{providerId}:
+ *   get:
+ *     summary: Provider photo (binary image stored in the database)
+ *     tags: [Photos]
+ *     parameters:
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Image bytes, cached for 7 days
+ *         content:
+ *           image/*:
+ *             schema: { type: string, format: binary }
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
  */
 app.get('/api/provider-photos/:providerId', async (req, res) => {
   let pool;
@@ -161,6 +218,33 @@ app.get('/api/provider-photos/:providerId', async (req, res) => {
  * - Caches images locally for 7 days
  * - Uses authenticated API requests to Google
  * - Returns actual image binary data with proper headers
+ *
+ * @swagger
+ * /api/photos/clinic/{clinicId}:
+ *   get:
+ *     summary: A clinic's main photo (proxied Google Places image)
+ *     tags: [Photos]
+ *     parameters:
+ *       - in: path
+ *         name: clinicId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Image bytes, cached for 7 days
+ *         content:
+ *           image/*:
+ *             schema: { type: string, format: binary }
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       403:
+ *         description: Access denied by the photo provider
+ *       503:
+ *         description: Photo provider rate limit; retry later
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
  */
 app.get('/api/photos/clinic/:clinicId', async (req, res) => {
   let pool;
@@ -318,6 +402,37 @@ app.get('/api/photos/clinic/:clinicId', async (req, res) => {
  * - Supports size parameter for Google photos: thumbnail (400px), medium (800px), large (1600px)
  * - Caches images locally for 7 days
  * - Returns actual image binary data with proper headers
+ *
+ * @swagger
+ * /api/photos/proxy/{photoId}:
+ *   get:
+ *     summary: A clinic photo by PhotoID (Google Places or uploaded)
+ *     tags: [Photos]
+ *     parameters:
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: size
+ *         schema: { type: string, enum: [thumbnail, medium, large], default: medium }
+ *         description: 400, 800 or 1600 px wide (Google photos)
+ *     responses:
+ *       200:
+ *         description: Image bytes, cached for 7 days
+ *         content:
+ *           image/*:
+ *             schema: { type: string, format: binary }
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       403:
+ *         description: Access denied by the photo provider
+ *       503:
+ *         description: Photo provider rate limit; retry later
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
  */
 app.get('/api/photos/proxy/:photoId', async (req, res) => {
   let pool;
@@ -487,8 +602,9 @@ app.get('/api/photos/proxy/:photoId', async (req, res) => {
 });
 
 // Get specific clinic details
-app.get('/api/procedures', async (req, res) => {
+const handleProcedureSearch = async (req, res) => {
   let pool;
+  const startedAt = Date.now();
   try {
     const { searchQuery, location, minPrice, maxPrice, category, page = 1, limit = 100 } = req.query;
     
@@ -496,12 +612,14 @@ app.get('/api/procedures', async (req, res) => {
     if (!pool) {
       throw new Error('Could not establish database connection');
     }
+    const hasCanonicalTables = await canonicalProcedureTablesExist(pool);
 
     let query = `
       SELECT 
         p.ProcedureID,
         p.ProcedureName,
         p.AverageCost,
+        ${canonicalProcedureIdSelectSql(hasCanonicalTables)},
         COALESCE(l.City, cl.City) AS City,
         COALESCE(l.State, cl.State) AS State,
         c.Category,
@@ -515,6 +633,7 @@ app.get('/api/procedures', async (req, res) => {
       JOIN Categories c ON p.CategoryID = c.CategoryID
       LEFT JOIN Providers pr ON p.ProviderID = pr.ProviderID
       JOIN Clinics cl ON p.ClinicID = cl.ClinicID
+      ${canonicalProcedureJoinSql(hasCanonicalTables)}
       WHERE 1=1
     `;
     
@@ -633,6 +752,17 @@ app.get('/api/procedures', async (req, res) => {
     const total = countResult.recordset[0].total;
     const totalPages = Math.ceil(total / limit);
 
+    // Analytics count a search once (its first page)
+    if (Number(page) === 1) {
+      recordSearch({
+        endpoint: '/api/procedures',
+        query: searchQuery,
+        location,
+        resultCount: total,
+        latencyMs: Date.now() - startedAt
+      });
+    }
+
     res.json({
       procedures: results.recordset,
       pagination: {
@@ -649,9 +779,35 @@ app.get('/api/procedures', async (req, res) => {
       message: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-});
+};
+
+/**
+ * @swagger
+ * /api/procedures:
+ *   get:
+ *     summary: Search procedure listings (paginated)
+ *     tags: [Procedures]
+ *     parameters:
+ *       - { in: query, name: searchQuery, schema: { type: string }, description: Words matched against procedure, clinic, provider and category }
+ *       - { in: query, name: location, schema: { type: string }, description: City or state }
+ *       - { in: query, name: minPrice, schema: { type: number } }
+ *       - { in: query, name: maxPrice, schema: { type: number } }
+ *       - { in: query, name: category, schema: { type: string } }
+ *       - { in: query, name: page, schema: { type: integer, default: 1 } }
+ *       - { in: query, name: limit, schema: { type: integer, default: 100 } }
+ *     responses:
+ *       200:
+ *         description: One page of procedures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProcedureSearchResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+app.get('/api/procedures', handleProcedureSearch);
 
-app.get('/api/procedures/search-index', async (req, res) => {
+const handleProcedureSearchIndex = async (req, res) => {
   let pool;
   try {
     pool = await db.getConnection();
@@ -680,7 +836,97 @@ app.get('/api/procedures/search-index', async (req, res) => {
     console.error('Error in /api/procedures/search-index:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
-});
+};
+
+/**
+ * @swagger
+ * /api/procedures/search-index:
+ *   get:
+ *     summary: Every procedure listing, for client-side search
+ *     tags: [Procedures]
+ *     responses:
+ *       200:
+ *         description: All procedures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ProcedureRow'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+app.get('/api/procedures/search-index', handleProcedureSearchIndex);
+
+// Price benchmark for one procedure: "is this a fair price?"
+// Query parameters:
+//   - procedure (required): procedure name, matched like the search-index procedure filter
+//   - location: city, "City, ST", state, or ZIP; omitted → national benchmark
+//   - radius: miles around a city / ZIP (defaults as in search-index)
+// Returns min / p25 / median / p75 / max per price unit (one sample per clinic per unit, Tukey
+// outliers trimmed). Falls back from the local area to its state, then national, until one unit
+// has MIN_BENCHMARK_SAMPLES clinics; geography says which level was used.
+const handleProcedureBenchmarks = async (req, res) => {
+  try {
+    const { procedure, location } = req.query;
+    if (typeof procedure !== 'string' || !procedure.trim()) {
+      return res.status(400).json({ error: 'Missing procedure', message: 'procedure is required' });
+    }
+    const radiusValue = parseFloat(req.query.radius);
+    const radius = Number.isFinite(radiusValue) && radiusValue > 0 ? radiusValue : null;
+    const locationTerm = typeof location === 'string' && location.trim() ? location.trim() : null;
+
+    const result = await getProcedureBenchmarks({ procedure: procedure.trim(), location: locationTerm, radius });
+
+    res.json({
+      success: true,
+      procedure: procedure.trim(),
+      geography: {
+        level: result.level,
+        region: result.region,
+        sufficientSample: result.sufficientSample
+      },
+      benchmarks: result.benchmarks,
+      meta: {
+        levelsTried: result.levelsTried,
+        minSamples: MIN_BENCHMARK_SAMPLES,
+        filters: { procedure: procedure.trim(), location: locationTerm, radius },
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Error in /api/procedures/benchmarks:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/procedures/benchmarks:
+ *   get:
+ *     summary: Price benchmark (min / quartiles / max) for one procedure
+ *     description: Falls back from the local area to its state, then national, until a price unit has enough clinics.
+ *     tags: [Procedures]
+ *     parameters:
+ *       - { in: query, name: procedure, required: true, schema: { type: string } }
+ *       - { in: query, name: location, schema: { type: string }, description: 'City, "City, ST", state or ZIP; omitted for a national benchmark' }
+ *       - { in: query, name: radius, schema: { type: number }, description: Miles around a city or ZIP }
+ *     responses:
+ *       200:
+ *         description: Benchmarks per price unit. Sends a strong ETag; If-None-Match with a matching tag gets a 304.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProcedureBenchmarkResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+app.get('/api/procedures/benchmarks', conditionalGet(CACHE_POLICIES.procedureBenchmarks), handleProcedureBenchmarks);
 
 // Get all clinics with their procedures for clinic-based search
 // This endpoint returns a clinic-centric data structure for client-side search
@@ -691,307 +937,164 @@ app.get('/api/procedures/search-index', async (req, res) => {
 //   - procedure: procedure name (case-insensitive, partial match)
 //   - radius: radius in miles for location searches (default: 20-30 for cities, 20 for zip)
 //   - clinicName: matches clinic name OR any listed procedure (case-insensitive; DB + JS)
-app.get('/api/clinics/search-index', async (req, res) => {
+//   - category: standardized clinic category (e.g. Dermatology, Plastic Surgery) or an alias such as medspa;
+//     unknown values get a 400
+//   - minPrice, maxPrice, priceUnit: price range / unit ("unit", "syringe", "flat", ...) for the matched procedure;
+//     minPrice above maxPrice gets a 400
+//   - openNow=true, openOn=<day>: opening-hours filters, evaluated in each clinic's time zone
+//   - sort: relevance (default; composite rank score, see utils/clinicRanking), distance, rating, reviews,
+//     price_asc, price_desc (cheapest matching procedure), weighted_rating (Bayesian; see utils/clinicSort)
+//   - debug=rank: each clinic gets rankBreakdown (per-signal scores) and meta.ranking the active weights
+//   - fields, include: sparse clinic objects (utils/clinicFieldsets). include: procedures, photos, hours;
+//     all three are present unless fields is given. Invalid values get a 400.
+//   - page, limit: optional server-side pagination (limit max 100). When either is set, only that
+//     page of clinics is returned and meta.pagination carries the total; otherwise every match is returned.
+// meta.facets holds counts over all matching clinics (before pagination): clinic categories,
+// procedure categories, rating and price buckets, and distance rings when a geo center is known.
+// Zero-result searches get meta.didYouMean spelling suggestions; a high-confidence correction is
+// searched automatically (meta.autoCorrected lists it) unless autoCorrect=false.
+// Responses are cached per normalized query (services/searchCacheService); X-Cache is HIT, MISS or
+// BYPASS (openNow and debug searches), and hits carry Age in seconds. Responses carry a strong ETag
+// and If-None-Match gets a 304 (utils/conditionalGet).
+const handleClinicSearchIndex = async (req, res) => {
   let pool;
+  const startedAt = Date.now();
   try {
-    const { location, procedure, radius, clinicName, lat, lng } = req.query;
-    
-    
-    pool = await db.getConnection();
-    if (!pool) {
-      throw new Error('Could not establish database connection');
+    const {
+      location, procedure, radius, clinicName, category, lat, lng, minPrice, maxPrice, priceUnit, openNow, openOn
+    } = req.query;
+    const paginationQuery = parsePaginationQuery(req.query);
+    const sort = parseSortParam(req.query.sort);
+    const autoCorrect = req.query.autoCorrect !== 'false';
+    const fieldset = parseClinicFieldset(req.query, SEARCH_INDEX_CLINIC_DOCUMENT);
+    if (!fieldset.ok) {
+      return res.status(400).json({ error: 'Invalid fields', message: fieldset.message });
     }
-
-    const proceduresHasPriceUnit = await proceduresTableHasPriceUnitColumn(pool);
-    const procPriceUnitSql = innerProcedurePriceUnitSelectSql(proceduresHasPriceUnit);
-
-    // Build the SQL query with optional clinicName filtering
-    // Address: street only - prefer GooglePlacesData.Street when available
-    // City/State/Zip: prefer Clinics columns, then GooglePlacesData, then Locations
-    let query = `
-      SELECT 
-        c.ClinicID,
-        c.ClinicName,
-        COALESCE(g.Street, c.Address) as Address,
-        COALESCE(c.City, g.City, l.City) as City,
-        COALESCE(c.State, g.State, l.State) as State,
-        COALESCE(c.PostalCode, g.PostalCode) as PostalCode,
-        c.Latitude,
-        c.Longitude,
-        c.GoogleRating,
-        c.GoogleReviewCount,
-        COALESCE(g.Category, 'Medical Spa') as ClinicCategory,
-        COALESCE(g.Photo, cp.PhotoURL) as PhotoURL,
-        p.ProcedureID,
-        p.ProcedureName,
-        p.AverageCost,
-        ${procPriceUnitSql},
-        cat.Category as ProcedureCategory
-      FROM Clinics c
-      LEFT JOIN Locations l ON c.LocationID = l.LocationID
-      LEFT JOIN GooglePlacesData g ON c.ClinicID = g.ClinicID
-      LEFT JOIN (
-        SELECT ClinicID, PhotoURL,
-          ROW_NUMBER() OVER (PARTITION BY ClinicID ORDER BY IsPrimary DESC, DisplayOrder ASC) as RowNum
-        FROM ClinicPhotos
-      ) cp ON c.ClinicID = cp.ClinicID AND cp.RowNum = 1
-      JOIN Procedures p ON p.ClinicID = c.ClinicID
-      JOIN Categories cat ON p.CategoryID = cat.CategoryID
-      WHERE NOT EXISTS (
-        SELECT 1
-        FROM DeletedClinics dc
-        WHERE dc.OriginalClinicID = c.ClinicID
-      )
-        AND (g.Photo IS NOT NULL OR cp.PhotoURL IS NOT NULL)
-    `;
-
-    const request = pool.request();
-    
-    // Add clinicName filtering: match clinic name OR procedure name (SQL pre-filter; JS refines)
-    if (clinicName && clinicName.trim()) {
-      const clinicNameSearch = clinicName.trim();
-      query += ` AND ${bindClinicNameOrProcedureSearchSql(request, clinicNameSearch)}`;
+    const categoryParam = parseCategoryParam(category);
+    if (!categoryParam.ok) {
+      return res.status(400).json({ error: 'Invalid category', message: categoryParam.message });
     }
-
-    query += ` ORDER BY c.ClinicID, p.ProcedureName`;
-
-    const result = await request.query(query);
-
-    // Query to get gallery photos for all clinics (up to 5 photos per clinic)
-    // Filter by clinicName if provided for efficiency
-    let photosQuery = `
-      SELECT 
-        ClinicID,
-        PhotoID,
-        DisplayOrder
-      FROM ClinicPhotos
-      WHERE ClinicID IN (
-        SELECT DISTINCT c.ClinicID
-        FROM Clinics c
-        WHERE NOT EXISTS (
-            SELECT 1
-            FROM DeletedClinics dc
-            WHERE dc.OriginalClinicID = c.ClinicID
-          )
-    `;
-    
-    const photosRequest = pool.request();
-    if (clinicName && clinicName.trim()) {
-      const clinicNameSearch = clinicName.trim();
-      // Must join Procedures so procedure-only matches get gallery photos
-      photosQuery = `
-      SELECT 
-        ClinicID,
-        PhotoID,
-        DisplayOrder
-      FROM ClinicPhotos
-      WHERE ClinicID IN (
-        SELECT DISTINCT c.ClinicID
-        FROM Clinics c
-        JOIN Procedures p ON p.ClinicID = c.ClinicID
-        WHERE NOT EXISTS (
-          SELECT 1
-          FROM DeletedClinics dc
-          WHERE dc.OriginalClinicID = c.ClinicID
-        )
-        AND ${bindClinicNameOrProcedureSearchSql(photosRequest, clinicNameSearch)}
-      )
-      ORDER BY ClinicID, DisplayOrder ASC
-    `;
-    } else {
-      photosQuery += `
-      )
-      ORDER BY ClinicID, DisplayOrder ASC
-    `;
+    const priceRange = checkPriceRange({ minPrice, maxPrice });
+    if (!priceRange.ok) {
+      return res.status(400).json({ error: 'Invalid price range', message: priceRange.message });
     }
-    
-    const photosResult = await photosRequest.query(photosQuery);
+    // The cache holds full clinic objects; fields / include only shape what is sent
+    const shapeClinics = (clinics) => clinics.map(clinic =>
+      applyClinicFieldset(clinic, fieldset.value, SEARCH_INDEX_CLINIC_DOCUMENT));
 
-    // Build a map of clinic gallery photos
-    const galleryPhotosMap = new Map();
     const baseURL = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
-    
-    photosResult.recordset.forEach(photo => {
-      if (!galleryPhotosMap.has(photo.ClinicID)) {
-        galleryPhotosMap.set(photo.ClinicID, []);
-      }
-      const photos = galleryPhotosMap.get(photo.ClinicID);
-      // Limit to 5 photos per clinic for efficiency
-      if (photos.length < 5) {
-        photos.push(`${baseURL}/api/photos/proxy/${photo.PhotoID}?size=thumbnail`);
+    const cacheKey = buildSearchCacheKey(req.query, { baseURL });
+    const cacheGeneration = getSearchCacheGeneration();
+    const cached = cacheKey ? await getCachedSearch(cacheKey) : null;
+    if (cached) {
+      res.set('X-Cache', 'HIT');
+      res.set('Age', String(Math.max(0, Math.floor((Date.now() - cached.storedAt) / 1000))));
+      res.json({ ...cached.body, clinics: shapeClinics(cached.body.clinics) });
+      if (!paginationQuery || paginationQuery.page === 1) {
+        recordSearch({ ...cached.analytics, latencyMs: Date.now() - startedAt });
       }
-    });
-
-    // Transform the flat result set into a clinic-centric structure
-    const clinicsMap = new Map();
-
-    result.recordset.forEach(row => {
-      const clinicId = row.ClinicID;
-
-      // Initialize clinic object if it doesn't exist
-      if (!clinicsMap.has(clinicId)) {
-        clinicsMap.set(clinicId, {
-          clinicId: row.ClinicID,
-          clinicName: row.ClinicName,
-          address: row.Address,
-          city: row.City,
-          state: row.State,
-          zipCode: row.PostalCode || null,
-          latitude: row.Latitude || null,
-          longitude: row.Longitude || null,
-          rating: row.GoogleRating || 0,
-          reviewCount: row.GoogleReviewCount || 0,
-          clinicCategory: normalizeCategory(row.ClinicCategory),
-          photoURL: row.PhotoURL || null,
-          galleryPhotos: galleryPhotosMap.get(clinicId) || null,
-          procedures: []
-        });
-      }
-
-      // Get the clinic object
-      const clinic = clinicsMap.get(clinicId);
-
-      // Deduplicate procedures by name AND category to avoid showing the same procedure multiple times
-      // This handles cases where multiple providers at the same clinic offer the same procedure
-      const procedureExists = clinic.procedures.some(
-        proc => proc.procedureName === row.ProcedureName && proc.category === row.ProcedureCategory
-      );
-
-      if (!procedureExists) {
-        clinic.procedures.push({
-          procedureId: row.ProcedureID,
-          procedureName: row.ProcedureName,
-          price: row.AverageCost || 0,
-          category: row.ProcedureCategory,
-          ...optionalPriceUnit(row.PriceUnit)
-        });
-      }
-    });
+      return;
+    }
 
-    // Convert map to array
-    let clinics = Array.from(clinicsMap.values());
-    
-    // Track if location parameter was converted to procedure search
-    let locationConvertedToProcedure = false;
-    let convertedProcedureTerm = null;
-    let geoCenterFromQuery = null;
-
-    // Apply clinicName filtering: clinic name OR any procedure (abbreviations via filterByProcedure)
-    if (clinicName && clinicName.trim()) {
-      const term = clinicName.trim();
-      clinics = clinics.filter((clinic) => clinicMatchesClinicNameOrProcedureSearch(clinic, term));
-
-      clinics.sort((a, b) => {
-        const scoreA = bestClinicSearchRelevanceScore(a, term);
-        const scoreB = bestClinicSearchRelevanceScore(b, term);
-        return scoreB - scoreA;
-      });
+    pool = await db.getConnection();
+    if (!pool) {
+      throw new Error('Could not establish database connection');
     }
 
-    const centerLat = parseSearchCoordinate(lat, -90, 90);
-    const centerLng = parseSearchCoordinate(lng, -180, 180);
-    if (centerLat !== null && centerLng !== null) {
-      clinics = filterClinicsByLatLngRadius(clinics, centerLat, centerLng, radius);
-      geoCenterFromQuery = { lat: centerLat, lng: centerLng };
-      clinics.sort((a, b) => {
-        const da = (a.latitude && a.longitude)
-          ? calculateDistance(centerLat, centerLng, a.latitude, a.longitude)
-          : null;
-        const db = (b.latitude && b.longitude)
-          ? calculateDistance(centerLat, centerLng, b.latitude, b.longitude)
-          : null;
-        const na = da ?? Infinity;
-        const nb = db ?? Infinity;
-        return na - nb;
-      });
-    } else if (location) {
-      // If this looks like a place (zip, state, "City, ST"), never reinterpret it as a procedure —
-      // e.g. "Chicago, IL" must not match procedures via the token "il".
-      const treatAsLocationOnly = isLikelyGeographicLocationString(location);
-      const locationInfo = parseLocationInput(location);
-
-      if (treatAsLocationOnly || locationInfo.type === 'zip' || locationInfo.type === 'state') {
-        clinics = await filterByLocation(clinics, location, radius);
-      } else if (locationInfo.type === 'city') {
-        const testFiltered = filterByProcedure(clinics, location);
-        if (testFiltered.length > 0) {
-          clinics = testFiltered;
-          locationConvertedToProcedure = true;
-          convertedProcedureTerm = location;
-
-          clinics.sort((a, b) => {
-            const bestMatchA = a.procedures
-              .map(proc => calculateRelevanceScore(proc.procedureName, location))
-              .reduce((max, score) => Math.max(max, score), 0);
-            const bestMatchB = b.procedures
-              .map(proc => calculateRelevanceScore(proc.procedureName, location))
-              .reduce((max, score) => Math.max(max, score), 0);
-            return bestMatchB - bestMatchA;
-          });
-        } else {
-          clinics = await filterByLocation(clinics, location, radius);
-        }
-      } else if (!locationInfo.type || !locationInfo.value) {
-        const testFiltered = filterByProcedure(clinics, location);
-        if (testFiltered.length > 0) {
-          clinics = testFiltered;
-          locationConvertedToProcedure = true;
-          convertedProcedureTerm = location;
-
-          clinics.sort((a, b) => {
-            const bestMatchA = a.procedures
-              .map(proc => calculateRelevanceScore(proc.procedureName, location))
-              .reduce((max, score) => Math.max(max, score), 0);
-            const bestMatchB = b.procedures
-              .map(proc => calculateRelevanceScore(proc.procedureName, location))
-              .reduce((max, score) => Math.max(max, score), 0);
-            return bestMatchB - bestMatchA;
-          });
-        } else {
-          clinics = await filterByLocation(clinics, location, radius);
+    let searchParams = {
+      location, procedure, radius, clinicName, category, lat, lng, minPrice, maxPrice, priceUnit, openNow, openOn
+    };
+    const allClinics = await loadSearchIndexClinics(pool, { clinicName, baseURL });
+    let outcome = await applySearchFilters(allClinics, searchParams);
+
+    let didYouMean = null;
+    let autoCorrected = null;
+    if (outcome.clinics.length === 0 && (procedure || clinicName || location)) {
+      const spelling = buildSpellingCorrections(searchParams, await getSuggestIndex());
+      didYouMean = spelling.didYouMean;
+
+      if (autoCorrect && spelling.corrections.length > 0) {
+        const correctedParams = { ...searchParams };
+        spelling.corrections.forEach(({ param, to }) => { correctedParams[param] = to; });
+        // clinicName also narrows the SQL query, so a corrected name needs a fresh load
+        const correctedClinics = correctedParams.clinicName !== clinicName
+          ? await loadSearchIndexClinics(pool, { clinicName: correctedParams.clinicName, baseURL })
+          : allClinics;
+        const correctedOutcome = await applySearchFilters(correctedClinics, correctedParams);
+        if (correctedOutcome.clinics.length > 0) {
+          searchParams = correctedParams;
+          outcome = correctedOutcome;
+          autoCorrected = spelling.corrections.map(({ param, from, to }) => ({ param, from, to }));
         }
       }
     }
 
-    // Apply procedure filtering if provided
-    if (procedure && procedure.trim()) {
-      const procedureSearchTerm = procedure.trim();
-      clinics = filterByProcedure(clinics, procedureSearchTerm);
-      
-      // Sort by procedure relevance if procedure filter is applied
-      clinics.sort((a, b) => {
-        // Find best matching procedure in each clinic
-        const bestMatchA = a.procedures
-          .map(proc => calculateRelevanceScore(proc.procedureName, procedureSearchTerm))
-          .reduce((max, score) => Math.max(max, score), 0);
-        const bestMatchB = b.procedures
-          .map(proc => calculateRelevanceScore(proc.procedureName, procedureSearchTerm))
-          .reduce((max, score) => Math.max(max, score), 0);
-        return bestMatchB - bestMatchA; // Higher score first
-      });
-    }
+    // Prices are compared in one unit; clinics priced otherwise are flagged priceComparable: false
+    const priceComparison = buildPriceComparison(outcome.clinics, {
+      procedureTerm: outcome.procedureTerm,
+      priceUnit: outcome.priceFilters.priceUnit
+    });
 
-    // Build response with correct filter metadata
-    // If location was converted to procedure search, reflect that in the response
-    const responseFilters = {
-      location: geoCenterFromQuery ? null : (locationConvertedToProcedure ? null : (location || null)),
-      procedure: locationConvertedToProcedure ? convertedProcedureTerm : (procedure || null),
-      radius: radius || null,
-      clinicName: clinicName || null,
-      latitude: geoCenterFromQuery ? geoCenterFromQuery.lat : null,
-      longitude: geoCenterFromQuery ? geoCenterFromQuery.lng : null
+    // Ordering is deterministic (rank score or sort key, then filter relevance / ClinicID order),
+    // so pages are stable. Relevance — including distance without a geo center — is the rank score.
+    const rankContext = {
+      geoCenter: outcome.geoCenter,
+      procedureTerm: outcome.procedureTerm,
+      clinicName: searchParams.clinicName,
+      priceUnit: priceComparison.unit
     };
-    
+    const debugRank = isRankDebugRequested(req.query.debug);
+    let sorted = sortClinics(outcome.clinics, sort, rankContext);
+    const ranking = sorted.sort === DEFAULT_SORT || debugRank ? rankClinics(outcome.clinics, rankContext) : null;
+    if (sorted.sort === DEFAULT_SORT) {
+      sorted = { clinics: ranking.clinics, sort: DEFAULT_SORT };
+    }
+    const { items: pageClinics, pagination } = paginateArray(sorted.clinics, paginationQuery);
+    const clinics = annotateClinicPrices(pageClinics, {
+      procedureTerm: outcome.procedureTerm,
+      unit: priceComparison.unit
+    });
+
     const response = {
       clinics,
       meta: {
-        totalClinics: clinics.length,
+        totalClinics: outcome.clinics.length,
         timestamp: new Date().toISOString(),
-        filters: responseFilters
+        filters: buildResponseFilters(searchParams, outcome, { sort: sorted.sort }),
+        facets: buildSearchFacets(outcome.clinics, {
+          procedureTerm: outcome.procedureTerm,
+          geoCenter: outcome.geoCenter
+        }),
+        priceComparison,
+        ...(pagination ? { pagination } : {}),
+        ...(didYouMean ? { didYouMean } : {}),
+        ...(autoCorrected ? { autoCorrected } : {}),
+        ...(debugRank ? { ranking: { weights: getRankingWeights(), appliedToSort: sorted.sort === DEFAULT_SORT } } : {})
       }
     };
-    
-    res.json(response);
+
+    res.set('X-Cache', cacheKey ? 'MISS' : 'BYPASS');
+    res.json({
+      ...response,
+      clinics: shapeClinics(clinics).map((clinic, i) =>
+        (debugRank ? { ...clinic, rankBreakdown: ranking.breakdowns.get(pageClinics[i]) } : clinic))
+    });
+
+    // Analytics record what was typed (before auto-correction), once per search (its first page)
+    const analytics = {
+      endpoint: '/api/clinics/search-index',
+      procedure,
+      clinicName,
+      location,
+      resultCount: outcome.clinics.length,
+      locationConvertedToProcedure: outcome.locationConvertedToProcedure
+    };
+    if (!pagination || pagination.page === 1) {
+      recordSearch({ ...analytics, latencyMs: Date.now() - startedAt });
+    }
+    if (cacheKey) {
+      setCachedSearch(cacheKey, { body: response, analytics }, cacheGeneration);
+    }
   } catch (error) {
     console.error('[ENDPOINT DEBUG] Error in /api/clinics/search-index:', error);
     console.error('[ENDPOINT DEBUG] Error stack:', error.stack);
@@ -1000,382 +1103,52 @@ app.get('/api/clinics/search-index', async (req, res) => {
       message: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-});
-
-/**
- * @param {string|number|undefined} raw
- * @param {number} min
- * @param {number} max
- * @returns {number|null}
- */
-function parseSearchCoordinate(raw, min, max) {
-  if (raw === undefined || raw === null || raw === '') return null;
-  const n = typeof raw === 'number' ? raw : parseFloat(String(raw).trim());
-  if (!Number.isFinite(n) || n < min || n > max) return null;
-  return n;
-}
-
-/**
- * @param {Array} clinics
- * @param {number} centerLat
- * @param {number} centerLng
- * @param {string|number|undefined} radiusQuery
- * @returns {Array}
- */
-function filterClinicsByLatLngRadius(clinics, centerLat, centerLng, radiusQuery) {
-  const r = radiusQuery !== undefined && radiusQuery !== null && radiusQuery !== ''
-    ? parseFloat(String(radiusQuery))
-    : 25;
-  const maxMiles = Number.isFinite(r) && r > 0 ? r : 25;
-  return clinics.filter((c) => {
-    if (!c.latitude || !c.longitude) return false;
-    const d = calculateDistance(centerLat, centerLng, c.latitude, c.longitude);
-    return d !== null && d <= maxMiles;
-  });
-}
-
-/**
- * Filter clinics by location (city, state, or zip)
- * @param {Array} clinics - Array of clinic objects
- * @param {string} location - Location string (city, state, or zip)
- * @param {string|number} radius - Optional radius in miles
- * @returns {Promise<Array>} Filtered clinics array
- */
-async function filterByLocation(clinics, location, radius) {
-  const locationInfo = parseLocationInput(location);
-  
-  if (!locationInfo.type || !locationInfo.value) {
-    return [];
-  }
-
-  const searchRadius = radius ? parseFloat(radius) : null;
-
-  switch (locationInfo.type) {
-    case 'state':
-      // State search: matches both abbreviations (FL) and full names (Florida)
-      return clinics.filter(clinic => 
-        stateMatches(clinic.state, locationInfo.value)
-      );
-
-    case 'zip':
-      // ZIP code search
-      if (searchRadius && searchRadius > 0) {
-        // Use radius-based search
-        return await filterByZipRadius(clinics, locationInfo.value, searchRadius);
-      } else {
-        // Exact zip match or same first 3 digits (nearby zip codes)
-        const zipPrefix = locationInfo.value.substring(0, 3);
-        return clinics.filter(clinic => {
-          if (!clinic.zipCode) return false;
-          const clinicZip = clinic.zipCode.toString().trim();
-          return clinicZip === locationInfo.value || clinicZip.startsWith(zipPrefix);
-        });
-      }
-
-    case 'city':
-      // City search: exact city + metro area + nearby cities
-      return await filterByCity(clinics, locationInfo.value, searchRadius);
-
-    default:
-      return [];
-  }
-}
-
-/**
- * Filter clinics by city, including metro area and nearby cities
- * @param {Array} clinics - Array of clinic objects
- * @param {string} cityName - City name
- * @param {number|null} radius - Optional radius override
- * @returns {Promise<Array>} Filtered clinics array
- */
-async function filterByCity(clinics, locationString, radius) {
-  const parsed = parseLocationInput(locationString);
-  if (!parsed.type || parsed.value == null) {
-    return [];
-  }
-
-  const cityPart = (parsed.cityPart || parsed.value).trim();
-  const stateHint = parsed.stateAbbr || null;
-  const lowerCityName = cityPart.toLowerCase();
-  const matchedClinics = new Set();
-  let primaryState = stateHint ? stateHint.toUpperCase() : null;
-
-  // Step 1: Find exact city matches and determine primary state
-  const exactMatches = [];
-  clinics.forEach(clinic => {
-    if (!clinic.city || clinic.city.toLowerCase().trim() !== lowerCityName) {
-      return;
-    }
-    if (stateHint && !stateMatches(clinic.state, stateHint)) {
-      return;
-    }
-    exactMatches.push(clinic);
-    matchedClinics.add(clinic.clinicId);
-    if (!primaryState && clinic.state) {
-      primaryState = clinic.state.toUpperCase();
-    }
-  });
-
-  // If we found exact matches, prefer clinics in the same state to prevent false positives
-  // (e.g., "Palo Alto" in CA should not match "Palo Alto" in other states)
-  if (primaryState && exactMatches.length > 0 && !stateHint) {
-    const sameStateMatches = exactMatches.filter(c => c.state && c.state.toUpperCase() === primaryState);
-    if (sameStateMatches.length > 0) {
-      matchedClinics.clear();
-      sameStateMatches.forEach(clinic => matchedClinics.add(clinic.clinicId));
-    }
-  }
-
-  // Step 2: Check if city is in a defined metro area
-  const metroArea = findMetroArea(cityPart);
-  let searchRadius = radius || (metroArea ? metroArea.radius : 25); // Default 25 miles
-  let centerLat = null;
-  let centerLng = null;
-
-  if (metroArea) {
-    // Use metro area center coordinates
-    centerLat = metroArea.lat;
-    centerLng = metroArea.lng;
-    searchRadius = radius || metroArea.radius;
-
-    // Include all cities in the metro area (metro areas are typically single-state)
-    metroArea.cities.forEach(metroCity => {
-      clinics.forEach(clinic => {
-        if (clinic.city && clinic.city.toLowerCase().trim() === metroCity.toLowerCase()) {
-          if (!primaryState || !clinic.state || clinic.state.toUpperCase() === primaryState) {
-            matchedClinics.add(clinic.clinicId);
-          }
-        }
-      });
-    });
-  } else {
-    const geocodeQuery = parsed.value;
-    const geocoded = await geocodeLocation(geocodeQuery);
-    if (geocoded) {
-      centerLat = geocoded.lat;
-      centerLng = geocoded.lng;
-    } else {
-      const cityClinic = clinics.find(c =>
-        c.city && c.city.toLowerCase().trim() === lowerCityName &&
-        c.latitude && c.longitude &&
-        (!primaryState || !c.state || c.state.toUpperCase() === primaryState)
-      ) || clinics.find(c =>
-        c.city && c.city.toLowerCase().trim() === lowerCityName && c.latitude && c.longitude
-      );
-      if (cityClinic) {
-        centerLat = cityClinic.latitude;
-        centerLng = cityClinic.longitude;
-        if (!primaryState && cityClinic.state) {
-          primaryState = cityClinic.state.toUpperCase();
-        }
-      }
-    }
-  }
-
-  // Step 3: Include clinics within radius using coordinates
-  // Prefer clinics in the same state to prevent false positives
-  if (centerLat && centerLng) {
-    clinics.forEach(clinic => {
-      if (clinic.latitude && clinic.longitude) {
-        const distance = calculateDistance(
-          centerLat,
-          centerLng,
-          clinic.latitude,
-          clinic.longitude
-        );
-        
-        if (distance !== null && distance <= searchRadius) {
-          // If we have a primary state, prefer same-state matches
-          // But still include nearby clinics even if different state (for border cities)
-          // Only exclude if it's clearly a false positive (very far and different state)
-          const isSameState = primaryState && clinic.state && clinic.state.toUpperCase() === primaryState;
-          const isFarAway = distance > searchRadius * 0.8; // More than 80% of radius
-          
-          if (isSameState || !isFarAway || !primaryState) {
-            matchedClinics.add(clinic.clinicId);
-          }
-        }
-      }
-    });
-  }
-
-  // Return filtered clinics
-  return clinics.filter(clinic => matchedClinics.has(clinic.clinicId));
-}
-
-/**
- * Filter clinics by ZIP code with radius
- * @param {Array} clinics - Array of clinic objects
- * @param {string} zipCode - ZIP code
- * @param {number} radius - Radius in miles
- * @returns {Promise<Array>} Filtered clinics array
- */
-async function filterByZipRadius(clinics, zipCode, radius) {
-  // First, find a clinic with this zip code to get coordinates
-  let zipClinic = clinics.find(c => 
-    c.zipCode && c.zipCode.toString().trim() === zipCode && c.latitude && c.longitude
-  );
-
-  // If no clinic found with exact zip, try geocoding
-  let centerLat = null;
-  let centerLng = null;
-
-  if (zipClinic) {
-    centerLat = zipClinic.latitude;
-    centerLng = zipClinic.longitude;
-  } else {
-    const geocoded = await geocodeLocation(zipCode);
-    if (geocoded) {
-      centerLat = geocoded.lat;
-      centerLng = geocoded.lng;
-    } else {
-      // Fallback: return clinics with same first 3 digits
-      const zipPrefix = zipCode.substring(0, 3);
-      return clinics.filter(clinic => {
-        if (!clinic.zipCode) return false;
-        const clinicZip = clinic.zipCode.toString().trim();
-        return clinicZip.startsWith(zipPrefix);
-      });
-    }
-  }
-
-  // Filter clinics within radius
-  const matchedClinics = new Set();
-
-  // Include exact zip matches first
-  clinics.forEach(clinic => {
-    if (clinic.zipCode && clinic.zipCode.toString().trim() === zipCode) {
-      matchedClinics.add(clinic.clinicId);
-    }
-  });
-
-  // Include clinics within radius
-  if (centerLat && centerLng) {
-    clinics.forEach(clinic => {
-      if (clinic.latitude && clinic.longitude) {
-        const distance = calculateDistance(
-          centerLat,
-          centerLng,
-          clinic.latitude,
-          clinic.longitude
-        );
-        
-        if (distance !== null && distance <= radius) {
-          matchedClinics.add(clinic.clinicId);
-        }
-      }
-    });
-  }
-
-  return clinics.filter(clinic => matchedClinics.has(clinic.clinicId));
-}
-
-/** Common procedure nicknames → canonical phrases (also used for SQL pre-filtering) */
-const PROCEDURE_ABBREVIATIONS = {
-  bbl: 'brazilian butt lift',
-  'tummy tuck': 'abdominoplasty',
-  'nose job': 'rhinoplasty',
-  'boob job': 'breast augmentation',
-  botox: 'botulinum toxin',
-  filler: 'dermal filler'
 };
 
 /**
- * Adds inputs and returns SQL AND fragment: clinic name OR procedure matches search text.
- * Coarse SQL filter; JS refines with matchesClinicNameSearch / filterByProcedure.
- * @param {import('mssql').Request} request
- * @param {string} clinicNameTrimmed
- * @returns {string}
- */
-function bindClinicNameOrProcedureSearchSql(request, clinicNameTrimmed) {
-  const clinicNamePattern = `%${clinicNameTrimmed.toLowerCase()}%`;
-  const clinicNameNormalized = `%${clinicNameTrimmed.toLowerCase().replace(/\s+/g, '')}%`;
-  const lowerSearch = clinicNameTrimmed.toLowerCase();
-  const expandedFull = PROCEDURE_ABBREVIATIONS[lowerSearch];
-  const expandedProcPattern = expandedFull ? `%${expandedFull}%` : null;
-
-  request.input('clinicNamePattern', sql.NVarChar, clinicNamePattern);
-  request.input('clinicNameNormalized', sql.NVarChar, clinicNameNormalized);
-  if (expandedProcPattern) {
-    request.input('expandedProcPattern', sql.NVarChar, expandedProcPattern);
-  }
-
-  let clause = `(
-      LOWER(c.ClinicName) LIKE @clinicNamePattern
-      OR LOWER(REPLACE(c.ClinicName, ' ', '')) LIKE @clinicNameNormalized
-      OR LOWER(p.ProcedureName) LIKE @clinicNamePattern
-      OR LOWER(REPLACE(p.ProcedureName, ' ', '')) LIKE @clinicNameNormalized`;
-  if (expandedProcPattern) {
-    clause += `
-      OR LOWER(p.ProcedureName) LIKE @expandedProcPattern`;
-  }
-  clause += `
-    )`;
-  return clause;
-}
-
-/**
- * Best relevance score for a clinic when user text may match name or any procedure.
- * @param {{ clinicName: string, procedures: { procedureName: string }[] }} clinic
- * @param {string} term
- */
-function bestClinicSearchRelevanceScore(clinic, term) {
-  const nameScore = calculateRelevanceScore(clinic.clinicName, term);
-  const procScores = (clinic.procedures || []).map((p) =>
-    calculateRelevanceScore(p.procedureName, term)
-  );
-  const bestProc = procScores.length ? Math.max(...procScores) : 0;
-  return Math.max(nameScore, bestProc);
-}
-
-/**
- * True if clinic name matches OR any procedure matches (including abbreviation expansion).
+ * @swagger
+ * /api/clinics/search-index:
+ *   get:
+ *     summary: Clinic search with filters, facets, ranking and optional pagination
+ *     description: Cached per normalized query (X-Cache HIT, MISS or BYPASS). Sends a strong ETag; If-None-Match gets a 304.
+ *     tags: [Clinics]
+ *     parameters:
+ *       - { in: query, name: location, schema: { type: string }, description: City, state abbreviation or ZIP }
+ *       - { in: query, name: lat, schema: { type: number } }
+ *       - { in: query, name: lng, schema: { type: number } }
+ *       - { in: query, name: radius, schema: { type: number }, description: Miles }
+ *       - { in: query, name: procedure, schema: { type: string } }
+ *       - { in: query, name: clinicName, schema: { type: string }, description: Clinic name or any listed procedure }
+ *       - { in: query, name: category, schema: { type: string }, description: 'Plastic Surgery, Medspa / Aesthetics, Medical, Dermatology or Other (aliases such as medspa accepted)' }
+ *       - { in: query, name: minPrice, schema: { type: number } }
+ *       - { in: query, name: maxPrice, schema: { type: number } }
+ *       - { in: query, name: priceUnit, schema: { type: string } }
+ *       - { in: query, name: openNow, schema: { type: boolean } }
+ *       - { in: query, name: openOn, schema: { type: string }, description: Day name }
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [relevance, distance, rating, reviews, price_asc, price_desc, weighted_rating] }
+ *       - { in: query, name: debug, schema: { type: string, enum: [rank] }, description: Adds rankBreakdown and meta.ranking }
+ *       - { in: query, name: fields, schema: { type: string }, description: Comma-separated clinic attributes }
+ *       - { in: query, name: include, schema: { type: string }, description: 'procedures, photos, hours' }
+ *       - { in: query, name: autoCorrect, schema: { type: boolean, default: true } }
+ *       - { in: query, name: page, schema: { type: integer } }
+ *       - { in: query, name: limit, schema: { type: integer, maximum: 100 } }
+ *     responses:
+ *       200:
+ *         description: Matching clinics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SearchIndexResponse'
+ *       304:
+ *         description: Not modified
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
  */
-function clinicMatchesClinicNameOrProcedureSearch(clinic, term) {
-  if (matchesClinicNameSearch(clinic.clinicName, term)) {
-    return true;
-  }
-  return filterByProcedure([clinic], term).length > 0;
-}
-
-/**
- * Filter clinics by procedure name with fuzzy matching
- * Supports word splits (e.g., "micro blading" matches "microblading")
- * @param {Array} clinics - Array of clinic objects
- * @param {string} procedureName - Procedure name to search for (case-insensitive, fuzzy match)
- * @returns {Array} Filtered clinics array
- */
-function filterByProcedure(clinics, procedureName) {
-  const lowerProcedure = procedureName.toLowerCase().trim();
-
-  // Check if search term is an abbreviation
-  const expandedTerm = PROCEDURE_ABBREVIATIONS[lowerProcedure] || null;
-
-  return clinics.filter(clinic => {
-    // Check if clinic has any procedure matching the search term
-    return clinic.procedures.some(proc => {
-      // Use fuzzy matching utility (handles word splits like "micro blading" vs "microblading")
-      if (matchesProcedureSearch(proc.procedureName, procedureName)) {
-        return true;
-      }
-      
-      // Abbreviation match (e.g., "BBL" matches "Brazilian Butt Lift")
-      if (expandedTerm && matchesProcedureSearch(proc.procedureName, expandedTerm)) {
-        return true;
-      }
-      
-      // Reverse: if search term is full name, check if procedure name contains abbreviation
-      // (e.g., "Brazilian Butt Lift" matches "BBL")
-      for (const [abbr, fullName] of Object.entries(PROCEDURE_ABBREVIATIONS)) {
-        if (lowerProcedure.includes(fullName) && matchesProcedureSearch(proc.procedureName, abbr)) {
-          return true;
-        }
-      }
-      
-      return false;
-    });
-  });
-}
+app.get('/api/clinics/search-index', conditionalGet(CACHE_POLICIES.searchIndex), handleClinicSearchIndex);
 
 /**
  * Simple Clinic Search Endpoint
@@ -1387,8 +1160,9 @@ function filterByProcedure(clinics, procedureName) {
  * 
  * Returns a simplified list of clinics matching the search query.
  */
-app.get('/api/clinics/search', async (req, res) => {
+const handleClinicSearch = async (req, res) => {
   let pool;
+  const startedAt = Date.now();
   try {
     const { q } = req.query;
     
@@ -1446,6 +1220,13 @@ app.get('/api/clinics/search', async (req, res) => {
     res.json({
       results: result.recordset
     });
+
+    recordSearch({
+      endpoint: '/api/clinics/search',
+      query: searchTerm,
+      resultCount: result.recordset.length,
+      latencyMs: Date.now() - startedAt
+    });
   } catch (error) {
     console.error('Error in /api/clinics/search:', error);
     res.status(500).json({ 
@@ -1453,12 +1234,84 @@ app.get('/api/clinics/search', async (req, res) => {
       message: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-});
+};
+
+/**
+ * @swagger
+ * /api/clinics/search:
+ *   get:
+ *     summary: Quick clinic lookup by name or address (top 20)
+ *     tags: [Clinics]
+ *     parameters:
+ *       - { in: query, name: q, schema: { type: string, minLength: 2 }, description: Shorter queries return no results }
+ *     responses:
+ *       200:
+ *         description: Matching clinics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ClinicSearchResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+app.get('/api/clinics/search', handleClinicSearch);
+
+/**
+ * Details of the nearby-top-rated candidates that pass the rating and photo filters.
+ * Excludes clinics without photos from any source (temporary filter until photo data is complete).
+ * @param {import('mssql').ConnectionPool} pool
+ * @param {number[]} clinicIds
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadNearbyTopRatedRows(pool, clinicIds) {
+  if (clinicIds.length === 0) return [];
+  const request = pool.request();
+  request.input('clinicIds', sql.NVarChar(sql.MAX), clinicIds.join(','));
+  const result = await request.query(`
+    SELECT
+      c.ClinicID,
+      c.ClinicName,
+      COALESCE(g.Street, c.Address) as Address,
+      COALESCE(c.City, g.City, l.City) as City,
+      COALESCE(c.State, g.State, l.State) as State,
+      COALESCE(c.PostalCode, g.PostalCode) as PostalCode,
+      c.Latitude,
+      c.Longitude,
+      c.GoogleRating,
+      c.GoogleReviewCount,
+      c.GoogleReviewsJSON,
+      c.Phone,
+      c.Website,
+      COALESCE(g.Photo, cp.PhotoURL) as PhotoURL,
+      g.Category as ClinicCategory,
+      g.Description,
+      g.WorkingHours,
+      (SELECT COUNT(*) FROM Procedures p WHERE p.ClinicID = c.ClinicID) as ProcedureCount,
+      (SELECT COUNT(*) FROM Procedures p WHERE p.ClinicID = c.ClinicID AND p.AverageCost > 0) as PricedProcedureCount
+    FROM Clinics c
+    LEFT JOIN GooglePlacesData g ON c.ClinicID = g.ClinicID
+    LEFT JOIN Locations l ON c.LocationID = l.LocationID
+    LEFT JOIN (
+      SELECT ClinicID, PhotoURL,
+        ROW_NUMBER() OVER (PARTITION BY ClinicID ORDER BY IsPrimary DESC, DisplayOrder ASC) as RowNum
+      FROM ClinicPhotos
+    ) cp ON c.ClinicID = cp.ClinicID AND cp.RowNum = 1
+    WHERE 
+      c.ClinicID IN (SELECT CAST(value AS INT) FROM STRING_SPLIT(@clinicIds, ','))
+      AND c.GoogleRating >= 4.0
+      AND (g.Photo IS NOT NULL OR cp.PhotoURL IS NOT NULL)
+  `);
+  return result.recordset;
+}
 
 // Get top-rated clinics near a location with one review each
 // Optimized for homepage "Book with Local Doctors" section
+// Ranks at least the NEARBY_TOP_RATED_CANDIDATES nearest clinics with the composite ranking model
+// (distance, Bayesian rating, review volume, photos, profile completeness; see utils/clinicRanking)
+// debug=rank adds rankBreakdown to each clinic and the active weights to the response
 // IMPORTANT: This must be defined BEFORE /api/clinics/:clinicId to avoid route collision
-app.get('/api/clinics/nearby-top-rated', async (req, res) => {
+const NEARBY_TOP_RATED_CANDIDATES = 200;
+const handleNearbyTopRated = async (req, res) => {
   let pool;
   try {
     const { lat, lng, limit = 3 } = req.query;
@@ -1495,71 +1348,52 @@ app.get('/api/clinics/nearby-top-rated', async (req, res) => {
       throw new Error('Could not establish database connection');
     }
 
-    const request = pool.request();
-    request.input('latitude', sql.Float, latitude);
-    request.input('longitude', sql.Float, longitude);
-    request.input('limit', sql.Int, clinicLimit);
+    // Candidates are the nearest clinics from the shared spatial index; SQL only loads their details.
+    // Widen the candidate set until clinicLimit of them pass the rating and photo filters (or the
+    // index runs out), so sparse areas still fill the section.
+    const spatialIndex = await getClinicSpatialIndex();
+    const distanceByClinicId = new Map();
+    const eligible = [];
+    for (let k = NEARBY_TOP_RATED_CANDIDATES; ; k *= 2) {
+      const candidates = spatialIndex.nearest(latitude, longitude, k);
+      const added = candidates.filter(candidate => !distanceByClinicId.has(candidate.id));
+      added.forEach(candidate => distanceByClinicId.set(candidate.id, candidate.distance));
+      eligible.push(...await loadNearbyTopRatedRows(pool, added.map(candidate => candidate.id)));
+      if (eligible.length >= clinicLimit || candidates.length < k) break;
+    }
 
-    // Query to get top-rated clinics with distance calculation
-    // Uses Haversine formula for distance calculation
-    // Excludes clinics without photos from any source (temporary filter until photo data is complete)
-    const result = await request.query(`
-      SELECT TOP (@limit)
-        c.ClinicID,
-        c.ClinicName,
-        COALESCE(g.Street, c.Address) as Address,
-        COALESCE(c.City, g.City, l.City) as City,
-        COALESCE(c.State, g.State, l.State) as State,
-        COALESCE(c.PostalCode, g.PostalCode) as PostalCode,
-        c.Latitude,
-        c.Longitude,
-        c.GoogleRating,
-        c.GoogleReviewCount,
-        c.GoogleReviewsJSON,
-        c.Phone,
-        c.Website,
-        COALESCE(g.Photo, cp.PhotoURL) as PhotoURL,
-        g.Category as ClinicCategory,
-        g.Description,
-        
-        -- Calculate distance in miles using Haversine formula
-        (
-          3959 * ACOS(
-            CASE
-              WHEN COS(RADIANS(@latitude)) * COS(RADIANS(c.Latitude)) * 
-                   COS(RADIANS(c.Longitude) - RADIANS(@longitude)) + 
-                   SIN(RADIANS(@latitude)) * SIN(RADIANS(c.Latitude)) > 1
-              THEN 1
-              WHEN COS(RADIANS(@latitude)) * COS(RADIANS(c.Latitude)) * 
-                   COS(RADIANS(c.Longitude) - RADIANS(@longitude)) + 
-                   SIN(RADIANS(@latitude)) * SIN(RADIANS(c.Latitude)) < -1
-              THEN -1
-              ELSE COS(RADIANS(@latitude)) * COS(RADIANS(c.Latitude)) * 
-                   COS(RADIANS(c.Longitude) - RADIANS(@longitude)) + 
-                   SIN(RADIANS(@latitude)) * SIN(RADIANS(c.Latitude))
-            END
-          )
-        ) AS DistanceMiles
-      FROM Clinics c
-      LEFT JOIN GooglePlacesData g ON c.ClinicID = g.ClinicID
-      LEFT JOIN Locations l ON c.LocationID = l.LocationID
-      LEFT JOIN (
-        SELECT ClinicID, PhotoURL,
-          ROW_NUMBER() OVER (PARTITION BY ClinicID ORDER BY IsPrimary DESC, DisplayOrder ASC) as RowNum
-        FROM ClinicPhotos
-      ) cp ON c.ClinicID = cp.ClinicID AND cp.RowNum = 1
-      WHERE 
-        c.GoogleRating >= 4.0
-        AND c.Latitude IS NOT NULL
-        AND c.Longitude IS NOT NULL
-        AND (g.Photo IS NOT NULL OR cp.PhotoURL IS NOT NULL)
-      ORDER BY 
-        c.GoogleRating DESC,
-        DistanceMiles ASC
-    `);
+    // Ranking reads search-index field names; ties keep nearest-first order
+    const rows = eligible
+      .map(clinic => ({ ...clinic, DistanceMiles: distanceByClinicId.get(clinic.ClinicID) }))
+      .sort((a, b) => a.DistanceMiles - b.DistanceMiles);
+    const rowByRankable = new Map();
+    const rankable = rows.map(row => {
+      const entry = {
+        address: row.Address,
+        city: row.City,
+        state: row.State,
+        zipCode: row.PostalCode,
+        latitude: row.Latitude,
+        longitude: row.Longitude,
+        rating: row.GoogleRating || 0,
+        reviewCount: row.GoogleReviewCount || 0,
+        photoURL: row.PhotoURL,
+        openingHours: normalizeWorkingHours(row.WorkingHours),
+        procedureCount: row.ProcedureCount,
+        pricedProcedureCount: row.PricedProcedureCount
+      };
+      rowByRankable.set(entry, row);
+      return entry;
+    });
+    const ranking = rankClinics(rankable, { geoCenter: { lat: latitude, lng: longitude } });
+    const debugRank = isRankDebugRequested(req.query.debug);
+    const topRated = ranking.clinics.slice(0, clinicLimit).map(entry => ({
+      ...rowByRankable.get(entry),
+      rankBreakdown: ranking.breakdowns.get(entry)
+    }));
 
     // Process results to include one quality review per clinic
-    const clinics = result.recordset.map(clinic => {
+    const clinics = topRated.map(clinic => {
       let selectedReview = null;
       
       // Parse and select a quality review
@@ -1623,7 +1457,8 @@ app.get('/api/clinics/nearby-top-rated', async (req, res) => {
           rating: selectedReview.rating,
           text: selectedReview.text,
           time: selectedReview.time || selectedReview.relative_time_description
-        } : null
+        } : null,
+        ...(debugRank ? { rankBreakdown: clinic.rankBreakdown } : {})
       };
     });
 
@@ -1635,7 +1470,8 @@ app.get('/api/clinics/nearby-top-rated', async (req, res) => {
         longitude,
         limit: clinicLimit
       },
-      clinics
+      clinics,
+      ...(debugRank ? { ranking: { weights: getRankingWeights() } } : {})
     });
 
   } catch (error) {
@@ -1645,7 +1481,227 @@ app.get('/api/clinics/nearby-top-rated', async (req, res) => {
       message: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-});
+};
+
+/**
+ * @swagger
+ * /api/clinics/nearby-top-rated:
+ *   get:
+ *     summary: Top-ranked clinics near a point, with one review each
+ *     tags: [Clinics]
+ *     parameters:
+ *       - { in: query, name: lat, required: true, schema: { type: number } }
+ *       - { in: query, name: lng, required: true, schema: { type: number } }
+ *       - { in: query, name: limit, schema: { type: integer, default: 3, maximum: 20 } }
+ *       - { in: query, name: debug, schema: { type: string, enum: [rank] } }
+ *     responses:
+ *       200:
+ *         description: Nearby clinics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NearbyTopRatedResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+app.get('/api/clinics/nearby-top-rated', handleNearbyTopRated);
+
+// Clinics inside a map viewport, clustered at low zoom levels
+// GET /api/clinics/map?north=&south=&east=&west=&zoom=
+// Optional filters match /api/clinics/search-index: procedure, clinicName, category, minPrice, maxPrice,
+// priceUnit, openNow, openOn
+// Below CLUSTER_MAX_ZOOM, nearby clinics are grouped into clusters (centroid, count, best rating);
+// clinics alone in their grid cell and every clinic at higher zoom levels come back as pins.
+// IMPORTANT: This must be defined BEFORE /api/clinics/:clinicId to avoid route collision
+const handleClinicMap = async (req, res) => {
+  let pool;
+  try {
+    const viewport = parseMapViewport(req.query);
+    if (viewport.error) {
+      return res.status(400).json({
+        error: 'Invalid viewport',
+        message: viewport.error
+      });
+    }
+    const { bounds, zoom } = viewport;
+    const { procedure, clinicName, category, minPrice, maxPrice, priceUnit, openNow, openOn } = req.query;
+    const categoryParam = parseCategoryParam(category);
+    if (!categoryParam.ok) {
+      return res.status(400).json({ error: 'Invalid category', message: categoryParam.message });
+    }
+    const priceRange = checkPriceRange({ minPrice, maxPrice });
+    if (!priceRange.ok) {
+      return res.status(400).json({ error: 'Invalid price range', message: priceRange.message });
+    }
+
+    pool = await db.getConnection();
+    if (!pool) {
+      throw new Error('Could not establish database connection');
+    }
+
+    // The shared spatial index finds the clinics in the viewport; SQL only loads their details.
+    // The bounds check on the loaded coordinates drops clinics moved since the index was built.
+    const spatialIndex = await getClinicSpatialIndex();
+    const clinicIds = spatialIndex.withinBounds(bounds).map(hit => hit.id);
+
+    const baseURL = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const searchParams = { procedure, clinicName, category, minPrice, maxPrice, priceUnit, openNow, openOn };
+    const viewportClinics = await loadSearchIndexClinics(pool, { clinicName, baseURL, clinicIds });
+    const outcome = await applySearchFilters(viewportClinics, searchParams);
+
+    const inViewport = outcome.clinics
+      .filter(clinic => clinic.latitude && clinic.longitude &&
+        isInBounds(Number(clinic.latitude), Number(clinic.longitude), bounds))
+      .map(clinic => ({
+        clinicId: clinic.clinicId,
+        clinicName: clinic.clinicName,
+        latitude: Number(clinic.latitude),
+        longitude: Number(clinic.longitude),
+        rating: clinic.rating,
+        reviewCount: clinic.reviewCount,
+        clinicCategory: clinic.clinicCategory,
+        city: clinic.city,
+        state: clinic.state,
+        photoURL: clinic.photoURL
+      }));
+
+    const clustered = zoom < CLUSTER_MAX_ZOOM;
+    const { clusters, points: pins } = clustered
+      ? clusterPoints(inViewport, zoom)
+      : { clusters: [], points: inViewport };
+
+    res.json({
+      success: true,
+      clusters,
+      pins,
+      meta: {
+        totalClinics: inViewport.length,
+        zoom,
+        clustered,
+        bounds,
+        filters: {
+          procedure: procedure || null,
+          clinicName: clinicName || null,
+          category: outcome.clinicCategory,
+          ...outcome.priceFilters,
+          openNow: outcome.hoursFilters.openNow,
+          openOn: outcome.hoursFilters.openOn !== null ? DAY_NAMES[outcome.hoursFilters.openOn] : null
+        },
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Error in /api/clinics/map:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/clinics/map:
+ *   get:
+ *     summary: Clinics in a map viewport, clustered below the cluster zoom level
+ *     description: Takes the search-index filters procedure, clinicName, category, minPrice, maxPrice, priceUnit, openNow and openOn.
+ *     tags: [Clinics]
+ *     parameters:
+ *       - { in: query, name: north, required: true, schema: { type: number } }
+ *       - { in: query, name: south, required: true, schema: { type: number } }
+ *       - { in: query, name: east, required: true, schema: { type: number } }
+ *       - { in: query, name: west, required: true, schema: { type: number } }
+ *       - { in: query, name: zoom, required: true, schema: { type: number } }
+ *     responses:
+ *       200:
+ *         description: Clusters and pins. Sends a strong ETag; If-None-Match with a matching tag gets a 304.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ClinicMapResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+app.get('/api/clinics/map', conditionalGet(CACHE_POLICIES.clinicMap), handleClinicMap);
+
+/**
+ * Compare clinics side by side
+ * GET /api/clinics/compare?ids=1,2,3 (max 4; must stay above /api/clinics/:clinicId)
+ *
+ * Returns each clinic in the GET /api/clinics/:clinicId shape with providers and procedures,
+ * in request order, plus procedureMatrix: one row per procedure any of them offers (grouped by
+ * name and category) with a cell per clinic — price / priceUnit, or offered: false.
+ * Unknown ids return 404 with missingIds.
+ */
+const handleClinicCompare = async (req, res) => {
+  try {
+    const parsed = parseCompareIds(req.query.ids);
+    if (!parsed.ok) {
+      return res.status(400).json({ error: 'Invalid ids', message: parsed.message, maxClinics: MAX_COMPARE_CLINICS });
+    }
+    const clinicIds = parsed.value;
+
+    const pool = await db.getConnection();
+    if (!pool) {
+      throw new Error('Could not establish database connection');
+    }
+    const apiBaseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+    const clinics = await Promise.all(clinicIds.map(async clinicId => {
+      const [detail, providers, procedures] = await Promise.all([
+        getClinicDetail(pool, clinicId),
+        getClinicProviders(pool, clinicId, apiBaseUrl),
+        getClinicProcedures(pool, clinicId)
+      ]);
+      return detail ? { ...detail, providers, procedures } : null;
+    }));
+
+    const missingIds = clinicIds.filter((id, i) => !clinics[i]);
+    if (missingIds.length > 0) {
+      return res.status(404).json({ error: 'Clinic not found', missingIds });
+    }
+
+    res.json({
+      success: true,
+      clinics,
+      procedureMatrix: buildProcedureMatrix(clinics)
+    });
+  } catch (error) {
+    console.error('Error in /api/clinics/compare:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/clinics/compare:
+ *   get:
+ *     summary: Compare up to 4 clinics side by side
+ *     tags: [Clinics]
+ *     parameters:
+ *       - { in: query, name: ids, required: true, schema: { type: string }, description: Comma-separated clinic IDs }
+ *     responses:
+ *       200:
+ *         description: Clinics with providers and procedures, and a procedure matrix
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ClinicCompareResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+app.get('/api/clinics/compare', handleClinicCompare);
 
 /**
  * Get specific clinic details with cached Google Places ratings and rich metadata
@@ -1653,315 +1709,134 @@ app.get('/api/clinics/nearby-top-rated', async (req, res) => {
  * 
  * Query Parameters:
  *   - include: Comma-separated list of related data to include
- *              Options: 'providers', 'procedures', or 'providers,procedures'
+ *              Options: 'providers', 'procedures', 'photos', 'reviews', 'hours'
+ *              (reviews and hours are included by default unless fields is given)
+ *   - fields: Comma-separated attributes to return (sparse fieldset, see utils/clinicFieldsets);
+ *             includes are added to them. Invalid fields or includes get a 400.
+ *   - format: 'jsonld' returns a schema.org MedicalClinic document (application/ld+json)
+ *             with providers and procedures, instead of the JSON response
  * 
  * Note: This endpoint only reads from the database cache and never calls Google Places API
  * The scheduled job (runs daily at 2 AM) keeps the rating data fresh
+ *
+ * Conditional GET: strong ETag only (utils/conditionalGet). No Last-Modified: the Clinics row,
+ * procedures and providers are edited in place without an update stamp, so no date here would
+ * move on every change and If-Modified-Since could answer 304 with stale data.
  */
-app.get('/api/clinics/:clinicId', async (req, res) => {
+const handleClinicDetail = async (req, res) => {
   let pool;
   try {
     const { clinicId } = req.params;
-    const { include } = req.query;
-    
-    // Parse include parameter
-    const includeProviders = include && include.includes('providers');
-    const includeProcedures = include && include.includes('procedures');
+    const fieldset = parseClinicFieldset(req.query, CLINIC_DETAIL_DOCUMENT);
+    if (!fieldset.ok) {
+      return res.status(400).json({ error: 'Invalid fields', message: fieldset.message });
+    }
+    const { includes } = fieldset.value;
     
     pool = await db.getConnection();
 
-    const request = pool.request();
-    request.input('clinicId', sql.Int, clinicId);
-
-    // Query clinic with cached Google Places data + rich metadata from GooglePlacesData table
-    const result = await request.query(`
-      SELECT 
-        c.ClinicID,
-        c.ClinicName,
-        c.Address,
-        c.City,
-        c.State,
-        c.PostalCode,
-        c.Phone,
-        c.Website,
-        c.Latitude,
-        c.Longitude,
-        c.LocationID,
-        c.PlaceID,
-        c.GoogleRating,
-        c.GoogleReviewCount,
-        c.GoogleReviewsJSON,
-        c.LastRatingUpdate,
-        
-        -- Google Places Data fields (LEFT JOIN handles clinics without this data)
-        g.Photo,
-        g.Logo,
-        g.Street,
-        g.StreetView,
-        g.Description,
-        g.WorkingHours,
-        g.AboutJSON,
-        g.Verified,
-        g.Facebook,
-        g.Instagram,
-        g.LinkedIn,
-        g.Twitter,
-        g.YouTube,
-        g.GoogleProfileLink,
-        g.ReviewsLink,
-        g.BookingAppointmentLink,
-        g.MenuLink,
-        g.BusinessStatus,
-        g.Category,
-        g.Subtypes,
-        g.BusinessName,
-        g.Email,
-        g.City as GpCity,
-        g.State as GpState,
-        g.PostalCode as GpPostalCode,
-        
-        l.City as LCity,
-        l.State as LState
-      FROM Clinics c
-      LEFT JOIN GooglePlacesData g ON c.ClinicID = g.ClinicID
-      LEFT JOIN Locations l ON c.LocationID = l.LocationID
-      WHERE c.ClinicID = @clinicId;
-    `);
-
-    if (result.recordset.length === 0) {
+    const response = await getClinicDetail(pool, clinicId);
+    if (!response) {
       return res.status(404).json({ error: 'Clinic not found' });
     }
 
-    const clinic = result.recordset[0];
-    
-    // Parse stored reviews if available
-    let reviews = [];
-    if (clinic.GoogleReviewsJSON) {
-      try {
-        reviews = JSON.parse(clinic.GoogleReviewsJSON);
-      } catch (parseError) {
-        console.error('Error parsing reviews JSON:', parseError);
-      }
-    }
-    
-    // Parse WorkingHours if available
-    let workingHours = clinic.WorkingHours;
-    if (workingHours && typeof workingHours === 'string') {
-      try {
-        workingHours = JSON.parse(workingHours);
-      } catch (e) {
-        // Keep as string if parsing fails
+    if (req.query.format === 'jsonld') {
+      const apiBaseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+      const [providers, procedures] = await Promise.all([
+        getClinicProviders(pool, clinicId, apiBaseUrl),
+        getClinicProcedures(pool, clinicId)
+      ]);
+      const jsonLd = validateClinicJsonLd(buildClinicJsonLd(response, {
+        url: `${getSiteOrigin(req)}${clinicPagePath(response.clinicId)}`,
+        providers,
+        procedures
+      }));
+      if (!jsonLd.ok) {
+        // e.g. no name or no street / city: structured data would be rejected, so emit none
+        return res.status(422).json({
+          error: 'Structured data unavailable',
+          message: 'This clinic is missing data required for schema.org markup',
+          details: jsonLd.errors
+        });
       }
+      return res.type('application/ld+json').send(JSON.stringify(jsonLd.value));
     }
     
-    // Parse AboutJSON if available
-    let about = null;
-    if (clinic.AboutJSON) {
-      try {
-        about = JSON.parse(clinic.AboutJSON);
-      } catch (e) {
-        // Keep as null if parsing fails
-      }
+    // Optional includes (reviews and hours are part of the detail query)
+    const apiBaseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    if (includes.has('providers')) {
+      response.providers = await getClinicProviders(pool, clinicId, apiBaseUrl);
     }
-
-    // Merge address components: prefer GooglePlacesData.Street for street; Clinics/GooglePlacesData/Locations for city/state/zip
-    const { address, city, state, zipCode } = mergeAddressForResponse(
-      { Address: clinic.Address, City: clinic.City, State: clinic.State, PostalCode: clinic.PostalCode },
-      { Street: clinic.Street, City: clinic.GpCity, State: clinic.GpState, PostalCode: clinic.GpPostalCode },
-      { City: clinic.LCity, State: clinic.LState }
-    );
-
-    // Build base response with camelCase field names
-    const response = {
-      // Core clinic data (camelCase)
-      clinicId: clinic.ClinicID,
-      clinicName: clinic.ClinicName,
-      address,
-      phone: clinic.Phone,
-      website: clinic.Website,
-      latitude: clinic.Latitude,
-      longitude: clinic.Longitude,
-      locationId: clinic.LocationID,
-      placeId: clinic.PlaceID,
-      city,
-      state,
-      zipCode,
-      
-      // Google ratings (camelCase)
-      googleRating: clinic.GoogleRating || 0,
-      googleReviewCount: clinic.GoogleReviewCount || 0,
-      
-      // Convenience aliases
-      rating: clinic.GoogleRating || 0,
-      reviewCount: clinic.GoogleReviewCount || 0,
-      reviews: reviews,
-      lastRatingUpdate: clinic.LastRatingUpdate,
-      
-      // Rich Google Places data (camelCase)
-      photo: clinic.Photo,
-      logo: clinic.Logo,
-      streetView: clinic.StreetView,
-      description: clinic.Description,
-      workingHours: workingHours,
-      about: about,
-      verified: clinic.Verified,
-      
-      // Social media links (camelCase)
-      facebook: clinic.Facebook,
-      instagram: clinic.Instagram,
-      linkedin: clinic.LinkedIn,
-      twitter: clinic.Twitter,
-      youtube: clinic.YouTube,
-      
-      // Google links (camelCase)
-      googleProfileLink: clinic.GoogleProfileLink,
-      reviewsLink: clinic.ReviewsLink,
-      bookingAppointmentLink: clinic.BookingAppointmentLink,
-      menuLink: clinic.MenuLink,
-      
-      // Business info (camelCase)
-      businessStatus: clinic.BusinessStatus,
-      category: normalizeCategory(clinic.Category),
-      subtypes: clinic.Subtypes,
-      businessName: clinic.BusinessName,
-      email: clinic.Email
-    };
-    
-    // Optionally include providers
-    if (includeProviders) {
-      const providersResult = await pool.request()
-        .input('clinicId', sql.Int, clinicId)
-        .query(`
-          SELECT DISTINCT
-            p.ProviderID,
-            p.ProviderName,
-            CASE WHEN p.PhotoData IS NOT NULL THEN 1 ELSE 0 END as HasPhotoData
-          FROM Providers p
-          WHERE p.ClinicID = @clinicId
-            AND p.ProviderName NOT LIKE '%Please Request Consult%'
-        `);
-      
-      const apiBaseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
-      
-      response.providers = providersResult.recordset.map(p => ({
-        providerId: p.ProviderID,
-        providerName: p.ProviderName,
-        photoUrl: p.HasPhotoData ? `${apiBaseUrl}/api/provider-photos/${p.ProviderID}` : null,
-        hasPhoto: !!p.HasPhotoData
-      }));
+    if (includes.has('procedures')) {
+      response.procedures = await getClinicProcedures(pool, clinicId);
     }
-    
-    // Optionally include procedures
-    if (includeProcedures) {
-      const proceduresHasPriceUnit = await proceduresTableHasPriceUnitColumn(pool);
-      const procPriceUnitInner = innerProcedurePriceUnitSelectSql(proceduresHasPriceUnit);
-
-      const proceduresResult = await pool.request()
-        .input('clinicId', sql.Int, clinicId)
-        .query(`
-          SELECT 
-            ProcedureID,
-            ProcedureName,
-            AverageCost,
-            Category,
-            CategoryID,
-            PriceUnit
-          FROM (
-            SELECT 
-              p.ProcedureID,
-              p.ProcedureName,
-              p.AverageCost,
-              ${procPriceUnitInner},
-              c.Category,
-              c.CategoryID,
-              ROW_NUMBER() OVER (PARTITION BY p.ProcedureName, c.Category ORDER BY p.ProcedureID) as RowNum
-            FROM Procedures p
-            JOIN Categories c ON p.CategoryID = c.CategoryID
-            WHERE p.ClinicID = @clinicId
-          ) AS RankedProcedures
-          WHERE RowNum = 1
-          ORDER BY Category, ProcedureName
-        `);
-      
-      response.procedures = proceduresResult.recordset.map(p => ({
-        procedureId: p.ProcedureID,
-        procedureName: p.ProcedureName,
-        price: p.AverageCost,
-        averageCost: p.AverageCost,
-        category: p.Category,
-        categoryId: p.CategoryID,
-        ...optionalPriceUnit(p.PriceUnit)
-      }));
+    if (includes.has('photos')) {
+      response.photos = await getClinicPhotos(pool, clinicId, apiBaseUrl);
     }
 
-    res.json(response);
+    res.json(applyClinicFieldset(response, fieldset.value, CLINIC_DETAIL_DOCUMENT));
   } catch (error) {
     console.error('Error in /api/clinics/:clinicId:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
-});
+};
+
+/**
+ * @swagger
+ * /api/clinics/{clinicId}:
+ *   get:
+ *     summary: Clinic detail with cached Google Places data
+ *     description: Sends a strong ETag; If-None-Match with a matching tag gets a 304.
+ *     tags: [Clinics]
+ *     parameters:
+ *       - { in: path, name: clinicId, required: true, schema: { type: integer } }
+ *       - { in: query, name: include, schema: { type: string }, description: 'providers, procedures, photos, reviews, hours' }
+ *       - { in: query, name: fields, schema: { type: string }, description: Comma-separated attributes }
+ *       - { in: query, name: format, schema: { type: string, enum: [jsonld] }, description: schema.org MedicalClinic document }
+ *     responses:
+ *       200:
+ *         description: The clinic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ClinicDetail'
+ *           application/ld+json:
+ *             schema:
+ *               type: object
+ *       304:
+ *         description: Not modified
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       422:
+ *         description: Not enough data for schema.org markup (format=jsonld)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+app.get('/api/clinics/:clinicId', conditionalGet(CACHE_POLICIES.clinicDetail), handleClinicDetail);
 
 // Get photos for a specific clinic
-app.get('/api/clinics/:clinicId/photos', async (req, res) => {
+// Conditional GET: strong ETag only. No Last-Modified: deleting or reordering photos changes the
+// list without moving any photo's LastUpdated, so If-Modified-Since could get a stale 304.
+const handleClinicPhotos = async (req, res) => {
   let pool;
   try {
     const { clinicId } = req.params;
     const { limit, primary } = req.query;
     
     pool = await db.getConnection();
-    const request = pool.request();
-    request.input('clinicId', sql.Int, clinicId);
-    
-    let query = `
-      SELECT ${limit && !isNaN(parseInt(limit)) ? 'TOP ' + parseInt(limit) : ''}
-        PhotoID,
-        PhotoReference,
-        PhotoURL,
-        Width,
-        Height,
-        AttributionText,
-        IsPrimary,
-        DisplayOrder,
-        LastUpdated
-      FROM ClinicPhotos
-      WHERE ClinicID = @clinicId
-    `;
-    
-    // Filter for primary photo only if requested
-    if (primary === 'true' || primary === '1') {
-      query += ' AND IsPrimary = 1';
-    }
-    
-    query += ' ORDER BY DisplayOrder ASC';
-    
-    const result = await request.query(query);
-    
-    // Transform data to include optimized URLs for different sizes
-    // Use backend proxy URLs instead of direct Google Places API URLs
-    // Construct base URL from the request to automatically work in any environment
+    // Backend proxy URLs, built from the request so they work in any environment
     const baseURL = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
-    
-    const photos = result.recordset.map(photo => {
-      // Use backend proxy endpoint with size parameter
-      const photoId = photo.PhotoID;
-      
-      return {
-        photoId: photo.PhotoID,
-        url: `${baseURL}/api/photos/proxy/${photoId}?size=large`, // Full size (1600px)
-        urls: {
-          thumbnail: `${baseURL}/api/photos/proxy/${photoId}?size=thumbnail`,
-          medium: `${baseURL}/api/photos/proxy/${photoId}?size=medium`,
-          large: `${baseURL}/api/photos/proxy/${photoId}?size=large`
-        },
-        width: photo.Width,
-        height: photo.Height,
-        attribution: photo.AttributionText,
-        isPrimary: photo.IsPrimary,
-        displayOrder: photo.DisplayOrder,
-        lastUpdated: photo.LastUpdated
-      };
+    const photos = await getClinicPhotos(pool, clinicId, baseURL, {
+      limit: limit && !isNaN(parseInt(limit)) ? parseInt(limit) : null,
+      primaryOnly: primary === 'true' || primary === '1'
     });
-    
+
     res.json({
       clinicId: parseInt(clinicId),
       count: photos.length,
@@ -1972,7 +1847,31 @@ app.get('/api/clinics/:clinicId/photos', async (req, res) => {
     console.error('Error in /api/clinics/:clinicId/photos:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
-});
+};
+
+/**
+ * @swagger
+ * /api/clinics/{clinicId}/photos:
+ *   get:
+ *     summary: A clinic's photos in display order
+ *     tags: [Clinics]
+ *     parameters:
+ *       - { in: path, name: clinicId, required: true, schema: { type: integer } }
+ *       - { in: query, name: limit, schema: { type: integer } }
+ *       - { in: query, name: primary, schema: { type: boolean }, description: Only the primary photo }
+ *     responses:
+ *       200:
+ *         description: Photos with proxy URLs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ClinicPhotoList'
+ *       304:
+ *         description: Not modified
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+app.get('/api/clinics/:clinicId/photos', conditionalGet(CACHE_POLICIES.clinicPhotos), handleClinicPhotos);
 
 /**
  * Get providers/doctors for a specific clinic
@@ -1980,7 +1879,7 @@ app.get('/api/clinics/:clinicId/photos', async (req, res) => {
  * 
  * Returns camelCase field names: providerId, providerName, photoUrl, hasPhoto
  */
-app.get('/api/clinics/:clinicId/providers', async (req, res) => {
+const handleClinicProviders = async (req, res) => {
   let pool;
   try {
     const { clinicId } = req.params;
@@ -2032,7 +1931,27 @@ app.get('/api/clinics/:clinicId/providers', async (req, res) => {
     console.error('Error in /api/clinics/:clinicId/providers:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
-});
+};
+
+/**
+ * @swagger
+ * /api/clinics/{clinicId}/providers:
+ *   get:
+ *     summary: A clinic's providers
+ *     tags: [Clinics]
+ *     parameters:
+ *       - { in: path, name: clinicId, required: true, schema: { type: integer } }
+ *     responses:
+ *       200:
+ *         description: Providers ("Please Request Consult" placeholders excluded)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProviderList'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+app.get('/api/clinics/:clinicId/providers', handleClinicProviders);
 
 /**
  * Get procedures for a specific clinic
@@ -2046,8 +1965,9 @@ app.get('/api/clinics/:clinicId/providers', async (req, res) => {
  *   Flat (?flat=true): [{ procedureId, procedureName, price, category, categoryId, priceUnit? }, ...]
  *
  * priceUnit is optional (e.g. "/session", "/unit") when stored on the procedure; omitted when empty.
+ * Conditional GET: strong ETag (procedures have no timestamps, so no Last-Modified)
  */
-app.get('/api/clinics/:clinicId/procedures', async (req, res) => {
+const handleClinicProcedures = async (req, res) => {
   let pool;
   try {
     const { clinicId } = req.params;
@@ -2055,64 +1975,26 @@ app.get('/api/clinics/:clinicId/procedures', async (req, res) => {
     
     pool = await db.getConnection();
 
-    const proceduresHasPriceUnit = await proceduresTableHasPriceUnitColumn(pool);
-    const procPriceUnitInner = innerProcedurePriceUnitSelectSql(proceduresHasPriceUnit);
-
-    const request = pool.request();
-    request.input('clinicId', sql.Int, clinicId);
-
-    const result = await request.query(`
-      SELECT 
-        ProcedureID,
-        ProcedureName,
-        AverageCost,
-        Category,
-        CategoryID,
-        PriceUnit
-      FROM (
-        SELECT 
-          p.ProcedureID,
-          p.ProcedureName,
-          p.AverageCost,
-          ${procPriceUnitInner},
-          c.Category,
-          c.CategoryID,
-          ROW_NUMBER() OVER (PARTITION BY p.ProcedureName, c.Category ORDER BY p.ProcedureID) as RowNum
-        FROM Procedures p
-        JOIN Categories c ON p.CategoryID = c.CategoryID
-        WHERE p.ClinicID = @clinicId
-      ) AS RankedProcedures
-      WHERE RowNum = 1
-      ORDER BY Category, ProcedureName;
-    `);
+    const procedures = await getClinicProcedures(pool, clinicId);
 
     // Return flat array if requested
     if (flat === 'true' || flat === '1') {
-      const flatProcedures = result.recordset.map(proc => ({
-        procedureId: proc.ProcedureID,
-        procedureName: proc.ProcedureName,
-        price: proc.AverageCost,
-        averageCost: proc.AverageCost, // Include both for compatibility
-        category: proc.Category,
-        categoryId: proc.CategoryID,
-        ...optionalPriceUnit(proc.PriceUnit)
-      }));
-      return res.json(flatProcedures);
+      return res.json(procedures);
     }
 
     // Group procedures by category (default behavior)
-    const groupedProcedures = result.recordset.reduce((acc, proc) => {
-      if (!acc[proc.Category]) {
-        acc[proc.Category] = {
-          categoryId: proc.CategoryID,
+    const groupedProcedures = procedures.reduce((acc, proc) => {
+      if (!acc[proc.category]) {
+        acc[proc.category] = {
+          categoryId: proc.categoryId,
           procedures: []
         };
       }
-      acc[proc.Category].procedures.push({
-        id: proc.ProcedureID,
-        name: proc.ProcedureName,
-        price: proc.AverageCost,
-        ...optionalPriceUnit(proc.PriceUnit)
+      acc[proc.category].procedures.push({
+        id: proc.procedureId,
+        name: proc.procedureName,
+        price: proc.price,
+        ...optionalPriceUnit(proc.priceUnit)
       });
       return acc;
     }, {});
@@ -2122,7 +2004,34 @@ app.get('/api/clinics/:clinicId/procedures', async (req, res) => {
     console.error('Error in /api/clinics/:clinicId/procedures:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
-});
+};
+
+/**
+ * @swagger
+ * /api/clinics/{clinicId}/procedures:
+ *   get:
+ *     summary: A clinic's procedures, grouped by category or flat
+ *     tags: [Clinics]
+ *     parameters:
+ *       - { in: path, name: clinicId, required: true, schema: { type: integer } }
+ *       - { in: query, name: flat, schema: { type: boolean }, description: Return a flat array }
+ *     responses:
+ *       200:
+ *         description: Procedures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/GroupedClinicProcedures'
+ *                 - type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ClinicProcedure'
+ *       304:
+ *         description: Not modified
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+app.get('/api/clinics/:clinicId/procedures', conditionalGet(CACHE_POLICIES.clinicProcedures), handleClinicProcedures);
 
 /**
  * Health/status endpoint for photo refresh monitoring
@@ -2316,6 +2225,13 @@ app.post('/api/admin/refresh-ratings', async (req, res) => {
     // Wait for all updates to complete
     await Promise.all(updatePromises);
 
+    const updatedClinicIds = updateDetails
+      .filter(detail => detail.status === 'success')
+      .map(detail => detail.clinicId);
+    if (updatedClinicIds.length > 0) {
+      emitClinicChange(CLINIC_CHANGE_TYPES.REFRESHED, updatedClinicIds);
+    }
+
     res.json({
       message: 'Rating refresh completed',
       total: clinicsToUpdate.length,
@@ -2340,10 +2256,62 @@ app.use(blogSeoRoutes);
 app.use('/api/blog', blogPublicRoutes);
 app.use('/api/blog-posts', blogPublicRoutes);
 
+// Procedure × place landing pages (crawler-facing HTML at /procedures/:procedureSlug/:stateOrCity)
+const procedureSeoRoutes = require('./routes/procedureSeoRoutes');
+app.use(procedureSeoRoutes);
+
+// Sitemap index (/sitemap.xml) and generated clinic / procedure sitemaps
+const sitemapRoutes = require('./routes/sitemapRoutes');
+app.use(sitemapRoutes);
+
+// Search helpers (typeahead suggestions)
+const searchRoutes = require('./routes/searchRoutes');
+app.use('/api/search', searchRoutes);
+
+// Versioned public API: the v1 handlers above in the { data, meta, errors } envelope
+const { createPublicV2Router } = require('./routes/publicV2Routes');
+app.use('/api/v2', createPublicV2Router({
+  procedureSearch: handleProcedureSearch,
+  procedureSearchIndex: handleProcedureSearchIndex,
+  procedureBenchmarks: handleProcedureBenchmarks,
+  clinicSearchIndex: handleClinicSearchIndex,
+  clinicSearch: handleClinicSearch,
+  nearbyTopRated: handleNearbyTopRated,
+  clinicMap: handleClinicMap,
+  clinicCompare: handleClinicCompare,
+  clinicDetail: handleClinicDetail,
+  clinicPhotos: handleClinicPhotos,
+  clinicProviders: handleClinicProviders,
+  clinicProcedures: handleClinicProcedures
+}));
+
+// Public API docs: OpenAPI spec from swagger.js and the @swagger blocks above (JSON + Swagger UI)
+const { swaggerUi, publicApiSpec } = require('./swagger');
+const PUBLIC_DOCS_OPTIONS = {
+  customSiteTitle: 'Glowra Public API Documentation',
+  customCss: '.swagger-ui .topbar { display: none }',
+  swaggerUrl: '/api/docs/openapi.json'
+};
+app.get('/api/docs/openapi.json', (req, res) => {
+  // Current host first, like the clinic-management docs
+  const baseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  res.json({
+    ...publicApiSpec,
+    servers: [
+      { url: baseUrl, description: 'Current server' },
+      ...publicApiSpec.servers.filter(server => server.url !== baseUrl)
+    ]
+  });
+});
+app.use('/api/docs', swaggerUi.serveFiles(null, PUBLIC_DOCS_OPTIONS));
+app.get('/api/docs', swaggerUi.setup(null, PUBLIC_DOCS_OPTIONS));
+
 // Admin routes (mounted directly for cleaner frontend access)
 const adminRoutes = require('./clinic-management/routes/adminRoutes');
+const searchAdminRoutes = require('./routes/searchAdminRoutes');
 app.use('/api/admin/blog', blogAdminRoutes);
 app.use('/api/admin/blog-posts', blogAdminRoutes);
+app.use('/api/admin/search', searchAdminRoutes);
 app.use('/api/admin', adminRoutes);
 
 // Clinic Management API routes
@@ -2358,15 +2326,53 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Initialize scheduled jobs
-try {
-  initRatingRefreshJob();
-} catch (error) {
-  console.error('Failed to initialize scheduled jobs:', error);
-  // Continue without scheduled jobs rather than crashing
+/**
+ * Start background jobs, the config syncs and the HTTP listener. Runs when app.js is started
+ * directly (npm start); tests require the app without starting any of it.
+ */
+function startServer() {
+  // Initialize scheduled jobs
+  try {
+    initRatingRefreshJob();
+  } catch (error) {
+    console.error('Failed to initialize scheduled jobs:', error);
+    // Continue without scheduled jobs rather than crashing
+  }
+
+  // Build the shared clinic spatial index (rebuilt on clinic changes)
+  initClinicSpatialIndex();
+
+  // Load procedure synonyms from the database (built-in defaults until then) and keep them fresh
+  initProcedureSynonymSync();
+
+  // Load metro area definitions for city search (built-in defaults until then) and keep them fresh
+  initMetroAreaSync();
+
+  // Load search ranking weights (built-in defaults until then) and keep them fresh
+  initRankingWeightSync();
+
+  // Connect the shared search cache backend (Redis) when configured; in-memory until then
+  initSearchCache();
+
+  // Batch-write search analytics events to SearchQueryLog
+  initSearchAnalyticsWriter();
+
+  // Map new Procedures rows to the canonical procedure catalog (startup, clinic changes, hourly)
+  initCanonicalProcedureSync();
+
+  // Warm the typeahead index so the first suggest request doesn't wait on SQL
+  refreshSuggestIndex().catch(error => {
+    console.error('Failed to warm search suggest index:', error.message);
+  });
+
+  // Start server
+  app.listen(port, () => {
+    console.log(`Server running on port ${port}`);
+  });
+}
+
+if (require.main === module) {
+  startServer();
 }
 
-// Start server
-app.listen(port, () => {
-  console.log(`Server running on port ${port}`);
-});
\ No newline at end of file
+module.exports = app;
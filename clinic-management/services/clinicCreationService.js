@@ -6,6 +6,7 @@ const { fetchGooglePlaceDetails, fetchPlacePhotos } = require('../../utils/googl
 const { normalizeAddressForStorage } = require('../../utils/addressUtils');
 const { proceduresTableHasPriceUnitColumn } = require('../../utils/procedurePriceUnitColumn');
 const { loadProceduresClinicFkMeta } = require('../../utils/proceduresClinicFkShape');
+const { emitClinicChange, CLINIC_CHANGE_TYPES } = require('../../utils/clinicEvents');
 
 /**
  * Service to convert approved drafts into actual Clinics, Providers, and Procedures
@@ -53,6 +54,7 @@ class ClinicCreationService {
       if (draft.duplicateClinicId) {
         const result = await this.updateExistingClinic(draft, transaction, reviewedBy, { photoSource, ratingSource, manualRating, manualReviewCount });
         await transaction.commit();
+        emitClinicChange(CLINIC_CHANGE_TYPES.UPDATED, [result.clinicId]);
         return result;
       }
 
@@ -71,6 +73,7 @@ class ClinicCreationService {
             { photoSource, ratingSource, manualRating, manualReviewCount }
           );
           await transaction.commit();
+          emitClinicChange(CLINIC_CHANGE_TYPES.UPDATED, [result.clinicId]);
           return result;
         }
       }
@@ -185,6 +188,7 @@ class ClinicCreationService {
       await draftService.updateStatus(draftId, 'approved', reviewedBy);
 
       await transaction.commit();
+      emitClinicChange(CLINIC_CHANGE_TYPES.CREATED, [clinicId]);
 
       return {
         clinicId,
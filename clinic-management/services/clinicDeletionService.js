@@ -4,6 +4,7 @@
  */
 
 const { db, sql } = require('../../db');
+const { emitClinicChange, CLINIC_CHANGE_TYPES } = require('../../utils/clinicEvents');
 
 class ClinicDeletionService {
   /**
@@ -199,6 +200,7 @@ class ClinicDeletionService {
       `);
 
       await transaction.commit();
+      emitClinicChange(CLINIC_CHANGE_TYPES.DELETED, [clinicId]);
 
       return {
         success: true,
@@ -391,6 +393,7 @@ class ClinicDeletionService {
       `);
 
       await transaction.commit();
+      emitClinicChange(CLINIC_CHANGE_TYPES.RESTORED, [newClinicId]);
 
       return {
         success: true,
@@ -1,4 +1,5 @@
 const { db, sql } = require('../../db');
+const { emitClinicChange, CLINIC_CHANGE_TYPES } = require('../../utils/clinicEvents');
 
 /**
  * Service for merging duplicate clinics into a canonical clinic.
@@ -100,6 +101,7 @@ class ClinicMergeService {
       );
 
       await transaction.commit();
+      emitClinicChange(CLINIC_CHANGE_TYPES.MERGED, [canonicalClinicId, duplicateClinicId]);
 
       return {
         success: true,
@@ -90,6 +90,14 @@ const options = {
       {
         name: 'Blog',
         description: 'Published blog posts (public JSON)'
+      },
+      {
+        name: 'Search',
+        description: 'Typeahead suggestions (public)'
+      },
+      {
+        name: 'Admin Search',
+        description: 'Procedure synonym dictionary (admin JWT)'
       }
     ]
   },
@@ -97,6 +105,8 @@ const options = {
     path.join(__dirname, 'routes', '*.js'),
     path.join(__dirname, '..', 'routes', 'blogAdminRoutes.js'),
     path.join(__dirname, '..', 'routes', 'blogPublicRoutes.js'),
+    path.join(__dirname, '..', 'routes', 'searchRoutes.js'),
+    path.join(__dirname, '..', 'routes', 'searchAdminRoutes.js'),
     path.join(__dirname, 'index.js')
   ]
 };
@@ -2,6 +2,7 @@ const cron = require('node-cron');
 const { sql, db } = require('../db');
 const { batchFetchPlaceDetails, fetchPlacePhotos } = require('../utils/googlePlaces');
 const clinicDeletionService = require('../clinic-management/services/clinicDeletionService');
+const { emitClinicChange, CLINIC_CHANGE_TYPES } = require('../utils/clinicEvents');
 
 // Configuration for refresh intervals (in days)
 const PHOTO_REFRESH_INTERVAL_DAYS = 7; // Weekly - Google photo references expire in 30-60 days
@@ -184,6 +185,7 @@ async function refreshAllClinicRatings() {
     let successCount = 0;
     let failCount = 0;
     let skippedCount = 0;
+    const updatedClinicIds = [];
 
     // Update database with results
     console.log('Updating database...');
@@ -213,6 +215,7 @@ async function refreshAllClinicRatings() {
           `);
 
           successCount++;
+          updatedClinicIds.push(clinic.ClinicID);
           console.log(`✓ Updated clinic ${clinic.ClinicID} (${clinic.ClinicName}): ${result.data.rating} stars, ${result.data.reviewCount} reviews`);
         } catch (dbError) {
           failCount++;
@@ -230,6 +233,10 @@ async function refreshAllClinicRatings() {
       }
     }
 
+    if (updatedClinicIds.length > 0) {
+      emitClinicChange(CLINIC_CHANGE_TYPES.REFRESHED, updatedClinicIds);
+    }
+
     const summary = {
       total: clinics.length,
       updated: successCount,
@@ -297,6 +304,7 @@ async function refreshAllClinicPhotos() {
     let successCount = 0;
     let failCount = 0;
     let totalPhotosStored = 0;
+    const changedClinicIds = [];
 
     // Process each clinic
     for (const clinic of clinics) {
@@ -310,6 +318,7 @@ async function refreshAllClinicPhotos() {
           await pool.request()
             .input('clinicId', sql.Int, clinic.ClinicID)
             .query(`DELETE FROM ClinicPhotos WHERE ClinicID = @clinicId AND PhotoReference NOT LIKE 'user-upload%'`);
+          changedClinicIds.push(clinic.ClinicID);
           continue;
         }
 
@@ -356,6 +365,7 @@ async function refreshAllClinicPhotos() {
         }
         
         successCount++;
+        changedClinicIds.push(clinic.ClinicID);
         totalPhotosStored += photosToStore.length;
         console.log(`   ✓ Refreshed ${photosToStore.length} photos for ${clinic.ClinicName}`);
         
@@ -368,6 +378,10 @@ async function refreshAllClinicPhotos() {
       }
     }
 
+    if (changedClinicIds.length > 0) {
+      emitClinicChange(CLINIC_CHANGE_TYPES.REFRESHED, changedClinicIds);
+    }
+
     const summary = {
       total: clinics.length,
       updated: successCount,
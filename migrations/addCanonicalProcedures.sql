@@ -0,0 +1,139 @@
+-- Migration: Canonical procedure catalog and Procedures → catalog mapping
+-- Run: node scripts/runClinicManagementMigration.js addCanonicalProcedures.sql
+--
+-- CanonicalProcedures is the curated list of procedures (one row per real-world procedure);
+-- CanonicalProcedureAliases holds alternate names used when matching. ProcedureCanonicalMap
+-- links each free-text Procedures row to a catalog entry. Rows are filled by the matcher
+-- (services/canonicalProcedureService.js); admins confirm or fix low-confidence matches.
+-- Manual: ensure AdminUsers exists (addAdminUsers migration) before FK below.
+
+IF NOT EXISTS (
+  SELECT * FROM INFORMATION_SCHEMA.TABLES
+  WHERE TABLE_NAME = 'CanonicalProcedures'
+)
+BEGIN
+  CREATE TABLE CanonicalProcedures (
+    CanonicalProcedureID INT NOT NULL PRIMARY KEY IDENTITY(1,1),
+    Slug NVARCHAR(150) NOT NULL,
+    DisplayName NVARCHAR(200) NOT NULL,
+    Category NVARCHAR(100) NULL,
+    IsActive BIT NOT NULL CONSTRAINT DF_CanonicalProcedures_IsActive DEFAULT (1),
+    CreatedAt DATETIME2 NOT NULL CONSTRAINT DF_CanonicalProcedures_CreatedAt DEFAULT (SYSUTCDATETIME()),
+    UpdatedAt DATETIME2 NOT NULL CONSTRAINT DF_CanonicalProcedures_UpdatedAt DEFAULT (SYSUTCDATETIME()),
+    CONSTRAINT UQ_CanonicalProcedures_Slug UNIQUE (Slug)
+  );
+END
+GO
+
+IF NOT EXISTS (
+  SELECT * FROM INFORMATION_SCHEMA.TABLES
+  WHERE TABLE_NAME = 'CanonicalProcedureAliases'
+)
+BEGIN
+  CREATE TABLE CanonicalProcedureAliases (
+    AliasID INT NOT NULL PRIMARY KEY IDENTITY(1,1),
+    CanonicalProcedureID INT NOT NULL,
+    Alias NVARCHAR(200) NOT NULL,
+    CONSTRAINT UQ_CanonicalProcedureAliases_Alias UNIQUE (Alias),
+    CONSTRAINT FK_CanonicalProcedureAliases_CanonicalProcedures FOREIGN KEY (CanonicalProcedureID)
+      REFERENCES CanonicalProcedures (CanonicalProcedureID) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IX_CanonicalProcedureAliases_CanonicalProcedureID ON CanonicalProcedureAliases (CanonicalProcedureID);
+END
+GO
+
+IF NOT EXISTS (
+  SELECT * FROM INFORMATION_SCHEMA.TABLES
+  WHERE TABLE_NAME = 'ProcedureCanonicalMap'
+)
+BEGIN
+  CREATE TABLE ProcedureCanonicalMap (
+    ProcedureID INT NOT NULL PRIMARY KEY,
+    -- NULL when no catalog entry fits (unmapped / rejected)
+    CanonicalProcedureID INT NULL,
+    MatchScore INT NULL,
+    -- auto | needs_review | unmapped (matcher); approved | rejected (admin decision, never overwritten)
+    ReviewStatus NVARCHAR(20) NOT NULL,
+    MatchedAt DATETIME2 NOT NULL CONSTRAINT DF_ProcedureCanonicalMap_MatchedAt DEFAULT (SYSUTCDATETIME()),
+    ReviewedByAdminUserId INT NULL,
+    ReviewedAt DATETIME2 NULL,
+    CONSTRAINT FK_ProcedureCanonicalMap_Procedures FOREIGN KEY (ProcedureID)
+      REFERENCES Procedures (ProcedureID) ON DELETE CASCADE,
+    CONSTRAINT FK_ProcedureCanonicalMap_CanonicalProcedures FOREIGN KEY (CanonicalProcedureID)
+      REFERENCES CanonicalProcedures (CanonicalProcedureID) ON DELETE SET NULL,
+    CONSTRAINT FK_ProcedureCanonicalMap_AdminUsers FOREIGN KEY (ReviewedByAdminUserId)
+      REFERENCES AdminUsers (AdminUserID) ON DELETE SET NULL
+  );
+
+  CREATE INDEX IX_ProcedureCanonicalMap_CanonicalProcedureID ON ProcedureCanonicalMap (CanonicalProcedureID);
+  CREATE INDEX IX_ProcedureCanonicalMap_ReviewStatus ON ProcedureCanonicalMap (ReviewStatus);
+END
+GO
+
+-- Seed catalog
+IF NOT EXISTS (SELECT 1 FROM CanonicalProcedures)
+BEGIN
+  INSERT INTO CanonicalProcedures (Slug, DisplayName, Category) VALUES
+    ('botox', 'Botox', 'Injectables'),
+    ('dysport', 'Dysport', 'Injectables'),
+    ('dermal-filler', 'Dermal Filler', 'Injectables'),
+    ('lip-filler', 'Lip Filler', 'Injectables'),
+    ('kybella', 'Kybella', 'Injectables'),
+    ('prp-injections', 'PRP Injections', 'Injectables'),
+    ('chemical-peel', 'Chemical Peel', 'Skin'),
+    ('microneedling', 'Microneedling', 'Skin'),
+    ('hydrafacial', 'HydraFacial', 'Skin'),
+    ('laser-hair-removal', 'Laser Hair Removal', 'Skin'),
+    ('ipl-photofacial', 'IPL Photofacial', 'Skin'),
+    ('laser-skin-resurfacing', 'Laser Skin Resurfacing', 'Skin'),
+    ('microblading', 'Microblading', 'Face'),
+    ('rhinoplasty', 'Rhinoplasty', 'Face'),
+    ('facelift', 'Facelift', 'Face'),
+    ('blepharoplasty', 'Blepharoplasty', 'Face'),
+    ('brow-lift', 'Brow Lift', 'Face'),
+    ('breast-augmentation', 'Breast Augmentation', 'Breast'),
+    ('breast-lift', 'Breast Lift', 'Breast'),
+    ('breast-reduction', 'Breast Reduction', 'Breast'),
+    ('brazilian-butt-lift', 'Brazilian Butt Lift', 'Butt'),
+    ('tummy-tuck', 'Tummy Tuck', 'Body'),
+    ('liposuction', 'Liposuction', 'Body'),
+    ('coolsculpting', 'CoolSculpting', 'Body'),
+    ('mommy-makeover', 'Mommy Makeover', 'Body');
+
+  INSERT INTO CanonicalProcedureAliases (CanonicalProcedureID, Alias)
+  SELECT cp.CanonicalProcedureID, a.Alias
+  FROM (VALUES
+    ('botox', 'botox cosmetic'),
+    ('botox', 'botulinum toxin'),
+    ('botox', 'onabotulinumtoxina'),
+    ('dysport', 'abobotulinumtoxina'),
+    ('dermal-filler', 'filler'),
+    ('dermal-filler', 'juvederm'),
+    ('dermal-filler', 'restylane'),
+    ('dermal-filler', 'radiesse'),
+    ('dermal-filler', 'sculptra'),
+    ('lip-filler', 'lip augmentation'),
+    ('lip-filler', 'lip injections'),
+    ('prp-injections', 'platelet rich plasma'),
+    ('prp-injections', 'vampire facial'),
+    ('microneedling', 'collagen induction therapy'),
+    ('hydrafacial', 'hydra facial'),
+    ('ipl-photofacial', 'intense pulsed light'),
+    ('laser-skin-resurfacing', 'co2 laser'),
+    ('laser-skin-resurfacing', 'fraxel'),
+    ('rhinoplasty', 'nose job'),
+    ('facelift', 'rhytidectomy'),
+    ('blepharoplasty', 'eyelid surgery'),
+    ('breast-augmentation', 'breast implants'),
+    ('breast-augmentation', 'boob job'),
+    ('breast-lift', 'mastopexy'),
+    ('breast-reduction', 'reduction mammaplasty'),
+    ('brazilian-butt-lift', 'bbl'),
+    ('tummy-tuck', 'abdominoplasty'),
+    ('liposuction', 'lipo'),
+    ('coolsculpting', 'cryolipolysis')
+  ) AS a (Slug, Alias)
+  JOIN CanonicalProcedures cp ON cp.Slug = a.Slug;
+END
+GO
@@ -0,0 +1,143 @@
+-- Migration: Metro area definitions used by city search (center, radius, member cities)
+-- Run: node scripts/runClinicManagementMigration.js addMetroAreas.sql
+--
+-- A city search for a metro name or any member city also returns clinics in the other member
+-- cities and within RadiusMiles of the center. Seeds the areas that used to be hardcoded in
+-- utils/locationUtils.js (METRO_AREAS).
+-- Manual: ensure AdminUsers exists (addAdminUsers migration) before FK below.
+
+IF NOT EXISTS (
+  SELECT * FROM INFORMATION_SCHEMA.TABLES
+  WHERE TABLE_NAME = 'MetroAreas'
+)
+BEGIN
+  CREATE TABLE MetroAreas (
+    MetroAreaID INT NOT NULL PRIMARY KEY IDENTITY(1,1),
+    -- Lowercase; matched against the searched city name
+    Name NVARCHAR(100) NOT NULL,
+    CenterLatitude DECIMAL(9, 6) NOT NULL,
+    CenterLongitude DECIMAL(9, 6) NOT NULL,
+    RadiusMiles DECIMAL(5, 1) NOT NULL,
+    IsActive BIT NOT NULL CONSTRAINT DF_MetroAreas_IsActive DEFAULT (1),
+    CreatedAt DATETIME2 NOT NULL CONSTRAINT DF_MetroAreas_CreatedAt DEFAULT (SYSUTCDATETIME()),
+    UpdatedAt DATETIME2 NOT NULL CONSTRAINT DF_MetroAreas_UpdatedAt DEFAULT (SYSUTCDATETIME()),
+    CreatedByAdminUserId INT NULL,
+    CONSTRAINT UQ_MetroAreas_Name UNIQUE (Name),
+    CONSTRAINT FK_MetroAreas_AdminUsers FOREIGN KEY (CreatedByAdminUserId)
+      REFERENCES AdminUsers (AdminUserID) ON DELETE SET NULL
+  );
+END
+GO
+
+IF NOT EXISTS (
+  SELECT * FROM INFORMATION_SCHEMA.TABLES
+  WHERE TABLE_NAME = 'MetroAreaCities'
+)
+BEGIN
+  CREATE TABLE MetroAreaCities (
+    MetroAreaCityID INT NOT NULL PRIMARY KEY IDENTITY(1,1),
+    MetroAreaID INT NOT NULL,
+    -- Lowercase. A city may belong to several metro areas (e.g. Glendale, CA and Glendale, AZ)
+    City NVARCHAR(100) NOT NULL,
+    CONSTRAINT UQ_MetroAreaCities_MetroArea_City UNIQUE (MetroAreaID, City),
+    CONSTRAINT FK_MetroAreaCities_MetroAreas FOREIGN KEY (MetroAreaID)
+      REFERENCES MetroAreas (MetroAreaID) ON DELETE CASCADE
+  );
+END
+GO
+
+-- Seed defaults (previously METRO_AREAS)
+IF NOT EXISTS (SELECT 1 FROM MetroAreas)
+BEGIN
+  INSERT INTO MetroAreas (Name, CenterLatitude, CenterLongitude, RadiusMiles) VALUES
+    ('chicago', 41.8781, -87.6298, 30),
+    ('palo alto', 37.4419, -122.1430, 25),
+    ('san francisco', 37.7749, -122.4194, 30),
+    ('los angeles', 34.0522, -118.2437, 30),
+    ('new york', 40.7128, -74.0060, 30),
+    ('miami', 25.7617, -80.1918, 25),
+    ('houston', 29.7604, -95.3698, 30),
+    ('dallas', 32.7767, -96.7970, 30),
+    ('atlanta', 33.7490, -84.3880, 30),
+    ('boston', 42.3601, -71.0589, 25),
+    ('phoenix', 33.4484, -112.0740, 30),
+    ('seattle', 47.6062, -122.3321, 25);
+
+  INSERT INTO MetroAreaCities (MetroAreaID, City)
+  SELECT m.MetroAreaID, s.City
+  FROM (VALUES
+    ('chicago', 'chicago'),
+    ('chicago', 'evanston'),
+    ('chicago', 'oak park'),
+    ('chicago', 'schaumburg'),
+    ('chicago', 'naperville'),
+    ('chicago', 'arlington heights'),
+    ('chicago', 'joliet'),
+    ('chicago', 'aurora'),
+    ('palo alto', 'palo alto'),
+    ('palo alto', 'mountain view'),
+    ('palo alto', 'menlo park'),
+    ('palo alto', 'redwood city'),
+    ('palo alto', 'sunnyvale'),
+    ('palo alto', 'cupertino'),
+    ('palo alto', 'los altos'),
+    ('san francisco', 'san francisco'),
+    ('san francisco', 'oakland'),
+    ('san francisco', 'berkeley'),
+    ('san francisco', 'san mateo'),
+    ('san francisco', 'daly city'),
+    ('san francisco', 'south san francisco'),
+    ('los angeles', 'los angeles'),
+    ('los angeles', 'beverly hills'),
+    ('los angeles', 'santa monica'),
+    ('los angeles', 'pasadena'),
+    ('los angeles', 'glendale'),
+    ('los angeles', 'burbank'),
+    ('los angeles', 'long beach'),
+    ('new york', 'new york'),
+    ('new york', 'brooklyn'),
+    ('new york', 'queens'),
+    ('new york', 'bronx'),
+    ('new york', 'staten island'),
+    ('new york', 'jersey city'),
+    ('new york', 'newark'),
+    ('miami', 'miami'),
+    ('miami', 'miami beach'),
+    ('miami', 'coral gables'),
+    ('miami', 'fort lauderdale'),
+    ('miami', 'west palm beach'),
+    ('houston', 'houston'),
+    ('houston', 'sugar land'),
+    ('houston', 'the woodlands'),
+    ('houston', 'pearland'),
+    ('houston', 'katy'),
+    ('dallas', 'dallas'),
+    ('dallas', 'fort worth'),
+    ('dallas', 'plano'),
+    ('dallas', 'irving'),
+    ('dallas', 'garland'),
+    ('dallas', 'arlington'),
+    ('atlanta', 'atlanta'),
+    ('atlanta', 'sandy springs'),
+    ('atlanta', 'roswell'),
+    ('atlanta', 'alpharetta'),
+    ('atlanta', 'marietta'),
+    ('boston', 'boston'),
+    ('boston', 'cambridge'),
+    ('boston', 'somerville'),
+    ('boston', 'quincy'),
+    ('boston', 'newton'),
+    ('phoenix', 'phoenix'),
+    ('phoenix', 'scottsdale'),
+    ('phoenix', 'tempe'),
+    ('phoenix', 'mesa'),
+    ('phoenix', 'glendale'),
+    ('seattle', 'seattle'),
+    ('seattle', 'bellevue'),
+    ('seattle', 'redmond'),
+    ('seattle', 'tacoma'),
+    ('seattle', 'everett')
+  ) AS s (Name, City)
+  JOIN MetroAreas m ON m.Name = s.Name;
+END
+GO
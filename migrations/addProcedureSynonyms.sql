@@ -0,0 +1,70 @@
+-- Migration: Procedure synonym dictionary (nicknames / brand names → canonical procedure term)
+-- Run: node scripts/runClinicManagementMigration.js addProcedureSynonyms.sql
+--
+-- Each group has one canonical term and any number of synonyms; search treats every term in a
+-- group as matching the others. Seeds the groups that used to be hardcoded in app.js.
+-- Manual: ensure AdminUsers exists (addAdminUsers migration) before FK below.
+
+IF NOT EXISTS (
+  SELECT * FROM INFORMATION_SCHEMA.TABLES
+  WHERE TABLE_NAME = 'ProcedureSynonymGroups'
+)
+BEGIN
+  CREATE TABLE ProcedureSynonymGroups (
+    SynonymGroupID INT NOT NULL PRIMARY KEY IDENTITY(1,1),
+    CanonicalTerm NVARCHAR(200) NOT NULL,
+    IsActive BIT NOT NULL CONSTRAINT DF_ProcedureSynonymGroups_IsActive DEFAULT (1),
+    CreatedAt DATETIME2 NOT NULL CONSTRAINT DF_ProcedureSynonymGroups_CreatedAt DEFAULT (SYSUTCDATETIME()),
+    UpdatedAt DATETIME2 NOT NULL CONSTRAINT DF_ProcedureSynonymGroups_UpdatedAt DEFAULT (SYSUTCDATETIME()),
+    CreatedByAdminUserId INT NULL,
+    CONSTRAINT UQ_ProcedureSynonymGroups_CanonicalTerm UNIQUE (CanonicalTerm),
+    CONSTRAINT FK_ProcedureSynonymGroups_AdminUsers FOREIGN KEY (CreatedByAdminUserId)
+      REFERENCES AdminUsers (AdminUserID) ON DELETE SET NULL
+  );
+END
+GO
+
+IF NOT EXISTS (
+  SELECT * FROM INFORMATION_SCHEMA.TABLES
+  WHERE TABLE_NAME = 'ProcedureSynonyms'
+)
+BEGIN
+  CREATE TABLE ProcedureSynonyms (
+    SynonymID INT NOT NULL PRIMARY KEY IDENTITY(1,1),
+    SynonymGroupID INT NOT NULL,
+    Term NVARCHAR(200) NOT NULL,
+    CreatedAt DATETIME2 NOT NULL CONSTRAINT DF_ProcedureSynonyms_CreatedAt DEFAULT (SYSUTCDATETIME()),
+    -- A term can only expand to one canonical procedure
+    CONSTRAINT UQ_ProcedureSynonyms_Term UNIQUE (Term),
+    CONSTRAINT FK_ProcedureSynonyms_Groups FOREIGN KEY (SynonymGroupID)
+      REFERENCES ProcedureSynonymGroups (SynonymGroupID) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IX_ProcedureSynonyms_SynonymGroupID ON ProcedureSynonyms (SynonymGroupID);
+END
+GO
+
+-- Seed defaults (previously PROCEDURE_ABBREVIATIONS)
+IF NOT EXISTS (SELECT 1 FROM ProcedureSynonymGroups)
+BEGIN
+  INSERT INTO ProcedureSynonymGroups (CanonicalTerm) VALUES
+    ('brazilian butt lift'),
+    ('abdominoplasty'),
+    ('rhinoplasty'),
+    ('breast augmentation'),
+    ('botulinum toxin'),
+    ('dermal filler');
+
+  INSERT INTO ProcedureSynonyms (SynonymGroupID, Term)
+  SELECT g.SynonymGroupID, s.Term
+  FROM (VALUES
+    ('brazilian butt lift', 'bbl'),
+    ('abdominoplasty', 'tummy tuck'),
+    ('rhinoplasty', 'nose job'),
+    ('breast augmentation', 'boob job'),
+    ('botulinum toxin', 'botox'),
+    ('dermal filler', 'filler')
+  ) AS s (CanonicalTerm, Term)
+  JOIN ProcedureSynonymGroups g ON g.CanonicalTerm = s.CanonicalTerm;
+END
+GO
@@ -0,0 +1,29 @@
+-- Migration: Search analytics log (one row per search request)
+-- Run: node scripts/runClinicManagementMigration.js addSearchQueryLog.sql
+--
+-- Written in batches by services/searchAnalyticsService.js from /api/clinics/search-index,
+-- /api/procedures and /api/clinics/search. Terms are stored normalized (lowercase, single spaces).
+
+IF NOT EXISTS (
+  SELECT * FROM INFORMATION_SCHEMA.TABLES
+  WHERE TABLE_NAME = 'SearchQueryLog'
+)
+BEGIN
+  CREATE TABLE SearchQueryLog (
+    SearchQueryLogID BIGINT NOT NULL PRIMARY KEY IDENTITY(1,1),
+    Endpoint NVARCHAR(50) NOT NULL,
+    QueryText NVARCHAR(255) NULL,
+    ProcedureTerm NVARCHAR(255) NULL,
+    ClinicNameTerm NVARCHAR(255) NULL,
+    LocationTerm NVARCHAR(255) NULL,
+    -- parseLocationInput type: zip | state | city; NULL when no location or unrecognized
+    LocationType NVARCHAR(20) NULL,
+    ResultCount INT NOT NULL,
+    LocationConvertedToProcedure BIT NOT NULL CONSTRAINT DF_SearchQueryLog_Converted DEFAULT (0),
+    LatencyMs INT NULL,
+    CreatedAt DATETIME2 NOT NULL CONSTRAINT DF_SearchQueryLog_CreatedAt DEFAULT (SYSUTCDATETIME())
+  );
+
+  CREATE INDEX IX_SearchQueryLog_CreatedAt ON SearchQueryLog (CreatedAt) INCLUDE (QueryText, ResultCount);
+END
+GO
@@ -0,0 +1,37 @@
+-- Migration: Weights of the composite search ranking signals (utils/clinicRanking.js)
+-- Run: node scripts/runClinicManagementMigration.js addSearchRankingWeights.sql
+--
+-- One row per signal. Signals without a row use the built-in default weight.
+-- Manual: ensure AdminUsers exists (addAdminUsers migration) before FK below.
+
+IF NOT EXISTS (
+  SELECT * FROM INFORMATION_SCHEMA.TABLES
+  WHERE TABLE_NAME = 'SearchRankingWeights'
+)
+BEGIN
+  CREATE TABLE SearchRankingWeights (
+    -- textRelevance, distance, rating, reviewVolume, photos, profileCompleteness, priceMatch
+    Signal NVARCHAR(50) NOT NULL PRIMARY KEY,
+    Weight DECIMAL(5, 4) NOT NULL,
+    UpdatedAt DATETIME2 NOT NULL CONSTRAINT DF_SearchRankingWeights_UpdatedAt DEFAULT (SYSUTCDATETIME()),
+    UpdatedByAdminUserId INT NULL,
+    CONSTRAINT CK_SearchRankingWeights_Weight CHECK (Weight >= 0 AND Weight <= 1),
+    CONSTRAINT FK_SearchRankingWeights_AdminUsers FOREIGN KEY (UpdatedByAdminUserId)
+      REFERENCES AdminUsers (AdminUserID) ON DELETE SET NULL
+  );
+END
+GO
+
+-- Seed defaults (DEFAULT_RANKING_WEIGHTS)
+IF NOT EXISTS (SELECT 1 FROM SearchRankingWeights)
+BEGIN
+  INSERT INTO SearchRankingWeights (Signal, Weight) VALUES
+    ('textRelevance', 0.35),
+    ('distance', 0.2),
+    ('rating', 0.2),
+    ('reviewVolume', 0.1),
+    ('photos', 0.05),
+    ('profileCompleteness', 0.05),
+    ('priceMatch', 0.05);
+END
+GO
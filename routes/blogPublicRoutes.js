@@ -4,6 +4,7 @@
 
 const express = require('express');
 const blogPostService = require('../services/blogPostService');
+const { CACHE_POLICIES, conditionalGet } = require('../utils/conditionalGet');
 
 const router = express.Router();
 
@@ -21,6 +22,8 @@ const mapPublishedPost = (post) => ({
 const handleListPublished = async (req, res) => {
   const { page, limit } = req.query;
   const data = await blogPostService.listPublished({ page, limit });
+  // ETag only: unpublishing a post or a new post shifting the page changes the list without
+  // moving any post's dates, so a Last-Modified from them could answer If-Modified-Since with a stale 304
   return res.json({
     success: true,
     posts: data.posts.map(mapPublishedPost),
@@ -33,9 +36,51 @@ const handleListPublished = async (req, res) => {
  * /api/blog/posts:
  *   get:
  *     summary: List published blog posts
+ *     description: Sends a strong ETag; If-None-Match with a matching tag gets a 304.
  *     tags: [Blog]
+ *     parameters:
+ *       - { in: query, name: page, schema: { type: integer, default: 1 } }
+ *       - { in: query, name: limit, schema: { type: integer, default: 20, maximum: 100 } }
+ *     responses:
+ *       200:
+ *         description: One page of published posts, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [success, posts, pagination]
+ *               additionalProperties: false
+ *               properties:
+ *                 success: { type: boolean }
+ *                 posts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     required: [id, slug, title, description, date, publishedAt, updatedAt]
+ *                     additionalProperties: false
+ *                     properties:
+ *                       id: { type: integer }
+ *                       slug: { type: string }
+ *                       title: { type: string }
+ *                       description: { type: string, nullable: true }
+ *                       date: { type: string, format: date-time, nullable: true }
+ *                       publishedAt: { type: string, format: date-time, nullable: true }
+ *                       updatedAt: { type: string, format: date-time, nullable: true }
+ *                 pagination:
+ *                   type: object
+ *                   required: [page, limit, total, totalPages]
+ *                   additionalProperties: false
+ *                   properties:
+ *                     page: { type: integer }
+ *                     limit: { type: integer }
+ *                     total: { type: integer }
+ *                     totalPages: { type: integer }
+ *       304:
+ *         description: Not modified
+ *       500:
+ *         description: Internal server error
  */
-router.get('/posts', async (req, res) => {
+router.get('/posts', conditionalGet(CACHE_POLICIES.blogPosts), async (req, res) => {
   try {
     await handleListPublished(req, res);
   } catch (error) {
@@ -63,6 +108,36 @@ router.get('/published', async (req, res) => {
  *   get:
  *     summary: Get published post by slug (includes rendered HTML)
  *     tags: [Blog]
+ *     parameters:
+ *       - { in: path, name: slug, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: The post
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [success, post]
+ *               additionalProperties: false
+ *               properties:
+ *                 success: { type: boolean }
+ *                 post:
+ *                   type: object
+ *                   required: [id, slug, title, description, date, publishedAt, updatedAt, html]
+ *                   additionalProperties: false
+ *                   properties:
+ *                     id: { type: integer }
+ *                     slug: { type: string }
+ *                     title: { type: string }
+ *                     description: { type: string, nullable: true }
+ *                     date: { type: string, format: date-time, nullable: true }
+ *                     publishedAt: { type: string, format: date-time, nullable: true }
+ *                     updatedAt: { type: string, format: date-time, nullable: true }
+ *                     html: { type: string, nullable: true }
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Internal server error
  */
 router.get('/posts/:slug', async (req, res) => {
   try {
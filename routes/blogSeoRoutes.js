@@ -6,18 +6,10 @@ const express = require('express');
 const blogPostService = require('../services/blogPostService');
 const { renderBlogHtmlDocument } = require('../utils/blogPageHtml');
 const { buildBlogSitemapXml } = require('../utils/blogSitemap');
+const { getSiteOrigin } = require('../utils/sitePaths');
 
 const router = express.Router();
 
-function getSiteOrigin(req) {
-  if (process.env.PUBLIC_SITE_URL) {
-    return String(process.env.PUBLIC_SITE_URL).replace(/\/$/, '');
-  }
-  const proto = req.get('x-forwarded-proto') || req.protocol;
-  const host = req.get('host') || 'localhost';
-  return `${proto}://${host}`;
-}
-
 function renderNotFoundPage(siteOrigin, title, message) {
   return `<!DOCTYPE html>
 <html lang="en"><head><meta charset="utf-8"/><title>${title}</title></head>
@@ -0,0 +1,136 @@
+/**
+ * Crawler-facing procedure × place landing pages (not under /api):
+ * GET /procedures/:procedureSlug/:stateOrCity, e.g. /procedures/botox/austin-tx or /procedures/botox/tx.
+ */
+
+const express = require('express');
+const { db } = require('../db');
+const { getActiveEntryBySlug } = require('../services/canonicalProcedureService');
+const { getLandingClinics } = require('../services/procedureLandingService');
+const { canonicalProcedureTablesExist } = require('../utils/canonicalProcedureTables');
+const { filterByLocation } = require('../utils/clinicSearchFilters');
+const { sortClinics } = require('../utils/clinicSort');
+const { buildPriceComparison, annotateClinicPrices } = require('../utils/procedurePricing');
+const { paginateArray } = require('../utils/pagination');
+const {
+  LANDING_PAGE_SIZE,
+  MIN_INDEXABLE_CLINICS,
+  slugify,
+  parseLocationSlug,
+  clinicsOfferingProcedure,
+  formatMatchedPrice,
+  buildLandingIntro,
+  buildItemListJsonLd
+} = require('../utils/procedureLanding');
+const { renderProcedureLandingHtmlDocument } = require('../utils/procedureLandingHtml');
+const { getSiteOrigin, clinicPagePath, procedureLandingPath } = require('../utils/sitePaths');
+
+const router = express.Router();
+
+function renderNotFoundPage(siteOrigin, message) {
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"/><meta name="robots" content="noindex"/><title>Not found | Glowra</title></head>
+<body><p>${message}</p><a href="${siteOrigin}/">Back to Glowra</a></body></html>`;
+}
+
+/**
+ * Procedure for a slug: the canonical catalog entry when the catalog exists (unknown slugs → null),
+ * otherwise the slug read as a procedure name ("lip-filler" → "Lip Filler").
+ */
+async function resolveProcedureSlug(pool, rawSlug) {
+  const slug = slugify(rawSlug);
+  if (!slug) return null;
+  if (await canonicalProcedureTablesExist(pool)) {
+    const entry = await getActiveEntryBySlug(slug);
+    return entry ? { slug: entry.slug, name: entry.displayName, canonicalProcedureId: entry.id } : null;
+  }
+  const name = slug.replace(/-/g, ' ').replace(/\b([a-z])/g, (m) => m.toUpperCase());
+  return { slug, name, canonicalProcedureId: null };
+}
+
+router.get('/procedures/:procedureSlug/:stateOrCity', async (req, res) => {
+  try {
+    const siteOrigin = getSiteOrigin(req);
+    const pool = await db.getConnection();
+    if (!pool) {
+      throw new Error('Could not establish database connection');
+    }
+
+    const place = parseLocationSlug(req.params.stateOrCity);
+    const procedure = place ? await resolveProcedureSlug(pool, req.params.procedureSlug) : null;
+    if (!place || !procedure) {
+      return res.status(404).type('html').send(renderNotFoundPage(siteOrigin, 'This page could not be found.'));
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+    // One URL per page: "/procedures/Botox/Texas?page=1" → "/procedures/botox/tx".
+    // Other query parameters (utm_*, gclid, …) are carried over to the redirect target.
+    const canonicalPath = procedureLandingPath(procedure.slug, place.slug, page);
+    const otherParams = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+    otherParams.delete('page');
+    const extraQuery = otherParams.toString();
+    const targetUrl = extraQuery
+      ? `${canonicalPath}${canonicalPath.includes('?') ? '&' : '?'}${extraQuery}`
+      : canonicalPath;
+    if (req.originalUrl !== targetUrl) {
+      return res.redirect(301, targetUrl);
+    }
+
+    const allClinics = await getLandingClinics();
+    const inPlace = await filterByLocation(allClinics, place.location, null);
+    const offering = clinicsOfferingProcedure(inPlace, procedure);
+    const ranked = sortClinics(offering, 'weighted_rating').clinics;
+
+    const { items, pagination } = paginateArray(ranked, { page, limit: LANDING_PAGE_SIZE });
+    if (page > 1 && page > pagination.totalPages) {
+      return res.status(404).type('html').send(renderNotFoundPage(siteOrigin, 'This page could not be found.'));
+    }
+
+    const { unit } = buildPriceComparison(offering);
+    const pageClinics = annotateClinicPrices(items, { unit }).map(clinic => ({
+      ...clinic,
+      path: clinicPagePath(clinic.clinicId),
+      priceLabel: formatMatchedPrice(clinic.matchedPrice)
+    }));
+
+    const heading = `${procedure.name} in ${place.label}`;
+    const title = page > 1 ? `${heading} – Page ${page} | Glowra` : `${heading} | Glowra`;
+    const intro = buildLandingIntro({
+      procedureName: procedure.name,
+      placeLabel: place.label,
+      clinics: offering,
+      unit
+    });
+
+    const html = renderProcedureLandingHtmlDocument({
+      siteOrigin,
+      title,
+      heading,
+      description: intro,
+      intro,
+      canonicalPath,
+      prevPath: page > 1 ? procedureLandingPath(procedure.slug, place.slug, page - 1) : null,
+      nextPath: pagination.hasNextPage ? procedureLandingPath(procedure.slug, place.slug, page + 1) : null,
+      noindex: offering.length < MIN_INDEXABLE_CLINICS,
+      pagination,
+      clinics: pageClinics,
+      jsonLd: buildItemListJsonLd({
+        name: heading,
+        url: `${siteOrigin}${canonicalPath}`,
+        total: offering.length,
+        offset: (page - 1) * LANDING_PAGE_SIZE,
+        items: pageClinics.map(clinic => ({ ...clinic, url: `${siteOrigin}${clinic.path}` }))
+      })
+    });
+
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.set('Cache-Control', 'public, max-age=300');
+    res.send(html);
+  } catch (error) {
+    console.error('Procedure landing page error:', error);
+    res.status(500).type('text/plain').send('Server error');
+  }
+});
+
+module.exports = router;
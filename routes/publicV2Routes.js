@@ -0,0 +1,147 @@
+/**
+ * Versioned public API — mounted at /api/v2
+ *
+ * Same endpoints and query parameters as the v1 routes in app.js, which pass their handlers in:
+ * one implementation serves both versions. Each route has an adapter that turns the v1 body
+ * into the utils/apiEnvelope shape ({ data, meta, errors }), with camelCase keys
+ * (utils/responseNormalizer) and the common pagination meta; v1 errors become RFC 7807
+ * problem details. v1 responses are not changed.
+ *
+ * `format=jsonld` on a clinic is not JSON and is sent as in v1.
+ */
+
+const express = require('express');
+const { normalizeResponse } = require('../utils/responseNormalizer');
+const { CACHE_POLICIES, conditionalGet } = require('../utils/conditionalGet');
+const {
+  PROBLEM_CONTENT_TYPE,
+  successEnvelope,
+  problemDetails,
+  problemFromV1Error,
+  normalizePaginationMeta
+} = require('../utils/apiEnvelope');
+
+const paginationMeta = (pagination) => (pagination ? { pagination: normalizePaginationMeta(pagination) } : {});
+
+/** One shape for a clinic's procedures, from either v1 format (grouped by category or ?flat=true) */
+const toV2Procedure = (proc) => ({
+  procedureId: proc.procedureId,
+  procedureName: proc.procedureName,
+  price: proc.price,
+  category: proc.category,
+  categoryId: proc.categoryId,
+  ...(proc.priceUnit ? { priceUnit: proc.priceUnit } : {})
+});
+
+/**
+ * v1 success body → { data, meta }, per route.
+ * @type {Record<string, (body: any) => { data: unknown, meta: Object }>}
+ */
+const V2_ADAPTERS = {
+  procedureSearch: ({ procedures, pagination }) => ({
+    data: normalizeResponse(procedures),
+    meta: paginationMeta(pagination)
+  }),
+  procedureSearchIndex: (procedures) => ({
+    data: normalizeResponse(procedures),
+    meta: { total: procedures.length }
+  }),
+  procedureBenchmarks: ({ success, meta, ...data }) => ({ data, meta }),
+  clinicSearchIndex: ({ clinics, meta: { pagination, ...meta } }) => ({
+    data: clinics,
+    meta: { ...meta, ...paginationMeta(pagination) }
+  }),
+  clinicSearch: ({ results }) => ({
+    data: normalizeResponse(results).map(({ id, ...clinic }) => ({ clinicId: id, ...clinic })),
+    meta: { total: results.length }
+  }),
+  nearbyTopRated: ({ clinics, query, ranking }) => ({
+    data: clinics,
+    meta: { query, ...(ranking ? { ranking } : {}) }
+  }),
+  clinicMap: ({ clusters, pins, meta }) => ({ data: { clusters, pins }, meta }),
+  clinicCompare: ({ clinics, procedureMatrix }) => ({ data: { clinics, procedureMatrix }, meta: {} }),
+  clinicDetail: (clinic) => ({ data: clinic, meta: {} }),
+  clinicPhotos: ({ clinicId, count, photos }) => ({ data: photos, meta: { clinicId, total: count } }),
+  clinicProviders: ({ providers, requiresConsultRequest, message }) => ({
+    data: providers,
+    meta: { requiresConsultRequest, message }
+  }),
+  clinicProcedures: (body) => ({
+    data: Array.isArray(body)
+      ? body.map(toV2Procedure)
+      : Object.entries(body).flatMap(([category, group]) => group.procedures.map(proc => toV2Procedure({
+        procedureId: proc.id,
+        procedureName: proc.name,
+        price: proc.price,
+        priceUnit: proc.priceUnit,
+        category,
+        categoryId: group.categoryId
+      }))),
+    meta: {}
+  })
+};
+
+/**
+ * Rewrap whatever the v1 handler sends with res.json.
+ * @param {(body: any) => { data: unknown, meta: Object }} adapt
+ * @returns {import('express').RequestHandler}
+ */
+function v2Response(adapt) {
+  return (req, res, next) => {
+    const json = res.json;
+    res.json = function jsonEnvelope(body) {
+      res.json = json;
+      if (res.statusCode >= 400) {
+        res.type(PROBLEM_CONTENT_TYPE);
+        return json.call(this, problemFromV1Error(res.statusCode, body, req.originalUrl));
+      }
+      const { data, meta } = adapt(body);
+      return json.call(this, successEnvelope(data, meta));
+    };
+    next();
+  };
+}
+
+/**
+ * @param {Record<keyof typeof V2_ADAPTERS, import('express').RequestHandler>} handlers - v1 handlers from app.js
+ * @returns {import('express').Router}
+ */
+function createPublicV2Router(handlers) {
+  const router = express.Router();
+  const route = (name, ...middleware) => [...middleware, v2Response(V2_ADAPTERS[name]), handlers[name]];
+
+  router.get('/procedures', ...route('procedureSearch'));
+  router.get('/procedures/search-index', ...route('procedureSearchIndex'));
+  router.get('/procedures/benchmarks', ...route('procedureBenchmarks', conditionalGet(CACHE_POLICIES.procedureBenchmarks)));
+
+  // Fixed /clinics/* paths before /clinics/:clinicId
+  router.get('/clinics/search-index', ...route('clinicSearchIndex', conditionalGet(CACHE_POLICIES.searchIndex)));
+  router.get('/clinics/search', ...route('clinicSearch'));
+  router.get('/clinics/nearby-top-rated', ...route('nearbyTopRated'));
+  router.get('/clinics/map', ...route('clinicMap', conditionalGet(CACHE_POLICIES.clinicMap)));
+  router.get('/clinics/compare', ...route('clinicCompare'));
+  router.get('/clinics/:clinicId', ...route('clinicDetail', conditionalGet(CACHE_POLICIES.clinicDetail)));
+  router.get('/clinics/:clinicId/photos', ...route('clinicPhotos', conditionalGet(CACHE_POLICIES.clinicPhotos)));
+  router.get('/clinics/:clinicId/providers', ...route('clinicProviders'));
+  router.get('/clinics/:clinicId/procedures', ...route('clinicProcedures', conditionalGet(CACHE_POLICIES.clinicProcedures)));
+
+  router.use((req, res) => {
+    res.status(404).type(PROBLEM_CONTENT_TYPE).json(problemDetails(404, {
+      detail: `No v2 endpoint for ${req.method} ${req.baseUrl}${req.path}`,
+      instance: req.originalUrl
+    }));
+  });
+
+  router.use((err, req, res, next) => {
+    console.error('Error in /api/v2:', err);
+    res.status(500).type(PROBLEM_CONTENT_TYPE).json(problemDetails(500, { instance: req.originalUrl }));
+  });
+
+  return router;
+}
+
+module.exports = {
+  V2_ADAPTERS,
+  createPublicV2Router
+};
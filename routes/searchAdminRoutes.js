@@ -0,0 +1,563 @@
+/**
+ * Admin search configuration and reporting — mounted at /api/admin/search
+ * (paths under /synonyms, /analytics, /canonical-procedures, /metro-areas and /ranking-weights).
+ */
+
+const express = require('express');
+const { requireAdminAuth } = require('../clinic-management/middleware/adminAuth');
+const procedureSynonymService = require('../services/procedureSynonymService');
+const { ProcedureSynonymConflictError } = require('../services/procedureSynonymService');
+const searchAnalyticsService = require('../services/searchAnalyticsService');
+const canonicalProcedureService = require('../services/canonicalProcedureService');
+const metroAreaService = require('../services/metroAreaService');
+const { MetroAreaConflictError } = require('../services/metroAreaService');
+const rankingWeightService = require('../services/rankingWeightService');
+
+const router = express.Router();
+
+router.use(requireAdminAuth);
+
+function parseIdParam(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid id',
+      details: [{ field: 'id', message: 'id must be a number' }]
+    });
+    return null;
+  }
+  return id;
+}
+
+function sendSynonymConflict(res, error) {
+  return res.status(409).json({
+    success: false,
+    error: 'Synonym term already in use',
+    details: error.terms.map(term => ({
+      field: 'synonyms',
+      message: `"${term}" already belongs to another synonym group`
+    }))
+  });
+}
+
+function sendMetroAreaConflict(res, error) {
+  return res.status(409).json({
+    success: false,
+    error: 'Metro area name already in use',
+    details: [{ field: 'name', message: `"${error.metroName}" is already a metro area` }]
+  });
+}
+
+/**
+ * @swagger
+ * /api/admin/search/synonyms:
+ *   get:
+ *     summary: List procedure synonym groups (admin)
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/synonyms', async (req, res) => {
+  try {
+    const groups = await procedureSynonymService.listGroups();
+    res.json({ success: true, groups });
+  } catch (error) {
+    console.error('Admin list synonym groups error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/synonyms/{id}:
+ *   get:
+ *     summary: Get procedure synonym group by id (admin)
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/synonyms/:id', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res);
+    if (id === null) return;
+    const group = await procedureSynonymService.getGroupById(id);
+    if (!group) {
+      return res.status(404).json({ success: false, error: 'Synonym group not found' });
+    }
+    res.json({ success: true, group });
+  } catch (error) {
+    console.error('Admin get synonym group error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/synonyms:
+ *   post:
+ *     summary: Create procedure synonym group ({ canonicalTerm, synonyms[], isActive? })
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/synonyms', async (req, res) => {
+  try {
+    const result = await procedureSynonymService.createGroup(req.body, req.adminUser.adminUserId);
+    if (!result.ok) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: result.errors
+      });
+    }
+    const group = await procedureSynonymService.getGroupById(result.id);
+    res.status(201).json({ success: true, group });
+  } catch (error) {
+    if (error instanceof ProcedureSynonymConflictError) {
+      return sendSynonymConflict(res, error);
+    }
+    console.error('Admin create synonym group error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/synonyms/{id}:
+ *   put:
+ *     summary: Replace procedure synonym group (canonical term, full synonym list, active flag)
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/synonyms/:id', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res);
+    if (id === null) return;
+    const result = await procedureSynonymService.updateGroup(id, req.body);
+    if (result.notFound) {
+      return res.status(404).json({ success: false, error: 'Synonym group not found' });
+    }
+    if (!result.ok) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: result.errors
+      });
+    }
+    const group = await procedureSynonymService.getGroupById(id);
+    res.json({ success: true, group });
+  } catch (error) {
+    if (error instanceof ProcedureSynonymConflictError) {
+      return sendSynonymConflict(res, error);
+    }
+    console.error('Admin update synonym group error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/synonyms/{id}:
+ *   delete:
+ *     summary: Delete procedure synonym group
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/synonyms/:id', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res);
+    if (id === null) return;
+    const deleted = await procedureSynonymService.deleteGroup(id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Synonym group not found' });
+    }
+    res.json({ success: true, deleted: true, id });
+  } catch (error) {
+    console.error('Admin delete synonym group error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * Parse from / to / limit and run an analytics report, answering 400 on bad input.
+ */
+async function sendAnalyticsReport(req, res, label, runReport) {
+  try {
+    const parsed = searchAnalyticsService.parseReportQuery(req.query);
+    if (!parsed.ok) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: parsed.errors
+      });
+    }
+    const { from, to, limit } = parsed.value;
+    const report = await runReport(parsed.value);
+    res.json({ success: true, range: { from, to }, limit, ...report });
+  } catch (error) {
+    console.error(`Admin search analytics (${label}) error:`, error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/search/analytics/top-queries:
+ *   get:
+ *     summary: Most frequent searches in a date range (from, to, limit; default last 30 days)
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/analytics/top-queries', (req, res) =>
+  sendAnalyticsReport(req, res, 'top queries', async range => ({
+    queries: await searchAnalyticsService.getTopQueries(range)
+  }))
+);
+
+/**
+ * @swagger
+ * /api/admin/search/analytics/zero-results:
+ *   get:
+ *     summary: Most frequent searches that returned no clinics / procedures
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/analytics/zero-results', (req, res) =>
+  sendAnalyticsReport(req, res, 'zero results', async range => ({
+    queries: await searchAnalyticsService.getTopZeroResultQueries(range)
+  }))
+);
+
+/**
+ * @swagger
+ * /api/admin/search/analytics/location-misinterpretations:
+ *   get:
+ *     summary: Location text searched as a procedure, and location searches that found nothing
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/analytics/location-misinterpretations', (req, res) =>
+  sendAnalyticsReport(req, res, 'location misinterpretations', range =>
+    searchAnalyticsService.getLocationMisinterpretations(range)
+  )
+);
+
+/**
+ * @swagger
+ * /api/admin/search/canonical-procedures:
+ *   get:
+ *     summary: List the canonical procedure catalog with aliases and mapped procedure counts
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/canonical-procedures', async (req, res) => {
+  try {
+    const procedures = await canonicalProcedureService.listCatalog();
+    res.json({ success: true, procedures });
+  } catch (error) {
+    console.error('Admin list canonical procedures error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/canonical-procedures/auto-map:
+ *   post:
+ *     summary: 'Run the procedure matcher now ({ remap?: true } re-matches every non-reviewed row)'
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/canonical-procedures/auto-map', async (req, res) => {
+  try {
+    const remap = req.body && req.body.remap;
+    if (remap !== undefined && typeof remap !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: [{ field: 'remap', message: 'remap must be a boolean' }]
+      });
+    }
+    const summary = await canonicalProcedureService.runAutoMapping({ remap: remap === true });
+    res.json({ success: true, summary });
+  } catch (error) {
+    console.error('Admin canonical procedure auto-map error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/canonical-procedures/review:
+ *   get:
+ *     summary: Procedure names the matcher could not map confidently (status=needs_review|unmapped, limit)
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/canonical-procedures/review', async (req, res) => {
+  try {
+    const parsed = canonicalProcedureService.parseReviewQueueQuery(req.query);
+    if (!parsed.ok) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: parsed.errors
+      });
+    }
+    const items = await canonicalProcedureService.listReviewQueue(parsed.value);
+    res.json({ success: true, items });
+  } catch (error) {
+    console.error('Admin canonical procedure review queue error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/canonical-procedures/review:
+ *   put:
+ *     summary: Decide a procedure name ({ procedureName, canonicalProcedureId }; null rejects)
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/canonical-procedures/review', async (req, res) => {
+  try {
+    const validation = canonicalProcedureService.validateReviewInput(req.body);
+    if (!validation.ok) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+    const result = await canonicalProcedureService.reviewProcedureName(
+      validation.value,
+      req.adminUser.adminUserId
+    );
+    if (result.notFound === 'canonicalProcedureId') {
+      return res.status(404).json({ success: false, error: 'Canonical procedure not found' });
+    }
+    if (result.notFound === 'procedureName') {
+      return res.status(404).json({ success: false, error: 'No procedures with that name' });
+    }
+    res.json({ success: true, ...validation.value, updated: result.updated });
+  } catch (error) {
+    console.error('Admin canonical procedure review error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/metro-areas:
+ *   get:
+ *     summary: List metro area definitions used by city search (admin)
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/metro-areas', async (req, res) => {
+  try {
+    const metroAreas = await metroAreaService.listMetroAreas();
+    res.json({ success: true, metroAreas });
+  } catch (error) {
+    console.error('Admin list metro areas error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/metro-areas/preview:
+ *   post:
+ *     summary: Clinics a metro area definition would capture, without saving it (same body as create)
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/metro-areas/preview', async (req, res) => {
+  try {
+    const result = await metroAreaService.previewMetroArea(req.body);
+    if (!result.ok) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: result.errors
+      });
+    }
+    res.json({ success: true, ...result.value });
+  } catch (error) {
+    console.error('Admin preview metro area error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/metro-areas/{id}:
+ *   get:
+ *     summary: Get metro area by id (admin)
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/metro-areas/:id', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res);
+    if (id === null) return;
+    const metroArea = await metroAreaService.getMetroAreaById(id);
+    if (!metroArea) {
+      return res.status(404).json({ success: false, error: 'Metro area not found' });
+    }
+    res.json({ success: true, metroArea });
+  } catch (error) {
+    console.error('Admin get metro area error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/metro-areas:
+ *   post:
+ *     summary: Create metro area ({ name, lat, lng, radius (miles), cities[], isActive? }; cities must have clinics)
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/metro-areas', async (req, res) => {
+  try {
+    const result = await metroAreaService.createMetroArea(req.body, req.adminUser.adminUserId);
+    if (!result.ok) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: result.errors
+      });
+    }
+    const metroArea = await metroAreaService.getMetroAreaById(result.id);
+    res.status(201).json({ success: true, metroArea });
+  } catch (error) {
+    if (error instanceof MetroAreaConflictError) {
+      return sendMetroAreaConflict(res, error);
+    }
+    console.error('Admin create metro area error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/metro-areas/{id}:
+ *   put:
+ *     summary: Replace metro area (name, center, radius, full city list, active flag)
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/metro-areas/:id', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res);
+    if (id === null) return;
+    const result = await metroAreaService.updateMetroArea(id, req.body);
+    if (result.notFound) {
+      return res.status(404).json({ success: false, error: 'Metro area not found' });
+    }
+    if (!result.ok) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: result.errors
+      });
+    }
+    const metroArea = await metroAreaService.getMetroAreaById(id);
+    res.json({ success: true, metroArea });
+  } catch (error) {
+    if (error instanceof MetroAreaConflictError) {
+      return sendMetroAreaConflict(res, error);
+    }
+    console.error('Admin update metro area error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/metro-areas/{id}:
+ *   delete:
+ *     summary: Delete metro area
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/metro-areas/:id', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res);
+    if (id === null) return;
+    const deleted = await metroAreaService.deleteMetroArea(id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Metro area not found' });
+    }
+    res.json({ success: true, deleted: true, id });
+  } catch (error) {
+    console.error('Admin delete metro area error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/ranking-weights:
+ *   get:
+ *     summary: Weights of the composite relevance ranking signals, with the built-in defaults (admin)
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/ranking-weights', async (req, res) => {
+  try {
+    const config = await rankingWeightService.getRankingWeightsConfig();
+    res.json({ success: true, ...config });
+  } catch (error) {
+    console.error('Admin get ranking weights error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/ranking-weights:
+ *   put:
+ *     summary: 'Update ranking weights ({ weights: { signal: 0..1 } }; signals left out keep their weight)'
+ *     tags: [Admin Search]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/ranking-weights', async (req, res) => {
+  try {
+    const result = await rankingWeightService.updateRankingWeights(req.body, req.adminUser.adminUserId);
+    if (!result.ok) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: result.errors
+      });
+    }
+    res.json({ success: true, weights: result.weights });
+  } catch (error) {
+    console.error('Admin update ranking weights error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Public search helpers — mounted at /api/search
+ */
+
+const express = require('express');
+const searchSuggestService = require('../services/searchSuggestService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/search/suggest:
+ *   get:
+ *     summary: Typeahead suggestions grouped by type (procedures, clinics, locations)
+ *     description: Each suggestion carries `type` and `param` (procedure | clinicName | location) so the UI knows which search-index parameter to set.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema: { type: string, minLength: 2 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 5, maximum: 10 }
+ *         description: Max suggestions per group
+ *     responses:
+ *       200:
+ *         description: Suggestions per group; empty groups when q is shorter than meta.minQueryLength
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SearchSuggestResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/suggest', async (req, res) => {
+  try {
+    const startedAt = Date.now();
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    const { suggestions, indexUpdatedAt } = await searchSuggestService.suggest(q, { limit: req.query.limit });
+
+    res.json({
+      success: true,
+      query: q.trim(),
+      suggestions,
+      meta: {
+        minQueryLength: searchSuggestService.MIN_QUERY_LENGTH,
+        indexUpdatedAt,
+        tookMs: Date.now() - startedAt
+      }
+    });
+  } catch (error) {
+    console.error('Search suggest error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Crawler-facing sitemaps (not under /api): GET /sitemap.xml indexes the blog sitemap
+ * (/sitemap-blog.xml, see blogSeoRoutes) and the generated /sitemap-clinics-N.xml and
+ * /sitemap-procedures-N.xml files.
+ */
+
+const express = require('express');
+const blogPostService = require('../services/blogPostService');
+const { listSitemapFiles, getSitemapXml } = require('../services/sitemapService');
+const { buildSitemapIndexXml, formatLastmod } = require('../utils/sitemapXml');
+const { getSiteOrigin, sitemapPath } = require('../utils/sitePaths');
+
+const router = express.Router();
+
+async function latestBlogPostDate() {
+  try {
+    const posts = await blogPostService.listPublishedSlugsForSitemap();
+    return posts.length > 0 ? formatLastmod(posts[0].publishedAt) : undefined;
+  } catch (error) {
+    // The blog sitemap is still listed; it just has no lastmod
+    console.error('Sitemap index: could not read blog posts:', error.message);
+    return undefined;
+  }
+}
+
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const origin = getSiteOrigin(req);
+    const [files, blogLastmod] = await Promise.all([listSitemapFiles(), latestBlogPostDate()]);
+    const xml = buildSitemapIndexXml([
+      { loc: `${origin}/sitemap-blog.xml`, lastmod: blogLastmod },
+      ...files.map(file => ({ loc: `${origin}${sitemapPath(file.kind, file.page)}`, lastmod: file.lastmod }))
+    ]);
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Cache-Control', 'public, max-age=300');
+    res.send(xml);
+  } catch (error) {
+    console.error('Sitemap index error:', error);
+    res.status(500).type('text/plain').send('Sitemap error');
+  }
+});
+
+router.get(/^\/sitemap-(clinics|procedures)-(\d+)\.xml$/, async (req, res) => {
+  try {
+    const xml = await getSitemapXml(req.params[0], parseInt(req.params[1], 10), getSiteOrigin(req));
+    if (!xml) {
+      return res.status(404).type('text/plain').send('Sitemap not found');
+    }
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Cache-Control', 'public, max-age=300');
+    res.send(xml);
+  } catch (error) {
+    console.error('Sitemap error:', error);
+    res.status(500).type('text/plain').send('Sitemap error');
+  }
+});
+
+module.exports = router;
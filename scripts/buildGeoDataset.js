@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Build the bundled offline geocoding dataset (data/geo/usZipCentroids.json) from a CSV of
+ * US ZIP-code centroids. utils/offlineGeocoder.js loads the output; city centroids are derived
+ * from the ZIPs at load time.
+ *
+ * Input: CSV with a header row. Column names are matched case-insensitively:
+ *   zip | zipcode | zip_code | postal_code
+ *   city | primary_city
+ *   state | state_id | state_code   (2-letter abbreviation)
+ *   lat | latitude
+ *   lng | lon | long | longitude
+ *   type | zip_type | zipcodetype     (optional: STANDARD, PO BOX, UNIQUE, MILITARY)
+ * Rows without a 5-digit ZIP, a 2-letter state, or valid coordinates are skipped.
+ *
+ * PO-box and unique (single-organization) ZIPs are skipped too: they have no area of their own,
+ * and sources list unique ZIPs under the organization's name ("Contest Mail", "Philip Morris"),
+ * which would otherwise become cities. They are recognized by the type column or, for sources
+ * without one, with --zcta: a Census ZCTA list (the gazetteer file, or one ZCTA per line). The
+ * Census only draws ZCTAs for ZIPs that cover addresses, so ZIPs missing from it are skipped.
+ *
+ * Usage: node scripts/buildGeoDataset.js scripts/data/us-zip-centroids.csv [--zcta zcta.txt] [--source "description"]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT_PATH = path.join(__dirname, '..', 'data', 'geo', 'usZipCentroids.json');
+
+const COLUMN_ALIASES = {
+  zip: ['zip', 'zipcode', 'zip_code', 'postal_code'],
+  city: ['city', 'primary_city'],
+  state: ['state', 'state_id', 'state_code'],
+  lat: ['lat', 'latitude'],
+  lng: ['lng', 'lon', 'long', 'longitude'],
+  type: ['type', 'zip_type', 'zipcodetype']
+};
+const OPTIONAL_COLUMNS = new Set(['type']);
+
+/** ZIP types without an area of their own, after normalizeZipType */
+const SKIPPED_ZIP_TYPES = new Set(['PO BOX', 'UNIQUE']);
+
+/**
+ * Split one CSV line, honoring double-quoted fields ("Washington, DC" / "" escapes).
+ * @param {string} line
+ * @returns {string[]}
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (inQuotes) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+}
+
+function resolveColumns(header) {
+  const lower = header.map(h => h.toLowerCase());
+  const columns = {};
+  for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = lower.findIndex(h => aliases.includes(h));
+    if (index === -1 && OPTIONAL_COLUMNS.has(key)) continue;
+    if (index === -1) {
+      throw new Error(`Missing column for "${key}" (accepted: ${aliases.join(', ')})`);
+    }
+    columns[key] = index;
+  }
+  return columns;
+}
+
+/** "P.O. Box" / "po_box" / "PO BOX" → "PO BOX" */
+function normalizeZipType(raw) {
+  return String(raw || '').toUpperCase().replace(/\./g, '').replace(/[_\s]+/g, ' ').trim();
+}
+
+/**
+ * ZCTA codes from a Census ZCTA file: the first tab- or comma-separated field of each line
+ * (the gazetteer's GEOID). The header and anything else that isn't a 5-digit code is ignored.
+ * @param {string} filePath
+ * @returns {Set<string>}
+ */
+function readZctaCodes(filePath) {
+  const codes = new Set();
+  fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach(line => {
+    const code = line.split(/[\t,]/)[0].trim();
+    if (/^\d{5}$/.test(code)) codes.add(code);
+  });
+  return codes;
+}
+
+function roundCoordinate(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+function buildGeoDataset() {
+  const args = process.argv.slice(2);
+  const sourceIndex = args.indexOf('--source');
+  const zctaIndex = args.indexOf('--zcta');
+  const optionValueIndexes = [sourceIndex, zctaIndex].filter(i => i !== -1).map(i => i + 1);
+  const inputPath = args.find((a, i) => !a.startsWith('--') && !optionValueIndexes.includes(i));
+  const source = sourceIndex !== -1 ? args[sourceIndex + 1] : path.basename(inputPath || '');
+  const zctaPath = zctaIndex !== -1 ? args[zctaIndex + 1] : null;
+
+  if (!inputPath) {
+    console.error('Usage: node scripts/buildGeoDataset.js <input.csv> [--zcta zcta.txt] [--source "description"]');
+    process.exit(1);
+  }
+
+  const lines = fs.readFileSync(inputPath, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  const columns = resolveColumns(parseCsvLine(lines[0]));
+  if (columns.type === undefined && !zctaPath) {
+    console.error('The input has no ZIP type column; pass --zcta so PO-box and unique ZIPs can be skipped');
+    process.exit(1);
+  }
+  const zctaCodes = zctaPath ? readZctaCodes(zctaPath) : null;
+
+  // Cities are stored once and referenced by index to keep the bundle small
+  const cities = [];
+  const cityIndex = new Map();
+  const zips = {};
+  let skipped = 0;
+  let skippedWithoutArea = 0;
+
+  for (const line of lines.slice(1)) {
+    const row = parseCsvLine(line);
+    const zip = (row[columns.zip] || '').padStart(5, '0');
+    const city = row[columns.city];
+    const state = (row[columns.state] || '').toUpperCase();
+    const lat = parseFloat(row[columns.lat]);
+    const lng = parseFloat(row[columns.lng]);
+
+    if (!/^\d{5}$/.test(zip) || !city || !/^[A-Z]{2}$/.test(state) ||
+        !Number.isFinite(lat) || !Number.isFinite(lng) || (lat === 0 && lng === 0)) {
+      skipped++;
+      continue;
+    }
+    if ((columns.type !== undefined && SKIPPED_ZIP_TYPES.has(normalizeZipType(row[columns.type]))) ||
+        (zctaCodes && !zctaCodes.has(zip))) {
+      skippedWithoutArea++;
+      continue;
+    }
+
+    const cityKey = `${city.toLowerCase()}|${state}`;
+    if (!cityIndex.has(cityKey)) {
+      cityIndex.set(cityKey, cities.length);
+      cities.push([city, state]);
+    }
+    zips[zip] = [roundCoordinate(lat), roundCoordinate(lng), cityIndex.get(cityKey)];
+  }
+
+  const dataset = {
+    source,
+    generatedAt: new Date().toISOString(),
+    format: 'zips: { "<zip>": [lat, lng, cityIndex] }, cities: [[city, state]]',
+    cities,
+    zips
+  };
+
+  fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(dataset) + '\n');
+
+  console.log(`ZIP codes: ${Object.keys(zips).length}`);
+  console.log(`Cities:    ${cities.length}`);
+  console.log(`Skipped:   ${skipped}`);
+  console.log(`Skipped PO box / unique: ${skippedWithoutArea}`);
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT_PATH)}`);
+}
+
+buildGeoDataset();
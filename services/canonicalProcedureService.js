@@ -0,0 +1,409 @@
+/**
+ * Canonical procedure catalog (MSSQL, migration addCanonicalProcedures.sql) and the mapping
+ * from each Procedures row to a catalog entry.
+ *
+ * The matcher (utils/canonicalProcedureMatcher) assigns mappings automatically: confident
+ * matches are 'auto', weak or ambiguous ones 'needs_review', no match 'unmapped'. Admin
+ * decisions ('approved' / 'rejected') are made per procedure name, are never overwritten by
+ * the matcher, and are applied to new Procedures rows with the same name.
+ */
+
+const { db, sql } = require('../db');
+const { createProcedureMatcher, MATCH_STATUS } = require('../utils/canonicalProcedureMatcher');
+const { onClinicChange, CLINIC_CHANGE_TYPES } = require('../utils/clinicEvents');
+const { invalidateSearchCache } = require('./searchCacheService');
+
+const REVIEW_STATUS = {
+  ...MATCH_STATUS,
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+const REVIEW_QUEUE_STATUSES = [REVIEW_STATUS.NEEDS_REVIEW, REVIEW_STATUS.UNMAPPED];
+const DEFAULT_REVIEW_LIMIT = 100;
+const MAX_REVIEW_LIMIT = 500;
+const MAX_PROCEDURE_NAME_LENGTH = 255;
+
+/** 4 parameters per row keeps a batch well under SQL Server's 2100-parameter limit */
+const UPSERT_BATCH_SIZE = 200;
+const MAX_CLINIC_FILTER_IDS = 500;
+const SYNC_INTERVAL_MS = 60 * 60 * 1000;
+/** Clinic edits usually arrive in bursts (draft approval, bulk import); map once per burst */
+const CLINIC_CHANGE_DEBOUNCE_MS = 5 * 1000;
+
+let syncTimer = null;
+let debounceTimer = null;
+let unsubscribeClinicChanges = null;
+let mappingQueue = Promise.resolve();
+
+async function getPool() {
+  const pool = await db.getConnection();
+  if (!pool) throw new Error('Could not establish database connection');
+  return pool;
+}
+
+/**
+ * @param {import('mssql').ConnectionPool} pool
+ * @param {{ activeOnly?: boolean }} [opts]
+ * @returns {Promise<Array<{ id: number, slug: string, displayName: string, category: string|null, isActive: boolean, aliases: string[] }>>}
+ */
+async function loadCatalog(pool, { activeOnly = false } = {}) {
+  const entries = await pool.request().query(`
+    SELECT CanonicalProcedureID, Slug, DisplayName, Category, IsActive
+    FROM CanonicalProcedures
+    ${activeOnly ? 'WHERE IsActive = 1' : ''}
+    ORDER BY DisplayName
+  `);
+  const aliases = await pool.request().query('SELECT CanonicalProcedureID, Alias FROM CanonicalProcedureAliases');
+
+  const aliasesById = new Map();
+  aliases.recordset.forEach(r => {
+    if (!aliasesById.has(r.CanonicalProcedureID)) aliasesById.set(r.CanonicalProcedureID, []);
+    aliasesById.get(r.CanonicalProcedureID).push(r.Alias);
+  });
+  return entries.recordset.map(r => ({
+    id: r.CanonicalProcedureID,
+    slug: r.Slug,
+    displayName: r.DisplayName,
+    category: r.Category,
+    isActive: !!r.IsActive,
+    aliases: (aliasesById.get(r.CanonicalProcedureID) || []).sort()
+  }));
+}
+
+/**
+ * Catalog entries with how many Procedures rows currently map to each (auto + approved).
+ */
+async function listCatalog() {
+  const pool = await getPool();
+  const catalog = await loadCatalog(pool);
+  const counts = await pool.request().query(`
+    SELECT CanonicalProcedureID, COUNT(*) AS ProcedureCount
+    FROM ProcedureCanonicalMap
+    WHERE CanonicalProcedureID IS NOT NULL AND ReviewStatus IN ('auto', 'approved')
+    GROUP BY CanonicalProcedureID
+  `);
+  const countById = new Map(counts.recordset.map(r => [r.CanonicalProcedureID, r.ProcedureCount]));
+  return catalog.map(entry => ({ ...entry, mappedProcedures: countById.get(entry.id) || 0 }));
+}
+
+/**
+ * Active catalog entries (sitemaps).
+ * @returns {Promise<Array<{ id: number, slug: string, displayName: string, category: string|null }>>}
+ */
+async function listActiveEntries() {
+  const pool = await getPool();
+  return loadCatalog(pool, { activeOnly: true });
+}
+
+/**
+ * Active catalog entry by slug (public landing pages).
+ * @param {string} slug
+ * @returns {Promise<{ id: number, slug: string, displayName: string, category: string|null }|null>}
+ */
+async function getActiveEntryBySlug(slug) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input('slug', sql.NVarChar(150), slug)
+    .query(`
+      SELECT CanonicalProcedureID, Slug, DisplayName, Category
+      FROM CanonicalProcedures
+      WHERE Slug = @slug AND IsActive = 1
+    `);
+  const row = result.recordset[0];
+  return row
+    ? { id: row.CanonicalProcedureID, slug: row.Slug, displayName: row.DisplayName, category: row.Category }
+    : null;
+}
+
+async function upsertMappings(pool, rows) {
+  for (let start = 0; start < rows.length; start += UPSERT_BATCH_SIZE) {
+    const batch = rows.slice(start, start + UPSERT_BATCH_SIZE);
+    const request = pool.request();
+    const values = batch.map((row, i) => {
+      request.input(`procedureId${i}`, sql.Int, row.procedureId);
+      request.input(`canonicalId${i}`, sql.Int, row.canonicalProcedureId);
+      request.input(`score${i}`, sql.Int, row.score);
+      request.input(`status${i}`, sql.NVarChar(20), row.status);
+      return `(@procedureId${i}, @canonicalId${i}, @score${i}, @status${i})`;
+    });
+
+    // Admin decisions may land between our read and this write; the WHEN MATCHED guard keeps them
+    await request.query(`
+      MERGE ProcedureCanonicalMap AS target
+      USING (VALUES ${values.join(', ')}) AS source (ProcedureID, CanonicalProcedureID, MatchScore, ReviewStatus)
+      ON target.ProcedureID = source.ProcedureID
+      WHEN MATCHED AND target.ReviewStatus NOT IN ('approved', 'rejected') THEN
+        UPDATE SET
+          CanonicalProcedureID = source.CanonicalProcedureID,
+          MatchScore = source.MatchScore,
+          ReviewStatus = source.ReviewStatus,
+          MatchedAt = SYSUTCDATETIME()
+      WHEN NOT MATCHED THEN
+        INSERT (ProcedureID, CanonicalProcedureID, MatchScore, ReviewStatus)
+        VALUES (source.ProcedureID, source.CanonicalProcedureID, source.MatchScore, source.ReviewStatus);
+    `);
+  }
+}
+
+async function mapProcedures({ remap, clinicIds }) {
+  const pool = await getPool();
+  const catalog = await loadCatalog(pool, { activeOnly: true });
+  const matcher = createProcedureMatcher(catalog);
+
+  const request = pool.request();
+  let clinicFilter = '';
+  // Large bursts just scan everything unmapped (also keeps under the parameter limit)
+  if (clinicIds && clinicIds.length > 0 && clinicIds.length <= MAX_CLINIC_FILTER_IDS) {
+    clinicFilter = `AND p.ClinicID IN (${clinicIds.map((id, i) => {
+      request.input(`clinicId${i}`, sql.Int, id);
+      return `@clinicId${i}`;
+    }).join(', ')})`;
+  }
+  const pending = await request.query(`
+    SELECT p.ProcedureID, p.ProcedureName
+    FROM Procedures p
+    LEFT JOIN ProcedureCanonicalMap pcm ON pcm.ProcedureID = p.ProcedureID
+    WHERE ${remap ? "(pcm.ProcedureID IS NULL OR pcm.ReviewStatus NOT IN ('approved', 'rejected'))" : 'pcm.ProcedureID IS NULL'}
+      ${clinicFilter}
+  `);
+
+  // Names an admin already decided on keep that decision for new rows
+  const decisions = await pool.request().query(`
+    SELECT p.ProcedureName, MAX(pcm.CanonicalProcedureID) AS CanonicalProcedureID, MAX(pcm.ReviewStatus) AS ReviewStatus
+    FROM ProcedureCanonicalMap pcm
+    JOIN Procedures p ON p.ProcedureID = pcm.ProcedureID
+    WHERE pcm.ReviewStatus IN ('approved', 'rejected')
+    GROUP BY p.ProcedureName
+  `);
+  const decisionByName = new Map(decisions.recordset.map(r => [r.ProcedureName, r]));
+
+  const matchByName = new Map();
+  const rows = pending.recordset.map(r => {
+    const decision = decisionByName.get(r.ProcedureName);
+    if (decision) {
+      return {
+        procedureId: r.ProcedureID,
+        canonicalProcedureId: decision.CanonicalProcedureID,
+        score: null,
+        status: decision.ReviewStatus
+      };
+    }
+    if (!matchByName.has(r.ProcedureName)) {
+      matchByName.set(r.ProcedureName, matcher.match(r.ProcedureName));
+    }
+    const result = matchByName.get(r.ProcedureName);
+    return {
+      procedureId: r.ProcedureID,
+      canonicalProcedureId: result.canonicalProcedureId,
+      score: result.score,
+      status: result.status
+    };
+  });
+
+  await upsertMappings(pool, rows);
+  // Search results carry each procedure's canonical ID
+  if (rows.length > 0) await invalidateSearchCache('canonical procedure mappings changed');
+
+  const summary = { processed: rows.length, auto: 0, needsReview: 0, unmapped: 0, fromReview: 0 };
+  rows.forEach(row => {
+    if (row.status === REVIEW_STATUS.AUTO) summary.auto++;
+    else if (row.status === REVIEW_STATUS.NEEDS_REVIEW) summary.needsReview++;
+    else if (row.status === REVIEW_STATUS.UNMAPPED) summary.unmapped++;
+    else summary.fromReview++;
+  });
+  return summary;
+}
+
+/**
+ * Map Procedures rows to the catalog. By default only rows without a mapping are matched;
+ * remap re-matches every row the matcher owns (after catalog or alias edits).
+ * Runs are serialized so two runs never race on the same rows.
+ *
+ * @param {{ remap?: boolean, clinicIds?: number[]|null }} [opts]
+ * @returns {Promise<{ processed: number, auto: number, needsReview: number, unmapped: number, fromReview: number }>}
+ */
+function runAutoMapping({ remap = false, clinicIds = null } = {}) {
+  const run = mappingQueue.then(() => mapProcedures({ remap, clinicIds }));
+  mappingQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Parse status / limit for the review queue.
+ * @param {{ status?: string, limit?: string }} query
+ * @returns {{ ok: true, value: { statuses: string[], limit: number } } | { ok: false, errors: Array<{ field: string, message: string }> }}
+ */
+function parseReviewQueueQuery(query) {
+  const input = query || {};
+  let statuses = REVIEW_QUEUE_STATUSES;
+  if (input.status !== undefined && input.status !== '') {
+    if (!REVIEW_QUEUE_STATUSES.includes(input.status)) {
+      return {
+        ok: false,
+        errors: [{ field: 'status', message: `status must be one of: ${REVIEW_QUEUE_STATUSES.join(', ')}` }]
+      };
+    }
+    statuses = [input.status];
+  }
+  const limit = Math.min(MAX_REVIEW_LIMIT, Math.max(1, parseInt(input.limit, 10) || DEFAULT_REVIEW_LIMIT));
+  return { ok: true, value: { statuses, limit } };
+}
+
+/**
+ * Procedure names waiting for a decision, most common first, with the matcher's suggestion.
+ * @param {{ statuses: string[], limit: number }} opts
+ */
+async function listReviewQueue({ statuses, limit }) {
+  const pool = await getPool();
+  const request = pool.request().input('limit', sql.Int, limit);
+  const placeholders = statuses.map((status, i) => {
+    request.input(`status${i}`, sql.NVarChar(20), status);
+    return `@status${i}`;
+  });
+
+  const result = await request.query(`
+    SELECT TOP (@limit)
+      p.ProcedureName,
+      pcm.ReviewStatus,
+      pcm.CanonicalProcedureID,
+      cp.Slug,
+      cp.DisplayName,
+      MAX(pcm.MatchScore) AS MatchScore,
+      COUNT(*) AS ProcedureCount,
+      COUNT(DISTINCT p.ClinicID) AS ClinicCount
+    FROM ProcedureCanonicalMap pcm
+    JOIN Procedures p ON p.ProcedureID = pcm.ProcedureID
+    LEFT JOIN CanonicalProcedures cp ON cp.CanonicalProcedureID = pcm.CanonicalProcedureID
+    WHERE pcm.ReviewStatus IN (${placeholders.join(', ')})
+    GROUP BY p.ProcedureName, pcm.ReviewStatus, pcm.CanonicalProcedureID, cp.Slug, cp.DisplayName
+    ORDER BY COUNT(*) DESC, p.ProcedureName
+  `);
+
+  return result.recordset.map(r => ({
+    procedureName: r.ProcedureName,
+    status: r.ReviewStatus,
+    suggestion: r.CanonicalProcedureID
+      ? { canonicalProcedureId: r.CanonicalProcedureID, slug: r.Slug, displayName: r.DisplayName, score: r.MatchScore }
+      : null,
+    procedureCount: r.ProcedureCount,
+    clinicCount: r.ClinicCount
+  }));
+}
+
+/**
+ * Validate a review decision payload. canonicalProcedureId null rejects the name (no mapping).
+ * @param {{ procedureName?: string, canonicalProcedureId?: number|null }} body
+ * @returns {{ ok: true, value: { procedureName: string, canonicalProcedureId: number|null } } | { ok: false, errors: Array<{ field: string, message: string }> }}
+ */
+function validateReviewInput(body) {
+  const errors = [];
+  const input = body || {};
+
+  const procedureName = typeof input.procedureName === 'string' ? input.procedureName : '';
+  if (!procedureName.trim()) {
+    errors.push({ field: 'procedureName', message: 'procedureName is required' });
+  } else if (procedureName.length > MAX_PROCEDURE_NAME_LENGTH) {
+    errors.push({ field: 'procedureName', message: `procedureName must be at most ${MAX_PROCEDURE_NAME_LENGTH} characters` });
+  }
+
+  const canonicalProcedureId = input.canonicalProcedureId;
+  if (canonicalProcedureId === undefined) {
+    errors.push({ field: 'canonicalProcedureId', message: 'canonicalProcedureId is required (null to reject)' });
+  } else if (canonicalProcedureId !== null && !(Number.isInteger(canonicalProcedureId) && canonicalProcedureId > 0)) {
+    errors.push({ field: 'canonicalProcedureId', message: 'canonicalProcedureId must be a positive integer or null' });
+  }
+
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, value: { procedureName, canonicalProcedureId } };
+}
+
+/**
+ * Approve a mapping (or reject all mappings) for every Procedures row with this exact name.
+ *
+ * @param {{ procedureName: string, canonicalProcedureId: number|null }} decision
+ * @param {number|null} adminUserId
+ * @returns {Promise<{ ok: true, updated: number } | { ok: false, notFound: 'procedureName'|'canonicalProcedureId' }>}
+ */
+async function reviewProcedureName({ procedureName, canonicalProcedureId }, adminUserId = null) {
+  const pool = await getPool();
+
+  if (canonicalProcedureId !== null) {
+    const entry = await pool.request()
+      .input('id', sql.Int, canonicalProcedureId)
+      .query('SELECT 1 AS ok FROM CanonicalProcedures WHERE CanonicalProcedureID = @id');
+    if (!entry.recordset[0]) return { ok: false, notFound: 'canonicalProcedureId' };
+  }
+
+  const result = await pool.request()
+    .input('procedureName', sql.NVarChar(MAX_PROCEDURE_NAME_LENGTH), procedureName)
+    .input('canonicalId', sql.Int, canonicalProcedureId)
+    .input('status', sql.NVarChar(20), canonicalProcedureId === null ? REVIEW_STATUS.REJECTED : REVIEW_STATUS.APPROVED)
+    .input('adminUserId', sql.Int, adminUserId)
+    .query(`
+      MERGE ProcedureCanonicalMap AS target
+      USING (SELECT ProcedureID FROM Procedures WHERE ProcedureName = @procedureName) AS source
+      ON target.ProcedureID = source.ProcedureID
+      WHEN MATCHED THEN
+        UPDATE SET
+          CanonicalProcedureID = @canonicalId,
+          ReviewStatus = @status,
+          ReviewedByAdminUserId = @adminUserId,
+          ReviewedAt = SYSUTCDATETIME()
+      WHEN NOT MATCHED THEN
+        INSERT (ProcedureID, CanonicalProcedureID, ReviewStatus, ReviewedByAdminUserId, ReviewedAt)
+        VALUES (source.ProcedureID, @canonicalId, @status, @adminUserId, SYSUTCDATETIME());
+    `);
+
+  const updated = result.rowsAffected[0] || 0;
+  if (updated === 0) return { ok: false, notFound: 'procedureName' };
+  await invalidateSearchCache('canonical procedure reviewed');
+  return { ok: true, updated };
+}
+
+function logMappingFailure(error) {
+  console.error('Canonical procedure mapping failed:', error.message);
+}
+
+/**
+ * Map unmapped procedures now, after clinics are created / updated / restored, and hourly
+ * (catches procedures written outside the clinic services). Failures (e.g. migration not run
+ * yet) are logged and retried on the next trigger.
+ */
+function initCanonicalProcedureSync() {
+  runAutoMapping().catch(logMappingFailure);
+
+  if (!syncTimer) {
+    syncTimer = setInterval(() => runAutoMapping().catch(logMappingFailure), SYNC_INTERVAL_MS);
+    syncTimer.unref();
+  }
+
+  if (!unsubscribeClinicChanges) {
+    const pendingClinicIds = new Set();
+    unsubscribeClinicChanges = onClinicChange(({ type, clinicIds }) => {
+      if (type === CLINIC_CHANGE_TYPES.DELETED || type === CLINIC_CHANGE_TYPES.REFRESHED) return;
+      clinicIds.forEach(id => pendingClinicIds.add(id));
+      if (debounceTimer) return;
+      debounceTimer = setTimeout(() => {
+        debounceTimer = null;
+        const ids = Array.from(pendingClinicIds);
+        pendingClinicIds.clear();
+        if (ids.length > 0) runAutoMapping({ clinicIds: ids }).catch(logMappingFailure);
+      }, CLINIC_CHANGE_DEBOUNCE_MS);
+      debounceTimer.unref();
+    });
+  }
+}
+
+module.exports = {
+  REVIEW_STATUS,
+  listCatalog,
+  listActiveEntries,
+  getActiveEntryBySlug,
+  runAutoMapping,
+  parseReviewQueueQuery,
+  listReviewQueue,
+  validateReviewInput,
+  reviewProcedureName,
+  initCanonicalProcedureSync
+};
@@ -0,0 +1,331 @@
+/**
+ * Clinic detail queries shared by GET /api/clinics/:clinicId, its /photos sub-resource and
+ * GET /api/clinics/compare. Each function returns the camelCase response shape for one clinic.
+ */
+
+const { sql } = require('../db');
+const { normalizeCategory } = require('../utils/categoryNormalizer');
+const { mergeAddressForResponse } = require('../utils/addressUtils');
+const {
+  proceduresTableHasPriceUnitColumn,
+  innerProcedurePriceUnitSelectSql,
+  optionalPriceUnit
+} = require('../utils/procedurePriceUnitColumn');
+const {
+  resolveClinicTimeZone,
+  normalizeWorkingHours,
+  getOpenStatus
+} = require('../utils/openingHours');
+
+/**
+ * Clinic with cached Google Places data, merged address, reviews and opening status.
+ * @param {import('mssql').ConnectionPool} pool
+ * @param {number|string} clinicId
+ * @returns {Promise<Object|null>} null when the clinic does not exist
+ */
+async function getClinicDetail(pool, clinicId) {
+  const request = pool.request();
+  request.input('clinicId', sql.Int, clinicId);
+
+  // Query clinic with cached Google Places data + rich metadata from GooglePlacesData table
+  const result = await request.query(`
+    SELECT 
+      c.ClinicID,
+      c.ClinicName,
+      c.Address,
+      c.City,
+      c.State,
+      c.PostalCode,
+      c.Phone,
+      c.Website,
+      c.Latitude,
+      c.Longitude,
+      c.LocationID,
+      c.PlaceID,
+      c.GoogleRating,
+      c.GoogleReviewCount,
+      c.GoogleReviewsJSON,
+      c.LastRatingUpdate,
+      
+      -- Google Places Data fields (LEFT JOIN handles clinics without this data)
+      g.Photo,
+      g.Logo,
+      g.Street,
+      g.StreetView,
+      g.Description,
+      g.WorkingHours,
+      g.AboutJSON,
+      g.Verified,
+      g.Facebook,
+      g.Instagram,
+      g.LinkedIn,
+      g.Twitter,
+      g.YouTube,
+      g.GoogleProfileLink,
+      g.ReviewsLink,
+      g.BookingAppointmentLink,
+      g.MenuLink,
+      g.BusinessStatus,
+      g.Category,
+      g.Subtypes,
+      g.BusinessName,
+      g.Email,
+      g.City as GpCity,
+      g.State as GpState,
+      g.PostalCode as GpPostalCode,
+      
+      l.City as LCity,
+      l.State as LState
+    FROM Clinics c
+    LEFT JOIN GooglePlacesData g ON c.ClinicID = g.ClinicID
+    LEFT JOIN Locations l ON c.LocationID = l.LocationID
+    WHERE c.ClinicID = @clinicId;
+  `);
+
+  if (result.recordset.length === 0) {
+    return null;
+  }
+
+  const clinic = result.recordset[0];
+  
+  // Parse stored reviews if available
+  let reviews = [];
+  if (clinic.GoogleReviewsJSON) {
+    try {
+      reviews = JSON.parse(clinic.GoogleReviewsJSON);
+    } catch (parseError) {
+      console.error('Error parsing reviews JSON:', parseError);
+    }
+  }
+  
+  // Parse WorkingHours if available
+  let workingHours = clinic.WorkingHours;
+  if (workingHours && typeof workingHours === 'string') {
+    try {
+      workingHours = JSON.parse(workingHours);
+    } catch (e) {
+      // Keep as string if parsing fails
+    }
+  }
+  
+  // Parse AboutJSON if available
+  let about = null;
+  if (clinic.AboutJSON) {
+    try {
+      about = JSON.parse(clinic.AboutJSON);
+    } catch (e) {
+      // Keep as null if parsing fails
+    }
+  }
+
+  // Merge address components: prefer GooglePlacesData.Street for street; Clinics/GooglePlacesData/Locations for city/state/zip
+  const { address, city, state, zipCode } = mergeAddressForResponse(
+    { Address: clinic.Address, City: clinic.City, State: clinic.State, PostalCode: clinic.PostalCode },
+    { Street: clinic.Street, City: clinic.GpCity, State: clinic.GpState, PostalCode: clinic.GpPostalCode },
+    { City: clinic.LCity, State: clinic.LState }
+  );
+
+  // Normalized hours in the clinic's time zone (derived from state / coordinates)
+  const openingHours = normalizeWorkingHours(clinic.WorkingHours, {
+    timeZone: resolveClinicTimeZone({ state, latitude: clinic.Latitude, longitude: clinic.Longitude })
+  });
+  const { isOpenNow, nextOpenAt } = getOpenStatus(openingHours);
+
+  // Build base response with camelCase field names
+  return {
+    // Core clinic data (camelCase)
+    clinicId: clinic.ClinicID,
+    clinicName: clinic.ClinicName,
+    address,
+    phone: clinic.Phone,
+    website: clinic.Website,
+    latitude: clinic.Latitude,
+    longitude: clinic.Longitude,
+    locationId: clinic.LocationID,
+    placeId: clinic.PlaceID,
+    city,
+    state,
+    zipCode,
+    
+    // Google ratings (camelCase)
+    googleRating: clinic.GoogleRating || 0,
+    googleReviewCount: clinic.GoogleReviewCount || 0,
+    
+    // Convenience aliases
+    rating: clinic.GoogleRating || 0,
+    reviewCount: clinic.GoogleReviewCount || 0,
+    reviews: reviews,
+    lastRatingUpdate: clinic.LastRatingUpdate,
+    
+    // Rich Google Places data (camelCase)
+    photo: clinic.Photo,
+    logo: clinic.Logo,
+    streetView: clinic.StreetView,
+    description: clinic.Description,
+    workingHours: workingHours,
+    openingHours,
+    isOpenNow,
+    nextOpenAt,
+    about: about,
+    verified: clinic.Verified,
+    
+    // Social media links (camelCase)
+    facebook: clinic.Facebook,
+    instagram: clinic.Instagram,
+    linkedin: clinic.LinkedIn,
+    twitter: clinic.Twitter,
+    youtube: clinic.YouTube,
+    
+    // Google links (camelCase)
+    googleProfileLink: clinic.GoogleProfileLink,
+    reviewsLink: clinic.ReviewsLink,
+    bookingAppointmentLink: clinic.BookingAppointmentLink,
+    menuLink: clinic.MenuLink,
+    
+    // Business info (camelCase)
+    businessStatus: clinic.BusinessStatus,
+    category: normalizeCategory(clinic.Category),
+    subtypes: clinic.Subtypes,
+    businessName: clinic.BusinessName,
+    email: clinic.Email
+  };
+}
+
+/**
+ * Providers shown for a clinic ("Please Request Consult" placeholders excluded).
+ * @param {import('mssql').ConnectionPool} pool
+ * @param {number|string} clinicId
+ * @param {string} apiBaseUrl - Base for provider photo URLs
+ * @returns {Promise<Array<{ providerId: number, providerName: string, photoUrl: string|null, hasPhoto: boolean }>>}
+ */
+async function getClinicProviders(pool, clinicId, apiBaseUrl) {
+  const providersResult = await pool.request()
+    .input('clinicId', sql.Int, clinicId)
+    .query(`
+      SELECT DISTINCT
+        p.ProviderID,
+        p.ProviderName,
+        CASE WHEN p.PhotoData IS NOT NULL THEN 1 ELSE 0 END as HasPhotoData
+      FROM Providers p
+      WHERE p.ClinicID = @clinicId
+        AND p.ProviderName NOT LIKE '%Please Request Consult%'
+    `);
+
+  return providersResult.recordset.map(p => ({
+    providerId: p.ProviderID,
+    providerName: p.ProviderName,
+    photoUrl: p.HasPhotoData ? `${apiBaseUrl}/api/provider-photos/${p.ProviderID}` : null,
+    hasPhoto: !!p.HasPhotoData
+  }));
+}
+
+/**
+ * A clinic's procedures, one per name + category (the lowest ProcedureID wins when several
+ * providers list the same procedure), ordered by category then name.
+ * @param {import('mssql').ConnectionPool} pool
+ * @param {number|string} clinicId
+ * @returns {Promise<Array<{ procedureId: number, procedureName: string, price: number|null, averageCost: number|null, category: string, categoryId: number, priceUnit?: string }>>}
+ */
+async function getClinicProcedures(pool, clinicId) {
+  const proceduresHasPriceUnit = await proceduresTableHasPriceUnitColumn(pool);
+  const procPriceUnitInner = innerProcedurePriceUnitSelectSql(proceduresHasPriceUnit);
+
+  const proceduresResult = await pool.request()
+    .input('clinicId', sql.Int, clinicId)
+    .query(`
+      SELECT 
+        ProcedureID,
+        ProcedureName,
+        AverageCost,
+        Category,
+        CategoryID,
+        PriceUnit
+      FROM (
+        SELECT 
+          p.ProcedureID,
+          p.ProcedureName,
+          p.AverageCost,
+          ${procPriceUnitInner},
+          c.Category,
+          c.CategoryID,
+          ROW_NUMBER() OVER (PARTITION BY p.ProcedureName, c.Category ORDER BY p.ProcedureID) as RowNum
+        FROM Procedures p
+        JOIN Categories c ON p.CategoryID = c.CategoryID
+        WHERE p.ClinicID = @clinicId
+      ) AS RankedProcedures
+      WHERE RowNum = 1
+      ORDER BY Category, ProcedureName
+    `);
+
+  return proceduresResult.recordset.map(p => ({
+    procedureId: p.ProcedureID,
+    procedureName: p.ProcedureName,
+    price: p.AverageCost,
+    averageCost: p.AverageCost,
+    category: p.Category,
+    categoryId: p.CategoryID,
+    ...optionalPriceUnit(p.PriceUnit)
+  }));
+}
+
+/**
+ * A clinic's photos in display order, with backend proxy URLs in three sizes.
+ * @param {import('mssql').ConnectionPool} pool
+ * @param {number|string} clinicId
+ * @param {string} baseURL - Base for proxy URLs
+ * @param {{ limit?: number|null, primaryOnly?: boolean }} [opts]
+ * @returns {Promise<Array<{ photoId: number, url: string, urls: Object, width: number, height: number,
+ *   attribution: string|null, isPrimary: boolean, displayOrder: number, lastUpdated: Date|null }>>}
+ */
+async function getClinicPhotos(pool, clinicId, baseURL, { limit = null, primaryOnly = false } = {}) {
+  const request = pool.request();
+  request.input('clinicId', sql.Int, clinicId);
+
+  let query = `
+    SELECT ${limit ? 'TOP ' + limit : ''}
+      PhotoID,
+      PhotoReference,
+      PhotoURL,
+      Width,
+      Height,
+      AttributionText,
+      IsPrimary,
+      DisplayOrder,
+      LastUpdated
+    FROM ClinicPhotos
+    WHERE ClinicID = @clinicId
+  `;
+  if (primaryOnly) {
+    query += ' AND IsPrimary = 1';
+  }
+  query += ' ORDER BY DisplayOrder ASC';
+
+  const result = await request.query(query);
+
+  // Backend proxy URLs instead of direct Google Places API URLs
+  return result.recordset.map(photo => {
+    const photoId = photo.PhotoID;
+    return {
+      photoId,
+      url: `${baseURL}/api/photos/proxy/${photoId}?size=large`, // Full size (1600px)
+      urls: {
+        thumbnail: `${baseURL}/api/photos/proxy/${photoId}?size=thumbnail`,
+        medium: `${baseURL}/api/photos/proxy/${photoId}?size=medium`,
+        large: `${baseURL}/api/photos/proxy/${photoId}?size=large`
+      },
+      width: photo.Width,
+      height: photo.Height,
+      attribution: photo.AttributionText,
+      isPrimary: photo.IsPrimary,
+      displayOrder: photo.DisplayOrder,
+      lastUpdated: photo.LastUpdated
+    };
+  });
+}
+
+module.exports = {
+  getClinicDetail,
+  getClinicProviders,
+  getClinicProcedures,
+  getClinicPhotos
+};
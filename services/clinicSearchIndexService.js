@@ -0,0 +1,411 @@
+/**
+ * Clinic-centric search index: loads Clinics × Procedures into clinic objects
+ * and applies the location / procedure / clinicName filters used by
+ * GET /api/clinics/search-index.
+ */
+
+const { sql } = require('../db');
+const { calculateDistance, parseLocationInput, isLikelyGeographicLocationString } = require('../utils/locationUtils');
+const { normalizeCategory, parseCategoryParam } = require('../utils/categoryNormalizer');
+const {
+  proceduresTableHasPriceUnitColumn,
+  innerProcedurePriceUnitSelectSql,
+  optionalPriceUnit
+} = require('../utils/procedurePriceUnitColumn');
+const {
+  canonicalProcedureTablesExist,
+  canonicalProcedureJoinSql,
+  canonicalProcedureIdSelectSql
+} = require('../utils/canonicalProcedureTables');
+const { calculateRelevanceScore } = require('../utils/searchUtils');
+const { DEFAULT_SORT } = require('../utils/clinicSort');
+const { parsePriceFilters, filterByPrice } = require('../utils/procedurePricing');
+const {
+  DAY_NAMES,
+  resolveClinicTimeZone,
+  parseDayName,
+  normalizeWorkingHours,
+  filterByOpeningHours
+} = require('../utils/openingHours');
+const {
+  parseSearchCoordinate,
+  filterClinicsByLatLngRadius,
+  filterByLocation,
+  filterByProcedure,
+  bindClinicNameOrProcedureSearchSql,
+  bestClinicSearchRelevanceScore,
+  clinicMatchesClinicNameOrProcedureSearch
+} = require('../utils/clinicSearchFilters');
+
+/**
+ * Load clinics (with photos) and their procedures as clinic objects.
+ * Rows come back ordered by ClinicID, so the returned array has a stable base order.
+ *
+ * @param {import('mssql').ConnectionPool} pool
+ * @param {{ clinicName?: string, baseURL: string, clinicIds?: number[]|null }} opts
+ *   clinicIds limits the load to those clinics (e.g. the spatial index's hits in a map viewport)
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadSearchIndexClinics(pool, { clinicName, baseURL, clinicIds = null }) {
+  if (clinicIds && clinicIds.length === 0) return [];
+  const clinicIdsSql = clinicIds
+    ? "AND c.ClinicID IN (SELECT CAST(value AS INT) FROM STRING_SPLIT(@clinicIds, ','))"
+    : '';
+  const bindClinicIds = (request) => {
+    if (clinicIds) request.input('clinicIds', sql.NVarChar(sql.MAX), clinicIds.join(','));
+  };
+
+  const proceduresHasPriceUnit = await proceduresTableHasPriceUnitColumn(pool);
+  const procPriceUnitSql = innerProcedurePriceUnitSelectSql(proceduresHasPriceUnit);
+  const hasCanonicalTables = await canonicalProcedureTablesExist(pool);
+
+  // Build the SQL query with optional clinicName filtering
+  // Address: street only - prefer GooglePlacesData.Street when available
+  // City/State/Zip: prefer Clinics columns, then GooglePlacesData, then Locations
+  let query = `
+    SELECT
+      c.ClinicID,
+      c.ClinicName,
+      COALESCE(g.Street, c.Address) as Address,
+      COALESCE(c.City, g.City, l.City) as City,
+      COALESCE(c.State, g.State, l.State) as State,
+      COALESCE(c.PostalCode, g.PostalCode) as PostalCode,
+      c.Latitude,
+      c.Longitude,
+      c.GoogleRating,
+      c.GoogleReviewCount,
+      COALESCE(g.Category, 'Medical Spa') as ClinicCategory,
+      COALESCE(g.Photo, cp.PhotoURL) as PhotoURL,
+      g.WorkingHours,
+      p.ProcedureID,
+      p.ProcedureName,
+      p.AverageCost,
+      ${procPriceUnitSql},
+      ${canonicalProcedureIdSelectSql(hasCanonicalTables)},
+      cat.Category as ProcedureCategory
+    FROM Clinics c
+    LEFT JOIN Locations l ON c.LocationID = l.LocationID
+    LEFT JOIN GooglePlacesData g ON c.ClinicID = g.ClinicID
+    LEFT JOIN (
+      SELECT ClinicID, PhotoURL,
+        ROW_NUMBER() OVER (PARTITION BY ClinicID ORDER BY IsPrimary DESC, DisplayOrder ASC) as RowNum
+      FROM ClinicPhotos
+    ) cp ON c.ClinicID = cp.ClinicID AND cp.RowNum = 1
+    JOIN Procedures p ON p.ClinicID = c.ClinicID
+    JOIN Categories cat ON p.CategoryID = cat.CategoryID
+    ${canonicalProcedureJoinSql(hasCanonicalTables)}
+    WHERE NOT EXISTS (
+      SELECT 1
+      FROM DeletedClinics dc
+      WHERE dc.OriginalClinicID = c.ClinicID
+    )
+      AND (g.Photo IS NOT NULL OR cp.PhotoURL IS NOT NULL)
+      ${clinicIdsSql}
+  `;
+
+  const request = pool.request();
+  bindClinicIds(request);
+
+  // Add clinicName filtering: match clinic name OR procedure name (SQL pre-filter; JS refines)
+  if (clinicName && clinicName.trim()) {
+    const clinicNameSearch = clinicName.trim();
+    query += ` AND ${bindClinicNameOrProcedureSearchSql(request, clinicNameSearch)}`;
+  }
+
+  query += ` ORDER BY c.ClinicID, p.ProcedureName`;
+
+  const result = await request.query(query);
+
+  // Query to get gallery photos for all clinics (up to 5 photos per clinic)
+  // Filter by clinicName if provided for efficiency
+  let photosQuery = `
+    SELECT
+      ClinicID,
+      PhotoID,
+      DisplayOrder
+    FROM ClinicPhotos
+    WHERE ClinicID IN (
+      SELECT DISTINCT c.ClinicID
+      FROM Clinics c
+      WHERE NOT EXISTS (
+          SELECT 1
+          FROM DeletedClinics dc
+          WHERE dc.OriginalClinicID = c.ClinicID
+        )
+        ${clinicIdsSql}
+  `;
+
+  const photosRequest = pool.request();
+  bindClinicIds(photosRequest);
+  if (clinicName && clinicName.trim()) {
+    const clinicNameSearch = clinicName.trim();
+    // Must join Procedures so procedure-only matches get gallery photos
+    photosQuery = `
+    SELECT
+      ClinicID,
+      PhotoID,
+      DisplayOrder
+    FROM ClinicPhotos
+    WHERE ClinicID IN (
+      SELECT DISTINCT c.ClinicID
+      FROM Clinics c
+      JOIN Procedures p ON p.ClinicID = c.ClinicID
+      WHERE NOT EXISTS (
+        SELECT 1
+        FROM DeletedClinics dc
+        WHERE dc.OriginalClinicID = c.ClinicID
+      )
+      ${clinicIdsSql}
+      AND ${bindClinicNameOrProcedureSearchSql(photosRequest, clinicNameSearch)}
+    )
+    ORDER BY ClinicID, DisplayOrder ASC
+  `;
+  } else {
+    photosQuery += `
+    )
+    ORDER BY ClinicID, DisplayOrder ASC
+  `;
+  }
+
+  const photosResult = await photosRequest.query(photosQuery);
+
+  // Build a map of clinic gallery photos
+  const galleryPhotosMap = new Map();
+
+  photosResult.recordset.forEach(photo => {
+    if (!galleryPhotosMap.has(photo.ClinicID)) {
+      galleryPhotosMap.set(photo.ClinicID, []);
+    }
+    const photos = galleryPhotosMap.get(photo.ClinicID);
+    // Limit to 5 photos per clinic for efficiency
+    if (photos.length < 5) {
+      photos.push(`${baseURL}/api/photos/proxy/${photo.PhotoID}?size=thumbnail`);
+    }
+  });
+
+  // Transform the flat result set into a clinic-centric structure
+  const clinicsMap = new Map();
+
+  result.recordset.forEach(row => {
+    const clinicId = row.ClinicID;
+
+    // Initialize clinic object if it doesn't exist
+    if (!clinicsMap.has(clinicId)) {
+      clinicsMap.set(clinicId, {
+        clinicId: row.ClinicID,
+        clinicName: row.ClinicName,
+        address: row.Address,
+        city: row.City,
+        state: row.State,
+        zipCode: row.PostalCode || null,
+        latitude: row.Latitude || null,
+        longitude: row.Longitude || null,
+        rating: row.GoogleRating || 0,
+        reviewCount: row.GoogleReviewCount || 0,
+        clinicCategory: normalizeCategory(row.ClinicCategory),
+        photoURL: row.PhotoURL || null,
+        galleryPhotos: galleryPhotosMap.get(clinicId) || null,
+        openingHours: normalizeWorkingHours(row.WorkingHours, {
+          timeZone: resolveClinicTimeZone({ state: row.State, latitude: row.Latitude, longitude: row.Longitude })
+        }),
+        procedures: []
+      });
+    }
+
+    // Get the clinic object
+    const clinic = clinicsMap.get(clinicId);
+
+    // Deduplicate procedures by name AND category to avoid showing the same procedure multiple times
+    // This handles cases where multiple providers at the same clinic offer the same procedure
+    const procedureExists = clinic.procedures.some(
+      proc => proc.procedureName === row.ProcedureName && proc.category === row.ProcedureCategory
+    );
+
+    if (!procedureExists) {
+      clinic.procedures.push({
+        procedureId: row.ProcedureID,
+        procedureName: row.ProcedureName,
+        price: row.AverageCost || 0,
+        category: row.ProcedureCategory,
+        canonicalProcedureId: row.CanonicalProcedureID ?? null,
+        ...optionalPriceUnit(row.PriceUnit)
+      });
+    }
+  });
+
+  return Array.from(clinicsMap.values());
+}
+
+/**
+ * Sort clinics by their best procedure relevance for a term (higher first).
+ * Array#sort is stable, so ties keep the incoming (ClinicID) order.
+ * @param {Array} clinics
+ * @param {string} term
+ */
+function sortByProcedureRelevance(clinics, term) {
+  clinics.sort((a, b) => {
+    const bestMatchA = a.procedures
+      .map(proc => calculateRelevanceScore(proc.procedureName, term))
+      .reduce((max, score) => Math.max(max, score), 0);
+    const bestMatchB = b.procedures
+      .map(proc => calculateRelevanceScore(proc.procedureName, term))
+      .reduce((max, score) => Math.max(max, score), 0);
+    return bestMatchB - bestMatchA;
+  });
+}
+
+/**
+ * Apply clinicName, geo (lat/lng or location) and procedure filters in the same
+ * order and with the same relevance sorting the search-index endpoint has always used.
+ *
+ * @param {Array} allClinics - Output of loadSearchIndexClinics
+ * @param {{ location?: string, procedure?: string, radius?: string|number, clinicName?: string, category?: string, lat?: string|number, lng?: string|number, minPrice?: string|number, maxPrice?: string|number, priceUnit?: string, openNow?: string|boolean, openOn?: string }} params
+ * @returns {Promise<{
+ *   clinics: Array,
+ *   locationConvertedToProcedure: boolean,
+ *   convertedProcedureTerm: string|null,
+ *   geoCenterFromQuery: { lat: number, lng: number }|null,
+ *   geoCenter: { lat: number, lng: number }|null,
+ *   procedureTerm: string|null,
+ *   clinicCategory: string|null,
+ *   priceFilters: { minPrice: number|null, maxPrice: number|null, priceUnit: string|null },
+ *   hoursFilters: { openNow: boolean, openOn: number|null }
+ * }>} geoCenter is the query lat/lng or the center a city / ZIP radius search resolved to;
+ *   clinicCategory is the standardized category the `category` param resolved to
+ */
+async function applySearchFilters(allClinics, {
+  location, procedure, radius, clinicName, category, lat, lng, minPrice, maxPrice, priceUnit, openNow, openOn
+}) {
+  let clinics = allClinics.slice();
+
+  // Track if location parameter was converted to procedure search
+  let locationConvertedToProcedure = false;
+  let convertedProcedureTerm = null;
+  let geoCenterFromQuery = null;
+  // Receives the center resolved by city / ZIP radius searches (metro area, geocode, or clinic)
+  const locationContext = {};
+
+  // Apply clinicName filtering: clinic name OR any procedure (abbreviations via filterByProcedure)
+  if (clinicName && clinicName.trim()) {
+    const term = clinicName.trim();
+    clinics = clinics.filter((clinic) => clinicMatchesClinicNameOrProcedureSearch(clinic, term));
+
+    clinics.sort((a, b) => {
+      const scoreA = bestClinicSearchRelevanceScore(a, term);
+      const scoreB = bestClinicSearchRelevanceScore(b, term);
+      return scoreB - scoreA;
+    });
+  }
+
+  // Clinic category uses the same 5 standardized buckets as clinic.clinicCategory.
+  // Handlers reject invalid values with a 400 first (parseCategoryParam).
+  const parsedCategory = parseCategoryParam(category);
+  const clinicCategory = parsedCategory.ok ? parsedCategory.value : null;
+  if (clinicCategory) {
+    clinics = clinics.filter((clinic) => clinic.clinicCategory === clinicCategory);
+  }
+
+  const centerLat = parseSearchCoordinate(lat, -90, 90);
+  const centerLng = parseSearchCoordinate(lng, -180, 180);
+  if (centerLat !== null && centerLng !== null) {
+    clinics = filterClinicsByLatLngRadius(clinics, centerLat, centerLng, radius);
+    geoCenterFromQuery = { lat: centerLat, lng: centerLng };
+    clinics.sort((a, b) => {
+      const da = (a.latitude && a.longitude)
+        ? calculateDistance(centerLat, centerLng, a.latitude, a.longitude)
+        : null;
+      const db = (b.latitude && b.longitude)
+        ? calculateDistance(centerLat, centerLng, b.latitude, b.longitude)
+        : null;
+      const na = da ?? Infinity;
+      const nb = db ?? Infinity;
+      return na - nb;
+    });
+  } else if (location) {
+    // If this looks like a place (zip, state, "City, ST"), never reinterpret it as a procedure —
+    // e.g. "Chicago, IL" must not match procedures via the token "il".
+    const treatAsLocationOnly = isLikelyGeographicLocationString(location);
+    const locationInfo = parseLocationInput(location);
+
+    if (treatAsLocationOnly || locationInfo.type === 'zip' || locationInfo.type === 'state') {
+      clinics = await filterByLocation(clinics, location, radius, locationContext);
+    } else if (locationInfo.type === 'city' || !locationInfo.type || !locationInfo.value) {
+      const testFiltered = filterByProcedure(clinics, location);
+      if (testFiltered.length > 0) {
+        clinics = testFiltered;
+        locationConvertedToProcedure = true;
+        convertedProcedureTerm = location;
+        sortByProcedureRelevance(clinics, location);
+      } else {
+        clinics = await filterByLocation(clinics, location, radius, locationContext);
+      }
+    }
+  }
+
+  // Apply procedure filtering if provided
+  if (procedure && procedure.trim()) {
+    const procedureSearchTerm = procedure.trim();
+    clinics = filterByProcedure(clinics, procedureSearchTerm);
+
+    // Sort by procedure relevance if procedure filter is applied
+    sortByProcedureRelevance(clinics, procedureSearchTerm);
+  }
+
+  // Price range / unit apply to the procedures matching the search (all procedures without one)
+  const procedureTerm = (procedure && procedure.trim()) || convertedProcedureTerm || null;
+  const priceFilters = parsePriceFilters({ minPrice, maxPrice, priceUnit });
+  clinics = filterByPrice(clinics, priceFilters, procedureTerm);
+
+  // Opening hours are evaluated in each clinic's own time zone; unknown hours never match
+  const hoursFilters = { openNow: openNow === true || openNow === 'true', openOn: parseDayName(openOn) };
+  clinics = filterByOpeningHours(clinics, hoursFilters);
+
+  return {
+    clinics,
+    locationConvertedToProcedure,
+    convertedProcedureTerm,
+    geoCenterFromQuery,
+    geoCenter: geoCenterFromQuery || locationContext.center || null,
+    procedureTerm,
+    clinicCategory,
+    priceFilters,
+    hoursFilters
+  };
+}
+
+/**
+ * Filter metadata echoed in meta.filters.
+ * If location was converted to procedure search, reflect that in the response.
+ * @param {Object} query - Request query parameters
+ * @param {Awaited<ReturnType<typeof applySearchFilters>>} outcome
+ * @param {{ sort?: string }} [opts] - sort: the order actually applied (utils/clinicSort)
+ * @returns {Object}
+ */
+function buildResponseFilters(query, outcome, { sort = DEFAULT_SORT } = {}) {
+  const { location, procedure, radius, clinicName } = query;
+  const {
+    locationConvertedToProcedure, convertedProcedureTerm, geoCenterFromQuery, clinicCategory, priceFilters, hoursFilters
+  } = outcome;
+  return {
+    location: geoCenterFromQuery ? null : (locationConvertedToProcedure ? null : (location || null)),
+    procedure: locationConvertedToProcedure ? convertedProcedureTerm : (procedure || null),
+    radius: radius || null,
+    clinicName: clinicName || null,
+    category: clinicCategory || null,
+    minPrice: priceFilters ? priceFilters.minPrice : null,
+    maxPrice: priceFilters ? priceFilters.maxPrice : null,
+    priceUnit: priceFilters ? priceFilters.priceUnit : null,
+    openNow: hoursFilters ? hoursFilters.openNow : false,
+    openOn: hoursFilters && hoursFilters.openOn !== null ? DAY_NAMES[hoursFilters.openOn] : null,
+    latitude: geoCenterFromQuery ? geoCenterFromQuery.lat : null,
+    longitude: geoCenterFromQuery ? geoCenterFromQuery.lng : null,
+    sort
+  };
+}
+
+module.exports = {
+  loadSearchIndexClinics,
+  applySearchFilters,
+  buildResponseFilters,
+  sortByProcedureRelevance
+};
@@ -0,0 +1,109 @@
+/**
+ * Shared spatial index of clinic coordinates (Clinics.Latitude / Longitude) for every
+ * location-aware endpoint. Rebuilt when clinics are created, updated, merged, deleted or
+ * restored (utils/clinicEvents), and periodically to pick up changes made outside this process.
+ */
+
+const { db } = require('../db');
+const { createSpatialIndex } = require('../utils/spatialIndex');
+const { onClinicChange, CLINIC_CHANGE_TYPES } = require('../utils/clinicEvents');
+
+const REFRESH_INTERVAL_MS = 15 * 60 * 1000;
+
+let currentIndex = null;
+let loadedAt = null;
+let refreshPromise = null;
+let refreshQueued = false;
+let refreshTimer = null;
+
+async function loadClinicPoints() {
+  const pool = await db.getConnection();
+  if (!pool) throw new Error('Could not establish database connection');
+  const result = await pool.request().query(`
+    SELECT ClinicID, Latitude, Longitude
+    FROM Clinics
+    WHERE Latitude IS NOT NULL AND Longitude IS NOT NULL
+  `);
+  return result.recordset.map(row => ({
+    id: row.ClinicID,
+    lat: Number(row.Latitude),
+    lng: Number(row.Longitude)
+  }));
+}
+
+/**
+ * Rebuild the index. Concurrent calls share one load; a call made while a load is running
+ * queues exactly one more load so changes committed mid-load aren't missed.
+ * @returns {Promise<Object>} The new index
+ */
+async function refreshClinicSpatialIndex() {
+  if (refreshPromise) {
+    refreshQueued = true;
+    return refreshPromise;
+  }
+  refreshPromise = loadClinicPoints()
+    .then(points => {
+      currentIndex = createSpatialIndex(points);
+      loadedAt = new Date();
+      return currentIndex;
+    })
+    .finally(() => {
+      refreshPromise = null;
+      if (refreshQueued) {
+        refreshQueued = false;
+        refreshClinicSpatialIndex().catch(error => {
+          console.error('Clinic spatial index refresh failed:', error.message);
+        });
+      }
+    });
+  return refreshPromise;
+}
+
+/**
+ * The index, loading it first if needed.
+ * @returns {Promise<ReturnType<typeof createSpatialIndex>>}
+ */
+async function getClinicSpatialIndex() {
+  return currentIndex || refreshClinicSpatialIndex();
+}
+
+/**
+ * The index if it has been loaded, otherwise null (callers fall back to a linear scan).
+ * Never triggers a load, so it is safe in synchronous filter code and in tests.
+ * @returns {ReturnType<typeof createSpatialIndex>|null}
+ */
+function getLoadedClinicSpatialIndex() {
+  return currentIndex;
+}
+
+/** @returns {{ size: number, loadedAt: Date|null }} */
+function getClinicSpatialIndexStatus() {
+  return { size: currentIndex ? currentIndex.size : 0, loadedAt };
+}
+
+/**
+ * Load the index at startup, rebuild on clinic changes and on an interval.
+ */
+function initClinicSpatialIndex() {
+  const refresh = () => refreshClinicSpatialIndex().catch(error => {
+    console.error('Clinic spatial index refresh failed:', error.message);
+  });
+
+  refresh();
+  // Refresh jobs only touch ratings and photos, never coordinates
+  onClinicChange(({ type }) => {
+    if (type !== CLINIC_CHANGE_TYPES.REFRESHED) refresh();
+  });
+  if (!refreshTimer) {
+    refreshTimer = setInterval(refresh, REFRESH_INTERVAL_MS);
+    refreshTimer.unref();
+  }
+}
+
+module.exports = {
+  getClinicSpatialIndex,
+  getLoadedClinicSpatialIndex,
+  getClinicSpatialIndexStatus,
+  refreshClinicSpatialIndex,
+  initClinicSpatialIndex
+};
@@ -0,0 +1,434 @@
+/**
+ * Metro area definitions (MSSQL) and the in-memory set city search reads from,
+ * kept in sync by services/searchSettingSync.
+ */
+
+const { db, sql } = require('../db');
+const { setMetroAreas, calculateDistance } = require('../utils/locationUtils');
+const { filterByCity } = require('../utils/clinicSearchFilters');
+const { getSuggestIndex } = require('./searchSuggestService');
+const { createSearchSettingSync } = require('./searchSettingSync');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_CITIES = 50;
+const MIN_RADIUS_MILES = 1;
+const MAX_RADIUS_MILES = 100;
+
+class MetroAreaConflictError extends Error {
+  constructor(name) {
+    super(`A metro area named "${name}" already exists`);
+    this.name = 'MetroAreaConflictError';
+    this.metroName = name;
+    this.statusCode = 409;
+  }
+}
+
+async function getPool() {
+  const pool = await db.getConnection();
+  if (!pool) throw new Error('Could not establish database connection');
+  return pool;
+}
+
+function normalizePlaceName(value) {
+  return String(value || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+function mapMetroRows(metroRows, cityRows) {
+  const citiesByMetro = new Map();
+  cityRows.forEach(r => {
+    if (!citiesByMetro.has(r.MetroAreaID)) citiesByMetro.set(r.MetroAreaID, []);
+    citiesByMetro.get(r.MetroAreaID).push(r.City);
+  });
+  return metroRows.map(r => ({
+    id: r.MetroAreaID,
+    name: r.Name,
+    lat: Number(r.CenterLatitude),
+    lng: Number(r.CenterLongitude),
+    radius: Number(r.RadiusMiles),
+    cities: (citiesByMetro.get(r.MetroAreaID) || []).sort(),
+    isActive: !!r.IsActive,
+    createdAt: r.CreatedAt,
+    updatedAt: r.UpdatedAt
+  }));
+}
+
+function numberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate a create / update / preview payload (shape only; see findCitiesWithoutClinics).
+ * @param {{ name?: string, lat?: number, lng?: number, radius?: number, cities?: string[], isActive?: boolean }} body
+ * @returns {{ ok: true, value: { name: string, lat: number, lng: number, radius: number, cities: string[], isActive: boolean } } | { ok: false, errors: Array<{ field: string, message: string }> }}
+ */
+function validateMetroAreaInput(body) {
+  const errors = [];
+  const input = body || {};
+
+  const name = normalizePlaceName(input.name);
+  if (!name) {
+    errors.push({ field: 'name', message: 'name is required' });
+  } else if (name.length > MAX_NAME_LENGTH) {
+    errors.push({ field: 'name', message: `name must be at most ${MAX_NAME_LENGTH} characters` });
+  }
+
+  if (!numberInRange(input.lat, -90, 90)) {
+    errors.push({ field: 'lat', message: 'lat must be a number between -90 and 90' });
+  }
+  if (!numberInRange(input.lng, -180, 180)) {
+    errors.push({ field: 'lng', message: 'lng must be a number between -180 and 180' });
+  }
+  if (!numberInRange(input.radius, MIN_RADIUS_MILES, MAX_RADIUS_MILES)) {
+    errors.push({ field: 'radius', message: `radius must be between ${MIN_RADIUS_MILES} and ${MAX_RADIUS_MILES} miles` });
+  }
+
+  let cities = [];
+  if (!Array.isArray(input.cities) || input.cities.length === 0) {
+    errors.push({ field: 'cities', message: 'cities must be a non-empty array of strings' });
+  } else if (input.cities.some(city => typeof city !== 'string')) {
+    errors.push({ field: 'cities', message: 'cities must only contain strings' });
+  } else {
+    cities = Array.from(new Set(input.cities.map(normalizePlaceName))).filter(Boolean);
+    if (cities.length === 0) {
+      errors.push({ field: 'cities', message: 'cities must include at least one city' });
+    } else if (cities.length > MAX_CITIES) {
+      errors.push({ field: 'cities', message: `cities must have at most ${MAX_CITIES} entries` });
+    } else if (cities.some(city => city.length > MAX_NAME_LENGTH)) {
+      errors.push({ field: 'cities', message: `each city must be at most ${MAX_NAME_LENGTH} characters` });
+    }
+  }
+
+  if (input.isActive !== undefined && typeof input.isActive !== 'boolean') {
+    errors.push({ field: 'isActive', message: 'isActive must be a boolean' });
+  }
+
+  if (errors.length) return { ok: false, errors };
+  return {
+    ok: true,
+    value: { name, lat: input.lat, lng: input.lng, radius: input.radius, cities, isActive: input.isActive !== false }
+  };
+}
+
+/**
+ * Member cities with no (non-deleted) clinic, by city name in any state.
+ * @param {string[]} cities - Normalized
+ * @returns {Promise<string[]>}
+ */
+async function findCitiesWithoutClinics(cities) {
+  const index = await getSuggestIndex();
+  const known = new Set(index.cities.map(entry => normalizePlaceName(entry.city)));
+  return cities.filter(city => !known.has(city));
+}
+
+function unknownCityErrors(cities) {
+  return cities.map(city => ({ field: 'cities', message: `"${city}" has no clinics` }));
+}
+
+async function listMetroAreas() {
+  const pool = await getPool();
+  const metros = await pool.request().query(`
+    SELECT MetroAreaID, Name, CenterLatitude, CenterLongitude, RadiusMiles, IsActive, CreatedAt, UpdatedAt
+    FROM MetroAreas
+    ORDER BY Name
+  `);
+  const cities = await pool.request().query('SELECT MetroAreaID, City FROM MetroAreaCities');
+  return mapMetroRows(metros.recordset, cities.recordset);
+}
+
+async function getMetroAreaById(id) {
+  const pool = await getPool();
+  const metros = await pool
+    .request()
+    .input('id', sql.Int, id)
+    .query(`
+      SELECT MetroAreaID, Name, CenterLatitude, CenterLongitude, RadiusMiles, IsActive, CreatedAt, UpdatedAt
+      FROM MetroAreas
+      WHERE MetroAreaID = @id
+    `);
+  if (!metros.recordset[0]) return null;
+  const cities = await pool
+    .request()
+    .input('id', sql.Int, id)
+    .query('SELECT MetroAreaID, City FROM MetroAreaCities WHERE MetroAreaID = @id');
+  return mapMetroRows(metros.recordset, cities.recordset)[0];
+}
+
+/**
+ * Throws MetroAreaConflictError when another metro area already has the name.
+ */
+async function assertNameAvailable(request, name, excludeId = null) {
+  const result = await request
+    .input('name', sql.NVarChar(MAX_NAME_LENGTH), name)
+    .input('excludeId', sql.Int, excludeId)
+    .query(`
+      SELECT 1 AS Taken
+      FROM MetroAreas
+      WHERE Name = @name AND (@excludeId IS NULL OR MetroAreaID <> @excludeId)
+    `);
+  if (result.recordset.length) {
+    throw new MetroAreaConflictError(name);
+  }
+}
+
+async function insertCities(transaction, metroAreaId, cities) {
+  for (const city of cities) {
+    await new sql.Request(transaction)
+      .input('metroAreaId', sql.Int, metroAreaId)
+      .input('city', sql.NVarChar(MAX_NAME_LENGTH), city)
+      .query('INSERT INTO MetroAreaCities (MetroAreaID, City) VALUES (@metroAreaId, @city)');
+  }
+}
+
+/**
+ * Shape validation plus the member-city check.
+ * @returns {Promise<ReturnType<typeof validateMetroAreaInput>>}
+ */
+async function validateForSave(body) {
+  const validation = validateMetroAreaInput(body);
+  if (!validation.ok) return validation;
+  const unknownCities = await findCitiesWithoutClinics(validation.value.cities);
+  if (unknownCities.length) return { ok: false, errors: unknownCityErrors(unknownCities) };
+  return validation;
+}
+
+/**
+ * @param {Object} body - { name, lat, lng, radius, cities[], isActive? }
+ * @param {number|null} adminUserId
+ * @returns {Promise<{ ok: true, id: number } | { ok: false, errors: Array }>}
+ * @throws {MetroAreaConflictError}
+ */
+async function createMetroArea(body, adminUserId = null) {
+  const validation = await validateForSave(body);
+  if (!validation.ok) return validation;
+  const { name, lat, lng, radius, cities, isActive } = validation.value;
+
+  const pool = await getPool();
+  await assertNameAvailable(pool.request(), name);
+
+  const transaction = new sql.Transaction(pool);
+  let id;
+  try {
+    await transaction.begin();
+    const insert = await new sql.Request(transaction)
+      .input('name', sql.NVarChar(MAX_NAME_LENGTH), name)
+      .input('lat', sql.Decimal(9, 6), lat)
+      .input('lng', sql.Decimal(9, 6), lng)
+      .input('radius', sql.Decimal(5, 1), radius)
+      .input('isActive', sql.Bit, isActive ? 1 : 0)
+      .input('adminUserId', sql.Int, adminUserId)
+      .query(`
+        INSERT INTO MetroAreas (Name, CenterLatitude, CenterLongitude, RadiusMiles, IsActive, CreatedByAdminUserId)
+        OUTPUT INSERTED.MetroAreaID
+        VALUES (@name, @lat, @lng, @radius, @isActive, @adminUserId)
+      `);
+    id = insert.recordset[0].MetroAreaID;
+    await insertCities(transaction, id, cities);
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  await reloadMetroAreas();
+  return { ok: true, id };
+}
+
+/**
+ * Replace a metro area's name, center, radius, member cities and active flag.
+ * @returns {Promise<{ ok: true } | { ok: false, notFound?: true, errors?: Array }>}
+ * @throws {MetroAreaConflictError}
+ */
+async function updateMetroArea(id, body) {
+  const existing = await getMetroAreaById(id);
+  if (!existing) return { ok: false, notFound: true };
+
+  const validation = await validateForSave({
+    ...body,
+    isActive: body && body.isActive !== undefined ? body.isActive : existing.isActive
+  });
+  if (!validation.ok) return validation;
+  const { name, lat, lng, radius, cities, isActive } = validation.value;
+
+  const pool = await getPool();
+  await assertNameAvailable(pool.request(), name, id);
+
+  const transaction = new sql.Transaction(pool);
+  try {
+    await transaction.begin();
+    await new sql.Request(transaction)
+      .input('id', sql.Int, id)
+      .input('name', sql.NVarChar(MAX_NAME_LENGTH), name)
+      .input('lat', sql.Decimal(9, 6), lat)
+      .input('lng', sql.Decimal(9, 6), lng)
+      .input('radius', sql.Decimal(5, 1), radius)
+      .input('isActive', sql.Bit, isActive ? 1 : 0)
+      .query(`
+        UPDATE MetroAreas SET
+          Name = @name,
+          CenterLatitude = @lat,
+          CenterLongitude = @lng,
+          RadiusMiles = @radius,
+          IsActive = @isActive,
+          UpdatedAt = SYSUTCDATETIME()
+        WHERE MetroAreaID = @id
+      `);
+    await new sql.Request(transaction)
+      .input('id', sql.Int, id)
+      .query('DELETE FROM MetroAreaCities WHERE MetroAreaID = @id');
+    await insertCities(transaction, id, cities);
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  await reloadMetroAreas();
+  return { ok: true };
+}
+
+async function deleteMetroArea(id) {
+  const pool = await getPool();
+  const result = await pool.request().input('id', sql.Int, id).query(`
+    DELETE FROM MetroAreas WHERE MetroAreaID = @id
+  `);
+  const deleted = result.rowsAffected[0] > 0;
+  if (deleted) await reloadMetroAreas();
+  return deleted;
+}
+
+async function loadPreviewClinics() {
+  const pool = await getPool();
+  const result = await pool.request().query(`
+    SELECT
+      c.ClinicID,
+      c.ClinicName,
+      COALESCE(c.City, g.City, l.City) AS City,
+      COALESCE(c.State, g.State, l.State) AS State,
+      c.Latitude,
+      c.Longitude
+    FROM Clinics c
+    LEFT JOIN GooglePlacesData g ON c.ClinicID = g.ClinicID
+    LEFT JOIN Locations l ON c.LocationID = l.LocationID
+    WHERE NOT EXISTS (
+      SELECT 1
+      FROM DeletedClinics dc
+      WHERE dc.OriginalClinicID = c.ClinicID
+    )
+    ORDER BY c.ClinicID
+  `);
+  return result.recordset.map(row => ({
+    clinicId: row.ClinicID,
+    clinicName: row.ClinicName,
+    city: row.City,
+    state: row.State,
+    latitude: row.Latitude != null ? Number(row.Latitude) : null,
+    longitude: row.Longitude != null ? Number(row.Longitude) : null
+  }));
+}
+
+/**
+ * Clinics a city search for the metro name would return with this (unsaved) definition.
+ * Cities without clinics are reported rather than rejected so admins can fix them.
+ *
+ * @param {Object} body - Same payload as create
+ * @returns {Promise<{ ok: true, value: { definition: Object, total: number, byCity: Array<{ city: string, state: string|null, clinicCount: number }>,
+ *   clinics: Array<{ clinicId: number, clinicName: string, city: string|null, state: string|null, distanceMiles: number|null, matchedBy: 'city'|'radius' }>,
+ *   citiesWithoutClinics: string[] } } | { ok: false, errors: Array }>}
+ */
+async function previewMetroArea(body) {
+  const validation = validateMetroAreaInput(body);
+  if (!validation.ok) return validation;
+  const definition = validation.value;
+
+  const [clinics, citiesWithoutClinics] = await Promise.all([
+    loadPreviewClinics(),
+    findCitiesWithoutClinics(definition.cities)
+  ]);
+  const captured = await filterByCity(clinics, definition.name, null, { metroArea: definition });
+
+  const memberCities = new Set([definition.name, ...definition.cities]);
+  const byCity = new Map();
+  const previewClinics = captured.map(clinic => {
+    const city = clinic.city ? clinic.city.trim() : null;
+    const state = clinic.state ? clinic.state.trim().toUpperCase() : null;
+    const key = `${normalizePlaceName(city)}|${state || ''}`;
+    if (!byCity.has(key)) byCity.set(key, { city, state, clinicCount: 0 });
+    byCity.get(key).clinicCount++;
+
+    const hasCoordinates = clinic.latitude != null && clinic.longitude != null;
+    return {
+      clinicId: clinic.clinicId,
+      clinicName: clinic.clinicName,
+      city,
+      state,
+      distanceMiles: hasCoordinates
+        ? Math.round(calculateDistance(definition.lat, definition.lng, clinic.latitude, clinic.longitude) * 10) / 10
+        : null,
+      matchedBy: memberCities.has(normalizePlaceName(city)) ? 'city' : 'radius'
+    };
+  });
+
+  return {
+    ok: true,
+    value: {
+      definition,
+      total: previewClinics.length,
+      byCity: Array.from(byCity.values()).sort((a, b) => b.clinicCount - a.clinicCount),
+      clinics: previewClinics,
+      citiesWithoutClinics
+    }
+  };
+}
+
+const metroAreaSync = createSearchSettingSync({
+  name: 'metro areas',
+  load: async (pool) => {
+    // Seed order is kept so a city in two areas resolves the same way it did when hardcoded
+    const metros = await pool.request().query(`
+      SELECT MetroAreaID, Name, CenterLatitude, CenterLongitude, RadiusMiles, IsActive, CreatedAt, UpdatedAt
+      FROM MetroAreas
+      WHERE IsActive = 1
+      ORDER BY MetroAreaID
+    `);
+    const cities = await pool.request().query(`
+      SELECT mc.MetroAreaID, mc.City
+      FROM MetroAreaCities mc
+      JOIN MetroAreas m ON m.MetroAreaID = mc.MetroAreaID
+      WHERE m.IsActive = 1
+    `);
+    const metroAreas = {};
+    mapMetroRows(metros.recordset, cities.recordset).forEach(({ name, lat, lng, radius, cities: memberCities }) => {
+      metroAreas[name] = { lat, lng, radius, cities: memberCities };
+    });
+    return metroAreas;
+  },
+  apply: setMetroAreas
+});
+
+/**
+ * Load active metro areas into city search.
+ * @returns {Promise<boolean>} Whether the set was replaced
+ */
+function reloadMetroAreas() {
+  return metroAreaSync.reload();
+}
+
+/**
+ * Load metro areas now and keep them fresh.
+ */
+function initMetroAreaSync() {
+  metroAreaSync.init();
+}
+
+module.exports = {
+  MetroAreaConflictError,
+  validateMetroAreaInput,
+  listMetroAreas,
+  getMetroAreaById,
+  createMetroArea,
+  updateMetroArea,
+  deleteMetroArea,
+  previewMetroArea,
+  reloadMetroAreas,
+  initMetroAreaSync
+};
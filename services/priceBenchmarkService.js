@@ -0,0 +1,129 @@
+/**
+ * Regional price benchmarks (GET /api/procedures/benchmarks).
+ *
+ * Reads every non-deleted clinic with its priced procedures (AverageCost > 0) from an in-memory
+ * snapshot (utils/clinicSnapshot) that is rebuilt in the background once older than
+ * BENCHMARK_DATA_TTL_MS or after clinics change, so requests never wait on SQL after warm-up.
+ */
+
+const { db } = require('../db');
+const {
+  proceduresTableHasPriceUnitColumn,
+  innerProcedurePriceUnitSelectSql
+} = require('../utils/procedurePriceUnitColumn');
+const { filterByLocation } = require('../utils/clinicSearchFilters');
+const { parseLocationInput, stateMatches } = require('../utils/locationUtils');
+const { selectBenchmarkGeography, dominantState } = require('../utils/priceBenchmarks');
+const { createClinicSnapshot } = require('../utils/clinicSnapshot');
+
+const BENCHMARK_DATA_TTL_MS = 30 * 60 * 1000;
+
+async function loadBenchmarkClinics() {
+  const pool = await db.getConnection();
+  if (!pool) throw new Error('Could not establish database connection');
+  const hasPriceUnit = await proceduresTableHasPriceUnitColumn(pool);
+
+  // Clinics without priced procedures are kept: they still place a city / ZIP on the map
+  const result = await pool.request().query(`
+    SELECT
+      c.ClinicID,
+      COALESCE(c.City, g.City, l.City) AS City,
+      COALESCE(c.State, g.State, l.State) AS State,
+      COALESCE(c.PostalCode, g.PostalCode) AS PostalCode,
+      c.Latitude,
+      c.Longitude,
+      p.ProcedureName,
+      p.AverageCost,
+      ${innerProcedurePriceUnitSelectSql(hasPriceUnit)}
+    FROM Clinics c
+    LEFT JOIN Locations l ON c.LocationID = l.LocationID
+    LEFT JOIN GooglePlacesData g ON c.ClinicID = g.ClinicID
+    LEFT JOIN Procedures p ON p.ClinicID = c.ClinicID AND p.AverageCost > 0
+    WHERE NOT EXISTS (
+      SELECT 1
+      FROM DeletedClinics dc
+      WHERE dc.OriginalClinicID = c.ClinicID
+    )
+    ORDER BY c.ClinicID
+  `);
+
+  const clinicsMap = new Map();
+  result.recordset.forEach(row => {
+    if (!clinicsMap.has(row.ClinicID)) {
+      clinicsMap.set(row.ClinicID, {
+        clinicId: row.ClinicID,
+        city: row.City,
+        state: row.State,
+        zipCode: row.PostalCode,
+        latitude: row.Latitude != null ? Number(row.Latitude) : null,
+        longitude: row.Longitude != null ? Number(row.Longitude) : null,
+        procedures: []
+      });
+    }
+    if (row.ProcedureName) {
+      clinicsMap.get(row.ClinicID).procedures.push({
+        procedureName: row.ProcedureName,
+        price: row.AverageCost,
+        priceUnit: row.PriceUnit
+      });
+    }
+  });
+  return Array.from(clinicsMap.values());
+}
+
+const benchmarkClinics = createClinicSnapshot({
+  name: 'Price benchmark data',
+  ttlMs: BENCHMARK_DATA_TTL_MS,
+  load: loadBenchmarkClinics
+});
+
+/**
+ * Rebuild the snapshot now.
+ * @returns {Promise<Array>}
+ */
+function refreshBenchmarkClinics() {
+  return benchmarkClinics.refresh();
+}
+
+/**
+ * Geographies to try, narrowest first. A state search starts at state level; a city or ZIP
+ * search widens to the state given in the input ("Austin, TX") or the one most of its clinics are in.
+ */
+async function buildGeographies(clinics, location, radius) {
+  const geographies = [];
+  const parsed = parseLocationInput(location);
+
+  let state = null;
+  if (parsed.type === 'state') {
+    state = parsed.value;
+  } else if (parsed.type) {
+    const localClinics = await filterByLocation(clinics, location, radius);
+    geographies.push({ level: 'local', region: location.trim(), clinics: localClinics });
+    state = parsed.stateAbbr || dominantState(localClinics);
+  }
+
+  if (state) {
+    geographies.push({
+      level: 'state',
+      region: state,
+      clinics: clinics.filter(clinic => stateMatches(clinic.state, state))
+    });
+  }
+  geographies.push({ level: 'national', region: 'US', clinics });
+  return geographies;
+}
+
+/**
+ * @param {{ procedure: string, location?: string, radius?: number|null }} query
+ * @returns {Promise<ReturnType<typeof selectBenchmarkGeography>>}
+ */
+async function getProcedureBenchmarks({ procedure, location, radius = null }) {
+  const clinics = await benchmarkClinics.get();
+  const geographies = await buildGeographies(clinics, location, radius);
+  return selectBenchmarkGeography(geographies, procedure);
+}
+
+module.exports = {
+  refreshBenchmarkClinics,
+  getProcedureBenchmarks
+};
@@ -0,0 +1,47 @@
+/**
+ * Clinic snapshot behind the procedure landing pages (routes/procedureSeoRoutes).
+ *
+ * Crawlers walk many landing pages in a row, so the search-index clinics are loaded once and
+ * shared until the snapshot is LANDING_CLINICS_TTL_MS old or clinics change (utils/clinicSnapshot).
+ * The TTL also picks up canonical procedure mappings and edits made outside this process.
+ */
+
+const { db } = require('../db');
+const { loadSearchIndexClinics } = require('./clinicSearchIndexService');
+const { createClinicSnapshot } = require('../utils/clinicSnapshot');
+
+const LANDING_CLINICS_TTL_MS = 10 * 60 * 1000;
+
+// Not served stale: after a clinic change the next page waits, so deleted clinics drop out at once
+const landingClinics = createClinicSnapshot({
+  name: 'Landing page clinics',
+  ttlMs: LANDING_CLINICS_TTL_MS,
+  serveStale: false,
+  load: async () => {
+    const pool = await db.getConnection();
+    if (!pool) throw new Error('Could not establish database connection');
+    // Landing pages render photoURL only, so gallery URLs don't need the request's host
+    return loadSearchIndexClinics(pool, { baseURL: '' });
+  }
+});
+
+/**
+ * Search-index clinics for the landing pages. Treat as read-only: the array is shared.
+ * @returns {Promise<Array<Object>>}
+ */
+function getLandingClinics() {
+  return landingClinics.get();
+}
+
+/**
+ * Reload the snapshot now.
+ * @returns {Promise<Array<Object>>}
+ */
+function refreshLandingClinics() {
+  return landingClinics.refresh();
+}
+
+module.exports = {
+  getLandingClinics,
+  refreshLandingClinics
+};
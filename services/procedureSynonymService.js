@@ -0,0 +1,293 @@
+/**
+ * Procedure synonym groups (MSSQL) and the in-memory dictionary search reads from,
+ * kept in sync by services/searchSettingSync.
+ */
+
+const { db, sql } = require('../db');
+const {
+  normalizeSynonymTerm,
+  setProcedureSynonymGroups
+} = require('../utils/procedureSynonyms');
+const { createSearchSettingSync } = require('./searchSettingSync');
+
+const MAX_TERM_LENGTH = 200;
+
+class ProcedureSynonymConflictError extends Error {
+  constructor(terms) {
+    super(`Synonym terms already belong to another group: ${terms.join(', ')}`);
+    this.name = 'ProcedureSynonymConflictError';
+    this.terms = terms;
+    this.statusCode = 409;
+  }
+}
+
+async function getPool() {
+  const pool = await db.getConnection();
+  if (!pool) throw new Error('Could not establish database connection');
+  return pool;
+}
+
+function mapGroupRows(groupRows, termRows) {
+  const termsByGroup = new Map();
+  termRows.forEach(r => {
+    if (!termsByGroup.has(r.SynonymGroupID)) termsByGroup.set(r.SynonymGroupID, []);
+    termsByGroup.get(r.SynonymGroupID).push(r.Term);
+  });
+  return groupRows.map(r => ({
+    id: r.SynonymGroupID,
+    canonicalTerm: r.CanonicalTerm,
+    synonyms: (termsByGroup.get(r.SynonymGroupID) || []).sort(),
+    isActive: !!r.IsActive,
+    createdAt: r.CreatedAt,
+    updatedAt: r.UpdatedAt
+  }));
+}
+
+/**
+ * Validate a create / update payload.
+ * @param {{ canonicalTerm?: string, synonyms?: string[], isActive?: boolean }} body
+ * @returns {{ ok: true, value: { canonicalTerm: string, synonyms: string[], isActive: boolean } } | { ok: false, errors: Array<{ field: string, message: string }> }}
+ */
+function validateSynonymGroupInput(body) {
+  const errors = [];
+  const input = body || {};
+
+  const canonicalTerm = normalizeSynonymTerm(input.canonicalTerm);
+  if (!canonicalTerm) {
+    errors.push({ field: 'canonicalTerm', message: 'canonicalTerm is required' });
+  } else if (canonicalTerm.length > MAX_TERM_LENGTH) {
+    errors.push({ field: 'canonicalTerm', message: `canonicalTerm must be at most ${MAX_TERM_LENGTH} characters` });
+  }
+
+  let synonyms = [];
+  if (!Array.isArray(input.synonyms) || input.synonyms.length === 0) {
+    errors.push({ field: 'synonyms', message: 'synonyms must be a non-empty array of strings' });
+  } else if (input.synonyms.some(term => typeof term !== 'string')) {
+    errors.push({ field: 'synonyms', message: 'synonyms must only contain strings' });
+  } else {
+    synonyms = Array.from(new Set(input.synonyms.map(normalizeSynonymTerm)))
+      .filter(term => term && term !== canonicalTerm);
+    if (synonyms.length === 0) {
+      errors.push({ field: 'synonyms', message: 'synonyms must include at least one term other than canonicalTerm' });
+    } else if (synonyms.some(term => term.length > MAX_TERM_LENGTH)) {
+      errors.push({ field: 'synonyms', message: `each synonym must be at most ${MAX_TERM_LENGTH} characters` });
+    }
+  }
+
+  if (input.isActive !== undefined && typeof input.isActive !== 'boolean') {
+    errors.push({ field: 'isActive', message: 'isActive must be a boolean' });
+  }
+
+  if (errors.length) return { ok: false, errors };
+  return {
+    ok: true,
+    value: { canonicalTerm, synonyms, isActive: input.isActive !== false }
+  };
+}
+
+async function listGroups() {
+  const pool = await getPool();
+  const groups = await pool.request().query(`
+    SELECT SynonymGroupID, CanonicalTerm, IsActive, CreatedAt, UpdatedAt
+    FROM ProcedureSynonymGroups
+    ORDER BY CanonicalTerm
+  `);
+  const terms = await pool.request().query('SELECT SynonymGroupID, Term FROM ProcedureSynonyms');
+  return mapGroupRows(groups.recordset, terms.recordset);
+}
+
+async function getGroupById(id) {
+  const pool = await getPool();
+  const groups = await pool
+    .request()
+    .input('id', sql.Int, id)
+    .query(`
+      SELECT SynonymGroupID, CanonicalTerm, IsActive, CreatedAt, UpdatedAt
+      FROM ProcedureSynonymGroups
+      WHERE SynonymGroupID = @id
+    `);
+  if (!groups.recordset[0]) return null;
+  const terms = await pool
+    .request()
+    .input('id', sql.Int, id)
+    .query('SELECT SynonymGroupID, Term FROM ProcedureSynonyms WHERE SynonymGroupID = @id');
+  return mapGroupRows(groups.recordset, terms.recordset)[0];
+}
+
+/**
+ * Throws ProcedureSynonymConflictError when any term is already a canonical term or
+ * synonym of a different group (a term may only expand one way).
+ */
+async function assertTermsAvailable(request, terms, excludeGroupId = null) {
+  const placeholders = terms.map((term, i) => {
+    request.input(`term${i}`, sql.NVarChar(MAX_TERM_LENGTH), term);
+    return `@term${i}`;
+  });
+  request.input('excludeGroupId', sql.Int, excludeGroupId);
+
+  const result = await request.query(`
+    SELECT LOWER(CanonicalTerm) AS Term
+    FROM ProcedureSynonymGroups
+    WHERE LOWER(CanonicalTerm) IN (${placeholders.join(', ')})
+      AND (@excludeGroupId IS NULL OR SynonymGroupID <> @excludeGroupId)
+    UNION
+    SELECT LOWER(Term) AS Term
+    FROM ProcedureSynonyms
+    WHERE LOWER(Term) IN (${placeholders.join(', ')})
+      AND (@excludeGroupId IS NULL OR SynonymGroupID <> @excludeGroupId)
+  `);
+  if (result.recordset.length) {
+    throw new ProcedureSynonymConflictError(result.recordset.map(r => r.Term));
+  }
+}
+
+async function insertSynonyms(transaction, groupId, synonyms) {
+  for (const term of synonyms) {
+    await new sql.Request(transaction)
+      .input('groupId', sql.Int, groupId)
+      .input('term', sql.NVarChar(MAX_TERM_LENGTH), term)
+      .query('INSERT INTO ProcedureSynonyms (SynonymGroupID, Term) VALUES (@groupId, @term)');
+  }
+}
+
+/**
+ * @param {Object} body - { canonicalTerm, synonyms[], isActive? }
+ * @param {number|null} adminUserId
+ * @returns {Promise<{ ok: true, id: number } | { ok: false, errors: Array }>}
+ * @throws {ProcedureSynonymConflictError}
+ */
+async function createGroup(body, adminUserId = null) {
+  const validation = validateSynonymGroupInput(body);
+  if (!validation.ok) return validation;
+  const { canonicalTerm, synonyms, isActive } = validation.value;
+
+  const pool = await getPool();
+  await assertTermsAvailable(pool.request(), [canonicalTerm, ...synonyms]);
+
+  const transaction = new sql.Transaction(pool);
+  let id;
+  try {
+    await transaction.begin();
+    const insert = await new sql.Request(transaction)
+      .input('canonicalTerm', sql.NVarChar(MAX_TERM_LENGTH), canonicalTerm)
+      .input('isActive', sql.Bit, isActive ? 1 : 0)
+      .input('adminUserId', sql.Int, adminUserId)
+      .query(`
+        INSERT INTO ProcedureSynonymGroups (CanonicalTerm, IsActive, CreatedByAdminUserId)
+        OUTPUT INSERTED.SynonymGroupID
+        VALUES (@canonicalTerm, @isActive, @adminUserId)
+      `);
+    id = insert.recordset[0].SynonymGroupID;
+    await insertSynonyms(transaction, id, synonyms);
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  await reloadProcedureSynonyms();
+  return { ok: true, id };
+}
+
+/**
+ * Replace a group's canonical term, synonym list and active flag.
+ * @returns {Promise<{ ok: true } | { ok: false, notFound?: true, errors?: Array }>}
+ * @throws {ProcedureSynonymConflictError}
+ */
+async function updateGroup(id, body) {
+  const existing = await getGroupById(id);
+  if (!existing) return { ok: false, notFound: true };
+
+  const validation = validateSynonymGroupInput({
+    ...body,
+    isActive: body && body.isActive !== undefined ? body.isActive : existing.isActive
+  });
+  if (!validation.ok) return validation;
+  const { canonicalTerm, synonyms, isActive } = validation.value;
+
+  const pool = await getPool();
+  await assertTermsAvailable(pool.request(), [canonicalTerm, ...synonyms], id);
+
+  const transaction = new sql.Transaction(pool);
+  try {
+    await transaction.begin();
+    await new sql.Request(transaction)
+      .input('id', sql.Int, id)
+      .input('canonicalTerm', sql.NVarChar(MAX_TERM_LENGTH), canonicalTerm)
+      .input('isActive', sql.Bit, isActive ? 1 : 0)
+      .query(`
+        UPDATE ProcedureSynonymGroups SET
+          CanonicalTerm = @canonicalTerm,
+          IsActive = @isActive,
+          UpdatedAt = SYSUTCDATETIME()
+        WHERE SynonymGroupID = @id
+      `);
+    await new sql.Request(transaction)
+      .input('id', sql.Int, id)
+      .query('DELETE FROM ProcedureSynonyms WHERE SynonymGroupID = @id');
+    await insertSynonyms(transaction, id, synonyms);
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  await reloadProcedureSynonyms();
+  return { ok: true };
+}
+
+async function deleteGroup(id) {
+  const pool = await getPool();
+  const result = await pool.request().input('id', sql.Int, id).query(`
+    DELETE FROM ProcedureSynonymGroups WHERE SynonymGroupID = @id
+  `);
+  const deleted = result.rowsAffected[0] > 0;
+  if (deleted) await reloadProcedureSynonyms();
+  return deleted;
+}
+
+const synonymSync = createSearchSettingSync({
+  name: 'procedure synonyms',
+  load: async (pool) => {
+    const groups = await pool.request().query(`
+      SELECT SynonymGroupID, CanonicalTerm, IsActive, CreatedAt, UpdatedAt
+      FROM ProcedureSynonymGroups
+      WHERE IsActive = 1
+    `);
+    const terms = await pool.request().query(`
+      SELECT s.SynonymGroupID, s.Term
+      FROM ProcedureSynonyms s
+      JOIN ProcedureSynonymGroups g ON g.SynonymGroupID = s.SynonymGroupID
+      WHERE g.IsActive = 1
+    `);
+    return mapGroupRows(groups.recordset, terms.recordset);
+  },
+  apply: setProcedureSynonymGroups
+});
+
+/**
+ * Load active groups into the search dictionary.
+ * @returns {Promise<boolean>} Whether the dictionary was replaced
+ */
+function reloadProcedureSynonyms() {
+  return synonymSync.reload();
+}
+
+/**
+ * Load the dictionary now and keep it fresh.
+ */
+function initProcedureSynonymSync() {
+  synonymSync.init();
+}
+
+module.exports = {
+  ProcedureSynonymConflictError,
+  validateSynonymGroupInput,
+  listGroups,
+  getGroupById,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  reloadProcedureSynonyms,
+  initProcedureSynonymSync
+};
@@ -0,0 +1,159 @@
+/**
+ * Search ranking weights (MSSQL) and the in-memory weights `sort=relevance` reads from,
+ * kept in sync by services/searchSettingSync.
+ */
+
+const { db, sql } = require('../db');
+const {
+  RANKING_SIGNALS,
+  DEFAULT_RANKING_WEIGHTS,
+  setRankingWeights,
+  getRankingWeights
+} = require('../utils/clinicRanking');
+const { createSearchSettingSync } = require('./searchSettingSync');
+
+const MIN_WEIGHT = 0;
+const MAX_WEIGHT = 1;
+
+async function getPool() {
+  const pool = await db.getConnection();
+  if (!pool) throw new Error('Could not establish database connection');
+  return pool;
+}
+
+/**
+ * Validate an update payload. Any subset of signals may be given; the others keep their
+ * current weight, and the resulting weights must not all be zero.
+ * @param {{ weights?: Object<string, number> }} body
+ * @param {Record<string, number>} [current] - Weights the update applies to
+ * @returns {{ ok: true, value: { weights: Record<string, number> } } | { ok: false, errors: Array<{ field: string, message: string }> }}
+ *   value.weights holds every signal
+ */
+function validateRankingWeightsInput(body, current = getRankingWeights()) {
+  const errors = [];
+  const input = (body || {}).weights;
+
+  if (!input || typeof input !== 'object' || Array.isArray(input) || Object.keys(input).length === 0) {
+    return { ok: false, errors: [{ field: 'weights', message: 'weights must be a non-empty object of signal → weight' }] };
+  }
+
+  const weights = { ...current };
+  Object.entries(input).forEach(([signal, weight]) => {
+    const field = `weights.${signal}`;
+    if (!RANKING_SIGNALS.includes(signal)) {
+      errors.push({ field, message: `Unknown signal; expected one of ${RANKING_SIGNALS.join(', ')}` });
+    } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < MIN_WEIGHT || weight > MAX_WEIGHT) {
+      errors.push({ field, message: `weight must be a number between ${MIN_WEIGHT} and ${MAX_WEIGHT}` });
+    } else {
+      weights[signal] = weight;
+    }
+  });
+
+  if (!errors.length && RANKING_SIGNALS.every(signal => weights[signal] === 0)) {
+    errors.push({ field: 'weights', message: 'at least one weight must be greater than 0' });
+  }
+
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, value: { weights } };
+}
+
+async function loadStoredWeights(pool) {
+  const result = await pool.request().query(`
+    SELECT Signal, Weight, UpdatedAt
+    FROM SearchRankingWeights
+  `);
+  return result.recordset.filter(r => RANKING_SIGNALS.includes(r.Signal));
+}
+
+/**
+ * Weights as stored, with defaults for signals without a row.
+ * @returns {Promise<{ weights: Record<string, number>, defaults: Record<string, number>, updatedAt: Date|null }>}
+ */
+async function getRankingWeightsConfig() {
+  const pool = await getPool();
+  const rows = await loadStoredWeights(pool);
+  const weights = { ...DEFAULT_RANKING_WEIGHTS };
+  let updatedAt = null;
+  rows.forEach(r => {
+    weights[r.Signal] = Number(r.Weight);
+    if (!updatedAt || r.UpdatedAt > updatedAt) updatedAt = r.UpdatedAt;
+  });
+  return { weights, defaults: { ...DEFAULT_RANKING_WEIGHTS }, updatedAt };
+}
+
+/**
+ * @param {{ weights?: Object<string, number> }} body
+ * @param {number|null} adminUserId
+ * @returns {Promise<{ ok: true, weights: Record<string, number> } | { ok: false, errors: Array }>}
+ */
+async function updateRankingWeights(body, adminUserId) {
+  const { weights: current } = await getRankingWeightsConfig();
+  const validation = validateRankingWeightsInput(body, current);
+  if (!validation.ok) return validation;
+  const { weights } = validation.value;
+
+  const pool = await getPool();
+  const transaction = new sql.Transaction(pool);
+  try {
+    await transaction.begin();
+    for (const signal of Object.keys(body.weights)) {
+      await new sql.Request(transaction)
+        .input('signal', sql.NVarChar(50), signal)
+        .input('weight', sql.Decimal(5, 4), weights[signal])
+        .input('adminUserId', sql.Int, adminUserId || null)
+        .query(`
+          MERGE SearchRankingWeights AS target
+          USING (SELECT @signal AS Signal) AS source
+          ON target.Signal = source.Signal
+          WHEN MATCHED THEN UPDATE SET
+            Weight = @weight,
+            UpdatedAt = SYSUTCDATETIME(),
+            UpdatedByAdminUserId = @adminUserId
+          WHEN NOT MATCHED THEN
+            INSERT (Signal, Weight, UpdatedByAdminUserId) VALUES (@signal, @weight, @adminUserId);
+        `);
+    }
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  await reloadRankingWeights();
+  return { ok: true, weights };
+}
+
+const rankingWeightSync = createSearchSettingSync({
+  name: 'search ranking weights',
+  load: async (pool) => {
+    const weights = {};
+    (await loadStoredWeights(pool)).forEach(r => {
+      weights[r.Signal] = Number(r.Weight);
+    });
+    return weights;
+  },
+  apply: setRankingWeights
+});
+
+/**
+ * Load stored weights into the ranking model.
+ * @returns {Promise<boolean>} Whether the weights were replaced
+ */
+function reloadRankingWeights() {
+  return rankingWeightSync.reload();
+}
+
+/**
+ * Load ranking weights now and keep them fresh.
+ */
+function initRankingWeightSync() {
+  rankingWeightSync.init();
+}
+
+module.exports = {
+  validateRankingWeightsInput,
+  getRankingWeightsConfig,
+  updateRankingWeights,
+  reloadRankingWeights,
+  initRankingWeightSync
+};
@@ -0,0 +1,317 @@
+/**
+ * Search analytics: records each search request to SearchQueryLog (migration
+ * addSearchQueryLog.sql) and reports on it for admins.
+ *
+ * Recording never blocks or fails a search: events are buffered in memory and written in
+ * batches on an interval (or as soon as a batch fills). If the database is unavailable the
+ * batch is logged and dropped. Set SEARCH_ANALYTICS_ENABLED=false to turn recording off.
+ */
+
+const { db, sql } = require('../db');
+const { parseLocationInput } = require('../utils/locationUtils');
+
+const FLUSH_INTERVAL_MS = 10 * 1000;
+/** 10 parameters per row keeps a batch well under SQL Server's 2100-parameter limit */
+const FLUSH_BATCH_SIZE = 100;
+/** Events beyond this are dropped while the database is slow or down */
+const MAX_BUFFERED_EVENTS = 5000;
+const MAX_TERM_LENGTH = 255;
+
+const DEFAULT_REPORT_DAYS = 30;
+const DEFAULT_REPORT_LIMIT = 50;
+const MAX_REPORT_LIMIT = 500;
+
+const buffer = [];
+let droppedEvents = 0;
+let flushPromise = null;
+let flushTimer = null;
+
+function isEnabled() {
+  return process.env.SEARCH_ANALYTICS_ENABLED !== 'false';
+}
+
+/**
+ * Lowercase, collapse whitespace, trim and cap a search term.
+ * @param {unknown} raw
+ * @returns {string|null} null when empty
+ */
+function normalizeSearchTerm(raw) {
+  if (typeof raw !== 'string') return null;
+  const term = raw.toLowerCase().replace(/\s+/g, ' ').trim();
+  return term ? term.slice(0, MAX_TERM_LENGTH) : null;
+}
+
+/**
+ * Build a log row from a search request.
+ *
+ * @param {{
+ *   endpoint: string,
+ *   query?: string, procedure?: string, clinicName?: string, location?: string,
+ *   resultCount: number,
+ *   locationConvertedToProcedure?: boolean,
+ *   latencyMs?: number
+ * }} search - query is free text for endpoints without separate procedure / clinicName terms
+ * @returns {Object} Row for SearchQueryLog
+ */
+function buildSearchEvent(search) {
+  const query = normalizeSearchTerm(search.query);
+  const procedureTerm = normalizeSearchTerm(search.procedure);
+  const clinicNameTerm = normalizeSearchTerm(search.clinicName);
+  const locationTerm = normalizeSearchTerm(search.location);
+  const queryText = [query, procedureTerm, clinicNameTerm, locationTerm].filter(Boolean).join(' | ');
+
+  return {
+    endpoint: search.endpoint,
+    queryText: queryText ? queryText.slice(0, MAX_TERM_LENGTH) : null,
+    procedureTerm,
+    clinicNameTerm,
+    locationTerm,
+    locationType: locationTerm ? parseLocationInput(search.location).type || null : null,
+    resultCount: Math.max(0, Math.floor(Number(search.resultCount) || 0)),
+    locationConvertedToProcedure: Boolean(search.locationConvertedToProcedure),
+    latencyMs: Number.isFinite(search.latencyMs) ? Math.round(search.latencyMs) : null,
+    createdAt: new Date()
+  };
+}
+
+/**
+ * Queue a search for the analytics log. Returns immediately and never throws.
+ * @param {Parameters<typeof buildSearchEvent>[0]} search
+ */
+function recordSearch(search) {
+  if (!isEnabled()) return;
+  try {
+    if (buffer.length >= MAX_BUFFERED_EVENTS) {
+      droppedEvents++;
+      return;
+    }
+    buffer.push(buildSearchEvent(search));
+    if (buffer.length >= FLUSH_BATCH_SIZE) {
+      setImmediate(() => {
+        flushSearchAnalytics().catch(() => {});
+      });
+    }
+  } catch (error) {
+    console.error('Search analytics record failed:', error.message);
+  }
+}
+
+async function insertBatch(rows) {
+  const pool = await db.getConnection();
+  if (!pool) throw new Error('Could not establish database connection');
+
+  const request = pool.request();
+  const values = rows.map((row, i) => {
+    request.input(`endpoint${i}`, sql.NVarChar(50), row.endpoint);
+    request.input(`queryText${i}`, sql.NVarChar(MAX_TERM_LENGTH), row.queryText);
+    request.input(`procedureTerm${i}`, sql.NVarChar(MAX_TERM_LENGTH), row.procedureTerm);
+    request.input(`clinicNameTerm${i}`, sql.NVarChar(MAX_TERM_LENGTH), row.clinicNameTerm);
+    request.input(`locationTerm${i}`, sql.NVarChar(MAX_TERM_LENGTH), row.locationTerm);
+    request.input(`locationType${i}`, sql.NVarChar(20), row.locationType);
+    request.input(`resultCount${i}`, sql.Int, row.resultCount);
+    request.input(`converted${i}`, sql.Bit, row.locationConvertedToProcedure);
+    request.input(`latencyMs${i}`, sql.Int, row.latencyMs);
+    request.input(`createdAt${i}`, sql.DateTime2, row.createdAt);
+    return `(@endpoint${i}, @queryText${i}, @procedureTerm${i}, @clinicNameTerm${i}, @locationTerm${i},
+      @locationType${i}, @resultCount${i}, @converted${i}, @latencyMs${i}, @createdAt${i})`;
+  });
+
+  await request.query(`
+    INSERT INTO SearchQueryLog (
+      Endpoint, QueryText, ProcedureTerm, ClinicNameTerm, LocationTerm,
+      LocationType, ResultCount, LocationConvertedToProcedure, LatencyMs, CreatedAt
+    )
+    VALUES ${values.join(',\n')}
+  `);
+}
+
+/**
+ * Write everything buffered so far. Concurrent calls share one flush.
+ * @returns {Promise<number>} Rows written
+ */
+async function flushSearchAnalytics() {
+  if (flushPromise) return flushPromise;
+
+  flushPromise = (async () => {
+    let written = 0;
+    while (buffer.length > 0) {
+      const batch = buffer.splice(0, FLUSH_BATCH_SIZE);
+      try {
+        await insertBatch(batch);
+        written += batch.length;
+      } catch (error) {
+        console.error(`Search analytics flush failed, dropped ${batch.length} events:`, error.message);
+        break;
+      }
+    }
+    if (droppedEvents > 0) {
+      console.warn(`Search analytics buffer was full, dropped ${droppedEvents} events`);
+      droppedEvents = 0;
+    }
+    return written;
+  })().finally(() => {
+    flushPromise = null;
+  });
+  return flushPromise;
+}
+
+/**
+ * Start the periodic writer. Call once at startup.
+ */
+function initSearchAnalyticsWriter() {
+  if (flushTimer || !isEnabled()) return;
+  flushTimer = setInterval(() => {
+    flushSearchAnalytics().catch(() => {});
+  }, FLUSH_INTERVAL_MS);
+  flushTimer.unref();
+}
+
+/**
+ * Parse from / to / limit for reports. Defaults to the last 30 days and 50 rows.
+ *
+ * @param {{ from?: string, to?: string, limit?: string }} query
+ * @param {Date} [now]
+ * @returns {{ ok: true, value: { from: Date, to: Date, limit: number } } | { ok: false, errors: Array<{ field: string, message: string }> }}
+ */
+function parseReportQuery(query, now = new Date()) {
+  const errors = [];
+  const input = query || {};
+
+  const parseDate = (field) => {
+    if (input[field] === undefined || input[field] === '') return null;
+    const date = new Date(input[field]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push({ field, message: `${field} must be an ISO date (e.g. 2026-10-01)` });
+    }
+    return date;
+  };
+
+  const to = parseDate('to') || now;
+  const from = parseDate('from') || new Date(to.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+  if (errors.length === 0 && from >= to) {
+    errors.push({ field: 'from', message: 'from must be before to' });
+  }
+
+  const limit = Math.min(MAX_REPORT_LIMIT, Math.max(1, parseInt(input.limit, 10) || DEFAULT_REPORT_LIMIT));
+
+  if (errors.length > 0) return { ok: false, errors };
+  return { ok: true, value: { from, to, limit } };
+}
+
+async function runReport(queryText, { from, to, limit }) {
+  const pool = await db.getConnection();
+  if (!pool) throw new Error('Could not establish database connection');
+  const result = await pool.request()
+    .input('from', sql.DateTime2, from)
+    .input('to', sql.DateTime2, to)
+    .input('limit', sql.Int, limit)
+    .query(queryText);
+  return result.recordset;
+}
+
+/**
+ * Most frequent searches in the range.
+ * @param {{ from: Date, to: Date, limit: number }} range
+ */
+async function getTopQueries(range) {
+  const rows = await runReport(`
+    SELECT TOP (@limit)
+      QueryText,
+      COUNT(*) AS Searches,
+      SUM(CASE WHEN ResultCount = 0 THEN 1 ELSE 0 END) AS ZeroResultSearches,
+      AVG(CAST(ResultCount AS FLOAT)) AS AvgResults,
+      AVG(CAST(LatencyMs AS FLOAT)) AS AvgLatencyMs
+    FROM SearchQueryLog
+    WHERE CreatedAt >= @from AND CreatedAt < @to AND QueryText IS NOT NULL
+    GROUP BY QueryText
+    ORDER BY COUNT(*) DESC, QueryText
+  `, range);
+  return rows.map(r => ({
+    query: r.QueryText,
+    searches: r.Searches,
+    zeroResultSearches: r.ZeroResultSearches,
+    avgResults: r.AvgResults === null ? null : Math.round(r.AvgResults * 10) / 10,
+    avgLatencyMs: r.AvgLatencyMs === null ? null : Math.round(r.AvgLatencyMs)
+  }));
+}
+
+/**
+ * Most frequent searches that returned nothing (candidates for synonyms / spelling fixes).
+ * @param {{ from: Date, to: Date, limit: number }} range
+ */
+async function getTopZeroResultQueries(range) {
+  const rows = await runReport(`
+    SELECT TOP (@limit)
+      QueryText,
+      COUNT(*) AS Searches,
+      MAX(CreatedAt) AS LastSearchedAt
+    FROM SearchQueryLog
+    WHERE CreatedAt >= @from AND CreatedAt < @to AND QueryText IS NOT NULL AND ResultCount = 0
+    GROUP BY QueryText
+    ORDER BY COUNT(*) DESC, QueryText
+  `, range);
+  return rows.map(r => ({
+    query: r.QueryText,
+    searches: r.Searches,
+    lastSearchedAt: r.LastSearchedAt
+  }));
+}
+
+/**
+ * Location input that search misread:
+ * - convertedToProcedure: `location` text search-index treated as a procedure
+ *   (a metro area or city missing from the data, or a real procedure typed in the location box)
+ * - unresolvedLocations: location text that stayed a location search and found nothing
+ *   (missing metro areas, misspelled cities, procedure names the procedure check didn't catch)
+ * @param {{ from: Date, to: Date, limit: number }} range
+ */
+async function getLocationMisinterpretations(range) {
+  const [converted, unresolved] = await Promise.all([
+    runReport(`
+      SELECT TOP (@limit)
+        LocationTerm,
+        COUNT(*) AS Searches,
+        AVG(CAST(ResultCount AS FLOAT)) AS AvgResults
+      FROM SearchQueryLog
+      WHERE CreatedAt >= @from AND CreatedAt < @to AND LocationConvertedToProcedure = 1
+      GROUP BY LocationTerm
+      ORDER BY COUNT(*) DESC, LocationTerm
+    `, range),
+    runReport(`
+      SELECT TOP (@limit)
+        LocationTerm,
+        LocationType,
+        COUNT(*) AS Searches
+      FROM SearchQueryLog
+      WHERE CreatedAt >= @from AND CreatedAt < @to
+        AND LocationTerm IS NOT NULL AND LocationConvertedToProcedure = 0 AND ResultCount = 0
+      GROUP BY LocationTerm, LocationType
+      ORDER BY COUNT(*) DESC, LocationTerm
+    `, range)
+  ]);
+
+  return {
+    convertedToProcedure: converted.map(r => ({
+      location: r.LocationTerm,
+      searches: r.Searches,
+      avgResults: r.AvgResults === null ? null : Math.round(r.AvgResults * 10) / 10
+    })),
+    unresolvedLocations: unresolved.map(r => ({
+      location: r.LocationTerm,
+      locationType: r.LocationType,
+      searches: r.Searches
+    }))
+  };
+}
+
+module.exports = {
+  normalizeSearchTerm,
+  buildSearchEvent,
+  recordSearch,
+  flushSearchAnalytics,
+  initSearchAnalyticsWriter,
+  parseReportQuery,
+  getTopQueries,
+  getTopZeroResultQueries,
+  getLocationMisinterpretations
+};
@@ -0,0 +1,181 @@
+/**
+ * Response cache for GET /api/clinics/search-index, keyed on the normalized query.
+ *
+ * Entries live in process memory (LRU) by default, or in Redis when SEARCH_CACHE_REDIS_URL
+ * is set and the optional `redis` package is installed; with Redis every instance shares
+ * one cache and one invalidation. Everything is dropped when clinics change (utils/clinicEvents),
+ * when admins edit synonyms, metro areas or ranking weights, and when canonical procedure
+ * mappings change. Cache failures never fail a search: they are logged and the search runs
+ * uncached. Set SEARCH_CACHE_ENABLED=false to turn caching off.
+ */
+
+const { createLruStore, createRedisStore } = require('../utils/cacheStores');
+const { onClinicChange } = require('../utils/clinicEvents');
+const { parsePaginationQuery } = require('../utils/pagination');
+const { parseSortParam } = require('../utils/clinicSort');
+
+const DEFAULT_TTL_SECONDS = 300;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_MB = 64;
+const KEY_PREFIX = 'search-index';
+
+/** Query parameters that change the response; anything else is ignored in the key */
+const SEARCH_CACHE_PARAMS = [
+  'location', 'procedure', 'radius', 'clinicName', 'category', 'lat', 'lng',
+  'minPrice', 'maxPrice', 'priceUnit', 'openOn'
+];
+
+let store = null;
+/** Bumped on every invalidation so a search that started before it doesn't store stale results */
+let generation = 0;
+
+function isEnabled() {
+  return process.env.SEARCH_CACHE_ENABLED !== 'false';
+}
+
+function positiveNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function ttlMs() {
+  return positiveNumberEnv('SEARCH_CACHE_TTL_SECONDS', DEFAULT_TTL_SECONDS) * 1000;
+}
+
+function getStore() {
+  if (!store) {
+    store = createLruStore({
+      maxEntries: positiveNumberEnv('SEARCH_CACHE_MAX_ENTRIES', DEFAULT_MAX_ENTRIES),
+      maxSize: positiveNumberEnv('SEARCH_CACHE_MAX_MB', DEFAULT_MAX_MB) * 1024 * 1024
+    });
+  }
+  return store;
+}
+
+/**
+ * Cache key for a search-index request, or null when the request must not be cached:
+ * openNow results change with the clock, debug output is for one-off inspection, and
+ * repeated parameters (arrays) aren't something the endpoint handles.
+ *
+ * Values are trimmed with whitespace collapsed; sort, page / limit and autoCorrect are
+ * keyed as parsed, so "?sort=Rating" and "?sort=rating" share an entry.
+ *
+ * @param {Object} query - req.query
+ * @param {{ baseURL: string }} opts - photo URLs in the response are built from it
+ * @returns {string|null}
+ */
+function buildSearchCacheKey(query, { baseURL }) {
+  const input = query || {};
+  if (input.openNow === true || input.openNow === 'true' || input.debug !== undefined) return null;
+
+  const params = {};
+  for (const name of SEARCH_CACHE_PARAMS) {
+    const raw = input[name];
+    if (raw === undefined) continue;
+    if (typeof raw !== 'string') return null;
+    const value = raw.replace(/\s+/g, ' ').trim();
+    if (value) params[name] = value;
+  }
+  params.sort = parseSortParam(input.sort);
+  params.autoCorrect = input.autoCorrect !== 'false';
+  const pagination = parsePaginationQuery(input);
+  if (pagination) params.pagination = `${pagination.page}/${pagination.limit}`;
+
+  const ordered = Object.keys(params).sort().map(name => [name, params[name]]);
+  return `${KEY_PREFIX}:${baseURL}:${JSON.stringify(ordered)}`;
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<{ body: Object, analytics: Object, storedAt: number }|null>}
+ */
+async function getCachedSearch(key) {
+  if (!isEnabled()) return null;
+  try {
+    const value = await getStore().get(key);
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    console.error('Search cache read failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Current invalidation generation; pass it back to setCachedSearch.
+ * @returns {number}
+ */
+function getSearchCacheGeneration() {
+  return generation;
+}
+
+/**
+ * Store a response. Skipped when the cache was invalidated since `startedGeneration`
+ * (the response may predate the change). Never throws.
+ *
+ * @param {string} key
+ * @param {{ body: Object, analytics: Object }} entry - analytics: what recordSearch needs on a hit
+ * @param {number} startedGeneration - getSearchCacheGeneration() before the search ran
+ */
+async function setCachedSearch(key, entry, startedGeneration) {
+  if (!isEnabled() || startedGeneration !== generation) return;
+  try {
+    await getStore().set(key, JSON.stringify({ ...entry, storedAt: Date.now() }), ttlMs());
+  } catch (error) {
+    console.error('Search cache write failed:', error.message);
+  }
+}
+
+/**
+ * Drop every cached search (in every instance, with Redis). Never throws.
+ * @param {string} [reason] - Logged
+ */
+async function invalidateSearchCache(reason = 'unspecified') {
+  generation += 1;
+  if (!store) return;
+  try {
+    await store.clear();
+  } catch (error) {
+    console.error(`Search cache invalidation (${reason}) failed:`, error.message);
+  }
+}
+
+onClinicChange(({ type }) => {
+  invalidateSearchCache(`clinics ${type}`);
+});
+
+/**
+ * Connect the Redis backend when SEARCH_CACHE_REDIS_URL is set. Falls back to the
+ * in-memory store when the `redis` package is missing or the connection fails.
+ * @returns {Promise<string>} Backend in use
+ */
+async function initSearchCache() {
+  const url = process.env.SEARCH_CACHE_REDIS_URL;
+  if (!isEnabled() || !url) return getStore().name;
+
+  let redis;
+  try {
+    redis = require('redis');
+  } catch {
+    console.error('SEARCH_CACHE_REDIS_URL is set but the "redis" package is not installed; using the in-memory search cache');
+    return getStore().name;
+  }
+
+  try {
+    const client = redis.createClient({ url });
+    client.on('error', error => console.error('Search cache Redis error:', error.message));
+    await client.connect();
+    store = createRedisStore(client, { prefix: KEY_PREFIX });
+  } catch (error) {
+    console.error('Search cache Redis connection failed, using the in-memory cache:', error.message);
+  }
+  return getStore().name;
+}
+
+module.exports = {
+  buildSearchCacheKey,
+  getCachedSearch,
+  getSearchCacheGeneration,
+  setCachedSearch,
+  invalidateSearchCache,
+  initSearchCache
+};
@@ -0,0 +1,62 @@
+/**
+ * Keeps an admin-edited search setting (procedure synonyms, metro areas, ranking weights) in step
+ * with its tables. Each service's writes reload it in this process; other instances pick changes
+ * up on the periodic reload. Cached searches are dropped only when a reload changed something.
+ */
+
+const { db } = require('../db');
+const { invalidateSearchCache } = require('./searchCacheService');
+
+const RELOAD_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * @template T
+ * @param {Object} opts
+ * @param {string} opts.name - Plural noun for logs and the cache-invalidation reason ("metro areas")
+ * @param {(pool: import('mssql').ConnectionPool) => Promise<T>} opts.load - Reads the active setting
+ * @param {(value: T) => void} opts.apply - Makes it the one search reads
+ * @returns {{ reload: () => Promise<boolean>, init: () => void }}
+ */
+function createSearchSettingSync({ name, load, apply }) {
+  let reloadTimer = null;
+  /** Last value loaded, to tell whether a reload changed anything */
+  let loadedSignature = null;
+
+  /**
+   * Load and apply the setting. On failure (e.g. migration not run yet) the current one —
+   * built-in defaults at startup — stays in place.
+   * @returns {Promise<boolean>} Whether the setting was replaced
+   */
+  async function reload() {
+    try {
+      const pool = await db.getConnection();
+      if (!pool) throw new Error('Could not establish database connection');
+      const value = await load(pool);
+      apply(value);
+      const signature = JSON.stringify(value);
+      if (signature !== loadedSignature) {
+        loadedSignature = signature;
+        invalidateSearchCache(`${name} changed`);
+      }
+      return true;
+    } catch (error) {
+      console.error(`Failed to load ${name}, keeping the current ones:`, error.message);
+      return false;
+    }
+  }
+
+  /** Load now and keep it fresh (picks up edits made on other instances). */
+  function init() {
+    reload();
+    if (!reloadTimer) {
+      reloadTimer = setInterval(reload, RELOAD_INTERVAL_MS);
+      reloadTimer.unref();
+    }
+  }
+
+  return { reload, init };
+}
+
+module.exports = {
+  createSearchSettingSync
+};
@@ -0,0 +1,291 @@
+/**
+ * Typeahead suggestions across procedures, clinic names, and places.
+ * Served from an in-memory index (utils/clinicSnapshot) that is rebuilt from the database in the
+ * background once it is older than SUGGEST_INDEX_TTL_MS or after clinics change, so requests
+ * never wait on SQL after warm-up.
+ */
+
+const { db } = require('../db');
+const { getMetroAreas, STATE_ABBR_TO_NAME } = require('../utils/locationUtils');
+const { calculateRelevanceScore, matchesClinicNameSearch } = require('../utils/searchUtils');
+const { getProcedureAbbreviations } = require('../utils/procedureSynonyms');
+const { createClinicSnapshot } = require('../utils/clinicSnapshot');
+
+const SUGGEST_INDEX_TTL_MS = 10 * 60 * 1000;
+const MIN_QUERY_LENGTH = 2;
+const DEFAULT_GROUP_LIMIT = 5;
+const MAX_GROUP_LIMIT = 10;
+/** Score given to clinic names that only match through fuzzy (in-order character) matching */
+const FUZZY_ONLY_CLINIC_SCORE = 10;
+
+/**
+ * The clinics GET /api/clinics/search-index lists: not deleted, with a photo and with at least
+ * one categorized procedure. Suggestions only point at clinics a search can return.
+ */
+const ELIGIBLE_CLINIC_SQL = `
+  NOT EXISTS (
+    SELECT 1
+    FROM DeletedClinics dc
+    WHERE dc.OriginalClinicID = c.ClinicID
+  )
+  AND (
+    EXISTS (SELECT 1 FROM GooglePlacesData gp WHERE gp.ClinicID = c.ClinicID AND gp.Photo IS NOT NULL)
+    OR EXISTS (SELECT 1 FROM ClinicPhotos ph WHERE ph.ClinicID = c.ClinicID AND ph.PhotoURL IS NOT NULL)
+  )
+  AND EXISTS (
+    SELECT 1
+    FROM Procedures ep
+    JOIN Categories ecat ON ep.CategoryID = ecat.CategoryID
+    WHERE ep.ClinicID = c.ClinicID
+  )
+`;
+
+async function getPool() {
+  const pool = await db.getConnection();
+  if (!pool) throw new Error('Could not establish database connection');
+  return pool;
+}
+
+function titleCase(str) {
+  return String(str || '')
+    .toLowerCase()
+    .replace(/\b([a-z])/g, (m) => m.toUpperCase());
+}
+
+/**
+ * Build the in-memory index from raw rows (exported for tests).
+ * @param {{ procedureRows: Array<{ ProcedureName: string, ClinicCount: number }>, clinicRows: Array<{ ClinicID: number, ClinicName: string, City: string, State: string }> }} rows
+ * @returns {{ procedures: Array, clinics: Array, cities: Array, loadedAt: Date }}
+ */
+function buildSuggestIndex({ procedureRows = [], clinicRows = [] }) {
+  // Collapse case / whitespace variants of the same procedure name, keeping the most common spelling
+  const procedureMap = new Map();
+  procedureRows.forEach(row => {
+    if (!row.ProcedureName || !row.ProcedureName.trim()) return;
+    const name = row.ProcedureName.trim().replace(/\s+/g, ' ');
+    const key = name.toLowerCase();
+    const clinicCount = row.ClinicCount || 0;
+    const existing = procedureMap.get(key);
+    if (!existing) {
+      procedureMap.set(key, { name, clinicCount });
+    } else if (clinicCount > existing.clinicCount) {
+      procedureMap.set(key, { name, clinicCount });
+    }
+  });
+
+  const clinics = [];
+  const cityMap = new Map();
+  clinicRows.forEach(row => {
+    if (!row.ClinicName) return;
+    const city = row.City ? row.City.trim() : '';
+    const state = row.State ? row.State.trim().toUpperCase() : '';
+    clinics.push({ clinicId: row.ClinicID, clinicName: row.ClinicName.trim(), city: city || null, state: state || null });
+
+    if (city) {
+      const key = `${city.toLowerCase()}|${state}`;
+      const existing = cityMap.get(key);
+      if (existing) {
+        existing.clinicCount++;
+      } else {
+        cityMap.set(key, { city: titleCase(city), state: state || null, clinicCount: 1 });
+      }
+    }
+  });
+
+  return {
+    procedures: Array.from(procedureMap.values()),
+    clinics,
+    cities: Array.from(cityMap.values()),
+    loadedAt: new Date()
+  };
+}
+
+async function loadSuggestIndex() {
+  const pool = await getPool();
+
+  const procedureResult = await pool.request().query(`
+    SELECT p.ProcedureName, COUNT(DISTINCT p.ClinicID) AS ClinicCount
+    FROM Procedures p
+    JOIN Categories cat ON p.CategoryID = cat.CategoryID
+    JOIN Clinics c ON c.ClinicID = p.ClinicID
+    WHERE ${ELIGIBLE_CLINIC_SQL}
+    GROUP BY p.ProcedureName
+  `);
+
+  const clinicResult = await pool.request().query(`
+    SELECT
+      c.ClinicID,
+      c.ClinicName,
+      COALESCE(c.City, g.City, l.City) AS City,
+      COALESCE(c.State, g.State, l.State) AS State
+    FROM Clinics c
+    LEFT JOIN GooglePlacesData g ON c.ClinicID = g.ClinicID
+    LEFT JOIN Locations l ON c.LocationID = l.LocationID
+    WHERE ${ELIGIBLE_CLINIC_SQL}
+  `);
+
+  return buildSuggestIndex({
+    procedureRows: procedureResult.recordset,
+    clinicRows: clinicResult.recordset
+  });
+}
+
+const suggestIndex = createClinicSnapshot({
+  name: 'Suggest index',
+  ttlMs: SUGGEST_INDEX_TTL_MS,
+  load: loadSuggestIndex
+});
+
+/**
+ * Rebuild the index now.
+ * @returns {Promise<Object>} The new index
+ */
+function refreshSuggestIndex() {
+  return suggestIndex.refresh();
+}
+
+/**
+ * Current index. Only the very first call waits for SQL; afterwards a stale index is
+ * served while a background refresh runs.
+ * @returns {Promise<Object>}
+ */
+function getSuggestIndex() {
+  return suggestIndex.get();
+}
+
+/**
+ * Sort by score desc, then popularity desc, then label; trim to limit.
+ */
+function topSuggestions(items, limit) {
+  return items
+    .sort((a, b) =>
+      b.score - a.score ||
+      (b.clinicCount || 0) - (a.clinicCount || 0) ||
+      a.label.localeCompare(b.label)
+    )
+    .slice(0, limit);
+}
+
+function procedureSuggestions(index, query, limit) {
+  const byLabel = new Map();
+  const add = (suggestion) => {
+    const key = suggestion.value.toLowerCase();
+    const existing = byLabel.get(key);
+    if (!existing || suggestion.score > existing.score) {
+      byLabel.set(key, suggestion);
+    }
+  };
+
+  index.procedures.forEach(proc => {
+    const score = calculateRelevanceScore(proc.name, query);
+    if (score > 0) {
+      add({ type: 'procedure', param: 'procedure', label: proc.name, value: proc.name, score, clinicCount: proc.clinicCount });
+    }
+  });
+
+  // Nicknames ("bbl", "botox") suggest their canonical procedure
+  Object.entries(getProcedureAbbreviations()).forEach(([abbr, fullName]) => {
+    const score = Math.max(calculateRelevanceScore(abbr, query), calculateRelevanceScore(fullName, query));
+    if (score > 0) {
+      add({ type: 'procedure', param: 'procedure', label: titleCase(fullName), value: fullName, matchedAlias: abbr, score });
+    }
+  });
+
+  return topSuggestions(Array.from(byLabel.values()), limit);
+}
+
+function clinicSuggestions(index, query, limit) {
+  const matches = index.clinics
+    .filter(clinic => matchesClinicNameSearch(clinic.clinicName, query))
+    .map(clinic => ({
+      type: 'clinic',
+      param: 'clinicName',
+      label: clinic.clinicName,
+      value: clinic.clinicName,
+      clinicId: clinic.clinicId,
+      city: clinic.city,
+      state: clinic.state,
+      score: calculateRelevanceScore(clinic.clinicName, query) || FUZZY_ONLY_CLINIC_SCORE
+    }));
+  return topSuggestions(matches, limit);
+}
+
+function locationSuggestions(index, query, limit) {
+  const suggestions = [];
+
+  index.cities.forEach(entry => {
+    const score = calculateRelevanceScore(entry.city, query);
+    if (score > 0) {
+      const value = entry.state ? `${entry.city}, ${entry.state}` : entry.city;
+      suggestions.push({ type: 'city', param: 'location', label: value, value, score, clinicCount: entry.clinicCount });
+    }
+  });
+
+  Object.entries(getMetroAreas()).forEach(([metroName, metro]) => {
+    const nameScore = calculateRelevanceScore(metroName, query);
+    const memberScore = metro.cities
+      .map(city => calculateRelevanceScore(city, query))
+      .reduce((max, score) => Math.max(max, score), 0);
+    // Matching through a member city ranks the metro below a direct city hit
+    const score = Math.max(nameScore, memberScore * 0.5);
+    if (score > 0) {
+      const label = `${titleCase(metroName)} area`;
+      suggestions.push({ type: 'metro', param: 'location', label, value: titleCase(metroName), score });
+    }
+  });
+
+  Object.entries(STATE_ABBR_TO_NAME).forEach(([abbr, name]) => {
+    const score = Math.max(
+      calculateRelevanceScore(name, query),
+      query.trim().toUpperCase() === abbr ? 100 : 0
+    );
+    if (score > 0) {
+      suggestions.push({ type: 'state', param: 'location', label: name, value: abbr, score });
+    }
+  });
+
+  return topSuggestions(suggestions, limit);
+}
+
+/**
+ * Rank suggestions for a query against an index (pure; exported for tests).
+ * @param {Object} index - Output of buildSuggestIndex
+ * @param {string} query
+ * @param {{ limit?: number }} [opts] - Max suggestions per group
+ * @returns {{ procedures: Array, clinics: Array, locations: Array }}
+ */
+function rankSuggestions(index, query, { limit = DEFAULT_GROUP_LIMIT } = {}) {
+  const q = (query || '').trim();
+  if (q.length < MIN_QUERY_LENGTH) {
+    return { procedures: [], clinics: [], locations: [] };
+  }
+  const groupLimit = Math.min(MAX_GROUP_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_GROUP_LIMIT));
+
+  return {
+    procedures: procedureSuggestions(index, q, groupLimit),
+    clinics: clinicSuggestions(index, q, groupLimit),
+    locations: locationSuggestions(index, q, groupLimit)
+  };
+}
+
+/**
+ * @param {string} query
+ * @param {{ limit?: number }} [opts]
+ * @returns {Promise<{ suggestions: { procedures: Array, clinics: Array, locations: Array }, indexUpdatedAt: Date }>}
+ */
+async function suggest(query, opts = {}) {
+  const index = await getSuggestIndex();
+  return {
+    suggestions: rankSuggestions(index, query, opts),
+    indexUpdatedAt: index.loadedAt
+  };
+}
+
+module.exports = {
+  suggest,
+  rankSuggestions,
+  buildSuggestIndex,
+  getSuggestIndex,
+  refreshSuggestIndex,
+  MIN_QUERY_LENGTH
+};
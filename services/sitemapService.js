@@ -0,0 +1,171 @@
+/**
+ * Clinic-detail and procedure landing-page sitemaps (linked from /sitemap.xml).
+ *
+ * URLs are built into an in-memory snapshot split at the 50,000-URL protocol limit. The snapshot
+ * (utils/clinicSnapshot) is rebuilt in the background once older than SITEMAP_TTL_MS and shortly
+ * after clinics change; deleted clinics are removed from it immediately.
+ */
+
+const { db } = require('../db');
+const { listActiveEntries } = require('./canonicalProcedureService');
+const { loadSearchIndexClinics } = require('./clinicSearchIndexService');
+const { canonicalProcedureTablesExist } = require('../utils/canonicalProcedureTables');
+const { listIndexableLandingPages } = require('../utils/procedureLanding');
+const { clinicPagePath, procedureLandingPath } = require('../utils/sitePaths');
+const { formatLastmod, latestDate, buildUrlsetXml, chunkSitemapUrls } = require('../utils/sitemapXml');
+const { onClinicChange, CLINIC_CHANGE_TYPES } = require('../utils/clinicEvents');
+const { createClinicSnapshot } = require('../utils/clinicSnapshot');
+
+const SITEMAP_TTL_MS = 6 * 60 * 60 * 1000;
+/** Bulk imports emit one change per clinic; rebuild once they settle */
+const CLINIC_CHANGE_DEBOUNCE_MS = 5000;
+
+const SITEMAP_KINDS = {
+  CLINICS: 'clinics',
+  PROCEDURES: 'procedures'
+};
+
+let debounceTimer = null;
+
+/**
+ * @param {{ clinics: Array, procedures: Array }} urlsByKind - { path, lastmod?, clinicId? } per URL
+ */
+function buildSnapshot(urlsByKind) {
+  const files = {};
+  Object.entries(urlsByKind).forEach(([kind, urls]) => {
+    files[kind] = chunkSitemapUrls(urls).map(chunk => ({
+      urls: chunk,
+      lastmod: chunk.reduce((max, url) => (url.lastmod && (!max || url.lastmod > max) ? url.lastmod : max), undefined)
+    }));
+  });
+  // Rendered XML per origin and file, dropped with the snapshot it was built from
+  return { urlsByKind, files, xml: new Map() };
+}
+
+async function loadSitemapUrls() {
+  const pool = await db.getConnection();
+  if (!pool) throw new Error('Could not establish database connection');
+
+  // Clinics have no general "updated at"; the rating refresh and Google Places sync are what change them
+  const result = await pool.request().query(`
+    SELECT c.ClinicID, c.LastRatingUpdate, g.LastUpdated AS PlacesUpdatedAt
+    FROM Clinics c
+    LEFT JOIN GooglePlacesData g ON c.ClinicID = g.ClinicID
+    WHERE NOT EXISTS (
+      SELECT 1
+      FROM DeletedClinics dc
+      WHERE dc.OriginalClinicID = c.ClinicID
+    )
+    ORDER BY c.ClinicID
+  `);
+  const lastModifiedById = new Map();
+  result.recordset.forEach(row => {
+    lastModifiedById.set(
+      row.ClinicID,
+      latestDate([lastModifiedById.get(row.ClinicID), row.LastRatingUpdate, row.PlacesUpdatedAt])
+    );
+  });
+
+  const clinics = Array.from(lastModifiedById, ([clinicId, lastModified]) => ({
+    clinicId,
+    path: clinicPagePath(clinicId),
+    lastmod: formatLastmod(lastModified)
+  }));
+
+  // Landing pages resolve slugs through the catalog, so there are none to list without it
+  let procedures = [];
+  if (await canonicalProcedureTablesExist(pool)) {
+    const entries = (await listActiveEntries()).map(entry => ({
+      slug: entry.slug,
+      name: entry.displayName,
+      canonicalProcedureId: entry.id
+    }));
+    const indexClinics = (await loadSearchIndexClinics(pool, { baseURL: '' })).map(clinic => ({
+      ...clinic,
+      lastModified: lastModifiedById.get(clinic.clinicId) || null
+    }));
+    procedures = listIndexableLandingPages(indexClinics, entries).map(page => ({
+      path: procedureLandingPath(page.procedureSlug, page.locationSlug),
+      lastmod: formatLastmod(page.lastModified)
+    }));
+  }
+
+  return { [SITEMAP_KINDS.CLINICS]: clinics, [SITEMAP_KINDS.PROCEDURES]: procedures };
+}
+
+const sitemaps = createClinicSnapshot({
+  name: 'Sitemap',
+  ttlMs: SITEMAP_TTL_MS,
+  load: async () => buildSnapshot(await loadSitemapUrls())
+});
+
+/**
+ * Rebuild the snapshot now.
+ * @returns {Promise<Object>}
+ */
+function refreshSitemaps() {
+  return sitemaps.refresh();
+}
+
+onClinicChange(({ type, clinicIds }) => {
+  const snapshot = sitemaps.peek();
+  if (!snapshot) return;
+
+  if (type === CLINIC_CHANGE_TYPES.DELETED) {
+    const deleted = new Set(clinicIds);
+    sitemaps.replace(buildSnapshot({
+      ...snapshot.urlsByKind,
+      [SITEMAP_KINDS.CLINICS]: snapshot.urlsByKind[SITEMAP_KINDS.CLINICS].filter(url => !deleted.has(url.clinicId))
+    }));
+  }
+
+  if (!debounceTimer) {
+    debounceTimer = setTimeout(() => {
+      debounceTimer = null;
+      refreshSitemaps().catch(error => {
+        console.error('Sitemap refresh failed:', error.message);
+      });
+    }, CLINIC_CHANGE_DEBOUNCE_MS);
+    debounceTimer.unref();
+  }
+});
+
+/**
+ * Child sitemaps for the index, clinics first. Kinds with no URLs are left out.
+ * @returns {Promise<Array<{ kind: string, page: number, lastmod?: string }>>} page is 1-based
+ */
+async function listSitemapFiles() {
+  const { files } = await sitemaps.get();
+  return Object.values(SITEMAP_KINDS).flatMap(kind =>
+    files[kind].map((file, i) => ({ kind, page: i + 1, lastmod: file.lastmod }))
+  );
+}
+
+/**
+ * @param {string} kind - One of SITEMAP_KINDS
+ * @param {number} page - 1-based
+ * @param {string} origin - Public site origin, no trailing slash
+ * @returns {Promise<string|null>} null when there is no such file
+ */
+async function getSitemapXml(kind, page, origin) {
+  const { files, xml } = await sitemaps.get();
+  const file = files[kind] && files[kind][page - 1];
+  if (!file) return null;
+
+  const cacheKey = `${origin} ${kind} ${page}`;
+  if (!xml.has(cacheKey)) {
+    xml.set(cacheKey, buildUrlsetXml(file.urls.map(url => ({
+      loc: `${origin}${url.path}`,
+      lastmod: url.lastmod,
+      changefreq: 'weekly'
+    }))));
+  }
+  return xml.get(cacheKey);
+}
+
+module.exports = {
+  SITEMAP_KINDS,
+  refreshSitemaps,
+  listSitemapFiles,
+  getSitemapXml
+};
@@ -0,0 +1,666 @@
+const swaggerJsdoc = require('swagger-jsdoc');
+const swaggerUi = require('swagger-ui-express');
+const path = require('path');
+
+/**
+ * OpenAPI spec for the public search API (the routes defined in app.js, search suggestions,
+ * public blog JSON).
+ * Paths are documented in @swagger blocks next to their handlers; response schemas live here.
+ * Served at /api/docs (UI) and /api/docs/openapi.json; test/openApiContract.test.js checks real
+ * handler responses against these schemas, so a change to a response shape must update them.
+ */
+
+const nullable = (schema) => ({ ...schema, nullable: true });
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+const freeObject = { type: 'object', additionalProperties: true };
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { ...string, description: 'Short error title' },
+      message: { ...string, description: 'Details (some 500s include it only in development)' }
+    },
+    description: 'Endpoint-specific extras (e.g. missingIds, details) may be present',
+    additionalProperties: true
+  },
+  OpeningHours: nullable({
+    type: 'object',
+    required: ['timeZone', 'days'],
+    properties: {
+      timeZone: nullable({ ...string, description: 'IANA time zone, when known' }),
+      days: {
+        type: 'object',
+        description: 'Day (monday…sunday) → intervals; days with unknown hours are left out',
+        additionalProperties: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['open', 'close'],
+            properties: { open: { ...string, example: '09:00' }, close: { ...string, example: '17:30' } },
+            additionalProperties: false
+          }
+        }
+      }
+    },
+    additionalProperties: false
+  }),
+  Provider: {
+    type: 'object',
+    required: ['providerId', 'providerName', 'photoUrl', 'hasPhoto'],
+    properties: {
+      providerId: integer,
+      providerName: string,
+      photoUrl: nullable(string),
+      hasPhoto: boolean
+    },
+    additionalProperties: false
+  },
+  ProviderList: {
+    type: 'object',
+    required: ['providers', 'requiresConsultRequest', 'message'],
+    properties: {
+      providers: { type: 'array', items: ref('Provider') },
+      requiresConsultRequest: boolean,
+      message: nullable(string)
+    },
+    additionalProperties: false
+  },
+  ClinicProcedure: {
+    type: 'object',
+    required: ['procedureId', 'procedureName', 'price', 'averageCost', 'category', 'categoryId'],
+    properties: {
+      procedureId: integer,
+      procedureName: string,
+      price: nullable(number),
+      averageCost: nullable(number),
+      category: string,
+      categoryId: integer,
+      priceUnit: { ...string, description: 'Present only when stored, e.g. "/unit"' }
+    },
+    additionalProperties: false
+  },
+  GroupedClinicProcedures: {
+    type: 'object',
+    description: 'Category name → that category\'s procedures',
+    additionalProperties: {
+      type: 'object',
+      required: ['categoryId', 'procedures'],
+      properties: {
+        categoryId: integer,
+        procedures: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'name', 'price'],
+            properties: { id: integer, name: string, price: nullable(number), priceUnit: string },
+            additionalProperties: false
+          }
+        }
+      },
+      additionalProperties: false
+    }
+  },
+  ClinicPhoto: {
+    type: 'object',
+    required: ['photoId', 'url', 'urls', 'width', 'height', 'attribution', 'isPrimary', 'displayOrder', 'lastUpdated'],
+    properties: {
+      photoId: integer,
+      url: { ...string, description: 'Proxy URL, large size' },
+      urls: {
+        type: 'object',
+        required: ['thumbnail', 'medium', 'large'],
+        properties: { thumbnail: string, medium: string, large: string },
+        additionalProperties: false
+      },
+      width: nullable(integer),
+      height: nullable(integer),
+      attribution: nullable(string),
+      isPrimary: boolean,
+      displayOrder: nullable(integer),
+      lastUpdated: nullable(dateTime)
+    },
+    additionalProperties: false
+  },
+  ClinicPhotoList: {
+    type: 'object',
+    required: ['clinicId', 'count', 'photos'],
+    properties: {
+      clinicId: integer,
+      count: integer,
+      photos: { type: 'array', items: ref('ClinicPhoto') }
+    },
+    additionalProperties: false
+  },
+  ClinicDetail: {
+    type: 'object',
+    description: 'Every member is optional with fields=; reviews and hours (workingHours, openingHours, '
+      + 'isOpenNow, nextOpenAt) are present by default, providers / procedures / photos with include',
+    properties: {
+      clinicId: integer,
+      clinicName: string,
+      address: nullable(string),
+      city: nullable(string),
+      state: nullable(string),
+      zipCode: nullable(string),
+      latitude: nullable(number),
+      longitude: nullable(number),
+      locationId: nullable(integer),
+      placeId: nullable(string),
+      phone: nullable(string),
+      website: nullable(string),
+      email: nullable(string),
+      googleRating: number,
+      googleReviewCount: integer,
+      rating: { ...number, description: 'Alias of googleRating' },
+      reviewCount: { ...integer, description: 'Alias of googleReviewCount' },
+      lastRatingUpdate: nullable(dateTime),
+      photo: nullable(string),
+      logo: nullable(string),
+      streetView: nullable(string),
+      description: nullable(string),
+      about: nullable(freeObject),
+      verified: nullable(boolean),
+      facebook: nullable(string),
+      instagram: nullable(string),
+      linkedin: nullable(string),
+      twitter: nullable(string),
+      youtube: nullable(string),
+      googleProfileLink: nullable(string),
+      reviewsLink: nullable(string),
+      bookingAppointmentLink: nullable(string),
+      menuLink: nullable(string),
+      businessStatus: nullable(string),
+      category: string,
+      subtypes: nullable(string),
+      businessName: nullable(string),
+      reviews: { type: 'array', items: freeObject, description: 'Stored Google reviews' },
+      workingHours: nullable({
+        description: 'Google Places hours as stored (object, or the raw string when it is not JSON)'
+      }),
+      openingHours: ref('OpeningHours'),
+      isOpenNow: nullable({ ...boolean, description: 'null when the hours or time zone are unknown' }),
+      nextOpenAt: nullable(dateTime),
+      providers: { type: 'array', items: ref('Provider') },
+      procedures: { type: 'array', items: ref('ClinicProcedure') },
+      photos: { type: 'array', items: ref('ClinicPhoto') }
+    },
+    additionalProperties: false
+  },
+  SearchIndexProcedure: {
+    type: 'object',
+    required: ['procedureId', 'procedureName', 'price', 'category', 'canonicalProcedureId'],
+    properties: {
+      procedureId: integer,
+      procedureName: string,
+      price: number,
+      category: string,
+      canonicalProcedureId: nullable(integer),
+      priceUnit: string
+    },
+    additionalProperties: false
+  },
+  RankBreakdown: {
+    type: 'object',
+    required: ['score', 'signals'],
+    properties: {
+      score: number,
+      signals: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['value', 'weight', 'contribution'],
+          properties: { value: nullable(number), weight: number, contribution: number },
+          additionalProperties: false
+        }
+      }
+    },
+    additionalProperties: false
+  },
+  SearchIndexClinic: {
+    type: 'object',
+    description: 'Every member is optional with fields=; procedures, photoURL / galleryPhotos and '
+      + 'openingHours are present by default (include=procedures,photos,hours)',
+    properties: {
+      clinicId: integer,
+      clinicName: string,
+      address: nullable(string),
+      city: nullable(string),
+      state: nullable(string),
+      zipCode: nullable(string),
+      latitude: nullable(number),
+      longitude: nullable(number),
+      rating: number,
+      reviewCount: integer,
+      clinicCategory: string,
+      photoURL: nullable(string),
+      galleryPhotos: nullable({ type: 'array', items: string, description: 'Up to 5 thumbnail proxy URLs' }),
+      openingHours: ref('OpeningHours'),
+      procedures: { type: 'array', items: ref('SearchIndexProcedure') },
+      matchedPrice: nullable({
+        type: 'object',
+        required: ['price', 'priceUnit'],
+        properties: { price: number, priceUnit: string },
+        additionalProperties: false
+      }),
+      priceComparable: boolean,
+      rankBreakdown: ref('RankBreakdown')
+    },
+    additionalProperties: false
+  },
+  Pagination: {
+    type: 'object',
+    required: ['page', 'limit', 'total', 'totalPages', 'hasNextPage'],
+    properties: { page: integer, limit: integer, total: integer, totalPages: integer, hasNextPage: boolean },
+    additionalProperties: false
+  },
+  SearchIndexResponse: {
+    type: 'object',
+    required: ['clinics', 'meta'],
+    properties: {
+      clinics: { type: 'array', items: ref('SearchIndexClinic') },
+      meta: {
+        type: 'object',
+        required: ['totalClinics', 'timestamp', 'filters', 'facets', 'priceComparison'],
+        properties: {
+          totalClinics: integer,
+          timestamp: dateTime,
+          filters: { ...freeObject, description: 'The filters applied (after any location → procedure conversion)' },
+          facets: {
+            type: 'object',
+            required: ['clinicCategories', 'procedureCategories', 'ratings', 'prices', 'distances'],
+            properties: {
+              clinicCategories: { type: 'array', items: freeObject },
+              procedureCategories: { type: 'array', items: freeObject },
+              ratings: { type: 'array', items: freeObject },
+              prices: { type: 'array', items: freeObject },
+              distances: nullable({ type: 'array', items: freeObject })
+            },
+            additionalProperties: false
+          },
+          priceComparison: {
+            type: 'object',
+            required: ['unit', 'comparableClinics', 'otherUnits'],
+            properties: {
+              unit: nullable(string),
+              comparableClinics: integer,
+              otherUnits: { type: 'array', items: freeObject }
+            },
+            additionalProperties: false
+          },
+          pagination: ref('Pagination'),
+          didYouMean: freeObject,
+          autoCorrected: { type: 'array', items: freeObject },
+          ranking: freeObject
+        },
+        additionalProperties: false
+      }
+    },
+    additionalProperties: false
+  },
+  ClinicSearchResponse: {
+    type: 'object',
+    required: ['results'],
+    properties: {
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'clinicName', 'address', 'city', 'state', 'category', 'rating', 'reviewCount'],
+          properties: {
+            id: integer,
+            clinicName: string,
+            address: nullable(string),
+            city: nullable(string),
+            state: nullable(string),
+            category: string,
+            rating: nullable(number),
+            reviewCount: nullable(integer)
+          },
+          additionalProperties: false
+        }
+      }
+    },
+    additionalProperties: false
+  },
+  NearbyTopRatedResponse: {
+    type: 'object',
+    required: ['success', 'count', 'query', 'clinics'],
+    properties: {
+      success: boolean,
+      count: integer,
+      query: {
+        type: 'object',
+        required: ['latitude', 'longitude', 'limit'],
+        properties: { latitude: number, longitude: number, limit: integer },
+        additionalProperties: false
+      },
+      clinics: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            clinicId: integer,
+            clinicName: string,
+            address: nullable(string),
+            city: nullable(string),
+            state: nullable(string),
+            zipCode: nullable(string),
+            phone: nullable(string),
+            website: nullable(string),
+            rating: nullable(number),
+            reviewCount: nullable(integer),
+            category: string,
+            description: nullable(string),
+            photoURL: nullable(string),
+            location: {
+              type: 'object',
+              properties: { latitude: nullable(number), longitude: nullable(number) },
+              additionalProperties: false
+            },
+            distance: {
+              type: 'object',
+              required: ['miles', 'km'],
+              properties: { miles: number, km: number },
+              additionalProperties: false
+            },
+            review: nullable({
+              type: 'object',
+              properties: { author: nullable(string), rating: number, text: nullable(string), time: {} },
+              additionalProperties: false
+            }),
+            rankBreakdown: ref('RankBreakdown')
+          },
+          additionalProperties: false
+        }
+      },
+      ranking: freeObject
+    },
+    additionalProperties: false
+  },
+  ClinicMapResponse: {
+    type: 'object',
+    required: ['success', 'clusters', 'pins', 'meta'],
+    properties: {
+      success: boolean,
+      clusters: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['latitude', 'longitude', 'count', 'bestRating', 'bounds'],
+          properties: {
+            latitude: number,
+            longitude: number,
+            count: integer,
+            bestRating: nullable(number),
+            bounds: freeObject
+          },
+          additionalProperties: false
+        }
+      },
+      pins: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['clinicId', 'clinicName', 'latitude', 'longitude'],
+          properties: {
+            clinicId: integer,
+            clinicName: string,
+            latitude: number,
+            longitude: number,
+            rating: number,
+            reviewCount: integer,
+            clinicCategory: string,
+            city: nullable(string),
+            state: nullable(string),
+            photoURL: nullable(string)
+          },
+          additionalProperties: false
+        }
+      },
+      meta: {
+        type: 'object',
+        required: ['totalClinics', 'zoom', 'clustered', 'bounds', 'filters', 'timestamp'],
+        properties: {
+          totalClinics: integer,
+          zoom: number,
+          clustered: boolean,
+          bounds: freeObject,
+          filters: freeObject,
+          timestamp: dateTime
+        },
+        additionalProperties: false
+      }
+    },
+    additionalProperties: false
+  },
+  ClinicCompareResponse: {
+    type: 'object',
+    required: ['success', 'clinics', 'procedureMatrix'],
+    properties: {
+      success: boolean,
+      clinics: { type: 'array', items: ref('ClinicDetail') },
+      procedureMatrix: {
+        type: 'object',
+        required: ['clinicIds', 'rows'],
+        properties: {
+          clinicIds: { type: 'array', items: integer },
+          rows: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['procedureName', 'category', 'offeredBy', 'cells'],
+              properties: {
+                procedureName: string,
+                category: string,
+                offeredBy: integer,
+                cells: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    required: ['clinicId', 'offered', 'procedureId', 'price', 'priceUnit'],
+                    properties: {
+                      clinicId: integer,
+                      offered: boolean,
+                      procedureId: nullable(integer),
+                      price: nullable(number),
+                      priceUnit: nullable(string)
+                    },
+                    additionalProperties: false
+                  }
+                }
+              },
+              additionalProperties: false
+            }
+          }
+        },
+        additionalProperties: false
+      }
+    },
+    additionalProperties: false
+  },
+  ProcedureRow: {
+    type: 'object',
+    description: 'Procedure listing with its clinic (database column names)',
+    required: ['ProcedureID', 'ProcedureName', 'AverageCost', 'City', 'State', 'Category', 'ProviderName',
+      'ClinicID', 'ClinicName', 'Address', 'Website'],
+    properties: {
+      ProcedureID: integer,
+      ProcedureName: string,
+      AverageCost: nullable(number),
+      CanonicalProcedureID: nullable({ ...integer, description: '/api/procedures only' }),
+      City: nullable(string),
+      State: nullable(string),
+      Category: string,
+      ProviderName: nullable(string),
+      ClinicID: integer,
+      ClinicName: string,
+      Address: nullable(string),
+      Website: nullable(string)
+    },
+    additionalProperties: false
+  },
+  ProcedureSearchResponse: {
+    type: 'object',
+    required: ['procedures', 'pagination'],
+    properties: {
+      procedures: { type: 'array', items: ref('ProcedureRow') },
+      pagination: {
+        type: 'object',
+        required: ['total', 'totalPages', 'currentPage', 'limit'],
+        properties: { total: integer, totalPages: integer, currentPage: integer, limit: integer },
+        additionalProperties: false
+      }
+    },
+    additionalProperties: false
+  },
+  ProcedureBenchmarkResponse: {
+    type: 'object',
+    required: ['success', 'procedure', 'geography', 'benchmarks', 'meta'],
+    properties: {
+      success: boolean,
+      procedure: string,
+      geography: {
+        type: 'object',
+        required: ['level', 'region', 'sufficientSample'],
+        properties: { level: string, region: string, sufficientSample: boolean },
+        additionalProperties: false
+      },
+      benchmarks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['unit', 'sampleCount', 'outliersTrimmed', 'min', 'p25', 'median', 'p75', 'max'],
+          properties: {
+            unit: string,
+            sampleCount: integer,
+            outliersTrimmed: integer,
+            min: number,
+            p25: number,
+            median: number,
+            p75: number,
+            max: number
+          },
+          additionalProperties: false
+        }
+      },
+      meta: {
+        type: 'object',
+        required: ['levelsTried', 'minSamples', 'filters', 'timestamp'],
+        properties: {
+          levelsTried: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['level', 'region', 'sampleCount'],
+              properties: { level: string, region: string, sampleCount: integer },
+              additionalProperties: false
+            }
+          },
+          minSamples: integer,
+          filters: freeObject,
+          timestamp: dateTime
+        },
+        additionalProperties: false
+      }
+    },
+    additionalProperties: false
+  },
+  SearchSuggestion: {
+    type: 'object',
+    required: ['type', 'param', 'label', 'value', 'score'],
+    properties: {
+      type: { type: 'string', enum: ['procedure', 'clinic', 'city', 'metro', 'state'] },
+      param: { type: 'string', enum: ['procedure', 'clinicName', 'location'], description: 'search-index parameter to send value as' },
+      label: string,
+      value: string,
+      score: number,
+      clinicCount: integer,
+      matchedAlias: { ...string, description: 'Procedure nickname the query matched (e.g. bbl)' },
+      clinicId: integer,
+      city: nullable(string),
+      state: nullable(string)
+    },
+    additionalProperties: false
+  },
+  SearchSuggestResponse: {
+    type: 'object',
+    required: ['success', 'query', 'suggestions', 'meta'],
+    properties: {
+      success: boolean,
+      query: string,
+      suggestions: {
+        type: 'object',
+        required: ['procedures', 'clinics', 'locations'],
+        properties: {
+          procedures: { type: 'array', items: ref('SearchSuggestion') },
+          clinics: { type: 'array', items: ref('SearchSuggestion') },
+          locations: { type: 'array', items: ref('SearchSuggestion') }
+        },
+        additionalProperties: false
+      },
+      meta: {
+        type: 'object',
+        required: ['minQueryLength', 'indexUpdatedAt', 'tookMs'],
+        properties: {
+          minQueryLength: integer,
+          indexUpdatedAt: dateTime,
+          tookMs: integer
+        },
+        additionalProperties: false
+      }
+    },
+    additionalProperties: false
+  }
+};
+
+const options = {
+  definition: {
+    openapi: '3.0.0',
+    info: {
+      title: 'Glowra Public Search API',
+      version: '1.0.0',
+      description: 'Public clinic, procedure, photo and blog endpoints. Versioned responses under /api/v2 '
+        + 'wrap the same data in a { data, meta, errors } envelope (see README).'
+    },
+    servers: [
+      {
+        url: process.env.API_BASE_URL || 'http://localhost:3001',
+        description: process.env.API_BASE_URL ? 'API server' : 'Development server'
+      }
+    ],
+    components: {
+      schemas,
+      responses: {
+        BadRequest: { description: 'Invalid parameters', content: { 'application/json': { schema: ref('Error') } } },
+        NotFound: { description: 'Not found', content: { 'application/json': { schema: ref('Error') } } },
+        ServerError: { description: 'Internal server error', content: { 'application/json': { schema: ref('Error') } } }
+      }
+    },
+    tags: [
+      { name: 'Clinics', description: 'Clinic search, detail and sub-resources' },
+      { name: 'Search', description: 'Typeahead suggestions for the search box' },
+      { name: 'Procedures', description: 'Procedure listings and price benchmarks' },
+      { name: 'Photos', description: 'Image proxies (binary responses)' },
+      { name: 'Blog', description: 'Published blog posts (public JSON)' }
+    ]
+  },
+  apis: [
+    path.join(__dirname, 'app.js'),
+    path.join(__dirname, 'routes', 'searchRoutes.js'),
+    path.join(__dirname, 'routes', 'blogPublicRoutes.js')
+  ]
+};
+
+const publicApiSpec = swaggerJsdoc(options);
+
+module.exports = {
+  swaggerUi,
+  publicApiSpec
+};
@@ -0,0 +1,94 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MATCH_STATUS,
+  cleanProcedureName,
+  createProcedureMatcher
+} = require('../utils/canonicalProcedureMatcher');
+const { validateReviewInput, parseReviewQueueQuery } = require('../services/canonicalProcedureService');
+
+const catalog = [
+  { id: 1, slug: 'botox', displayName: 'Botox', aliases: ['botox cosmetic', 'botulinum toxin'] },
+  { id: 2, slug: 'dysport', displayName: 'Dysport' },
+  { id: 3, slug: 'lip-filler', displayName: 'Lip Filler', aliases: ['lip augmentation'] },
+  { id: 4, slug: 'dermal-filler', displayName: 'Dermal Filler', aliases: ['filler', 'juvederm'] },
+  { id: 5, slug: 'microblading', displayName: 'Microblading' },
+  { id: 6, slug: 'brazilian-butt-lift', displayName: 'Brazilian Butt Lift', aliases: ['bbl'] }
+];
+
+describe('canonicalProcedureMatcher', () => {
+  const matcher = createProcedureMatcher(catalog);
+
+  test('cleans trademark symbols, unit qualifiers and punctuation', () => {
+    assert.equal(cleanProcedureName('BOTOX® Cosmetic'), 'botox cosmetic');
+    assert.equal(cleanProcedureName('Botulinum toxin (per unit)'), 'botulinum toxin');
+    assert.equal(cleanProcedureName('Juvederm / syringe'), 'juvederm');
+    assert.equal(cleanProcedureName('Lip Filler - 1ml'), 'lip filler 1ml');
+  });
+
+  test('auto-assigns brand variants and aliases', () => {
+    ['Botox Cosmetic', 'BOTOX®', 'Botulinum toxin (per unit)'].forEach(name => {
+      const result = matcher.match(name);
+      assert.equal(result.canonicalProcedureId, 1, name);
+      assert.equal(result.status, MATCH_STATUS.AUTO, name);
+    });
+    assert.equal(matcher.match('Brazilian Butt Lift (BBL)').canonicalProcedureId, 6);
+    assert.equal(matcher.match('BBL').status, MATCH_STATUS.AUTO);
+  });
+
+  test('auto-assigns names that contain a catalog phrase', () => {
+    const result = matcher.match('Lip Filler - Juvederm');
+    assert.equal(result.canonicalProcedureId, 3);
+    assert.equal(result.status, MATCH_STATUS.AUTO);
+    assert.equal(result.matchedTerm, 'lip filler');
+  });
+
+  test('sends typos and loose matches to review with a suggestion', () => {
+    const typo = matcher.match('Microbladding');
+    assert.equal(typo.canonicalProcedureId, 5);
+    assert.equal(typo.status, MATCH_STATUS.NEEDS_REVIEW);
+
+    const loose = matcher.match('Tear trough filler');
+    assert.equal(loose.canonicalProcedureId, 4);
+    assert.equal(loose.status, MATCH_STATUS.NEEDS_REVIEW);
+  });
+
+  test('sends equally good matches for different entries to review', () => {
+    const ambiguous = createProcedureMatcher([
+      { id: 1, slug: 'botox', displayName: 'Botox', aliases: ['neurotoxin'] },
+      { id: 2, slug: 'dysport', displayName: 'Dysport', aliases: ['neurotoxin'] }
+    ]);
+    assert.equal(ambiguous.match('Neurotoxin').status, MATCH_STATUS.NEEDS_REVIEW);
+  });
+
+  test('leaves unrelated and empty names unmapped', () => {
+    assert.deepEqual(matcher.match('Xyzzy treatment').canonicalProcedureId, null);
+    assert.equal(matcher.match('Xyzzy treatment').status, MATCH_STATUS.UNMAPPED);
+    assert.equal(matcher.match('').status, MATCH_STATUS.UNMAPPED);
+    assert.equal(createProcedureMatcher([]).match('Botox').status, MATCH_STATUS.UNMAPPED);
+  });
+});
+
+describe('canonicalProcedureService input validation', () => {
+  test('review decisions need a name and an id or null', () => {
+    assert.deepEqual(validateReviewInput({ procedureName: 'Botx', canonicalProcedureId: 1 }), {
+      ok: true,
+      value: { procedureName: 'Botx', canonicalProcedureId: 1 }
+    });
+    assert.equal(validateReviewInput({ procedureName: 'Xyzzy', canonicalProcedureId: null }).ok, true);
+
+    const invalid = validateReviewInput({ procedureName: ' ', canonicalProcedureId: '1' });
+    assert.equal(invalid.ok, false);
+    assert.deepEqual(invalid.errors.map(e => e.field), ['procedureName', 'canonicalProcedureId']);
+    assert.equal(validateReviewInput({ procedureName: 'Botx' }).ok, false);
+  });
+
+  test('review queue query defaults to both open statuses', () => {
+    assert.deepEqual(parseReviewQueueQuery({}).value, { statuses: ['needs_review', 'unmapped'], limit: 100 });
+    assert.deepEqual(parseReviewQueueQuery({ status: 'unmapped', limit: '9999' }).value, {
+      statuses: ['unmapped'],
+      limit: 500
+    });
+    assert.equal(parseReviewQueueQuery({ status: 'approved' }).ok, false);
+  });
+});
@@ -0,0 +1,46 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCompareIds, buildProcedureMatrix } = require('../utils/clinicComparison');
+
+describe('clinicComparison', () => {
+  test('parses ids, dropping duplicates and keeping order', () => {
+    assert.deepEqual(parseCompareIds('3, 1,3,2'), { ok: true, value: [3, 1, 2] });
+    assert.equal(parseCompareIds('1,2,3,4,5').ok, false);
+    assert.equal(parseCompareIds('1,abc').ok, false);
+    assert.equal(parseCompareIds('0').ok, false);
+    assert.equal(parseCompareIds(undefined).ok, false);
+  });
+
+  test('aligns procedures by name and category across clinics', () => {
+    const matrix = buildProcedureMatrix([
+      {
+        clinicId: 7,
+        procedures: [
+          { procedureId: 1, procedureName: 'Botox', category: 'Injectables', price: 12, priceUnit: '/unit' },
+          { procedureId: 2, procedureName: 'Rhinoplasty', category: 'Face', price: 9000 }
+        ]
+      },
+      {
+        clinicId: 3,
+        procedures: [
+          { procedureId: 5, procedureName: 'botox ', category: 'Injectables', price: 400 },
+          { procedureId: 6, procedureName: 'Botox', category: 'Face', price: 300 }
+        ]
+      },
+      { clinicId: 9, procedures: [] }
+    ]);
+
+    assert.deepEqual(matrix.clinicIds, [7, 3, 9]);
+    assert.deepEqual(
+      matrix.rows.map(row => [row.category, row.procedureName, row.offeredBy]),
+      [['Face', 'Botox', 1], ['Face', 'Rhinoplasty', 1], ['Injectables', 'Botox', 2]]
+    );
+
+    const botox = matrix.rows[2];
+    assert.deepEqual(botox.cells, [
+      { clinicId: 7, offered: true, procedureId: 1, price: 12, priceUnit: '/unit' },
+      { clinicId: 3, offered: true, procedureId: 5, price: 400, priceUnit: null },
+      { clinicId: 9, offered: false, procedureId: null, price: null, priceUnit: null }
+    ]);
+  });
+});
@@ -0,0 +1,83 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CLINIC_DETAIL_DOCUMENT,
+  SEARCH_INDEX_CLINIC_DOCUMENT,
+  parseClinicFieldset,
+  applyClinicFieldset
+} = require('../utils/clinicFieldsets');
+
+const detail = {
+  clinicId: 7,
+  clinicName: 'Loop Dermatology',
+  rating: 4.8,
+  googleRating: 4.8,
+  reviews: [{ rating: 5, text: 'Great' }],
+  workingHours: { Monday: ['9AM-5PM'] },
+  openingHours: { timeZone: 'America/Chicago', days: {} },
+  isOpenNow: false,
+  nextOpenAt: null,
+  providers: [{ providerId: 1 }]
+};
+
+describe('clinicFieldsets', () => {
+  test('without parameters the document keeps its default includes and is returned as is', () => {
+    const parsed = parseClinicFieldset({}, CLINIC_DETAIL_DOCUMENT);
+    assert.equal(parsed.ok, true);
+    assert.deepEqual([...parsed.value.includes].sort(), ['hours', 'reviews']);
+    assert.equal(applyClinicFieldset(detail, parsed.value, CLINIC_DETAIL_DOCUMENT), detail);
+
+    const withProviders = parseClinicFieldset({ include: 'providers, Procedures' }, CLINIC_DETAIL_DOCUMENT);
+    assert.deepEqual([...withProviders.value.includes].sort(), ['hours', 'procedures', 'providers', 'reviews']);
+  });
+
+  test('fields keeps only the listed attributes plus requested includes', () => {
+    const parsed = parseClinicFieldset({ fields: 'clinicId,rating', include: 'hours' }, CLINIC_DETAIL_DOCUMENT);
+    assert.equal(parsed.ok, true);
+    assert.deepEqual(applyClinicFieldset(detail, parsed.value, CLINIC_DETAIL_DOCUMENT), {
+      clinicId: 7,
+      rating: 4.8,
+      workingHours: detail.workingHours,
+      openingHours: detail.openingHours,
+      isOpenNow: false,
+      nextOpenAt: null
+    });
+
+    const slim = parseClinicFieldset({ fields: 'clinicId,clinicName' }, CLINIC_DETAIL_DOCUMENT);
+    assert.deepEqual(applyClinicFieldset(detail, slim.value, CLINIC_DETAIL_DOCUMENT), {
+      clinicId: 7,
+      clinicName: 'Loop Dermatology'
+    });
+  });
+
+  test('unknown fields and includes are rejected', () => {
+    assert.equal(parseClinicFieldset({ include: 'providers,everything' }, CLINIC_DETAIL_DOCUMENT).ok, false);
+    assert.equal(parseClinicFieldset({ fields: 'clinicId,secret' }, CLINIC_DETAIL_DOCUMENT).ok, false);
+    assert.equal(parseClinicFieldset({ fields: ['clinicId', 'rating'] }, CLINIC_DETAIL_DOCUMENT).ok, false);
+
+    const included = parseClinicFieldset({ fields: 'reviews' }, CLINIC_DETAIL_DOCUMENT);
+    assert.equal(included.ok, false);
+    assert.match(included.message, /include=reviews/);
+  });
+
+  test('search-index clinics support their own includes', () => {
+    assert.equal(parseClinicFieldset({ include: 'reviews' }, SEARCH_INDEX_CLINIC_DOCUMENT).ok, false);
+
+    const clinic = {
+      clinicId: 1,
+      clinicName: 'Gold Coast Aesthetics',
+      photoURL: 'https://example.com/p.jpg',
+      galleryPhotos: null,
+      openingHours: null,
+      procedures: [],
+      matchedPrice: { price: 12, priceUnit: 'unit' }
+    };
+    const parsed = parseClinicFieldset({ fields: 'clinicId,matchedPrice', include: 'photos' }, SEARCH_INDEX_CLINIC_DOCUMENT);
+    assert.deepEqual(applyClinicFieldset(clinic, parsed.value, SEARCH_INDEX_CLINIC_DOCUMENT), {
+      clinicId: 1,
+      matchedPrice: clinic.matchedPrice,
+      photoURL: clinic.photoURL,
+      galleryPhotos: null
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  toAbsoluteUrl,
+  openingHoursSpecificationJsonLd,
+  buildClinicJsonLd,
+  validateClinicJsonLd
+} = require('../utils/clinicJsonLd');
+
+const URL_BASE = 'https://glowra.com/clinics/7';
+
+const clinic = (overrides = {}) => ({
+  clinicId: 7,
+  clinicName: 'Glow Med Spa',
+  address: '100 Congress Ave',
+  city: 'Austin',
+  state: 'TX',
+  zipCode: '78701',
+  phone: '(512) 555-0100',
+  latitude: 30.26,
+  longitude: -97.74,
+  googleRating: 4.7,
+  googleReviewCount: 210,
+  facebook: 'https://facebook.com/glow',
+  instagram: 'instagram.com/glow',
+  twitter: 'not a url',
+  website: 'https://glow.example',
+  openingHours: {
+    timeZone: 'America/Chicago',
+    days: {
+      monday: [{ open: '09:00', close: '17:00' }],
+      tuesday: [{ open: '09:00', close: '17:00' }],
+      saturday: [{ open: '10:00', close: '24:00' }],
+      sunday: []
+    }
+  },
+  ...overrides
+});
+
+describe('clinicJsonLd', () => {
+  test('normalizes links to absolute URLs', () => {
+    assert.equal(toAbsoluteUrl('instagram.com/glow'), 'https://instagram.com/glow');
+    assert.equal(toAbsoluteUrl('HTTPS://Facebook.com/glow'), 'https://facebook.com/glow');
+    assert.equal(toAbsoluteUrl('@glow'), null);
+    assert.equal(toAbsoluteUrl(null), null);
+  });
+
+  test('groups days with the same hours and marks closed days', () => {
+    const specs = openingHoursSpecificationJsonLd(clinic().openingHours);
+    assert.deepEqual(specs, [
+      {
+        '@type': 'OpeningHoursSpecification',
+        dayOfWeek: ['https://schema.org/Monday', 'https://schema.org/Tuesday'],
+        opens: '09:00',
+        closes: '17:00'
+      },
+      { '@type': 'OpeningHoursSpecification', dayOfWeek: 'https://schema.org/Saturday', opens: '10:00', closes: '23:59' },
+      { '@type': 'OpeningHoursSpecification', dayOfWeek: 'https://schema.org/Sunday', opens: '00:00', closes: '00:00' }
+    ]);
+    assert.deepEqual(openingHoursSpecificationJsonLd(null), []);
+  });
+
+  test('builds a valid MedicalClinic document', () => {
+    const doc = buildClinicJsonLd(clinic(), {
+      url: URL_BASE,
+      providers: [{ providerName: 'Dr. Ana Ruiz', photoUrl: 'https://api.glowra.com/api/provider-photos/3' }, { providerName: ' ' }],
+      procedures: [
+        { procedureName: 'Botox', price: 12, priceUnit: '/unit', category: 'Injectables' },
+        { procedureName: 'HydraFacial', price: 199 },
+        { procedureName: 'Consultation', price: 0 }
+      ]
+    });
+
+    assert.equal(doc['@type'], 'MedicalClinic');
+    assert.equal(doc['@id'], `${URL_BASE}#clinic`);
+    assert.deepEqual(doc.address, {
+      '@type': 'PostalAddress',
+      streetAddress: '100 Congress Ave',
+      addressLocality: 'Austin',
+      addressRegion: 'TX',
+      postalCode: '78701',
+      addressCountry: 'US'
+    });
+    assert.deepEqual(doc.geo, { '@type': 'GeoCoordinates', latitude: 30.26, longitude: -97.74 });
+    assert.equal(doc.aggregateRating.ratingValue, 4.7);
+    assert.deepEqual(doc.sameAs, ['https://facebook.com/glow', 'https://instagram.com/glow', 'https://glow.example/']);
+    assert.deepEqual(doc.employee, [
+      { '@type': 'Person', name: 'Dr. Ana Ruiz', image: 'https://api.glowra.com/api/provider-photos/3' }
+    ]);
+
+    const [botox, facial, consult] = doc.hasOfferCatalog.itemListElement;
+    assert.deepEqual(botox.priceSpecification, {
+      '@type': 'UnitPriceSpecification', price: 12, priceCurrency: 'USD', unitText: 'unit'
+    });
+    assert.equal(facial.price, 199);
+    assert.equal(facial.priceCurrency, 'USD');
+    assert.equal(consult.price, undefined);
+
+    assert.deepEqual(validateClinicJsonLd(doc), { ok: true, value: doc });
+  });
+
+  test('leaves out ratings and geo without data', () => {
+    const doc = buildClinicJsonLd(clinic({ googleRating: 0, googleReviewCount: 0, latitude: null, openingHours: null }), {
+      url: URL_BASE
+    });
+    assert.equal(doc.aggregateRating, undefined);
+    assert.equal(doc.geo, undefined);
+    assert.equal(doc.openingHoursSpecification, undefined);
+    assert.equal(doc.hasOfferCatalog, undefined);
+    assert.equal(validateClinicJsonLd(doc).ok, true);
+  });
+
+  test('rejects documents missing required properties', () => {
+    const doc = buildClinicJsonLd(clinic({ clinicName: '', address: null, city: null }), { url: '/clinics/7' });
+    const result = validateClinicJsonLd(doc);
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.errors, [
+      'name is required',
+      'url must be an absolute http(s) URL',
+      'address needs a streetAddress or addressLocality'
+    ]);
+  });
+
+  test('rejects malformed optional properties', () => {
+    const doc = buildClinicJsonLd(clinic(), { url: URL_BASE });
+    doc.aggregateRating.ratingValue = 7;
+    doc.openingHoursSpecification[0].opens = '9am';
+    doc.sameAs.push('javascript:alert(1)');
+    const result = validateClinicJsonLd(doc);
+    assert.deepEqual(result.errors, [
+      'aggregateRating.ratingValue must be between 1 and 5',
+      'openingHoursSpecification[0] opens / closes must be HH:MM',
+      'sameAs[3] must be an absolute http(s) URL'
+    ]);
+  });
+});
@@ -0,0 +1,150 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  RANKING_SIGNALS,
+  DEFAULT_RANKING_WEIGHTS,
+  setRankingWeights,
+  resetRankingWeights,
+  getRankingWeights,
+  scoreClinic,
+  rankClinics,
+  isRankDebugRequested
+} = require('../utils/clinicRanking');
+const { validateRankingWeightsInput } = require('../services/rankingWeightService');
+
+const center = { lat: 41.88, lng: -87.63 };
+
+const clinics = [
+  {
+    clinicId: 1,
+    clinicName: 'Gold Coast Aesthetics',
+    address: '1 Main St',
+    city: 'Chicago',
+    state: 'IL',
+    zipCode: '60610',
+    latitude: 41.9,
+    longitude: -87.63,
+    rating: 5.0,
+    reviewCount: 3,
+    photoURL: null,
+    galleryPhotos: null,
+    openingHours: null,
+    procedures: [{ procedureName: 'Botox Cosmetic', price: 14, priceUnit: 'unit' }]
+  },
+  {
+    clinicId: 2,
+    clinicName: 'Loop Dermatology',
+    address: '2 State St',
+    city: 'Chicago',
+    state: 'IL',
+    zipCode: '60603',
+    latitude: 41.88,
+    longitude: -87.63,
+    rating: 4.8,
+    reviewCount: 900,
+    photoURL: 'https://example.com/p.jpg',
+    galleryPhotos: ['a', 'b', 'c', 'd'],
+    openingHours: { timeZone: 'America/Chicago', days: {} },
+    procedures: [{ procedureName: 'Botox', price: 12, priceUnit: 'unit' }]
+  },
+  {
+    clinicId: 3,
+    clinicName: 'Suburban Skin',
+    address: null,
+    city: 'Naperville',
+    state: 'IL',
+    zipCode: null,
+    latitude: null,
+    longitude: null,
+    rating: 4.9,
+    reviewCount: 40,
+    photoURL: null,
+    galleryPhotos: null,
+    openingHours: null,
+    procedures: [{ procedureName: 'Botox', price: 0 }]
+  }
+];
+
+const ids = (result) => result.clinics.map((c) => c.clinicId);
+
+describe('clinicRanking', () => {
+  afterEach(() => resetRankingWeights());
+
+  test('signals that do not apply to the search are left out of the score', () => {
+    const { score, signals } = scoreClinic(clinics[1], {});
+    assert.equal(signals.textRelevance.value, null);
+    assert.equal(signals.distance.value, null);
+    assert.equal(signals.priceMatch.value, null);
+    assert.equal(signals.photos.value, 1);
+    assert.equal(signals.profileCompleteness.value, 1);
+
+    const contributions = RANKING_SIGNALS.reduce((sum, signal) => sum + signals[signal].contribution, 0);
+    assert.ok(Math.abs(contributions - score) < 0.001);
+    assert.ok(score > 0 && score <= 1);
+  });
+
+  test('each signal is scored between 0 and 1', () => {
+    const context = { procedureTerm: 'botox', geoCenter: center, priceUnit: 'unit' };
+    clinics.forEach(clinic => {
+      Object.values(scoreClinic(clinic, context).signals).forEach(({ value }) => {
+        assert.ok(value >= 0 && value <= 1);
+      });
+    });
+    const far = scoreClinic(clinics[2], context).signals;
+    assert.equal(far.distance.value, 0);
+    assert.equal(far.priceMatch.value, 0);
+    assert.equal(scoreClinic(clinics[1], context).signals.distance.value, 1);
+  });
+
+  test('rankClinics orders by weighted score and keeps ties in incoming order', () => {
+    const result = rankClinics(clinics, { procedureTerm: 'botox', geoCenter: center });
+    assert.deepEqual(ids(result), [2, 1, 3]);
+    assert.equal(result.breakdowns.get(clinics[1]).signals.textRelevance.value, 1);
+
+    const flat = Object.fromEntries(RANKING_SIGNALS.map(signal => [signal, 0]));
+    assert.deepEqual(ids(rankClinics(clinics, {}, { weights: { ...flat, textRelevance: 1 } })), [1, 2, 3]);
+  });
+
+  test('weights can be changed at runtime', () => {
+    const flat = Object.fromEntries(RANKING_SIGNALS.map(signal => [signal, 0]));
+    setRankingWeights({ ...flat, textRelevance: 1 });
+    assert.deepEqual(ids(rankClinics(clinics, { clinicName: 'suburban' })), [3, 1, 2]);
+
+    setRankingWeights({ rating: 1 });
+    assert.equal(getRankingWeights().rating, 1);
+    assert.equal(getRankingWeights().distance, DEFAULT_RANKING_WEIGHTS.distance);
+
+    resetRankingWeights();
+    assert.deepEqual(getRankingWeights(), { ...DEFAULT_RANKING_WEIGHTS });
+  });
+
+  test('clinics loaded without procedures can report procedure counts', () => {
+    const { procedures, ...withoutProcedures } = clinics[1];
+    assert.equal(procedures.length, 1);
+    const counted = scoreClinic({ ...withoutProcedures, procedureCount: 5, pricedProcedureCount: 0 }, {});
+    assert.equal(counted.signals.profileCompleteness.value, Math.round((6 / 7) * 10000) / 10000);
+  });
+
+  test('isRankDebugRequested reads debug=rank', () => {
+    assert.equal(isRankDebugRequested('rank'), true);
+    assert.equal(isRankDebugRequested('timing, Rank'), true);
+    assert.equal(isRankDebugRequested(['x', 'rank']), true);
+    assert.equal(isRankDebugRequested('ranking'), false);
+    assert.equal(isRankDebugRequested(undefined), false);
+  });
+
+  test('validateRankingWeightsInput merges a partial update and rejects bad weights', () => {
+    const ok = validateRankingWeightsInput({ weights: { distance: 0.5 } }, DEFAULT_RANKING_WEIGHTS);
+    assert.equal(ok.ok, true);
+    assert.equal(ok.value.weights.distance, 0.5);
+    assert.equal(ok.value.weights.rating, DEFAULT_RANKING_WEIGHTS.rating);
+
+    const bad = validateRankingWeightsInput({ weights: { popularity: 0.5, rating: 2 } }, DEFAULT_RANKING_WEIGHTS);
+    assert.equal(bad.ok, false);
+    assert.deepEqual(bad.errors.map(e => e.field), ['weights.popularity', 'weights.rating']);
+
+    const zero = Object.fromEntries(RANKING_SIGNALS.map(signal => [signal, 0]));
+    assert.equal(validateRankingWeightsInput({ weights: zero }).ok, false);
+    assert.equal(validateRankingWeightsInput({}).ok, false);
+  });
+});
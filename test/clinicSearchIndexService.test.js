@@ -0,0 +1,76 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { applySearchFilters, buildResponseFilters } = require('../services/clinicSearchIndexService');
+const { parseCategoryParam } = require('../utils/categoryNormalizer');
+
+function clinic(clinicId, overrides = {}) {
+  return {
+    clinicId,
+    clinicName: `Clinic ${clinicId}`,
+    city: 'Miami',
+    state: 'FL',
+    zipCode: '33101',
+    latitude: 25.77,
+    longitude: -80.19,
+    rating: 4.5,
+    reviewCount: 10,
+    procedures: [],
+    ...overrides
+  };
+}
+
+const clinics = [
+  clinic(1, { procedures: [{ procedureName: 'Rhinoplasty', category: 'Face', price: 8000 }] }),
+  clinic(2, { state: 'TX', city: 'Houston', procedures: [{ procedureName: 'Brazilian Butt Lift', category: 'Body', price: 9000 }] }),
+  clinic(3, { procedures: [{ procedureName: 'BBL Revision', category: 'Body', price: 7000 }] })
+];
+
+describe('clinicSearchIndexService.applySearchFilters', () => {
+  test('state location keeps matching clinics in base order', async () => {
+    const outcome = await applySearchFilters(clinics, { location: 'FL' });
+    assert.deepEqual(outcome.clinics.map((c) => c.clinicId), [1, 3]);
+    assert.equal(outcome.locationConvertedToProcedure, false);
+  });
+
+  test('procedure filter expands abbreviations and sorts by relevance', async () => {
+    const outcome = await applySearchFilters(clinics, { procedure: 'bbl' });
+    assert.deepEqual(outcome.clinics.map((c) => c.clinicId), [3, 2]);
+  });
+
+  test('free-text location that matches a procedure is converted to a procedure search', async () => {
+    const outcome = await applySearchFilters(clinics, { location: 'rhinoplasty' });
+    assert.equal(outcome.locationConvertedToProcedure, true);
+    assert.deepEqual(outcome.clinics.map((c) => c.clinicId), [1]);
+
+    const filters = buildResponseFilters({ location: 'rhinoplasty' }, outcome);
+    assert.equal(filters.location, null);
+    assert.equal(filters.procedure, 'rhinoplasty');
+  });
+
+  test('category filters on the standardized clinic category and is echoed', async () => {
+    const categorized = [
+      clinic(1, { clinicCategory: 'Dermatology' }),
+      clinic(2, { clinicCategory: 'Plastic Surgery' })
+    ];
+    const outcome = await applySearchFilters(categorized, { category: 'dermatologist' });
+    assert.deepEqual(outcome.clinics.map((c) => c.clinicId), [1]);
+    assert.equal(buildResponseFilters({ category: 'dermatologist' }, outcome).category, 'Dermatology');
+  });
+
+  test('category accepts standard names and aliases and rejects everything else', () => {
+    assert.deepEqual(parseCategoryParam('medical'), { ok: true, value: 'Medical' });
+    assert.deepEqual(parseCategoryParam('Medspa / Aesthetics'), { ok: true, value: 'Medspa / Aesthetics' });
+    assert.deepEqual(parseCategoryParam('medspa'), { ok: true, value: 'Medspa / Aesthetics' });
+    assert.deepEqual(parseCategoryParam('other'), { ok: true, value: 'Other' });
+    assert.deepEqual(parseCategoryParam(undefined), { ok: true, value: null });
+    assert.deepEqual(parseCategoryParam('  '), { ok: true, value: null });
+    assert.equal(parseCategoryParam('Face').ok, false);
+    assert.equal(parseCategoryParam(['Dermatology', 'Medical']).ok, false);
+  });
+
+  test('does not mutate the loaded clinic list', async () => {
+    const input = clinics.slice();
+    await applySearchFilters(input, { procedure: 'bbl' });
+    assert.deepEqual(input.map((c) => c.clinicId), [1, 2, 3]);
+  });
+});
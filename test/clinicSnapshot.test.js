@@ -0,0 +1,58 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createClinicSnapshot } = require('../utils/clinicSnapshot');
+const { emitClinicChange, CLINIC_CHANGE_TYPES } = require('../utils/clinicEvents');
+
+/** A load that resolves when release() is called, counting calls */
+function controlledLoad() {
+  const state = { calls: 0, pending: [] };
+  state.load = () => {
+    state.calls += 1;
+    return new Promise(resolve => state.pending.push(() => resolve(state.calls)));
+  };
+  state.release = () => state.pending.shift()();
+  return state;
+}
+
+describe('createClinicSnapshot', () => {
+  test('concurrent callers share one load, and fresh snapshots are served without loading', async () => {
+    const source = controlledLoad();
+    const snapshot = createClinicSnapshot({ name: 'Test', ttlMs: 60000, load: source.load });
+    const both = Promise.all([snapshot.get(), snapshot.get()]);
+    await new Promise(setImmediate);
+    source.release();
+    assert.deepEqual(await both, [1, 1]);
+    assert.equal(await snapshot.get(), 1);
+    assert.equal(source.calls, 1);
+  });
+
+  test('a load that started before a clinic change is not treated as fresh', async () => {
+    const source = controlledLoad();
+    const snapshot = createClinicSnapshot({ name: 'Test', ttlMs: 60000, serveStale: false, load: source.load });
+    const first = snapshot.get();
+    await new Promise(setImmediate);
+    emitClinicChange(CLINIC_CHANGE_TYPES.UPDATED, [1]);
+    source.release();
+    assert.equal(await first, 1);
+
+    const second = snapshot.get();
+    await new Promise(setImmediate);
+    source.release();
+    assert.equal(await second, 2);
+  });
+
+  test('a stale snapshot is served while it reloads in the background, unless serveStale is off', async () => {
+    let calls = 0;
+    const load = async () => (calls += 1);
+    const cached = createClinicSnapshot({ name: 'Test', ttlMs: 60000, load });
+    const waiting = createClinicSnapshot({ name: 'Test', ttlMs: 60000, serveStale: false, load });
+    await cached.get();
+    await waiting.get();
+
+    emitClinicChange(CLINIC_CHANGE_TYPES.DELETED, [1]);
+    assert.equal(await cached.get(), 1);
+    assert.equal(await waiting.get(), 4);
+    await new Promise(setImmediate);
+    assert.equal(cached.peek(), 3);
+  });
+});
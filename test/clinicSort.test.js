@@ -0,0 +1,70 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSortParam, sortClinics } = require('../utils/clinicSort');
+
+const clinics = [
+  {
+    clinicId: 1,
+    rating: 5.0,
+    reviewCount: 3,
+    latitude: 41.95,
+    longitude: -87.65,
+    procedures: [{ procedureName: 'Botox', price: 14 }, { procedureName: 'Rhinoplasty', price: 9000 }]
+  },
+  {
+    clinicId: 2,
+    rating: 4.8,
+    reviewCount: 900,
+    latitude: 41.88,
+    longitude: -87.63,
+    procedures: [{ procedureName: 'Botox', price: 11 }]
+  },
+  {
+    clinicId: 3,
+    rating: 4.8,
+    reviewCount: 40,
+    latitude: null,
+    longitude: null,
+    procedures: [{ procedureName: 'Facelift', price: 0 }]
+  }
+];
+
+const ids = (result) => result.clinics.map((c) => c.clinicId);
+
+describe('clinicSort', () => {
+  test('parseSortParam accepts known values and falls back to relevance', () => {
+    assert.equal(parseSortParam('Weighted_Rating'), 'weighted_rating');
+    assert.equal(parseSortParam('cheapest'), 'relevance');
+    assert.equal(parseSortParam(undefined), 'relevance');
+  });
+
+  test('relevance keeps the incoming order', () => {
+    assert.deepEqual(ids(sortClinics(clinics, 'relevance')), [1, 2, 3]);
+  });
+
+  test('rating breaks ties by review count; reviews sorts by count', () => {
+    assert.deepEqual(ids(sortClinics(clinics, 'rating')), [1, 2, 3]);
+    assert.deepEqual(ids(sortClinics(clinics, 'reviews')), [2, 3, 1]);
+  });
+
+  test('weighted_rating ranks many strong reviews above a few perfect ones', () => {
+    assert.deepEqual(ids(sortClinics(clinics, 'weighted_rating')), [2, 3, 1]);
+  });
+
+  test('price sorts use the matched procedure and put unpriced clinics last', () => {
+    assert.deepEqual(ids(sortClinics(clinics, 'price_asc', { procedureTerm: 'botox' })), [2, 1, 3]);
+    assert.deepEqual(ids(sortClinics(clinics, 'price_desc', { procedureTerm: 'botox' })), [1, 2, 3]);
+    assert.deepEqual(ids(sortClinics(clinics, 'price_desc')), [1, 2, 3]);
+  });
+
+  test('distance needs a geo center and reports the sort actually applied', () => {
+    const center = { lat: 41.8781, lng: -87.6298 };
+    const result = sortClinics(clinics, 'distance', { geoCenter: center });
+    assert.equal(result.sort, 'distance');
+    assert.deepEqual(ids(result), [2, 1, 3]);
+
+    const noCenter = sortClinics(clinics, 'distance');
+    assert.equal(noCenter.sort, 'relevance');
+    assert.deepEqual(ids(noCenter), [1, 2, 3]);
+  });
+});
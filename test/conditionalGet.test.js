@@ -0,0 +1,106 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { CACHE_POLICIES, strongETag, setLastModified, conditionalGet } = require('../utils/conditionalGet');
+
+const updatedAt = new Date('2026-03-01T10:00:00Z');
+
+describe('conditionalGet', () => {
+  let server;
+  let baseUrl;
+  let counter = 0;
+  let builds = 0;
+
+  before(async () => {
+    const app = express();
+    app.get('/clinic', conditionalGet(CACHE_POLICIES.clinicDetail), (req, res) => {
+      setLastModified(res, null, updatedAt, 'not a date');
+      res.json({ clinicId: 1, name: 'Loop Dermatology' });
+    });
+    app.get('/changing', conditionalGet(CACHE_POLICIES.searchIndex), (req, res) => {
+      counter += 1;
+      res.json({ counter });
+    });
+    app.get('/timestamped', conditionalGet(CACHE_POLICIES.searchIndex), (req, res) => {
+      // A different timestamp on every build, as a rebuilt response would have
+      builds += 1;
+      res.json({ meta: { timestamp: new Date(Date.now() + builds * 1000).toISOString(), total: 1 }, data: [1] });
+    });
+    app.get('/missing', conditionalGet(CACHE_POLICIES.clinicDetail), (req, res) => {
+      res.status(404).json({ error: 'Clinic not found' });
+    });
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  test('successful responses carry a strong ETag, Last-Modified and the route policy', async () => {
+    const res = await fetch(`${baseUrl}/clinic`);
+    const body = await res.text();
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('etag'), strongETag(body));
+    assert.ok(!res.headers.get('etag').startsWith('W/'));
+    assert.equal(res.headers.get('last-modified'), updatedAt.toUTCString());
+    assert.equal(res.headers.get('cache-control'), CACHE_POLICIES.clinicDetail);
+  });
+
+  test('a matching If-None-Match gets 304 with validators and no body', async () => {
+    const { headers } = await fetch(`${baseUrl}/clinic`);
+    const etag = headers.get('etag');
+    for (const ifNoneMatch of [etag, `"other", W/${etag}`, '*']) {
+      const res = await fetch(`${baseUrl}/clinic`, { headers: { 'If-None-Match': ifNoneMatch } });
+      assert.equal(res.status, 304);
+      assert.equal(res.headers.get('etag'), etag);
+      assert.equal(res.headers.get('cache-control'), CACHE_POLICIES.clinicDetail);
+      assert.equal(await res.text(), '');
+    }
+  });
+
+  test('If-Modified-Since is honored only without If-None-Match', async () => {
+    const since = { 'If-Modified-Since': updatedAt.toUTCString() };
+    assert.equal((await fetch(`${baseUrl}/clinic`, { headers: since })).status, 304);
+
+    const earlier = { 'If-Modified-Since': new Date(updatedAt.getTime() - 1000).toUTCString() };
+    assert.equal((await fetch(`${baseUrl}/clinic`, { headers: earlier })).status, 200);
+
+    const staleTag = { ...since, 'If-None-Match': '"stale"' };
+    assert.equal((await fetch(`${baseUrl}/clinic`, { headers: staleTag })).status, 200);
+  });
+
+  test('changed content gets a new ETag and a full response', async () => {
+    const first = await fetch(`${baseUrl}/changing`);
+    await first.text();
+    assert.equal(first.headers.get('last-modified'), null);
+    const second = await fetch(`${baseUrl}/changing`, { headers: { 'If-None-Match': first.headers.get('etag') } });
+    assert.equal(second.status, 200);
+    assert.deepEqual(await second.json(), { counter: 2 });
+    assert.notEqual(second.headers.get('etag'), first.headers.get('etag'));
+  });
+
+  test('meta.timestamp is left out of the ETag', async () => {
+    const first = await fetch(`${baseUrl}/timestamped`);
+    const { meta } = await first.json();
+    assert.ok(meta.timestamp);
+    const second = await fetch(`${baseUrl}/timestamped`, { headers: { 'If-None-Match': first.headers.get('etag') } });
+    assert.equal(second.status, 304);
+  });
+
+  test('errors get no validators or cache policy', async () => {
+    const res = await fetch(`${baseUrl}/missing`, { headers: { 'If-None-Match': '*' } });
+    assert.equal(res.status, 404);
+    assert.equal(res.headers.get('cache-control'), null);
+    assert.deepEqual(await res.json(), { error: 'Clinic not found' });
+  });
+
+  test('setLastModified never reports a time in the future', () => {
+    const res = { locals: {} };
+    setLastModified(res, new Date(Date.now() + 60 * 60 * 1000));
+    assert.ok(res.locals.lastModified.getTime() <= Date.now());
+    const untouched = { locals: {} };
+    setLastModified(untouched);
+    assert.equal(untouched.locals.lastModified, undefined);
+  });
+});
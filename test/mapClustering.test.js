@@ -0,0 +1,43 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMapViewport, isInBounds, clusterPoints } = require('../utils/mapClustering');
+
+const chicagoLoop = [
+  { clinicId: 1, latitude: 41.881, longitude: -87.627, rating: 4.6 },
+  { clinicId: 2, latitude: 41.884, longitude: -87.631, rating: 4.9 },
+  { clinicId: 3, latitude: 41.879, longitude: -87.624, rating: 0 }
+];
+const milwaukee = { clinicId: 4, latitude: 43.038, longitude: -87.906, rating: 4.2 };
+
+describe('mapClustering', () => {
+  test('parseMapViewport validates bounds and clamps zoom', () => {
+    const ok = parseMapViewport({ north: '42.1', south: '41.6', east: '-87.5', west: '-88', zoom: '30.7' });
+    assert.deepEqual(ok, { bounds: { north: 42.1, south: 41.6, east: -87.5, west: -88 }, zoom: 22 });
+
+    assert.ok(parseMapViewport({ north: '42', south: '41', east: '-87' }).error);
+    assert.ok(parseMapViewport({ north: '41', south: '42', east: '-87', west: '-88', zoom: '8' }).error);
+    assert.ok(parseMapViewport({ north: '95', south: '42', east: '-87', west: '-88', zoom: '8' }).error);
+  });
+
+  test('isInBounds handles boxes crossing the antimeridian', () => {
+    const bounds = { north: 60, south: 10, east: -150, west: 170 };
+    assert.equal(isInBounds(20, 175, bounds), true);
+    assert.equal(isInBounds(20, -155, bounds), true);
+    assert.equal(isInBounds(20, 0, bounds), false);
+  });
+
+  test('groups nearby clinics and leaves isolated clinics as points', () => {
+    const { clusters, points } = clusterPoints([...chicagoLoop, milwaukee], 8);
+    assert.equal(clusters.length, 1);
+    assert.equal(clusters[0].count, 3);
+    assert.equal(clusters[0].bestRating, 4.9);
+    assert.ok(Math.abs(clusters[0].latitude - 41.8813) < 0.001);
+    assert.deepEqual(clusters[0].bounds, { north: 41.884, south: 41.879, east: -87.624, west: -87.631 });
+    assert.deepEqual(points.map((p) => p.clinicId), [4]);
+  });
+
+  test('cells shrink as zoom increases', () => {
+    assert.equal(clusterPoints([...chicagoLoop, milwaukee], 3).clusters[0].count, 4);
+    assert.equal(clusterPoints(chicagoLoop, 18).clusters.length, 0);
+  });
+});
@@ -0,0 +1,104 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { findMetroArea, getMetroAreas, setMetroAreas, resetMetroAreas } = require('../utils/locationUtils');
+const { filterByCity } = require('../utils/clinicSearchFilters');
+const { validateMetroAreaInput, previewMetroArea } = require('../services/metroAreaService');
+const { db } = require('../db');
+
+const clinics = [
+  { clinicId: 1, clinicName: 'Downtown', city: 'Austin', state: 'TX', latitude: 30.2672, longitude: -97.7431 },
+  { clinicId: 2, clinicName: 'North', city: 'Round Rock', state: 'TX', latitude: 30.5083, longitude: -97.6789 },
+  { clinicId: 3, clinicName: 'West', city: 'Lakeway', state: 'TX', latitude: 30.3632, longitude: -97.9795 },
+  { clinicId: 4, clinicName: 'Far', city: 'Houston', state: 'TX', latitude: 29.7604, longitude: -95.3698 }
+];
+
+const austin = { lat: 30.2672, lng: -97.7431, radius: 20, cities: ['austin', 'round rock'] };
+
+describe('metro areas', () => {
+  afterEach(() => resetMetroAreas());
+
+  test('defaults are the built-in metro areas', () => {
+    assert.equal(findMetroArea('Evanston'), getMetroAreas().chicago);
+    assert.equal(findMetroArea('Austin'), null);
+  });
+
+  test('replacing metro areas takes effect for the next search', async () => {
+    setMetroAreas({ austin });
+    assert.equal(findMetroArea('round rock'), austin);
+    assert.equal(findMetroArea('Evanston'), null);
+
+    const found = await filterByCity(clinics, 'Round Rock', null);
+    assert.deepEqual(found.map(c => c.clinicId), [1, 2, 3]);
+  });
+
+  test('filterByCity can preview an unsaved definition', async () => {
+    const found = await filterByCity(clinics, 'Austin', null, {
+      metroArea: { ...austin, radius: 5, cities: ['austin'] }
+    });
+    assert.deepEqual(found.map(c => c.clinicId), [1]);
+  });
+});
+
+describe('metroAreaService.validateMetroAreaInput', () => {
+  test('normalizes names and dedupes cities', () => {
+    const result = validateMetroAreaInput({
+      name: '  Austin ',
+      lat: 30.27,
+      lng: -97.74,
+      radius: 25,
+      cities: ['Austin', 'ROUND  rock', 'round rock', ' ']
+    });
+    assert.deepEqual(result, {
+      ok: true,
+      value: { name: 'austin', lat: 30.27, lng: -97.74, radius: 25, cities: ['austin', 'round rock'], isActive: true }
+    });
+  });
+
+  test('reports every invalid field', () => {
+    const result = validateMetroAreaInput({ name: '', lat: '30', lng: 200, radius: 0, cities: [], isActive: 'yes' });
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.errors.map(e => e.field), ['name', 'lat', 'lng', 'radius', 'cities', 'isActive']);
+  });
+});
+
+describe('metroAreaService.previewMetroArea', () => {
+  test('lists captured clinics and member cities without clinics', async () => {
+    const orig = db.getConnection.bind(db);
+    db.getConnection = async () => ({
+      request() {
+        return {
+          async query(text) {
+            if (/AS ClinicCount/.test(text)) return { recordset: [] };
+            return {
+              recordset: clinics.map(c => ({
+                ClinicID: c.clinicId,
+                ClinicName: c.clinicName,
+                City: c.city,
+                State: c.state,
+                Latitude: c.latitude,
+                Longitude: c.longitude
+              }))
+            };
+          }
+        };
+      }
+    });
+    try {
+      const result = await previewMetroArea({ name: 'Austin', ...austin, cities: ['Austin', 'Round Rock', 'Pflugerville'] });
+      assert.equal(result.ok, true);
+      const { total, clinics: captured, byCity, citiesWithoutClinics } = result.value;
+      assert.equal(total, 3);
+      assert.deepEqual(captured.map(c => [c.clinicId, c.matchedBy]), [[1, 'city'], [2, 'city'], [3, 'radius']]);
+      assert.equal(captured[0].distanceMiles, 0);
+      assert.equal(byCity.length, 3);
+      assert.deepEqual(citiesWithoutClinics, ['pflugerville']);
+    } finally {
+      db.getConnection = orig;
+    }
+  });
+
+  test('rejects invalid definitions before touching the database', async () => {
+    const result = await previewMetroArea({ name: 'Austin' });
+    assert.equal(result.ok, false);
+  });
+});
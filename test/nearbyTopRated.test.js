@@ -0,0 +1,73 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db } = require('../db');
+const app = require('../app');
+
+// 300 clinics strung out north of Chicago; only the farthest 50 have a rating and a photo
+const points = Array.from({ length: 300 }, (_, i) => ({
+  ClinicID: i + 1,
+  Latitude: 41.88 + i * 0.01,
+  Longitude: -87.63
+}));
+const isEligible = (clinicId) => clinicId > 250;
+
+describe('nearby-top-rated', () => {
+  let server;
+  let baseUrl;
+  let originalGetConnection;
+  const candidateBatches = [];
+
+  before(async () => {
+    originalGetConnection = db.getConnection;
+    db.getConnection = async () => ({
+      request() {
+        const inputs = {};
+        const request = {
+          input(name, ...args) {
+            inputs[name] = args[args.length - 1];
+            return request;
+          },
+          async query(text) {
+            if (/SELECT ClinicID, Latitude, Longitude/.test(text)) return { recordset: points };
+            if (/STRING_SPLIT\(@clinicIds/.test(text)) {
+              const ids = inputs.clinicIds.split(',').map(Number);
+              candidateBatches.push(ids.length);
+              return {
+                recordset: ids.filter(isEligible).map(id => ({
+                  ...points[id - 1],
+                  ClinicName: `Clinic ${id}`,
+                  GoogleRating: 4.5,
+                  GoogleReviewCount: 10,
+                  PhotoURL: `https://example.com/${id}.jpg`,
+                  ProcedureCount: 1,
+                  PricedProcedureCount: 1
+                }))
+              };
+            }
+            return { recordset: [] };
+          }
+        };
+        return request;
+      }
+    });
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => {
+    db.getConnection = originalGetConnection;
+    server.close(resolve);
+  }));
+
+  test('widens the candidate set until enough clinics pass the rating and photo filters', async () => {
+    const res = await fetch(`${baseUrl}/api/clinics/nearby-top-rated?lat=41.88&lng=-87.63&limit=5`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.count, 5);
+    assert.ok(body.clinics.every(clinic => isEligible(clinic.clinicId)));
+    // The first 200 candidates yield nothing; the next round only loads the new ones
+    assert.deepEqual(candidateBatches, [200, 100]);
+  });
+});
@@ -0,0 +1,66 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { lookupZip, lookupCity, loadGeoDataset } = require('../utils/offlineGeocoder');
+const { geocodeOffline } = require('../utils/locationUtils');
+const { filterByZipRadius } = require('../utils/clinicSearchFilters');
+
+const fixture = {
+  cities: [['Springfield', 'IL'], ['Springfield', 'MO'], ['Chicago', 'IL']],
+  zips: {
+    '62701': [39.80, -89.64, 0],
+    '65801': [37.20, -93.28, 1],
+    '65802': [37.22, -93.32, 1],
+    '60601': [41.88, -87.62, 2],
+    '60602': [41.90, -87.64, 2]
+  }
+};
+
+describe('offlineGeocoder', () => {
+  after(() => loadGeoDataset(null));
+
+  test('ZIP and ZIP+4 resolve to the ZIP centroid', () => {
+    loadGeoDataset(fixture);
+    assert.deepEqual(lookupZip('60601-1234'), {
+      lat: 41.88,
+      lng: -87.62,
+      formattedAddress: 'Chicago, IL 60601',
+      placeId: null,
+      source: 'offline'
+    });
+    assert.equal(lookupZip('99999'), null);
+  });
+
+  test('city centroid is the mean of its ZIPs; state disambiguates', () => {
+    loadGeoDataset(fixture);
+    const chicago = lookupCity('chicago', 'il');
+    assert.ok(Math.abs(chicago.lat - 41.89) < 1e-9);
+    assert.equal(lookupCity('Springfield', 'IL').formattedAddress, 'Springfield, IL');
+    // Without a state, the city with the most ZIPs wins
+    assert.equal(lookupCity('Springfield').formattedAddress, 'Springfield, MO');
+  });
+
+  test('geocodeOffline understands ZIP, "City, ST" and "City, State Name"', () => {
+    loadGeoDataset(fixture);
+    assert.equal(geocodeOffline('65801').formattedAddress, 'Springfield, MO 65801');
+    assert.equal(geocodeOffline('Springfield, IL').formattedAddress, 'Springfield, IL');
+    assert.equal(geocodeOffline('Springfield, Illinois').formattedAddress, 'Springfield, IL');
+    assert.equal(geocodeOffline('IL'), null);
+  });
+
+  test('ZIP radius search finds a center without any clinic in that ZIP', async () => {
+    loadGeoDataset(fixture);
+    const clinics = [
+      { clinicId: 1, zipCode: '60610', latitude: 41.90, longitude: -87.63 },
+      { clinicId: 2, zipCode: '62701', latitude: 39.80, longitude: -89.64 }
+    ];
+    const context = {};
+    const result = await filterByZipRadius(clinics, '60602', 10, context);
+    assert.deepEqual(result.map(c => c.clinicId), [1]);
+    assert.deepEqual(context.center, { lat: 41.90, lng: -87.64 });
+  });
+
+  test('bundled dataset loads', () => {
+    loadGeoDataset(null);
+    assert.equal(lookupZip('90210').formattedAddress, 'Beverly Hills, CA 90210');
+  });
+});
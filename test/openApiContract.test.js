@@ -0,0 +1,492 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { db } = require('../db');
+const app = require('../app');
+const { invalidateSearchCache } = require('../services/searchCacheService');
+
+// Contract test: real app.js handlers on a fake pool, responses validated against the served spec
+
+const lastRatingUpdate = new Date('2026-03-01T12:00:00Z');
+
+const clinicRows = [
+  {
+    ClinicID: 1,
+    ClinicName: 'Loop Dermatology',
+    Address: '100 W Randolph St',
+    City: 'Chicago',
+    State: 'IL',
+    PostalCode: '60601',
+    Phone: '312-555-0100',
+    Website: 'https://loopderm.example.com',
+    Latitude: 41.8843,
+    Longitude: -87.6324,
+    LocationID: 5,
+    PlaceID: 'place-1',
+    GoogleRating: 4.8,
+    GoogleReviewCount: 212,
+    GoogleReviewsJSON: JSON.stringify([
+      { author_name: 'Ana', rating: 5, text: 'Friendly staff and a very thorough consultation before my treatment.' }
+    ]),
+    LastRatingUpdate: lastRatingUpdate,
+    Photo: 'https://example.com/loop.jpg',
+    Logo: null,
+    Street: '100 W Randolph St',
+    StreetView: null,
+    Description: 'Medical and cosmetic dermatology',
+    WorkingHours: JSON.stringify({ Monday: '9AM-5PM', Tuesday: '9AM-5PM', Sunday: 'Closed' }),
+    AboutJSON: JSON.stringify({ Accessibility: { 'Wheelchair accessible entrance': true } }),
+    Verified: true,
+    Facebook: null,
+    Instagram: 'https://instagram.com/loopderm',
+    LinkedIn: null,
+    Twitter: null,
+    YouTube: null,
+    GoogleProfileLink: null,
+    ReviewsLink: null,
+    BookingAppointmentLink: null,
+    MenuLink: null,
+    BusinessStatus: 'OPERATIONAL',
+    Category: 'Dermatologist',
+    Subtypes: 'Dermatologist, Skin care clinic',
+    BusinessName: 'Loop Dermatology',
+    Email: null,
+    GpCity: 'Chicago',
+    GpState: 'IL',
+    GpPostalCode: '60601',
+    LCity: 'Chicago',
+    LState: 'IL'
+  },
+  {
+    ClinicID: 2,
+    ClinicName: 'Gold Coast Aesthetics',
+    Address: '900 N Michigan Ave',
+    City: 'Chicago',
+    State: 'IL',
+    PostalCode: '60611',
+    Phone: null,
+    Website: null,
+    Latitude: 41.8995,
+    Longitude: -87.6244,
+    LocationID: 5,
+    PlaceID: null,
+    GoogleRating: 4.5,
+    GoogleReviewCount: 40,
+    GoogleReviewsJSON: null,
+    LastRatingUpdate: null,
+    Photo: null,
+    Logo: null,
+    Street: null,
+    StreetView: null,
+    Description: null,
+    WorkingHours: null,
+    AboutJSON: null,
+    Verified: null,
+    Facebook: null,
+    Instagram: null,
+    LinkedIn: null,
+    Twitter: null,
+    YouTube: null,
+    GoogleProfileLink: null,
+    ReviewsLink: null,
+    BookingAppointmentLink: null,
+    MenuLink: null,
+    BusinessStatus: null,
+    Category: 'Medical Spa',
+    Subtypes: null,
+    BusinessName: null,
+    Email: null,
+    GpCity: null,
+    GpState: null,
+    GpPostalCode: null,
+    LCity: 'Chicago',
+    LState: 'IL'
+  }
+];
+
+const procedureRows = [
+  { ClinicID: 1, ProcedureID: 11, ProcedureName: 'Botox', AverageCost: 14, PriceUnit: 'unit', Category: 'Face', CategoryID: 2, CanonicalProcedureID: 7 },
+  { ClinicID: 1, ProcedureID: 12, ProcedureName: 'Chemical Peel', AverageCost: 150, PriceUnit: null, Category: 'Skin', CategoryID: 3, CanonicalProcedureID: null },
+  { ClinicID: 2, ProcedureID: 21, ProcedureName: 'Botox', AverageCost: 12, PriceUnit: 'unit', Category: 'Face', CategoryID: 2, CanonicalProcedureID: 7 }
+];
+
+const photoRows = [
+  { ClinicID: 1, PhotoID: 101, PhotoReference: 'google-1', PhotoURL: 'https://example.com/1.jpg', Width: 1600, Height: 1200, AttributionText: 'Loop Dermatology', IsPrimary: true, DisplayOrder: 0, LastUpdated: new Date('2026-02-01T00:00:00Z') },
+  { ClinicID: 2, PhotoID: 201, PhotoReference: 'google-2', PhotoURL: 'https://example.com/2.jpg', Width: 800, Height: 600, AttributionText: null, IsPrimary: true, DisplayOrder: 0, LastUpdated: null }
+];
+
+const providerRows = [
+  { ClinicID: 1, ProviderID: 31, ProviderName: 'Dr. Rivera', HasPhotoData: 1 },
+  { ClinicID: 1, ProviderID: 32, ProviderName: 'Please Request Consult', HasPhotoData: 0 }
+];
+
+const blogRows = [
+  {
+    BlogPostID: 4,
+    Slug: 'botox-guide',
+    Title: 'Botox guide',
+    Description: 'What to expect',
+    PublishedAt: new Date('2026-01-10T00:00:00Z'),
+    UpdatedAt: new Date('2026-01-12T00:00:00Z'),
+    MarkdownSource: '# Botox guide',
+    HtmlContent: '<h1>Botox guide</h1>',
+    IsPublished: true,
+    CreatedAt: new Date('2026-01-09T00:00:00Z'),
+    CreatedByAdminUserId: 1
+  }
+];
+
+const clinicById = (id) => clinicRows.filter(row => row.ClinicID === Number(id));
+const withClinic = (row) => {
+  const clinic = clinicById(row.ClinicID)[0];
+  return {
+    ProcedureID: row.ProcedureID,
+    ProcedureName: row.ProcedureName,
+    AverageCost: row.AverageCost,
+    City: clinic.City,
+    State: clinic.State,
+    Category: row.Category,
+    ProviderName: 'Dr. Rivera',
+    ClinicID: clinic.ClinicID,
+    ClinicName: clinic.ClinicName,
+    Address: clinic.Address,
+    Website: clinic.Website
+  };
+};
+const searchIndexRow = (row) => {
+  const clinic = clinicById(row.ClinicID)[0];
+  return {
+    ClinicID: clinic.ClinicID,
+    ClinicName: clinic.ClinicName,
+    Address: clinic.Address,
+    City: clinic.City,
+    State: clinic.State,
+    PostalCode: clinic.PostalCode,
+    Latitude: clinic.Latitude,
+    Longitude: clinic.Longitude,
+    GoogleRating: clinic.GoogleRating,
+    GoogleReviewCount: clinic.GoogleReviewCount,
+    ClinicCategory: clinic.Category,
+    PhotoURL: clinic.Photo || photoRows.find(photo => photo.ClinicID === clinic.ClinicID).PhotoURL,
+    WorkingHours: clinic.WorkingHours,
+    GoogleReviewsJSON: clinic.GoogleReviewsJSON,
+    Phone: clinic.Phone,
+    Website: clinic.Website,
+    Description: clinic.Description,
+    ProcedureID: row.ProcedureID,
+    ProcedureName: row.ProcedureName,
+    AverageCost: row.AverageCost,
+    PriceUnit: row.PriceUnit,
+    CanonicalProcedureID: row.CanonicalProcedureID,
+    ProcedureCategory: row.Category
+  };
+};
+
+/** [pattern, (inputs) => recordset]; the first match answers, unknown queries fail the request */
+const QUERIES = [
+  [/INFORMATION_SCHEMA\.COLUMNS/, () => [{ ok: 1 }]],
+  [/INFORMATION_SCHEMA\.TABLES/, () => [{ tableCount: 2 }]],
+  [/c\.GoogleReviewsJSON,\s+c\.LastRatingUpdate/, ({ clinicId }) => clinicById(clinicId)],
+  [/FROM Providers p\s+WHERE p\.ClinicID = @clinicId\s+AND p\.ProviderName NOT LIKE/, ({ clinicId }) =>
+    providerRows.filter(row => row.ClinicID === Number(clinicId) && !row.ProviderName.includes('Please Request Consult'))],
+  [/FROM Providers p\s+WHERE p\.ClinicID = @clinicId/, ({ clinicId }) =>
+    providerRows.filter(row => row.ClinicID === Number(clinicId))],
+  [/AS RankedProcedures/, ({ clinicId }) => procedureRows.filter(row => row.ClinicID === Number(clinicId))],
+  [/FROM ClinicPhotos\s+WHERE ClinicID = @clinicId/, ({ clinicId }) =>
+    photoRows.filter(row => row.ClinicID === Number(clinicId))],
+  [/COUNT\(DISTINCT p\.ClinicID\) AS ClinicCount/, () => [
+    { ProcedureName: 'Botox', ClinicCount: 2 },
+    { ProcedureName: 'Chemical Peel', ClinicCount: 1 }
+  ]],
+  [/SELECT\s+c\.ClinicID,\s+c\.ClinicName,\s+COALESCE\(c\.City/, () => clinicRows.map(clinic => ({
+    ClinicID: clinic.ClinicID,
+    ClinicName: clinic.ClinicName,
+    City: clinic.City,
+    State: clinic.State
+  }))],
+  [/JOIN Categories cat ON p\.CategoryID = cat\.CategoryID/, ({ clinicIds }) => procedureRows
+    .filter(row => clinicIds === undefined || clinicIds.split(',').map(Number).includes(row.ClinicID))
+    .map(searchIndexRow)],
+  [/SELECT\s+ClinicID,\s+PhotoID,\s+DisplayOrder/, () => photoRows],
+  [/SELECT ClinicID, Latitude, Longitude/, () => clinicRows],
+  [/STRING_SPLIT\(@clinicIds/, () => clinicRows.map(clinic => ({
+    ...searchIndexRow(procedureRows.find(row => row.ClinicID === clinic.ClinicID)),
+    ProcedureCount: 1,
+    PricedProcedureCount: 1
+  }))],
+  [/p\.AverageCost > 0\s+WHERE NOT EXISTS/, () => procedureRows.map(searchIndexRow)],
+  [/FROM BlogPosts\s+WHERE Slug = @slug AND IsPublished = 1/, ({ slug }) => blogRows.filter(row => row.Slug === slug)],
+  [/COUNT\(\*\) AS total FROM BlogPosts/, () => [{ total: blogRows.length }]],
+  [/FROM BlogPosts/, () => blogRows],
+  [/SELECT TOP 20/, () => clinicRows.map(clinic => ({
+    id: clinic.ClinicID,
+    clinicName: clinic.ClinicName,
+    address: clinic.Address,
+    city: clinic.City,
+    state: clinic.State,
+    category: 'Medical Spa',
+    rating: clinic.GoogleRating,
+    reviewCount: clinic.GoogleReviewCount
+  }))],
+  [/SELECT COUNT\(\*\) as total/, () => [{ total: procedureRows.length }]],
+  [/FETCH NEXT @limit ROWS ONLY/, () => procedureRows.map(row => ({ ...withClinic(row), CanonicalProcedureID: row.CanonicalProcedureID }))],
+  [/SELECT\s+p\.ProcedureID/, () => procedureRows.map(withClinic)]
+];
+
+const fakePool = {
+  request() {
+    const inputs = {};
+    const request = {
+      input(name, ...args) {
+        inputs[name] = args[args.length - 1];
+        return request;
+      },
+      async query(text) {
+        const match = QUERIES.find(([pattern]) => pattern.test(text));
+        if (!match) {
+          throw new Error(`Unexpected query: ${text.trim().slice(0, 120)}`);
+        }
+        return { recordset: match[1](inputs) };
+      }
+    };
+    return request;
+  }
+};
+
+/**
+ * Minimal OpenAPI 3.0 schema validator (the subset swagger.js uses).
+ * @returns {string[]} Problems, as "path: message"
+ */
+function validate(spec, schema, value, at = '$') {
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    assert.ok(spec.components.schemas[name], `unresolved $ref ${schema.$ref}`);
+    return validate(spec, spec.components.schemas[name], value, at);
+  }
+  if (value === null) {
+    return schema.nullable || !schema.type && !schema.oneOf && !schema.$ref ? [] : [`${at}: null`];
+  }
+  if (schema.oneOf || schema.anyOf) {
+    const branches = schema.oneOf || schema.anyOf;
+    const passing = branches.filter(branch => validate(spec, branch, value, at).length === 0).length;
+    return (schema.oneOf ? passing === 1 : passing > 0) ? [] : [`${at}: matches ${passing} of ${branches.length} schemas`];
+  }
+  const actual = Array.isArray(value) ? 'array' : typeof value;
+  switch (schema.type) {
+    case undefined:
+      return [];
+    case 'integer':
+      if (!Number.isInteger(value)) return [`${at}: expected integer, got ${JSON.stringify(value)}`];
+      break;
+    case 'number':
+    case 'string':
+    case 'boolean':
+      if (actual !== schema.type) return [`${at}: expected ${schema.type}, got ${actual}`];
+      break;
+    case 'array':
+      if (actual !== 'array') return [`${at}: expected array, got ${actual}`];
+      return value.flatMap((item, i) => (schema.items ? validate(spec, schema.items, item, `${at}[${i}]`) : []));
+    case 'object':
+      if (actual !== 'object') return [`${at}: expected object, got ${actual}`];
+      break;
+    default:
+      return [`${at}: unsupported schema type ${schema.type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: ${JSON.stringify(value)} not in enum`];
+  }
+  if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+    return [`${at}: invalid date-time ${value}`];
+  }
+  if (schema.type !== 'object') return [];
+
+  const properties = schema.properties || {};
+  const problems = (schema.required || [])
+    .filter(key => !(key in value))
+    .map(key => `${at}: missing required ${key}`);
+  Object.entries(value).forEach(([key, member]) => {
+    if (properties[key]) {
+      problems.push(...validate(spec, properties[key], member, `${at}.${key}`));
+    } else if (schema.additionalProperties === false) {
+      problems.push(`${at}: undocumented property ${key}`);
+    } else if (typeof schema.additionalProperties === 'object') {
+      problems.push(...validate(spec, schema.additionalProperties, member, `${at}.${key}`));
+    }
+  });
+  return problems;
+}
+
+/** Spec path template for a request path; fixed segments win over {params} */
+function findPathTemplate(spec, pathname) {
+  const templates = Object.keys(spec.paths).sort((a, b) => (a.match(/\{/g) || []).length - (b.match(/\{/g) || []).length);
+  return templates.find(template =>
+    new RegExp(`^${template.replace(/\{[^}]+\}/g, '[^/]+')}$`).test(pathname));
+}
+
+describe('public OpenAPI contract', () => {
+  let server;
+  let baseUrl;
+  let spec;
+  let originalGetConnection;
+
+  before(async () => {
+    originalGetConnection = db.getConnection;
+    db.getConnection = async () => fakePool;
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    spec = await (await fetch(`${baseUrl}/api/docs/openapi.json`)).json();
+  });
+
+  after(() => new Promise(resolve => {
+    db.getConnection = originalGetConnection;
+    server.close(resolve);
+  }));
+
+  /** Fetch, then check the body against the spec's schema for that path and status */
+  async function expectContract(url, status = 200) {
+    const res = await fetch(`${baseUrl}${url}`);
+    const body = await res.json();
+    assert.equal(res.status, status, `${url}: ${JSON.stringify(body)}`);
+
+    const pathname = new URL(url, baseUrl).pathname;
+    const template = findPathTemplate(spec, pathname);
+    assert.ok(template, `${pathname} is not documented`);
+    let response = spec.paths[template].get.responses[status];
+    assert.ok(response, `${template} does not document ${status}`);
+    if (response.$ref) {
+      response = spec.components.responses[response.$ref.replace('#/components/responses/', '')];
+    }
+    const problems = validate(spec, response.content['application/json'].schema, body);
+    assert.deepEqual(problems, [], `${url} does not match the spec`);
+    return body;
+  }
+
+  test('serves the spec and the Swagger UI', async () => {
+    assert.equal(spec.openapi, '3.0.0');
+    assert.equal(spec.servers[0].url, baseUrl);
+    const ui = await fetch(`${baseUrl}/api/docs/`);
+    assert.equal(ui.status, 200);
+    assert.match(await ui.text(), /swagger-ui/);
+  });
+
+  test('every public app.js route is documented, and every documented route exists', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8');
+    const routes = [...source.matchAll(/app\.get\('(\/api\/(?:clinics|procedures|photos|provider-photos)[^']*)'/g)]
+      .map(match => match[1].replace(/:(\w+)/g, '{$1}'));
+    assert.ok(routes.length >= 15);
+    const documented = Object.keys(spec.paths).filter(p => !p.startsWith('/api/blog') && !p.startsWith('/api/search/'));
+    assert.deepEqual([...documented].sort(), [...routes].sort());
+    assert.ok(spec.paths['/api/blog/posts'] && spec.paths['/api/blog/posts/{slug}']);
+    assert.ok(spec.paths['/api/search/suggest']);
+  });
+
+  test('clinic detail, with default, extra and sparse fieldsets', async () => {
+    const detail = await expectContract('/api/clinics/1');
+    assert.equal(detail.clinicName, 'Loop Dermatology');
+    assert.ok(detail.openingHours.days.monday);
+
+    // No reliable update stamp for a clinic, its photo list or the post list: ETag only, so
+    // If-Modified-Since can't get a stale 304
+    for (const url of ['/api/clinics/1', '/api/clinics/1/photos', '/api/blog/posts']) {
+      const res = await fetch(`${baseUrl}${url}`);
+      assert.ok(res.headers.get('etag'));
+      assert.equal(res.headers.get('last-modified'), null);
+    }
+
+    const full = await expectContract('/api/clinics/1?include=providers,procedures,photos');
+    assert.equal(full.providers.length, 1);
+    assert.equal(full.photos[0].photoId, 101);
+
+    assert.deepEqual(Object.keys(await expectContract('/api/clinics/2?fields=clinicId,rating')).sort(), ['clinicId', 'rating']);
+    await expectContract('/api/clinics/1?fields=secret', 400);
+    await expectContract('/api/clinics/99', 404);
+  });
+
+  test('clinic sub-resources and compare', async () => {
+    await expectContract('/api/clinics/1/photos');
+    await expectContract('/api/clinics/1/providers');
+    const grouped = await expectContract('/api/clinics/1/procedures');
+    assert.deepEqual(Object.keys(grouped).sort(), ['Face', 'Skin']);
+    const flat = await expectContract('/api/clinics/1/procedures?flat=true');
+    assert.equal(flat[0].priceUnit, 'unit');
+
+    const compare = await expectContract('/api/clinics/compare?ids=1,2');
+    assert.deepEqual(compare.procedureMatrix.clinicIds, [1, 2]);
+    await expectContract('/api/clinics/compare?ids=1,99', 404);
+    await expectContract('/api/clinics/compare?ids=x', 400);
+  });
+
+  test('clinic search endpoints', async () => {
+    const index = await expectContract('/api/clinics/search-index');
+    assert.equal(index.clinics.length, 2);
+    await expectContract('/api/clinics/search-index?procedure=botox&page=1&limit=1&debug=rank');
+    await expectContract('/api/clinics/search-index?fields=clinicId&include=hours');
+
+    // A rebuild of unchanged data keeps the ETag: meta.timestamp is left out of the hash
+    const first = await fetch(`${baseUrl}/api/clinics/search-index?procedure=botox&sort=rating`);
+    assert.ok((await first.json()).meta.timestamp);
+    await invalidateSearchCache();
+    const rebuilt = await fetch(`${baseUrl}/api/clinics/search-index?procedure=botox&sort=rating`, {
+      headers: { 'If-None-Match': first.headers.get('etag') }
+    });
+    assert.equal(rebuilt.headers.get('x-cache'), 'MISS');
+    assert.equal(rebuilt.status, 304);
+
+    await expectContract('/api/clinics/search?q=loop');
+    const nearby = await expectContract('/api/clinics/nearby-top-rated?lat=41.88&lng=-87.63&limit=2&debug=rank');
+    assert.equal(nearby.count, 2);
+    await expectContract('/api/clinics/nearby-top-rated?lat=x&lng=1', 400);
+
+    const viewport = 'north=42&south=41.5&east=-87.5&west=-88';
+    assert.equal((await expectContract(`/api/clinics/map?${viewport}&zoom=14`)).pins.length, 2);
+    const loopOnly = await expectContract('/api/clinics/map?north=41.89&south=41.88&east=-87.63&west=-87.64&zoom=16');
+    assert.deepEqual(loopOnly.pins.map(pin => pin.clinicId), [1]);
+    await expectContract(`/api/clinics/map?${viewport}&zoom=3`);
+    await expectContract('/api/clinics/map?zoom=3', 400);
+    await expectContract(`/api/clinics/map?${viewport}&zoom=14&category=Face`, 400);
+    await expectContract('/api/clinics/search-index?category=Face', 400);
+    await expectContract('/api/clinics/search-index?category=Medical&category=Other', 400);
+    await expectContract('/api/clinics/search-index?minPrice=500&maxPrice=100', 400);
+    await expectContract(`/api/clinics/map?${viewport}&zoom=14&minPrice=500&maxPrice=100`, 400);
+  });
+
+  test('search suggestions', async () => {
+    const { suggestions } = await expectContract('/api/search/suggest?q=bo&limit=3');
+    assert.equal(suggestions.procedures[0].value, 'Botox');
+    const clinics = await expectContract('/api/search/suggest?q=loop');
+    assert.deepEqual(clinics.suggestions.clinics.map(clinic => clinic.clinicId), [1]);
+    assert.deepEqual((await expectContract('/api/search/suggest?q=b')).suggestions.procedures, []);
+  });
+
+  test('procedure endpoints', async () => {
+    await expectContract('/api/procedures?searchQuery=botox&page=1&limit=10');
+    assert.equal((await expectContract('/api/procedures/search-index')).length, 3);
+    const benchmark = await expectContract('/api/procedures/benchmarks?procedure=botox');
+    assert.equal(benchmark.geography.level, 'national');
+    await expectContract('/api/procedures/benchmarks', 400);
+  });
+
+  test('public blog JSON', async () => {
+    await expectContract('/api/blog/posts');
+    const { post } = await expectContract('/api/blog/posts/botox-guide');
+    assert.equal(post.html, '<h1>Botox guide</h1>');
+  });
+
+  test('undocumented response members fail the contract', () => {
+    assert.deepEqual(validate(spec, { $ref: '#/components/schemas/ClinicPhotoList' }, {
+      clinicId: 1,
+      count: 0,
+      photos: [],
+      nextPage: 2
+    }), ['$: undocumented property nextPage']);
+    assert.deepEqual(validate(spec, { $ref: '#/components/schemas/Provider' }, {
+      providerId: '31',
+      providerName: 'Dr. Rivera',
+      photoUrl: null,
+      hasPhoto: true
+    }), ['$.providerId: expected integer, got "31"']);
+  });
+});
@@ -0,0 +1,93 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveClinicTimeZone,
+  parseDayName,
+  normalizeWorkingHours,
+  getOpenStatus,
+  filterByOpeningHours
+} = require('../utils/openingHours');
+
+const stored = JSON.stringify({
+  Monday: '9AM-5PM',
+  Tuesday: ['10:30AM–7:30PM'],
+  Wednesday: '8PM-2AM',
+  Thursday: 'by appointment',
+  Friday: 'Open 24 hours',
+  Saturday: '9AM-12PM,1-4PM',
+  Sunday: 'Closed'
+});
+
+const chicagoHours = normalizeWorkingHours(stored, { timeZone: 'America/Chicago' });
+
+describe('openingHours', () => {
+  test('normalizes stored hours and leaves unparseable days unknown', () => {
+    assert.deepEqual(chicagoHours.days, {
+      monday: [{ open: '09:00', close: '17:00' }],
+      tuesday: [{ open: '10:30', close: '19:30' }],
+      wednesday: [{ open: '20:00', close: '02:00' }],
+      friday: [{ open: '00:00', close: '24:00' }],
+      saturday: [{ open: '09:00', close: '12:00' }, { open: '13:00', close: '16:00' }],
+      sunday: []
+    });
+    assert.equal(normalizeWorkingHours('not json'), null);
+    assert.equal(normalizeWorkingHours({}), null);
+  });
+
+  test('derives time zones from state, refined by coordinates in split states', () => {
+    assert.equal(resolveClinicTimeZone({ state: 'IL' }), 'America/Chicago');
+    assert.equal(resolveClinicTimeZone({ state: 'Texas' }), 'America/Chicago');
+    assert.equal(resolveClinicTimeZone({ state: 'FL', latitude: 25.76, longitude: -80.19 }), 'America/New_York');
+    assert.equal(resolveClinicTimeZone({ state: 'FL', latitude: 30.42, longitude: -87.22 }), 'America/Chicago');
+    assert.equal(resolveClinicTimeZone({ state: 'TX', latitude: 31.76, longitude: -106.49 }), 'America/Denver');
+    assert.equal(resolveClinicTimeZone({ state: 'ZZ' }), null);
+  });
+
+  test('parses day names', () => {
+    assert.equal(parseDayName('Saturday'), 6);
+    assert.equal(parseDayName('sat'), 6);
+    assert.equal(parseDayName('someday'), null);
+  });
+
+  test('reports open now in the clinic time zone', () => {
+    // Monday 10:00 CDT
+    assert.deepEqual(getOpenStatus(chicagoHours, new Date('2026-10-19T15:00:00Z')), { isOpenNow: true, nextOpenAt: null });
+    // Monday 18:30 CDT → Tuesday 10:30 CDT
+    assert.deepEqual(getOpenStatus(chicagoHours, new Date('2026-10-19T23:30:00Z')), {
+      isOpenNow: false,
+      nextOpenAt: '2026-10-20T15:30:00.000Z'
+    });
+    // Thursday 01:00 CDT, inside Wednesday's 8PM-2AM
+    assert.equal(getOpenStatus(chicagoHours, new Date('2026-10-22T06:00:00Z')).isOpenNow, true);
+    // Thursday hours unknown
+    assert.equal(getOpenStatus(chicagoHours, new Date('2026-10-22T17:00:00Z')).isOpenNow, null);
+  });
+
+  test('nextOpenAt accounts for daylight saving changes', () => {
+    // Saturday Oct 31 17:00 CDT; closed Sunday; DST ends Nov 1 → Monday 09:00 CST
+    assert.deepEqual(getOpenStatus(chicagoHours, new Date('2026-10-31T22:00:00Z')), {
+      isOpenNow: false,
+      nextOpenAt: '2026-11-02T15:00:00.000Z'
+    });
+  });
+
+  test('unknown time zone means unknown status', () => {
+    const noZone = normalizeWorkingHours(stored);
+    assert.deepEqual(getOpenStatus(noZone, new Date('2026-10-19T15:00:00Z')), { isOpenNow: null, nextOpenAt: null });
+  });
+
+  test('filters clinics by openNow and openOn', () => {
+    const weekdaysOnly = normalizeWorkingHours({ Monday: '9AM-5PM', Saturday: 'Closed' }, { timeZone: 'America/New_York' });
+    const clinics = [
+      { clinicId: 1, openingHours: chicagoHours },
+      { clinicId: 2, openingHours: weekdaysOnly },
+      { clinicId: 3, openingHours: null }
+    ];
+    const ids = (list) => list.map((c) => c.clinicId);
+
+    assert.deepEqual(ids(filterByOpeningHours(clinics, { openOn: 6 })), [1]);
+    // Monday 16:30 CDT = 17:30 EDT: Chicago clinic open, New York clinic closed
+    assert.deepEqual(ids(filterByOpeningHours(clinics, { openNow: true }, new Date('2026-10-19T21:30:00Z'))), [1]);
+    assert.deepEqual(ids(filterByOpeningHours(clinics, {})), [1, 2, 3]);
+  });
+});
@@ -0,0 +1,33 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePaginationQuery, paginateArray } = require('../utils/pagination');
+
+describe('pagination', () => {
+  test('parsePaginationQuery returns null when page and limit are absent', () => {
+    assert.equal(parsePaginationQuery({}), null);
+    assert.equal(parsePaginationQuery({ page: '', limit: '' }), null);
+  });
+
+  test('parsePaginationQuery clamps invalid and oversized values', () => {
+    assert.deepEqual(parsePaginationQuery({ page: '0', limit: '500' }), { page: 1, limit: 100 });
+    assert.deepEqual(parsePaginationQuery({ page: 'abc' }), { page: 1, limit: 20 });
+    assert.deepEqual(parsePaginationQuery({ limit: '5' }), { page: 1, limit: 5 });
+  });
+
+  test('paginateArray slices the requested page and reports totals', () => {
+    const items = Array.from({ length: 7 }, (_, i) => i + 1);
+    const { items: page2, pagination } = paginateArray(items, { page: 2, limit: 3 });
+    assert.deepEqual(page2, [4, 5, 6]);
+    assert.deepEqual(pagination, { page: 2, limit: 3, total: 7, totalPages: 3, hasNextPage: true });
+
+    const last = paginateArray(items, { page: 3, limit: 3 });
+    assert.deepEqual(last.items, [7]);
+    assert.equal(last.pagination.hasNextPage, false);
+  });
+
+  test('paginateArray without pagination returns every item', () => {
+    const { items, pagination } = paginateArray([1, 2], null);
+    assert.deepEqual(items, [1, 2]);
+    assert.equal(pagination, null);
+  });
+});
@@ -0,0 +1,95 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MIN_BENCHMARK_SAMPLES,
+  quantile,
+  trimOutliers,
+  summarizePrices,
+  buildPriceBenchmarks,
+  selectBenchmarkGeography,
+  dominantState
+} = require('../utils/priceBenchmarks');
+
+const botoxClinic = (clinicId, price, priceUnit, state = 'TX') => ({
+  clinicId,
+  state,
+  procedures: [{ procedureName: 'Botox', price, ...(priceUnit ? { priceUnit } : {}) }]
+});
+
+describe('priceBenchmarks', () => {
+  test('quantile interpolates between samples', () => {
+    assert.equal(quantile([10, 20, 30, 40], 0.5), 25);
+    assert.equal(quantile([10, 20, 30, 40], 0.25), 17.5);
+    assert.equal(quantile([7], 0.75), 7);
+  });
+
+  test('trims Tukey outliers only once there are enough samples', () => {
+    assert.deepEqual(trimOutliers([12, 11, 13, 12, 14, 90]), { kept: [11, 12, 12, 13, 14], trimmed: 1 });
+    assert.deepEqual(trimOutliers([1, 500, 10]), { kept: [1, 10, 500], trimmed: 0 });
+  });
+
+  test('summarizes trimmed prices', () => {
+    assert.deepEqual(summarizePrices([12, 11, 13, 12, 14, 90]), {
+      sampleCount: 5,
+      outliersTrimmed: 1,
+      min: 11,
+      p25: 12,
+      median: 12,
+      p75: 13,
+      max: 14
+    });
+    assert.equal(summarizePrices([]), null);
+  });
+
+  test('keeps units apart and takes one sample per clinic', () => {
+    const clinics = [
+      {
+        clinicId: 1,
+        procedures: [
+          { procedureName: 'Botox', price: 10, priceUnit: '/unit' },
+          { procedureName: 'Botox Cosmetic', price: 14, priceUnit: 'per unit' }
+        ]
+      },
+      botoxClinic(2, 13, '/unit'),
+      botoxClinic(3, 400),
+      { clinicId: 4, procedures: [{ procedureName: 'Rhinoplasty', price: 9000 }] },
+      botoxClinic(5, 0)
+    ];
+    const benchmarks = buildPriceBenchmarks(clinics, 'botox');
+    assert.deepEqual(benchmarks.map(b => [b.unit, b.sampleCount]), [['unit', 2], ['flat', 1]]);
+    assert.equal(benchmarks[0].min, 12);
+    assert.equal(benchmarks[0].max, 13);
+  });
+
+  test('widens the geography until a unit has enough samples', () => {
+    const local = [botoxClinic(1, 12, '/unit'), botoxClinic(2, 13, '/unit')];
+    const state = [
+      ...local,
+      ...Array.from({ length: MIN_BENCHMARK_SAMPLES - 2 }, (_, i) => botoxClinic(10 + i, 11 + i, '/unit'))
+    ];
+    const result = selectBenchmarkGeography([
+      { level: 'local', region: 'Austin, TX', clinics: local },
+      { level: 'state', region: 'TX', clinics: state },
+      { level: 'national', region: 'US', clinics: state }
+    ], 'botox');
+
+    assert.equal(result.level, 'state');
+    assert.equal(result.sufficientSample, true);
+    assert.deepEqual(result.levelsTried.map(l => [l.level, l.sampleCount]), [['local', 2], ['state', 5]]);
+  });
+
+  test('falls back to the widest geography when nothing has enough samples', () => {
+    const result = selectBenchmarkGeography([
+      { level: 'local', region: '78701', clinics: [] },
+      { level: 'national', region: 'US', clinics: [botoxClinic(1, 12, '/unit')] }
+    ], 'botox');
+    assert.equal(result.level, 'national');
+    assert.equal(result.sufficientSample, false);
+    assert.equal(result.benchmarks.length, 1);
+  });
+
+  test('dominantState counts abbreviations and full names together', () => {
+    assert.equal(dominantState([{ state: 'Florida' }, { state: 'FL' }, { state: 'GA' }, { state: null }]), 'FL');
+    assert.equal(dominantState([]), null);
+  });
+});
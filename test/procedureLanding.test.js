@@ -0,0 +1,114 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseLocationSlug,
+  clinicsOfferingProcedure,
+  listIndexableLandingPages,
+  formatMatchedPrice,
+  buildLandingIntro,
+  buildItemListJsonLd
+} = require('../utils/procedureLanding');
+const { renderProcedureLandingHtmlDocument } = require('../utils/procedureLandingHtml');
+
+const clinic = (clinicId, procedures) => ({ clinicId, clinicName: `Clinic ${clinicId}`, procedures });
+
+describe('procedureLanding', () => {
+  test('parses state and city slugs into canonical form', () => {
+    assert.deepEqual(parseLocationSlug('Texas'), {
+      type: 'state', slug: 'tx', label: 'Texas', location: 'TX', stateAbbr: 'TX'
+    });
+    assert.equal(parseLocationSlug('new-york').slug, 'ny');
+    assert.deepEqual(parseLocationSlug('Austin-TX'), {
+      type: 'city', slug: 'austin-tx', label: 'Austin, TX', location: 'Austin, TX', stateAbbr: 'TX'
+    });
+    assert.equal(parseLocationSlug('miami').label, 'Miami');
+    assert.equal(parseLocationSlug('--'), null);
+  });
+
+  test('keeps clinics offering the procedure by catalog id or name', () => {
+    const clinics = [
+      clinic(1, [{ procedureName: 'Neurotoxin special', canonicalProcedureId: 4 }, { procedureName: 'Facial' }]),
+      clinic(2, [{ procedureName: 'Botox Cosmetic', canonicalProcedureId: null }]),
+      clinic(3, [{ procedureName: 'Rhinoplasty', canonicalProcedureId: 9 }])
+    ];
+    const offering = clinicsOfferingProcedure(clinics, { name: 'Botox', canonicalProcedureId: 4 });
+    assert.deepEqual(offering.map(c => c.clinicId), [1, 2]);
+    assert.deepEqual(offering[0].procedures.map(p => p.procedureName), ['Neurotoxin special']);
+  });
+
+  test('lists state and city pages with enough clinics for the sitemap', () => {
+    const botox = (id, city, state, lastModified) => ({
+      clinicId: id,
+      city,
+      state,
+      lastModified: lastModified ? new Date(lastModified) : null,
+      procedures: [{ procedureName: 'Botox Cosmetic', canonicalProcedureId: 4 }]
+    });
+    const clinics = [
+      botox(1, 'Austin', 'TX', '2026-01-01'),
+      botox(2, 'Austin', 'Texas', '2026-03-01'),
+      botox(3, 'Austin', 'TX', null),
+      botox(4, 'Dallas', 'TX', null),
+      botox(5, 'Miami', null, null),
+      clinic(6, [{ procedureName: 'Rhinoplasty', canonicalProcedureId: 9 }])
+    ];
+    const pages = listIndexableLandingPages(clinics, [
+      { slug: 'botox', name: 'Botox', canonicalProcedureId: 4 },
+      { slug: 'rhinoplasty', name: 'Rhinoplasty', canonicalProcedureId: 9 }
+    ]);
+    assert.deepEqual(pages.map(p => [p.procedureSlug, p.locationSlug]), [['botox', 'tx'], ['botox', 'austin-tx']]);
+    assert.equal(pages[1].lastModified.toISOString(), '2026-03-01T00:00:00.000Z');
+  });
+
+  test('formats prices and the intro', () => {
+    assert.equal(formatMatchedPrice({ price: 1250, priceUnit: 'flat' }), '$1,250');
+    assert.equal(formatMatchedPrice({ price: 12, priceUnit: 'unit' }), '$12 / unit');
+
+    const priced = [10, 12, 14].map((price, i) =>
+      clinic(i + 1, [{ procedureName: 'Botox', price, priceUnit: '/unit' }])
+    );
+    const intro = buildLandingIntro({ procedureName: 'Botox', placeLabel: 'Austin, TX', clinics: priced, unit: 'unit' });
+    assert.match(intro, /^Compare 3 clinics offering Botox in Austin, TX/);
+    assert.match(intro, /\$11–\$13 per unit \(median \$12, from 3 clinics with prices\)/);
+    assert.match(buildLandingIntro({ procedureName: 'Botox', placeLabel: 'Texas', clinics: [], unit: null }), /don't list any/);
+  });
+
+  test('ItemList positions continue across pages', () => {
+    const jsonLd = buildItemListJsonLd({
+      name: 'Botox in Texas',
+      url: 'https://glowra.com/procedures/botox/tx?page=2',
+      total: 21,
+      offset: 20,
+      items: [{ clinicName: 'Glow', url: 'https://glowra.com/clinics/5', city: 'Austin', state: 'TX', rating: 4.8, reviewCount: 12 }]
+    });
+    assert.equal(jsonLd['@type'], 'ItemList');
+    assert.equal(jsonLd.numberOfItems, 21);
+    assert.equal(jsonLd.itemListElement[0].position, 21);
+    assert.deepEqual(jsonLd.itemListElement[0].item.aggregateRating, {
+      '@type': 'AggregateRating', ratingValue: 4.8, reviewCount: 12, bestRating: 5, worstRating: 1
+    });
+  });
+
+  test('renders canonical, robots and pagination links', () => {
+    const html = renderProcedureLandingHtmlDocument({
+      siteOrigin: 'https://glowra.com/',
+      title: 'Botox in Texas – Page 2 | Glowra',
+      heading: 'Botox in Texas',
+      description: 'Compare',
+      intro: 'Compare <clinics>',
+      canonicalPath: '/procedures/botox/tx?page=2',
+      prevPath: '/procedures/botox/tx',
+      nextPath: null,
+      noindex: true,
+      pagination: { page: 2, totalPages: 2 },
+      clinics: [],
+      jsonLd: { name: '</script>' }
+    });
+    assert.match(html, /<link rel="canonical" href="https:\/\/glowra.com\/procedures\/botox\/tx\?page=2" \/>/);
+    assert.match(html, /<meta name="robots" content="noindex, follow" \/>/);
+    assert.match(html, /<link rel="prev" href="https:\/\/glowra.com\/procedures\/botox\/tx" \/>/);
+    assert.doesNotMatch(html, /rel="next"/);
+    assert.match(html, /Compare &lt;clinics&gt;/);
+    assert.doesNotMatch(html, /"<\/script>"/);
+  });
+});
@@ -0,0 +1,68 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizePriceUnit,
+  parsePriceFilters,
+  checkPriceRange,
+  filterByPrice,
+  buildPriceComparison,
+  annotateClinicPrices
+} = require('../utils/procedurePricing');
+const { sortClinics } = require('../utils/clinicSort');
+
+const clinics = [
+  { clinicId: 1, procedures: [{ procedureName: 'Botox', price: 12, priceUnit: '/unit' }] },
+  { clinicId: 2, procedures: [{ procedureName: 'Botox', price: 400 }, { procedureName: 'Rhinoplasty', price: 9000 }] },
+  { clinicId: 3, procedures: [{ procedureName: 'Botox', price: 10, priceUnit: 'per unit' }] },
+  { clinicId: 4, procedures: [{ procedureName: 'Botox', price: 0 }] }
+];
+
+const ids = (list) => list.map((c) => c.clinicId);
+
+describe('procedurePricing', () => {
+  test('normalizes price units', () => {
+    assert.equal(normalizePriceUnit('/unit'), 'unit');
+    assert.equal(normalizePriceUnit('Per Syringes'), 'syringe');
+    assert.equal(normalizePriceUnit(''), 'flat');
+    assert.equal(normalizePriceUnit(null), 'flat');
+  });
+
+  test('parsePriceFilters ignores invalid values', () => {
+    assert.deepEqual(parsePriceFilters({ minPrice: '100', maxPrice: 'abc', priceUnit: '/Syringe' }), {
+      minPrice: 100,
+      maxPrice: null,
+      priceUnit: 'syringe'
+    });
+  });
+
+  test('checkPriceRange rejects minPrice above maxPrice', () => {
+    assert.equal(checkPriceRange({ minPrice: '500', maxPrice: '100' }).ok, false);
+    assert.equal(checkPriceRange({ minPrice: '100', maxPrice: '100' }).ok, true);
+    assert.equal(checkPriceRange({ minPrice: '500', maxPrice: 'abc' }).ok, true);
+    assert.equal(checkPriceRange({}).ok, true);
+  });
+
+  test('filterByPrice applies to matched, priced procedures only', () => {
+    assert.deepEqual(ids(filterByPrice(clinics, { maxPrice: 500 }, 'botox')), [1, 2, 3]);
+    assert.deepEqual(ids(filterByPrice(clinics, { minPrice: 5000 }, 'botox')), []);
+    assert.deepEqual(ids(filterByPrice(clinics, { minPrice: 5000 }, null)), [2]);
+    assert.deepEqual(ids(filterByPrice(clinics, { priceUnit: 'unit', maxPrice: 11 }, 'botox')), [3]);
+  });
+
+  test('compares in the most common unit and flags the rest', () => {
+    const comparison = buildPriceComparison(clinics, { procedureTerm: 'botox' });
+    assert.deepEqual(comparison, { unit: 'unit', comparableClinics: 2, otherUnits: [{ unit: 'flat', count: 1 }] });
+
+    const annotated = annotateClinicPrices(clinics, { procedureTerm: 'botox', unit: comparison.unit });
+    assert.deepEqual(annotated.map((c) => c.priceComparable), [true, false, true, false]);
+    assert.deepEqual(annotated[1].matchedPrice, { price: 400, priceUnit: 'flat' });
+    assert.equal(annotated[3].matchedPrice, null);
+    assert.equal(clinics[0].priceComparable, undefined);
+  });
+
+  test('price sorts never interleave units', () => {
+    assert.deepEqual(ids(sortClinics(clinics, 'price_asc', { procedureTerm: 'botox' }).clinics), [3, 1, 2, 4]);
+    assert.deepEqual(ids(sortClinics(clinics, 'price_desc', { procedureTerm: 'botox' }).clinics), [1, 3, 2, 4]);
+    assert.deepEqual(ids(sortClinics(clinics, 'price_asc', { procedureTerm: 'botox', priceUnit: 'flat' }).clinics), [2, 3, 1, 4]);
+  });
+});
@@ -0,0 +1,94 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { db } = require('../db');
+const procedureSeoRoutes = require('../routes/procedureSeoRoutes');
+const { emitClinicChange, CLINIC_CHANGE_TYPES } = require('../utils/clinicEvents');
+
+const clinicRow = {
+  ClinicID: 1,
+  ClinicName: 'Austin Skin Studio',
+  Address: '500 Congress Ave',
+  City: 'Austin',
+  State: 'TX',
+  PostalCode: '78701',
+  Latitude: 30.2672,
+  Longitude: -97.7431,
+  GoogleRating: 4.9,
+  GoogleReviewCount: 120,
+  ClinicCategory: 'Medical Spa',
+  PhotoURL: 'https://example.com/austin.jpg',
+  WorkingHours: null,
+  ProcedureID: 11,
+  ProcedureName: 'Botox',
+  AverageCost: 13,
+  PriceUnit: null,
+  CanonicalProcedureID: null,
+  ProcedureCategory: 'Face'
+};
+
+describe('procedure landing routes', () => {
+  let server;
+  let baseUrl;
+  let originalGetConnection;
+  let clinicLoads = 0;
+
+  before(async () => {
+    originalGetConnection = db.getConnection;
+    // No canonical catalog or PriceUnit column: slugs are read as procedure names
+    db.getConnection = async () => ({
+      request() {
+        const chain = {
+          input() {
+            return chain;
+          },
+          async query(text) {
+            if (/JOIN Categories cat/.test(text)) {
+              clinicLoads += 1;
+              return { recordset: [clinicRow] };
+            }
+            if (/INFORMATION_SCHEMA\.TABLES/.test(text)) return { recordset: [{ tableCount: 0 }] };
+            return { recordset: [] };
+          }
+        };
+        return chain;
+      }
+    });
+    const app = express();
+    app.use(procedureSeoRoutes);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    db.getConnection = originalGetConnection;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  test('non-canonical URLs redirect with their other query parameters', async () => {
+    const res = await fetch(`${baseUrl}/procedures/Botox/Texas?page=1&utm_source=news`, { redirect: 'manual' });
+    assert.equal(res.status, 301);
+    assert.equal(res.headers.get('location'), '/procedures/botox/tx?utm_source=news');
+
+    const canonical = await fetch(`${baseUrl}/procedures/botox/tx?utm_source=news`, { redirect: 'manual' });
+    assert.equal(canonical.status, 200);
+    assert.match(await canonical.text(), /Austin Skin Studio/);
+  });
+
+  test('pages share one clinic load until clinics change', async () => {
+    clinicLoads = 0;
+    emitClinicChange(CLINIC_CHANGE_TYPES.UPDATED, [1]);
+    for (const path of ['/procedures/botox/tx', '/procedures/botox/austin-tx']) {
+      const res = await fetch(`${baseUrl}${path}`);
+      assert.equal(res.status, 200);
+      await res.text();
+    }
+    assert.equal(clinicLoads, 1);
+
+    emitClinicChange(CLINIC_CHANGE_TYPES.REFRESHED, [1]);
+    await (await fetch(`${baseUrl}/procedures/botox/tx`)).text();
+    assert.equal(clinicLoads, 2);
+  });
+});
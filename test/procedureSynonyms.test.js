@@ -0,0 +1,63 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getProcedureAbbreviations,
+  getSynonymAlternatives,
+  setProcedureSynonymGroups,
+  resetProcedureSynonymGroups
+} = require('../utils/procedureSynonyms');
+const { filterByProcedure, bindClinicNameOrProcedureSearchSql } = require('../utils/clinicSearchFilters');
+const { validateSynonymGroupInput } = require('../services/procedureSynonymService');
+
+const clinics = [
+  { clinicId: 1, clinicName: 'A', procedures: [{ procedureName: 'Botox' }] },
+  { clinicId: 2, clinicName: 'B', procedures: [{ procedureName: 'Jeuveau Injections' }] },
+  { clinicId: 3, clinicName: 'C', procedures: [{ procedureName: 'Rhinoplasty' }] }
+];
+
+describe('procedureSynonyms', () => {
+  afterEach(() => resetProcedureSynonymGroups());
+
+  test('defaults mirror the built-in abbreviations', () => {
+    assert.equal(getProcedureAbbreviations().bbl, 'brazilian butt lift');
+    assert.deepEqual(getSynonymAlternatives('BBL'), ['brazilian butt lift']);
+  });
+
+  test('replacing groups takes effect for the next search', () => {
+    assert.deepEqual(filterByProcedure(clinics, 'tox').map(c => c.clinicId), [1]);
+
+    setProcedureSynonymGroups([{ canonicalTerm: 'Botulinum Toxin', synonyms: ['botox', 'tox', 'jeuveau'] }]);
+    assert.deepEqual(getSynonymAlternatives('tox'), ['botulinum toxin', 'botox', 'jeuveau']);
+    assert.deepEqual(filterByProcedure(clinics, 'tox').map(c => c.clinicId), [1, 2]);
+    assert.equal(getProcedureAbbreviations().bbl, undefined);
+  });
+
+  test('SQL pre-filter binds one pattern per synonym', () => {
+    setProcedureSynonymGroups([{ canonicalTerm: 'botulinum toxin', synonyms: ['botox', 'jeuveau'] }]);
+    const inputs = {};
+    const request = { input(name, type, value) { inputs[name] = value; return this; } };
+    const clause = bindClinicNameOrProcedureSearchSql(request, 'Botox');
+    assert.equal(inputs.expandedProcPattern0, '%botulinum toxin%');
+    assert.equal(inputs.expandedProcPattern1, '%jeuveau%');
+    assert.match(clause, /@expandedProcPattern1/);
+  });
+});
+
+describe('procedureSynonymService.validateSynonymGroupInput', () => {
+  test('normalizes and dedupes terms', () => {
+    const result = validateSynonymGroupInput({
+      canonicalTerm: '  Lip  Flip ',
+      synonyms: ['Lip flip', 'LIP-FLIP botox', 'lip-flip botox']
+    });
+    assert.deepEqual(result, {
+      ok: true,
+      value: { canonicalTerm: 'lip flip', synonyms: ['lip-flip botox'], isActive: true }
+    });
+  });
+
+  test('reports field errors', () => {
+    const result = validateSynonymGroupInput({ synonyms: 'tox', isActive: 'yes' });
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.errors.map(e => e.field), ['canonicalTerm', 'synonyms', 'isActive']);
+  });
+});
@@ -0,0 +1,108 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createPublicV2Router, V2_ADAPTERS } = require('../routes/publicV2Routes');
+const { normalizePaginationMeta, problemFromV1Error } = require('../utils/apiEnvelope');
+
+/** v1-shaped stand-ins for the app.js handlers */
+const handlers = {
+  procedureSearch: (req, res) => res.json({
+    procedures: [{ ProcedureID: 3, ProcedureName: 'Botox', AverageCost: 12, CanonicalProcedureID: 9, ClinicID: 1 }],
+    pagination: { total: 41, totalPages: 3, currentPage: 2, limit: 20 }
+  }),
+  clinicSearch: (req, res) => res.json({ results: [{ id: 1, clinicName: 'Loop Dermatology', rating: 4.8 }] }),
+  nearbyTopRated: (req, res) => res.status(400).json({
+    error: 'Invalid coordinates',
+    message: 'lat and lng must be valid numbers'
+  }),
+  clinicCompare: (req, res) => res.status(404).json({ error: 'Clinic not found', missingIds: [7] }),
+  clinicDetail: (req, res) => res.json({ clinicId: Number(req.params.clinicId), clinicName: 'Loop Dermatology' }),
+  clinicProcedures: (req, res) => res.json({
+    Face: { categoryId: 2, procedures: [{ id: 3, name: 'Botox', price: 12, priceUnit: '/unit' }] }
+  })
+};
+
+describe('publicV2Routes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    const notImplemented = (req, res) => res.status(501).json({ error: 'Not implemented' });
+    const allHandlers = Object.fromEntries(Object.keys(V2_ADAPTERS).map(name => [name, handlers[name] || notImplemented]));
+    app.use('/api/v2', createPublicV2Router(allHandlers));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/v2`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  test('successful responses use the envelope with camelCase rows and common pagination meta', async () => {
+    const res = await fetch(`${baseUrl}/procedures?page=2`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), {
+      data: [{ procedureId: 3, procedureName: 'Botox', averageCost: 12, canonicalProcedureId: 9, clinicId: 1 }],
+      meta: { pagination: { page: 2, limit: 20, total: 41, totalPages: 3, hasNextPage: true } },
+      errors: []
+    });
+
+    const search = await (await fetch(`${baseUrl}/clinics/search?q=loop`)).json();
+    assert.deepEqual(search.data, [{ clinicId: 1, clinicName: 'Loop Dermatology', rating: 4.8 }]);
+    assert.deepEqual(search.meta, { total: 1 });
+  });
+
+  test('clinic routes keep v1 parameters and conditional GET', async () => {
+    const res = await fetch(`${baseUrl}/clinics/12`);
+    assert.deepEqual(await res.json(), { data: { clinicId: 12, clinicName: 'Loop Dermatology' }, meta: {}, errors: [] });
+    const etag = res.headers.get('etag');
+    assert.ok(etag);
+    assert.equal((await fetch(`${baseUrl}/clinics/12`, { headers: { 'If-None-Match': etag } })).status, 304);
+
+    const procedures = await (await fetch(`${baseUrl}/clinics/12/procedures`)).json();
+    assert.deepEqual(procedures.data, [
+      { procedureId: 3, procedureName: 'Botox', price: 12, category: 'Face', categoryId: 2, priceUnit: '/unit' }
+    ]);
+  });
+
+  test('errors are RFC 7807 problem details', async () => {
+    const res = await fetch(`${baseUrl}/clinics/nearby-top-rated?lat=x&lng=1`);
+    assert.equal(res.status, 400);
+    assert.match(res.headers.get('content-type'), /^application\/problem\+json/);
+    assert.deepEqual(await res.json(), {
+      type: 'about:blank',
+      title: 'Bad Request',
+      status: 400,
+      detail: 'lat and lng must be valid numbers',
+      instance: '/api/v2/clinics/nearby-top-rated?lat=x&lng=1',
+      data: null,
+      meta: {},
+      errors: [{ title: 'Invalid coordinates', detail: 'lat and lng must be valid numbers' }]
+    });
+
+    const missing = await (await fetch(`${baseUrl}/clinics/compare?ids=7`)).json();
+    assert.deepEqual(missing.errors, [{ title: 'Clinic not found', detail: 'Clinic not found', missingIds: [7] }]);
+
+    const unknown = await fetch(`${baseUrl}/nope`);
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).title, 'Not Found');
+  });
+
+  test('adapters and pagination meta', () => {
+    assert.deepEqual(
+      V2_ADAPTERS.clinicProcedures([{ procedureId: 1, procedureName: 'Filler', price: 600, averageCost: 600, category: 'Face', categoryId: 2 }]).data,
+      [{ procedureId: 1, procedureName: 'Filler', price: 600, category: 'Face', categoryId: 2 }]
+    );
+    const { data, meta } = V2_ADAPTERS.clinicSearchIndex({
+      clinics: [],
+      meta: { totalClinics: 0, pagination: { page: 1, limit: 20, total: 0, totalPages: 0, hasNextPage: false } }
+    });
+    assert.deepEqual(data, []);
+    assert.equal(meta.pagination.hasNextPage, false);
+    assert.deepEqual(normalizePaginationMeta({ page: 1, limit: 10, total: 25 }), {
+      page: 1, limit: 10, total: 25, totalPages: 3, hasNextPage: true
+    });
+    assert.equal(problemFromV1Error(500, { error: 'Internal server error' }).detail, 'Internal server error');
+  });
+});
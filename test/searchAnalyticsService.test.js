@@ -0,0 +1,53 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeSearchTerm,
+  buildSearchEvent,
+  parseReportQuery
+} = require('../services/searchAnalyticsService');
+
+describe('searchAnalyticsService', () => {
+  test('normalizes search terms', () => {
+    assert.equal(normalizeSearchTerm('  Botox   Near  ME '), 'botox near me');
+    assert.equal(normalizeSearchTerm('   '), null);
+    assert.equal(normalizeSearchTerm(undefined), null);
+    assert.equal(normalizeSearchTerm('x'.repeat(300)).length, 255);
+  });
+
+  test('builds a log row with location type and combined query text', () => {
+    const event = buildSearchEvent({
+      endpoint: '/api/clinics/search-index',
+      procedure: 'BBL',
+      location: 'Miami, FL',
+      resultCount: 12,
+      locationConvertedToProcedure: false,
+      latencyMs: 84.6
+    });
+    assert.equal(event.queryText, 'bbl | miami, fl');
+    assert.equal(event.procedureTerm, 'bbl');
+    assert.equal(event.clinicNameTerm, null);
+    assert.equal(event.locationType, 'city');
+    assert.equal(event.resultCount, 12);
+    assert.equal(event.latencyMs, 85);
+
+    assert.equal(buildSearchEvent({ endpoint: '/api/procedures', location: '60601', resultCount: 0 }).locationType, 'zip');
+    assert.equal(buildSearchEvent({ endpoint: '/api/clinics/search', query: 'glow', resultCount: 3 }).locationType, null);
+  });
+
+  test('parses report ranges with defaults and validation', () => {
+    const now = new Date('2026-10-19T00:00:00Z');
+    const defaults = parseReportQuery({}, now);
+    assert.equal(defaults.ok, true);
+    assert.equal(defaults.value.to.toISOString(), '2026-10-19T00:00:00.000Z');
+    assert.equal(defaults.value.from.toISOString(), '2026-09-19T00:00:00.000Z');
+    assert.equal(defaults.value.limit, 50);
+
+    assert.equal(parseReportQuery({ limit: '9999' }, now).value.limit, 500);
+
+    const bad = parseReportQuery({ from: 'yesterday' }, now);
+    assert.equal(bad.ok, false);
+    assert.equal(bad.errors[0].field, 'from');
+
+    assert.equal(parseReportQuery({ from: '2026-10-10', to: '2026-10-01' }, now).ok, false);
+  });
+});
@@ -0,0 +1,141 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLruStore, createRedisStore } = require('../utils/cacheStores');
+const {
+  buildSearchCacheKey,
+  getCachedSearch,
+  getSearchCacheGeneration,
+  setCachedSearch,
+  invalidateSearchCache
+} = require('../services/searchCacheService');
+const { emitClinicChange, CLINIC_CHANGE_TYPES } = require('../utils/clinicEvents');
+const { reviewProcedureName } = require('../services/canonicalProcedureService');
+const { db } = require('../db');
+
+const baseURL = 'http://localhost:3001';
+
+/** Minimal in-memory stand-in for a node-redis client */
+function fakeRedisClient() {
+  const data = new Map();
+  return {
+    data,
+    async get(key) {
+      return data.has(key) ? data.get(key) : null;
+    },
+    async set(key, value) {
+      data.set(key, value);
+    },
+    async incr(key) {
+      const next = Number(data.get(key) || 0) + 1;
+      data.set(key, String(next));
+      return next;
+    }
+  };
+}
+
+describe('cache stores', () => {
+  test('LRU store evicts the least recently used entry', async () => {
+    const store = createLruStore({ maxEntries: 2 });
+    await store.set('a', '1', 1000);
+    await store.set('b', '2', 1000);
+    assert.equal(await store.get('a'), '1');
+    await store.set('c', '3', 1000);
+    assert.equal(await store.get('b'), null);
+    assert.equal(await store.get('a'), '1');
+    assert.equal(await store.get('c'), '3');
+  });
+
+  test('LRU store is bounded by total size and expires entries', async () => {
+    let clock = 0;
+    const store = createLruStore({ maxSize: 10, now: () => clock });
+    await store.set('a', '123456', 1000);
+    await store.set('b', '123456', 1000);
+    assert.equal(await store.get('a'), null);
+    assert.equal(store.stats().size, 6);
+
+    await store.set('huge', 'x'.repeat(11), 1000);
+    assert.equal(await store.get('huge'), null);
+
+    clock = 1000;
+    assert.equal(await store.get('b'), null);
+    assert.equal(store.stats().entries, 0);
+  });
+
+  test('Redis store clears by bumping a shared generation', async () => {
+    const client = fakeRedisClient();
+    const first = createRedisStore(client, { prefix: 'test' });
+    const second = createRedisStore(client, { prefix: 'test' });
+    await first.set('k', 'v', 1000);
+    assert.equal(await second.get('k'), 'v');
+    await second.clear();
+    assert.equal(await first.get('k'), null);
+    assert.ok(client.data.has('test:0:k'));
+  });
+});
+
+describe('searchCacheService', () => {
+  test('equivalent queries share a key', () => {
+    const a = buildSearchCacheKey({ procedure: ' botox  cosmetic ', location: 'Austin, TX', sort: 'Rating' }, { baseURL });
+    const b = buildSearchCacheKey({ location: 'Austin, TX', sort: 'rating', procedure: 'botox cosmetic', foo: '1' }, { baseURL });
+    assert.equal(a, b);
+    assert.notEqual(a, buildSearchCacheKey({ procedure: 'botox cosmetic', location: 'Austin, TX' }, { baseURL }));
+    assert.notEqual(a, buildSearchCacheKey({ procedure: 'botox cosmetic', location: 'Austin, TX', sort: 'rating' }, { baseURL: 'https://api' }));
+    assert.equal(
+      buildSearchCacheKey({ page: '1' }, { baseURL }),
+      buildSearchCacheKey({ page: '1', limit: '20' }, { baseURL })
+    );
+  });
+
+  test('clock-dependent, debug and repeated-parameter searches are not cached', () => {
+    assert.equal(buildSearchCacheKey({ openNow: 'true' }, { baseURL }), null);
+    assert.equal(buildSearchCacheKey({ debug: 'rank' }, { baseURL }), null);
+    assert.equal(buildSearchCacheKey({ procedure: ['botox', 'filler'] }, { baseURL }), null);
+    assert.notEqual(buildSearchCacheKey({ openNow: 'false' }, { baseURL }), null);
+  });
+
+  test('stored searches are dropped when clinics change', async () => {
+    const key = buildSearchCacheKey({ procedure: 'cache-test' }, { baseURL });
+    const entry = { body: { clinics: [{ clinicId: 1 }] }, analytics: { resultCount: 1 } };
+    await setCachedSearch(key, entry, getSearchCacheGeneration());
+    const cached = await getCachedSearch(key);
+    assert.deepEqual(cached.body, entry.body);
+    assert.equal(typeof cached.storedAt, 'number');
+
+    emitClinicChange(CLINIC_CHANGE_TYPES.REFRESHED, [1]);
+    assert.equal(await getCachedSearch(key), null);
+  });
+
+  test('stored searches are dropped when a canonical procedure mapping is reviewed', async () => {
+    const key = buildSearchCacheKey({ procedure: 'cache-review' }, { baseURL });
+    await setCachedSearch(key, { body: {}, analytics: {} }, getSearchCacheGeneration());
+    const orig = db.getConnection.bind(db);
+    db.getConnection = async () => ({
+      request() {
+        const chain = {
+          input() {
+            return chain;
+          },
+          async query() {
+            return { recordset: [{ ok: 1 }], rowsAffected: [2] };
+          }
+        };
+        return chain;
+      }
+    });
+    try {
+      const result = await reviewProcedureName({ procedureName: 'Botox', canonicalProcedureId: 7 }, 1);
+      assert.deepEqual(result, { ok: true, updated: 2 });
+    } finally {
+      db.getConnection = orig;
+    }
+    assert.equal(await getCachedSearch(key), null);
+  });
+
+  test('a search that started before an invalidation is not stored', async () => {
+    const key = buildSearchCacheKey({ procedure: 'cache-race' }, { baseURL });
+    const startedGeneration = getSearchCacheGeneration();
+    await invalidateSearchCache('test');
+    await setCachedSearch(key, { body: {}, analytics: {} }, startedGeneration);
+    assert.equal(await getCachedSearch(key), null);
+  });
+});
@@ -0,0 +1,72 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSearchFacets } = require('../utils/searchFacets');
+
+const clinics = [
+  {
+    clinicId: 1,
+    clinicCategory: 'Dermatology',
+    rating: 4.8,
+    latitude: 41.8781,
+    longitude: -87.6298,
+    procedures: [
+      { procedureName: 'Botox', category: 'Injectibles', price: 12 },
+      { procedureName: 'Chemical Peel', category: 'Skin', price: 300 }
+    ]
+  },
+  {
+    clinicId: 2,
+    clinicCategory: 'Plastic Surgery',
+    rating: 4.1,
+    latitude: 42.0451,
+    longitude: -87.6877,
+    procedures: [
+      { procedureName: 'Rhinoplasty', category: 'Face', price: 8000 },
+      { procedureName: 'Facelift', category: 'Face', price: 0 }
+    ]
+  }
+];
+
+describe('searchFacets', () => {
+  test('counts clinics per category and rating bucket', () => {
+    const facets = buildSearchFacets(clinics);
+    const derm = facets.clinicCategories.find((f) => f.value === 'Dermatology');
+    assert.equal(derm.count, 1);
+    assert.ok(facets.clinicCategories.some((f) => f.value === 'Medical' && f.count === 0));
+
+    assert.deepEqual(facets.procedureCategories, [
+      { value: 'Face', count: 1 },
+      { value: 'Injectibles', count: 1 },
+      { value: 'Skin', count: 1 }
+    ]);
+    assert.deepEqual(facets.ratings, [
+      { min: 4.5, count: 1 },
+      { min: 4, count: 2 },
+      { min: 3.5, count: 2 }
+    ]);
+    assert.equal(facets.distances, null);
+  });
+
+  test('price buckets ignore unknown prices and follow the procedure term', () => {
+    const all = buildSearchFacets(clinics);
+    const count = (facets, key) => facets.prices.find((b) => b.key === key).count;
+    assert.equal(count(all, 'under-250'), 1);
+    assert.equal(count(all, '250-500'), 1);
+    assert.equal(count(all, '5000-plus'), 1);
+
+    const botoxOnly = buildSearchFacets(clinics, { procedureTerm: 'botox' });
+    assert.equal(count(botoxOnly, 'under-250'), 1);
+    assert.equal(count(botoxOnly, '250-500'), 0);
+    assert.deepEqual(botoxOnly.procedureCategories, [{ value: 'Injectibles', count: 1 }]);
+  });
+
+  test('distance rings are cumulative around the geo center', () => {
+    const facets = buildSearchFacets(clinics, { geoCenter: { lat: 41.8781, lng: -87.6298 } });
+    assert.deepEqual(facets.distances, [
+      { maxMiles: 5, count: 1 },
+      { maxMiles: 10, count: 1 },
+      { maxMiles: 25, count: 2 },
+      { maxMiles: 50, count: 2 }
+    ]);
+  });
+});
@@ -0,0 +1,47 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db } = require('../db');
+const { createSearchSettingSync } = require('../services/searchSettingSync');
+const { getSearchCacheGeneration } = require('../services/searchCacheService');
+
+describe('createSearchSettingSync', () => {
+  let originalGetConnection;
+
+  before(() => {
+    originalGetConnection = db.getConnection;
+    db.getConnection = async () => ({});
+  });
+
+  after(() => {
+    db.getConnection = originalGetConnection;
+  });
+
+  test('applies each load and drops cached searches only when the setting changed', async () => {
+    let stored = { botox: ['tox'] };
+    const applied = [];
+    const sync = createSearchSettingSync({ name: 'test settings', load: async () => stored, apply: value => applied.push(value) });
+
+    const generation = getSearchCacheGeneration();
+    assert.equal(await sync.reload(), true);
+    assert.equal(await sync.reload(), true);
+    assert.equal(applied.length, 2);
+    assert.equal(getSearchCacheGeneration(), generation + 1);
+
+    stored = { botox: ['tox', 'botulinum toxin'] };
+    await sync.reload();
+    assert.equal(getSearchCacheGeneration(), generation + 2);
+  });
+
+  test('a failed load keeps the current setting', async () => {
+    const applied = [];
+    const sync = createSearchSettingSync({
+      name: 'test settings',
+      load: async () => {
+        throw new Error('Invalid object name');
+      },
+      apply: value => applied.push(value)
+    });
+    assert.equal(await sync.reload(), false);
+    assert.deepEqual(applied, []);
+  });
+});
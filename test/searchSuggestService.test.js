@@ -0,0 +1,60 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSuggestIndex, rankSuggestions } = require('../services/searchSuggestService');
+
+const index = buildSuggestIndex({
+  procedureRows: [
+    { ProcedureName: 'Brazilian Butt Lift', ClinicCount: 4 },
+    { ProcedureName: 'brazilian butt lift ', ClinicCount: 1 },
+    { ProcedureName: 'Botox Cosmetic', ClinicCount: 9 },
+    { ProcedureName: 'Rhinoplasty', ClinicCount: 3 }
+  ],
+  clinicRows: [
+    { ClinicID: 1, ClinicName: 'Miami Beach Aesthetics', City: 'Miami Beach', State: 'fl' },
+    { ClinicID: 2, ClinicName: 'Chicago Plastic Surgery', City: 'chicago', State: 'IL' },
+    { ClinicID: 3, ClinicName: 'Evanston Skin', City: 'Evanston', State: 'IL' }
+  ]
+});
+
+describe('searchSuggestService', () => {
+  test('buildSuggestIndex collapses procedure name variants and counts cities', () => {
+    const bbl = index.procedures.filter(p => p.name.toLowerCase() === 'brazilian butt lift');
+    assert.equal(bbl.length, 1);
+    assert.equal(bbl[0].clinicCount, 4);
+    assert.deepEqual(index.cities.find(c => c.city === 'Chicago'), { city: 'Chicago', state: 'IL', clinicCount: 1 });
+  });
+
+  test('short queries return empty groups', () => {
+    assert.deepEqual(rankSuggestions(index, 'b'), { procedures: [], clinics: [], locations: [] });
+  });
+
+  test('abbreviations suggest the canonical procedure', () => {
+    const { procedures } = rankSuggestions(index, 'bbl');
+    assert.equal(procedures[0].value.toLowerCase(), 'brazilian butt lift');
+    assert.equal(procedures[0].type, 'procedure');
+    assert.equal(procedures[0].param, 'procedure');
+  });
+
+  test('clinic suggestions carry clinicId and route to clinicName', () => {
+    const { clinics } = rankSuggestions(index, 'chicago plastic');
+    assert.equal(clinics[0].clinicId, 2);
+    assert.equal(clinics[0].param, 'clinicName');
+  });
+
+  test('locations include cities, metro areas and states', () => {
+    const { locations } = rankSuggestions(index, 'chicago', { limit: 10 });
+    const types = locations.map(l => l.type);
+    assert.equal(locations[0].value, 'Chicago, IL');
+    assert.ok(types.includes('metro'));
+    assert.ok(locations.every(l => l.param === 'location'));
+
+    const states = rankSuggestions(index, 'il').locations.filter(l => l.type === 'state');
+    assert.equal(states[0].value, 'IL');
+    assert.equal(states[0].label, 'Illinois');
+  });
+
+  test('limit caps each group', () => {
+    const { locations } = rankSuggestions(index, 'mi', { limit: 2 });
+    assert.ok(locations.length <= 2);
+  });
+});
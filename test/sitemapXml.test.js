@@ -0,0 +1,52 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_SITEMAP_URLS,
+  formatLastmod,
+  latestDate,
+  buildUrlsetXml,
+  buildSitemapIndexXml,
+  chunkSitemapUrls
+} = require('../utils/sitemapXml');
+
+describe('sitemapXml', () => {
+  test('formats lastmod as a date and skips missing or invalid values', () => {
+    assert.equal(formatLastmod(new Date('2026-05-04T23:00:00Z')), '2026-05-04');
+    assert.equal(formatLastmod(null), undefined);
+    assert.equal(formatLastmod('not a date'), undefined);
+  });
+
+  test('latestDate ignores empty values', () => {
+    assert.equal(latestDate([null, '2026-01-02', undefined, new Date('2025-12-31')]).toISOString(), '2026-01-02T00:00:00.000Z');
+    assert.equal(latestDate([null, undefined]), null);
+  });
+
+  test('urlset omits optional tags that are not given', () => {
+    const xml = buildUrlsetXml([
+      { loc: 'https://x.test/clinics/1?a=1&b=2', lastmod: '2026-01-02' },
+      { loc: 'https://x.test/clinics/2', changefreq: 'weekly' }
+    ]);
+    assert.match(xml, /<urlset xmlns="http:\/\/www.sitemaps.org\/schemas\/sitemap\/0.9">/);
+    assert.match(xml, /<loc>https:\/\/x.test\/clinics\/1\?a=1&amp;b=2<\/loc>\n {4}<lastmod>2026-01-02<\/lastmod>\n {2}<\/url>/);
+    assert.match(xml, /<loc>https:\/\/x.test\/clinics\/2<\/loc>\n {4}<changefreq>weekly<\/changefreq>/);
+    assert.equal((xml.match(/<lastmod>/g) || []).length, 1);
+  });
+
+  test('sitemap index lists each file', () => {
+    const xml = buildSitemapIndexXml([
+      { loc: 'https://x.test/sitemap-blog.xml' },
+      { loc: 'https://x.test/sitemap-clinics-1.xml', lastmod: '2026-02-03' }
+    ]);
+    assert.match(xml, /<sitemapindex xmlns=/);
+    assert.equal((xml.match(/<sitemap>/g) || []).length, 2);
+    assert.match(xml, /sitemap-clinics-1.xml<\/loc>\n {4}<lastmod>2026-02-03<\/lastmod>/);
+  });
+
+  test('splits at the protocol limit', () => {
+    assert.equal(MAX_SITEMAP_URLS, 50000);
+    assert.deepEqual(chunkSitemapUrls([], 2), []);
+    assert.deepEqual(chunkSitemapUrls([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+    const urls = Array.from({ length: MAX_SITEMAP_URLS + 1 }, (_, i) => i);
+    assert.deepEqual(chunkSitemapUrls(urls).map(chunk => chunk.length), [MAX_SITEMAP_URLS, 1]);
+  });
+});
@@ -0,0 +1,104 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSpatialIndex } = require('../utils/spatialIndex');
+const { calculateDistance } = require('../utils/locationUtils');
+const { isInBounds } = require('../utils/mapClustering');
+
+// Deterministic pseudo-random points across the continental US
+function makePoints(count) {
+  let seed = 42;
+  const rand = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  return Array.from({ length: count }, (_, i) => ({
+    id: i + 1,
+    lat: 25 + rand() * 24,
+    lng: -124 + rand() * 57
+  }));
+}
+
+const points = makePoints(2000);
+const index = createSpatialIndex(points);
+const chicago = { lat: 41.8781, lng: -87.6298 };
+
+function bruteForce(center, radius) {
+  return points
+    .map(p => ({ id: p.id, distance: calculateDistance(center.lat, center.lng, p.lat, p.lng) }))
+    .filter(p => p.distance <= radius)
+    .sort((a, b) => a.distance - b.distance || a.id - b.id);
+}
+
+describe('spatialIndex', () => {
+  test('withinRadius matches a brute-force scan, nearest first', () => {
+    for (const radius of [5, 50, 300]) {
+      assert.deepEqual(
+        index.withinRadius(chicago.lat, chicago.lng, radius).map(hit => hit.id),
+        bruteForce(chicago, radius).map(hit => hit.id)
+      );
+    }
+  });
+
+  test('withinBounds matches a bounding-box scan, in id order', () => {
+    for (const bounds of [
+      { north: 42.5, south: 41.5, east: -87, west: -88.5 },
+      { north: 49, south: 25, east: -67, west: -124 },
+      { north: 30, south: 29.9, east: -100, west: -100.1 }
+    ]) {
+      assert.deepEqual(
+        index.withinBounds(bounds).map(hit => hit.id),
+        points.filter(p => isInBounds(p.lat, p.lng, bounds)).map(p => p.id)
+      );
+    }
+  });
+
+  test('withinBounds handles boxes that cross the antimeridian', () => {
+    const pacific = createSpatialIndex([
+      { id: 1, lat: -17.7, lng: 178.4 },
+      { id: 2, lat: -13.8, lng: -171.8 },
+      { id: 3, lat: 21.3, lng: -157.9 }
+    ]);
+    assert.deepEqual(pacific.withinBounds({ north: 0, south: -30, east: -170, west: 170 }).map(hit => hit.id), [1, 2]);
+  });
+
+  test('withinRadius wraps at the antimeridian', () => {
+    const pacific = createSpatialIndex([
+      { id: 1, lat: -17.8, lng: 179.9 },
+      { id: 2, lat: -17.8, lng: -179.9 },
+      { id: 3, lat: -17.8, lng: 180 },
+      { id: 4, lat: -17.8, lng: 170 }
+    ]);
+    assert.deepEqual(pacific.withinRadius(-17.8, -179.95, 20).map(hit => hit.id).sort(), [1, 2, 3]);
+    assert.deepEqual(pacific.withinRadius(-17.8, 179.95, 20).map(hit => hit.id).sort(), [1, 2, 3]);
+    assert.deepEqual(pacific.nearest(-17.8, -179.99, 4).map(hit => hit.id).slice(-1), [4]);
+  });
+
+  test('whole-globe queries see every point once', () => {
+    const edges = createSpatialIndex([
+      { id: 1, lat: 10, lng: -180 },
+      { id: 2, lat: 10, lng: 180 },
+      { id: 3, lat: 10, lng: 1 }
+    ]);
+    assert.deepEqual(edges.withinBounds({ north: 90, south: -90, east: 180, west: -180 }).map(hit => hit.id), [1, 2, 3]);
+    assert.deepEqual(edges.withinRadius(10, 1, 20000).map(hit => hit.id), [3, 1, 2]);
+  });
+
+  test('nearest returns the k closest points', () => {
+    const nearest = index.nearest(chicago.lat, chicago.lng, 7);
+    assert.deepEqual(nearest.map(hit => hit.id), bruteForce(chicago, 20000).slice(0, 7).map(hit => hit.id));
+    assert.ok(nearest[0].distance <= nearest[6].distance);
+  });
+
+  test('nearest honors maxMiles and small indexes', () => {
+    const small = createSpatialIndex([{ id: 1, lat: 41.88, lng: -87.63 }, { id: 2, lat: 34.05, lng: -118.24 }]);
+    assert.deepEqual(small.nearest(chicago.lat, chicago.lng, 5).map(hit => hit.id), [1, 2]);
+    assert.deepEqual(small.nearest(chicago.lat, chicago.lng, 5, { maxMiles: 100 }).map(hit => hit.id), [1]);
+  });
+
+  test('skips missing coordinates and reports membership', () => {
+    const sparse = createSpatialIndex([{ id: 1, lat: null, lng: null }, { id: 2, lat: '41.9', lng: '-87.6' }]);
+    assert.equal(sparse.size, 1);
+    assert.equal(sparse.has(1), false);
+    assert.equal(sparse.has(2), true);
+  });
+});
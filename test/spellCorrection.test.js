@@ -0,0 +1,57 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  suggestCorrections,
+  isHighConfidence,
+  buildSpellingCorrections
+} = require('../utils/spellCorrection');
+const { buildSuggestIndex } = require('../services/searchSuggestService');
+
+const index = buildSuggestIndex({
+  procedureRows: [
+    { ProcedureName: 'Rhinoplasty', ClinicCount: 12 },
+    { ProcedureName: 'Rhinoplasty Revision', ClinicCount: 2 },
+    { ProcedureName: 'Microblading Eyebrows', ClinicCount: 5 }
+  ],
+  clinicRows: [
+    { ClinicID: 1, ClinicName: 'Smith Dermatology', City: 'Chicago', State: 'IL' }
+  ]
+});
+
+describe('spellCorrection', () => {
+  test('suggests the closest word inside multi-word vocabulary entries', () => {
+    const suggestions = suggestCorrections('microbladding', [{ text: 'Microblading Eyebrows' }]);
+    assert.equal(suggestions[0].value, 'Microblading');
+    assert.ok(suggestions[0].score >= 90);
+  });
+
+  test('returns nothing for words already in the vocabulary or very short terms', () => {
+    assert.deepEqual(suggestCorrections('rhinoplasty', [{ text: 'Rhinoplasty' }]), []);
+    assert.deepEqual(suggestCorrections('rh', [{ text: 'Rhinoplasty' }]), []);
+  });
+
+  test('high confidence requires a clear winner', () => {
+    assert.equal(isHighConfidence([{ value: 'a', score: 95 }]), true);
+    assert.equal(isHighConfidence([{ value: 'a', score: 95 }, { value: 'b', score: 93 }]), false);
+    assert.equal(isHighConfidence([{ value: 'a', score: 80 }]), false);
+  });
+
+  test('buildSpellingCorrections covers procedure, clinicName and free-text location', () => {
+    const result = buildSpellingCorrections(
+      { procedure: 'rhinoplsty', clinicName: 'smith dermatolgy', location: 'chicgo' },
+      index
+    );
+    assert.equal(result.didYouMean.procedure[0].value, 'Rhinoplasty');
+    assert.equal(result.didYouMean.clinicName[0].value, 'Smith Dermatology');
+    assert.equal(result.didYouMean.location[0].value, 'Chicago');
+    assert.deepEqual(
+      result.corrections.find(c => c.param === 'procedure'),
+      { param: 'procedure', from: 'rhinoplsty', to: 'Rhinoplasty', score: 95 }
+    );
+  });
+
+  test('geographic locations and lat/lng searches are not corrected', () => {
+    assert.equal(buildSpellingCorrections({ location: 'Chicgo, IL' }, index).didYouMean, null);
+    assert.equal(buildSpellingCorrections({ location: 'chicgo', lat: '41.8', lng: '-87.6' }, index).didYouMean, null);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Response envelope for the versioned public API (/api/v2):
+ *
+ *   200: { data, meta, errors: [] }
+ *   4xx / 5xx: RFC 7807 problem details (application/problem+json) that keep the same three
+ *        members as extensions: { type, title, status, detail, instance, data: null, meta: {}, errors: [...] }
+ *
+ * meta.pagination, when present, always has the paginateArray shape
+ * ({ page, limit, total, totalPages, hasNextPage }) whatever the underlying handler returned.
+ */
+
+const http = require('http');
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * @param {unknown} data
+ * @param {Object} [meta]
+ * @returns {{ data: unknown, meta: Object, errors: [] }}
+ */
+function successEnvelope(data, meta = {}) {
+  return { data, meta, errors: [] };
+}
+
+/**
+ * Problem details document.
+ *
+ * @param {number} status - HTTP status
+ * @param {{ detail?: string, instance?: string, errors?: Array<Object> }} [opts]
+ *   errors: individual problems, each at least { title, detail }
+ * @returns {Object}
+ */
+function problemDetails(status, { detail, instance, errors = [] } = {}) {
+  const title = http.STATUS_CODES[status] || 'Error';
+  return {
+    type: 'about:blank',
+    title,
+    status,
+    detail: detail || title,
+    ...(instance ? { instance } : {}),
+    data: null,
+    meta: {},
+    errors
+  };
+}
+
+/**
+ * Problem details for an error body in the v1 style: { error, message?, ...extras }.
+ * The v1 error becomes the problem's detail and its single entry in errors (with any extras,
+ * e.g. missingIds); a message, when present, is the more specific detail.
+ *
+ * @param {number} status
+ * @param {Object} body - v1 error response
+ * @param {string} [instance] - Request path
+ * @returns {Object}
+ */
+function problemFromV1Error(status, body, instance) {
+  const { error, message, success, ...extras } = body && typeof body === 'object' ? body : {};
+  const title = typeof error === 'string' ? error : http.STATUS_CODES[status];
+  const detail = typeof message === 'string' && message ? message : title;
+  return problemDetails(status, {
+    detail,
+    instance,
+    errors: [{ title, detail, ...extras }]
+  });
+}
+
+/**
+ * Normalize the pagination objects the v1 handlers return.
+ * @param {{ page?: number, currentPage?: number, limit: number, total: number, totalPages?: number }|null|undefined} pagination
+ * @returns {{ page: number, limit: number, total: number, totalPages: number, hasNextPage: boolean }|null}
+ */
+function normalizePaginationMeta(pagination) {
+  if (!pagination) return null;
+  const page = Number(pagination.page ?? pagination.currentPage) || 1;
+  const limit = Number(pagination.limit);
+  const total = Number(pagination.total) || 0;
+  const totalPages = pagination.totalPages ?? (limit > 0 ? Math.ceil(total / limit) : 0);
+  return { page, limit, total, totalPages, hasNextPage: page < totalPages };
+}
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  successEnvelope,
+  problemDetails,
+  problemFromV1Error,
+  normalizePaginationMeta
+};
@@ -109,4 +109,4 @@ function renderPostListHtml(items, origin) {
   return `<h1>Glowra Blog</h1><ul class="blog-list">${lis}</ul>`;
 }
 
-module.exports = { renderBlogHtmlDocument, escapeHtml, stripHost };
+module.exports = { renderBlogHtmlDocument, escapeHtml, stripHost, escapeJsonLdScriptContent };
@@ -0,0 +1,108 @@
+/**
+ * Key/value stores for response caches. Every store has the same async interface, so a
+ * cache can move from process memory to a shared Redis without changing its callers:
+ *
+ *   get(key) → string|null, set(key, value, ttlMs), clear(), stats() → Object
+ *
+ * Values are strings (serialized responses); sizes are counted in string length.
+ */
+
+/**
+ * In-process LRU store bounded by entry count and total size. Reads refresh recency;
+ * expired entries are dropped when read.
+ *
+ * @param {{ maxEntries?: number, maxSize?: number, now?: () => number }} [opts]
+ *   maxSize: total string length of all values; now: clock (tests)
+ */
+function createLruStore({ maxEntries = 500, maxSize = 64 * 1024 * 1024, now = Date.now } = {}) {
+  const entries = new Map();
+  let totalSize = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalSize -= entry.value.length;
+    entries.delete(key);
+  }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        remove(key);
+        return null;
+      }
+      // Map keeps insertion order; re-inserting marks the entry most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      remove(key);
+      // A value larger than the whole store would evict everything and still not fit
+      if (value.length > maxSize) return;
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      totalSize += value.length;
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries && totalSize <= maxSize) break;
+        remove(oldest);
+      }
+    },
+
+    async clear() {
+      entries.clear();
+      totalSize = 0;
+    },
+
+    stats() {
+      return { entries: entries.size, size: totalSize, maxEntries, maxSize };
+    }
+  };
+}
+
+/**
+ * Store backed by a Redis-compatible client with the node-redis v4 API
+ * (`get`, `set(key, value, { PX })`, `incr`). Keys carry a generation number so that
+ * clear() is a single INCR shared by every instance, not a key scan; old generations
+ * expire on their own TTL.
+ *
+ * @param {{ get: Function, set: Function, incr: Function }} client - Connected client
+ * @param {{ prefix?: string }} [opts]
+ */
+function createRedisStore(client, { prefix = 'cache' } = {}) {
+  const generationKey = `${prefix}:generation`;
+
+  async function versionedKey(key) {
+    const generation = (await client.get(generationKey)) || '0';
+    return `${prefix}:${generation}:${key}`;
+  }
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      return client.get(await versionedKey(key));
+    },
+
+    async set(key, value, ttlMs) {
+      await client.set(await versionedKey(key), value, { PX: ttlMs });
+    },
+
+    async clear() {
+      await client.incr(generationKey);
+    },
+
+    stats() {
+      return { prefix };
+    }
+  };
+}
+
+module.exports = {
+  createLruStore,
+  createRedisStore
+};
@@ -0,0 +1,118 @@
+/**
+ * Maps free-text Procedures.ProcedureName values ("Botox Cosmetic", "BOTOX®",
+ * "Botulinum toxin (per unit)") to entries in the canonical procedure catalog.
+ *
+ * Names are cleaned (trademark symbols, unit qualifiers, punctuation), expanded through the
+ * procedure synonym dictionary, and scored against each entry's display name, slug and aliases:
+ * exact match 100, whole-phrase containment 85–95 (more of the name covered scores higher),
+ * otherwise the best of searchUtils relevance and fuzzball edit-distance similarity.
+ */
+
+const fuzzball = require('fuzzball');
+const { normalizeForSearch, calculateRelevanceScore } = require('./searchUtils');
+const { getSynonymAlternatives } = require('./procedureSynonyms');
+
+/** At or above: mapping is applied without review */
+const AUTO_ASSIGN_MIN_SCORE = 90;
+/** At or above (and below auto): the best entry is suggested for admin review */
+const SUGGEST_MIN_SCORE = 60;
+/** A best match this close to a different runner-up is ambiguous and goes to review */
+const AMBIGUITY_MARGIN = 3;
+
+const MATCH_STATUS = {
+  AUTO: 'auto',
+  NEEDS_REVIEW: 'needs_review',
+  UNMAPPED: 'unmapped'
+};
+
+/**
+ * Lowercase, drop trademark symbols, parenthetical notes, price-unit phrases and punctuation.
+ * @param {string} name
+ * @returns {string}
+ */
+function cleanProcedureName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[®™©]/g, '')
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/(\bper\s+|\/\s*)(unit|syringe|session|area|treatment|injection|vial)s?\b/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function containsPhrase(text, phrase) {
+  return ` ${text} `.includes(` ${phrase} `);
+}
+
+/**
+ * Score one cleaned name variant against one cleaned catalog term.
+ * @returns {number} 0-100
+ */
+function scoreTerm(variant, term) {
+  if (!variant || !term) return 0;
+  if (variant === term || normalizeForSearch(variant) === normalizeForSearch(term)) return 100;
+
+  if (containsPhrase(variant, term)) {
+    const coverage = term.split(' ').length / variant.split(' ').length;
+    return Math.min(95, 85 + Math.round(10 * coverage));
+  }
+
+  const relevance = calculateRelevanceScore(variant, term);
+  // Edit distance catches typos ("botx", "microbladding"), discounted below auto-assign
+  const similarity = Math.round(fuzzball.ratio(variant, term) * 0.95);
+  return Math.min(89, Math.max(relevance, similarity));
+}
+
+/**
+ * @param {Array<{ id: number, slug: string, displayName: string, category?: string|null, aliases?: string[] }>} catalog
+ * @returns {{ match: (procedureName: string) => {
+ *   canonicalProcedureId: number|null, score: number, status: string, matchedTerm: string|null
+ * } }}
+ */
+function createProcedureMatcher(catalog) {
+  const entries = catalog.map(entry => ({
+    id: entry.id,
+    terms: Array.from(new Set(
+      [entry.displayName, entry.slug.replace(/-/g, ' '), ...(entry.aliases || [])]
+        .map(cleanProcedureName)
+        .filter(Boolean)
+    ))
+  }));
+
+  function match(procedureName) {
+    const cleaned = cleanProcedureName(procedureName);
+    if (!cleaned || entries.length === 0) {
+      return { canonicalProcedureId: null, score: 0, status: MATCH_STATUS.UNMAPPED, matchedTerm: null };
+    }
+    const variants = Array.from(new Set([cleaned, ...getSynonymAlternatives(cleaned).map(cleanProcedureName)]));
+
+    const scored = entries.map(entry => {
+      let best = { score: 0, term: null };
+      variants.forEach(variant => {
+        entry.terms.forEach(term => {
+          const score = scoreTerm(variant, term);
+          if (score > best.score) best = { score, term };
+        });
+      });
+      return { id: entry.id, ...best };
+    }).sort((a, b) => b.score - a.score);
+
+    const [top, runnerUp] = scored;
+    if (top.score < SUGGEST_MIN_SCORE) {
+      return { canonicalProcedureId: null, score: top.score, status: MATCH_STATUS.UNMAPPED, matchedTerm: null };
+    }
+    const ambiguous = runnerUp && runnerUp.score > 0 && top.score - runnerUp.score < AMBIGUITY_MARGIN;
+    const status = top.score >= AUTO_ASSIGN_MIN_SCORE && !ambiguous ? MATCH_STATUS.AUTO : MATCH_STATUS.NEEDS_REVIEW;
+    return { canonicalProcedureId: top.id, score: top.score, status, matchedTerm: top.term };
+  }
+
+  return { match };
+}
+
+module.exports = {
+  AUTO_ASSIGN_MIN_SCORE,
+  SUGGEST_MIN_SCORE,
+  MATCH_STATUS,
+  cleanProcedureName,
+  createProcedureMatcher
+};
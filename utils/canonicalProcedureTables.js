@@ -0,0 +1,64 @@
+const sql = require('mssql');
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+let cachedExists = null;
+let cacheExpiresAt = 0;
+
+function createRequest(poolOrTransaction) {
+  if (poolOrTransaction && typeof poolOrTransaction.request === 'function') {
+    return poolOrTransaction.request();
+  }
+  return new sql.Request(poolOrTransaction);
+}
+
+/**
+ * Whether the canonical procedure tables exist (migration addCanonicalProcedures.sql).
+ * Cached ~5 minutes so running the migration heals without redeploy; restart is still fine.
+ *
+ * @param {import('mssql').ConnectionPool | import('mssql').Transaction} poolOrTransaction
+ * @returns {Promise<boolean>}
+ */
+async function canonicalProcedureTablesExist(poolOrTransaction) {
+  const now = Date.now();
+  if (cachedExists !== null && now < cacheExpiresAt) {
+    return cachedExists;
+  }
+  try {
+    const request = createRequest(poolOrTransaction);
+    const result = await request.query(`
+      SELECT COUNT(*) AS tableCount
+      FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_NAME IN ('CanonicalProcedures', 'ProcedureCanonicalMap')
+    `);
+    cachedExists = result.recordset[0].tableCount === 2;
+  } catch {
+    cachedExists = false;
+  }
+  cacheExpiresAt = now + CACHE_TTL_MS;
+  return cachedExists;
+}
+
+/**
+ * Join for a FROM Procedures p query; exposes pcm.CanonicalProcedureID.
+ * Only matcher-confident (auto) and admin-approved mappings are public.
+ */
+function canonicalProcedureJoinSql(hasTables) {
+  return hasTables
+    ? `LEFT JOIN ProcedureCanonicalMap pcm ON pcm.ProcedureID = p.ProcedureID
+      AND pcm.ReviewStatus IN ('auto', 'approved')`
+    : '';
+}
+
+/** Use in the SELECT list next to canonicalProcedureJoinSql */
+function canonicalProcedureIdSelectSql(hasTables) {
+  return hasTables
+    ? 'pcm.CanonicalProcedureID'
+    : 'CAST(NULL AS INT) AS CanonicalProcedureID';
+}
+
+module.exports = {
+  canonicalProcedureTablesExist,
+  canonicalProcedureJoinSql,
+  canonicalProcedureIdSelectSql
+};
@@ -158,9 +158,29 @@ function isValidCategory(category) {
   return getValidCategories().includes(category);
 }
 
+/**
+ * Resolve a `category` query parameter to a standard category. Accepts the standard names
+ * (any case) and the aliases normalizeCategory recognizes ("medspa", "dermatology", …).
+ * Anything that would only fall back to "Other" is rejected, as are repeated parameters.
+ * @param {unknown} value - Raw req.query.category
+ * @returns {{ ok: true, value: string|null } | { ok: false, message: string }}
+ */
+function parseCategoryParam(value) {
+  if (value === undefined || value === null || value === '') return { ok: true, value: null };
+  const invalid = { ok: false, message: `category must be one of: ${getValidCategories().join(', ')}` };
+  if (typeof value !== 'string') return invalid;
+  if (!value.trim()) return { ok: true, value: null };
+
+  const exact = getValidCategories().find(category => normalizeString(category) === normalizeString(value));
+  if (exact) return { ok: true, value: exact };
+  const alias = normalizeCategory(value);
+  return alias === CATEGORIES.OTHER ? invalid : { ok: true, value: alias };
+}
+
 module.exports = {
   normalizeCategory,
   getValidCategories,
   isValidCategory,
+  parseCategoryParam,
   CATEGORIES
 };
@@ -0,0 +1,86 @@
+/**
+ * Side-by-side clinic comparison (GET /api/clinics/compare): id parsing and the procedure
+ * alignment matrix.
+ */
+
+const MAX_COMPARE_CLINICS = 4;
+
+/**
+ * Parse `ids=1,2,3`. Duplicates are dropped; request order is kept.
+ * @param {unknown} raw
+ * @returns {{ ok: true, value: number[] } | { ok: false, message: string }}
+ */
+function parseCompareIds(raw) {
+  if (typeof raw !== 'string' || !raw.trim()) {
+    return { ok: false, message: 'ids is required (comma-separated clinic ids)' };
+  }
+  const parts = raw.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.some(part => !/^\d+$/.test(part) || Number(part) < 1)) {
+    return { ok: false, message: 'ids must be positive integers' };
+  }
+  const ids = Array.from(new Set(parts.map(Number)));
+  if (ids.length > MAX_COMPARE_CLINICS) {
+    return { ok: false, message: `At most ${MAX_COMPARE_CLINICS} clinics can be compared` };
+  }
+  return { ok: true, value: ids };
+}
+
+function alignmentKey(procedureName, category) {
+  return `${String(procedureName || '').trim().replace(/\s+/g, ' ').toLowerCase()}|${category || ''}`;
+}
+
+/**
+ * Align procedures across clinics. Rows are procedures any clinic offers, grouped by name
+ * (ignoring case and spacing) and category, like GET /api/clinics/:clinicId/procedures;
+ * each row has one cell per clinic, in the given clinic order.
+ *
+ * @param {Array<{ clinicId: number, procedures: Array<{ procedureId: number, procedureName: string, category: string, price: number|null, priceUnit?: string }> }>} clinics
+ * @returns {{
+ *   clinicIds: number[],
+ *   rows: Array<{
+ *     procedureName: string, category: string, offeredBy: number,
+ *     cells: Array<{ clinicId: number, offered: boolean, procedureId: number|null, price: number|null, priceUnit: string|null }>
+ *   }>
+ * }}
+ */
+function buildProcedureMatrix(clinics) {
+  const rowsByKey = new Map();
+  clinics.forEach((clinic, column) => {
+    (clinic.procedures || []).forEach(proc => {
+      const key = alignmentKey(proc.procedureName, proc.category);
+      if (!rowsByKey.has(key)) {
+        rowsByKey.set(key, {
+          procedureName: proc.procedureName.trim(),
+          category: proc.category,
+          cells: clinics.map(c => ({ clinicId: c.clinicId, offered: false, procedureId: null, price: null, priceUnit: null }))
+        });
+      }
+      const cell = rowsByKey.get(key).cells[column];
+      // The first listing wins, as in the per-clinic endpoint
+      if (!cell.offered) {
+        Object.assign(cell, {
+          offered: true,
+          procedureId: proc.procedureId,
+          price: proc.price ?? null,
+          priceUnit: proc.priceUnit || null
+        });
+      }
+    });
+  });
+
+  const rows = Array.from(rowsByKey.values())
+    .map(row => ({ ...row, offeredBy: row.cells.filter(cell => cell.offered).length }))
+    .sort((a, b) =>
+      String(a.category || '').localeCompare(String(b.category || '')) ||
+      a.procedureName.localeCompare(b.procedureName)
+    )
+    .map(({ procedureName, category, offeredBy, cells }) => ({ procedureName, category, offeredBy, cells }));
+
+  return { clinicIds: clinics.map(c => c.clinicId), rows };
+}
+
+module.exports = {
+  MAX_COMPARE_CLINICS,
+  parseCompareIds,
+  buildProcedureMatrix
+};
@@ -0,0 +1,51 @@
+/**
+ * In-process notifications when clinics are created, updated, merged, deleted, or restored,
+ * and when the scheduled jobs refresh their Google ratings or photos.
+ * Lets caches derived from the Clinics table (spatial index, sitemaps, search caches) refresh
+ * without the clinic services knowing about them.
+ */
+
+const { EventEmitter } = require('events');
+
+const CLINIC_CHANGE_EVENT = 'clinic:changed';
+
+const CLINIC_CHANGE_TYPES = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  MERGED: 'merged',
+  DELETED: 'deleted',
+  RESTORED: 'restored',
+  /** Google ratings / photos re-fetched by the refresh jobs; addresses and procedures are unchanged */
+  REFRESHED: 'refreshed'
+};
+
+const clinicEvents = new EventEmitter();
+
+/**
+ * Notify listeners that clinics changed. Call after the transaction commits.
+ * A failing listener is logged and never breaks the caller.
+ * @param {string} type - One of CLINIC_CHANGE_TYPES
+ * @param {number[]} clinicIds - Affected ClinicIDs
+ */
+function emitClinicChange(type, clinicIds) {
+  try {
+    clinicEvents.emit(CLINIC_CHANGE_EVENT, { type, clinicIds: clinicIds.filter(id => id != null) });
+  } catch (error) {
+    console.error(`Clinic change listener failed (${type}):`, error.message);
+  }
+}
+
+/**
+ * @param {(change: { type: string, clinicIds: number[] }) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+function onClinicChange(listener) {
+  clinicEvents.on(CLINIC_CHANGE_EVENT, listener);
+  return () => clinicEvents.off(CLINIC_CHANGE_EVENT, listener);
+}
+
+module.exports = {
+  CLINIC_CHANGE_TYPES,
+  emitClinicChange,
+  onClinicChange
+};
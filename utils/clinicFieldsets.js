@@ -0,0 +1,133 @@
+/**
+ * Sparse fieldsets and includes for public clinic documents:
+ *
+ *   GET /api/clinics/12?fields=clinicId,clinicName,rating&include=hours
+ *   GET /api/clinics/search-index?procedure=botox&fields=clinicId,clinicName,matchedPrice
+ *
+ * A document is a set of attributes plus includes: related or bulky data (providers, reviews,
+ * opening hours, ...) that a request opts into. Without `fields` a clinic has every attribute,
+ * the document's default includes and any requested ones, exactly as before these parameters
+ * existed. With `fields` it has only the listed attributes and the explicitly requested includes.
+ */
+
+const HOURS_KEYS = ['workingHours', 'openingHours', 'isOpenNow', 'nextOpenAt'];
+
+/**
+ * @typedef {Object} ClinicDocument
+ * @property {string[]} attributes - Names accepted by `fields`
+ * @property {Record<string, string[]>} includes - Include name → response keys it adds
+ * @property {string[]} defaultIncludes - Present when `fields` is not given
+ */
+
+/** GET /api/clinics/:clinicId (services/clinicDetailService getClinicDetail) */
+const CLINIC_DETAIL_DOCUMENT = Object.freeze({
+  attributes: [
+    'clinicId', 'clinicName', 'address', 'city', 'state', 'zipCode', 'latitude', 'longitude',
+    'locationId', 'placeId', 'phone', 'website', 'email',
+    'googleRating', 'googleReviewCount', 'rating', 'reviewCount', 'lastRatingUpdate',
+    'photo', 'logo', 'streetView', 'description', 'about', 'verified',
+    'facebook', 'instagram', 'linkedin', 'twitter', 'youtube',
+    'googleProfileLink', 'reviewsLink', 'bookingAppointmentLink', 'menuLink',
+    'businessStatus', 'category', 'subtypes', 'businessName'
+  ],
+  includes: {
+    providers: ['providers'],
+    procedures: ['procedures'],
+    photos: ['photos'],
+    reviews: ['reviews'],
+    hours: HOURS_KEYS
+  },
+  defaultIncludes: ['reviews', 'hours']
+});
+
+/** Clinic objects in GET /api/clinics/search-index (loadSearchIndexClinics + annotateClinicPrices) */
+const SEARCH_INDEX_CLINIC_DOCUMENT = Object.freeze({
+  attributes: [
+    'clinicId', 'clinicName', 'address', 'city', 'state', 'zipCode', 'latitude', 'longitude',
+    'rating', 'reviewCount', 'clinicCategory', 'matchedPrice', 'priceComparable'
+  ],
+  includes: {
+    procedures: ['procedures'],
+    photos: ['photoURL', 'galleryPhotos'],
+    hours: ['openingHours']
+  },
+  defaultIncludes: ['procedures', 'photos', 'hours']
+});
+
+/**
+ * @param {unknown} raw
+ * @param {string} name - Parameter name, for messages
+ * @returns {{ ok: true, value: string[]|null } | { ok: false, message: string }} null when absent
+ */
+function parseListParam(raw, name) {
+  if (raw === undefined) return { ok: true, value: null };
+  if (typeof raw !== 'string') {
+    return { ok: false, message: `${name} must be a single comma-separated list` };
+  }
+  return { ok: true, value: Array.from(new Set(raw.split(',').map(part => part.trim()).filter(Boolean))) };
+}
+
+/**
+ * Parse and validate `fields` and `include` against a document.
+ *
+ * @param {{ fields?: unknown, include?: unknown }} query - req.query
+ * @param {ClinicDocument} document
+ * @returns {{ ok: true, value: { fields: string[]|null, includes: Set<string> } } | { ok: false, message: string }}
+ *   includes: everything the response will carry (defaults included), so handlers know what to load
+ */
+function parseClinicFieldset(query, document) {
+  const fields = parseListParam(query.fields, 'fields');
+  if (!fields.ok) return fields;
+  const include = parseListParam(query.include, 'include');
+  if (!include.ok) return include;
+
+  const includeNames = Object.keys(document.includes);
+  const requested = (include.value || []).map(name => name.toLowerCase());
+  const unknownInclude = requested.find(name => !includeNames.includes(name));
+  if (unknownInclude) {
+    return { ok: false, message: `Unknown include "${unknownInclude}". Allowed: ${includeNames.join(', ')}` };
+  }
+
+  for (const field of fields.value || []) {
+    if (document.attributes.includes(field)) continue;
+    const owner = includeNames.find(name => document.includes[name].includes(field));
+    return {
+      ok: false,
+      message: owner
+        ? `"${field}" is not a field; request it with include=${owner}`
+        : `Unknown field "${field}"`
+    };
+  }
+
+  const includes = new Set(requested);
+  if (!fields.value) document.defaultIncludes.forEach(name => includes.add(name));
+  return { ok: true, value: { fields: fields.value, includes } };
+}
+
+/**
+ * Shape one clinic. Without `fields` the clinic is returned as is (it already has the
+ * requested includes); with `fields`, a copy with those attributes and the includes' keys.
+ *
+ * @param {Object} clinic
+ * @param {{ fields: string[]|null, includes: Set<string> }} fieldset - parseClinicFieldset value
+ * @param {ClinicDocument} document
+ * @returns {Object}
+ */
+function applyClinicFieldset(clinic, fieldset, document) {
+  if (!fieldset.fields) return clinic;
+  const keys = [...fieldset.fields];
+  fieldset.includes.forEach(name => keys.push(...document.includes[name]));
+
+  const shaped = {};
+  keys.forEach(key => {
+    if (key in clinic) shaped[key] = clinic[key];
+  });
+  return shaped;
+}
+
+module.exports = {
+  CLINIC_DETAIL_DOCUMENT,
+  SEARCH_INDEX_CLINIC_DOCUMENT,
+  parseClinicFieldset,
+  applyClinicFieldset
+};
@@ -0,0 +1,294 @@
+/**
+ * schema.org JSON-LD for a clinic (GET /api/clinics/:clinicId?format=jsonld).
+ *
+ * buildClinicJsonLd leaves out optional properties whose source data is missing or malformed;
+ * validateClinicJsonLd checks the finished document so callers never emit broken markup.
+ */
+
+const { DAY_NAMES } = require('./openingHours');
+const { normalizePriceUnit, FLAT_PRICE_UNIT } = require('./procedurePricing');
+
+const SCHEMA_ORG_CONTEXT = 'https://schema.org';
+const CLINIC_JSON_LD_TYPE = 'MedicalClinic';
+
+/** Monday-first, the order people read a week of hours in */
+const WEEK_ORDER = [...DAY_NAMES.slice(1), DAY_NAMES[0]];
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Absolute http(s) URL, adding https:// to bare domains ("instagram.com/glowclinic").
+ * @param {unknown} value
+ * @returns {string|null}
+ */
+function toAbsoluteUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const trimmed = value.trim();
+  const candidate = /^https?:\/\//i.test(trimmed)
+    ? trimmed
+    : /^[\w-]+(\.[\w-]+)+(\/|$)/.test(trimmed) ? `https://${trimmed}` : null;
+  if (!candidate) return null;
+  try {
+    return new URL(candidate).href;
+  } catch {
+    return null;
+  }
+}
+
+function isAbsoluteUrl(value) {
+  return typeof value === 'string' && toAbsoluteUrl(value) === value;
+}
+
+function nonEmptyString(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * @param {{ address?: string|null, city?: string|null, state?: string|null, zipCode?: string|number|null }} place
+ * @returns {Object} schema.org PostalAddress (US)
+ */
+function postalAddressJsonLd({ address, city, state, zipCode }) {
+  return {
+    '@type': 'PostalAddress',
+    ...(nonEmptyString(address) ? { streetAddress: address.trim() } : {}),
+    ...(nonEmptyString(city) ? { addressLocality: city.trim() } : {}),
+    ...(nonEmptyString(state) ? { addressRegion: state.trim() } : {}),
+    ...(zipCode ? { postalCode: String(zipCode) } : {}),
+    addressCountry: 'US'
+  };
+}
+
+/**
+ * @param {number} rating
+ * @param {number} reviewCount
+ * @returns {Object|null} null without reviews
+ */
+function aggregateRatingJsonLd(rating, reviewCount) {
+  if (!(rating > 0) || !(reviewCount > 0)) return null;
+  return {
+    '@type': 'AggregateRating',
+    ratingValue: rating,
+    reviewCount,
+    bestRating: 5,
+    worstRating: 1
+  };
+}
+
+function schemaDay(day) {
+  return `https://schema.org/${day.charAt(0).toUpperCase()}${day.slice(1)}`;
+}
+
+/**
+ * One OpeningHoursSpecification per distinct set of hours (days sharing hours are grouped).
+ * Closed days are 00:00–00:00; intervals past midnight close earlier than they open.
+ *
+ * @param {{ days: Object<string, Array<{ open: string, close: string }>> }|null} openingHours - Normalized model
+ * @returns {Array<Object>}
+ */
+function openingHoursSpecificationJsonLd(openingHours) {
+  if (!openingHours || !openingHours.days) return [];
+  const daysByHours = new Map();
+  WEEK_ORDER.forEach(day => {
+    const intervals = openingHours.days[day];
+    if (!Array.isArray(intervals)) return;
+    const ranges = intervals.length === 0
+      ? [{ opens: '00:00', closes: '00:00' }]
+      : intervals.map(({ open, close }) => ({ opens: open, closes: close === '24:00' ? '23:59' : close }));
+    const key = JSON.stringify(ranges);
+    if (!daysByHours.has(key)) daysByHours.set(key, { ranges, days: [] });
+    daysByHours.get(key).days.push(schemaDay(day));
+  });
+
+  return Array.from(daysByHours.values()).flatMap(({ ranges, days }) =>
+    ranges.map(range => ({
+      '@type': 'OpeningHoursSpecification',
+      dayOfWeek: days.length === 1 ? days[0] : days,
+      ...range
+    }))
+  );
+}
+
+/**
+ * @param {{ procedureName: string, price?: number|null, priceUnit?: string, category?: string }} procedure
+ * @returns {Object|null}
+ */
+function procedureOfferJsonLd(procedure) {
+  const name = nonEmptyString(procedure.procedureName);
+  if (!name) return null;
+  const offer = {
+    '@type': 'Offer',
+    itemOffered: {
+      '@type': 'MedicalProcedure',
+      name,
+      ...(nonEmptyString(procedure.category) ? { category: procedure.category.trim() } : {})
+    }
+  };
+
+  const price = Number(procedure.price);
+  if (procedure.price != null && Number.isFinite(price) && price > 0) {
+    const unit = normalizePriceUnit(procedure.priceUnit);
+    if (unit === FLAT_PRICE_UNIT) {
+      offer.price = price;
+      offer.priceCurrency = 'USD';
+    } else {
+      offer.priceSpecification = {
+        '@type': 'UnitPriceSpecification',
+        price,
+        priceCurrency: 'USD',
+        unitText: unit
+      };
+    }
+  }
+  return offer;
+}
+
+/**
+ * @param {Object} clinic - getClinicDetail() response
+ * @param {{ url: string, providers?: Array<{ providerName: string, photoUrl?: string|null }>,
+ *   procedures?: Array<{ procedureName: string, price?: number|null, priceUnit?: string, category?: string }> }} opts
+ *   url: the clinic's public page
+ * @returns {Object}
+ */
+function buildClinicJsonLd(clinic, { url, providers = [], procedures = [] }) {
+  const doc = {
+    '@context': SCHEMA_ORG_CONTEXT,
+    '@type': CLINIC_JSON_LD_TYPE,
+    '@id': `${url}#clinic`,
+    name: nonEmptyString(clinic.clinicName) || nonEmptyString(clinic.businessName),
+    url,
+    address: postalAddressJsonLd(clinic)
+  };
+
+  const telephone = nonEmptyString(clinic.phone);
+  if (telephone) doc.telephone = telephone;
+  const email = nonEmptyString(clinic.email);
+  if (email && email.includes('@')) doc.email = email;
+  const description = nonEmptyString(clinic.description);
+  if (description) doc.description = description;
+  const image = toAbsoluteUrl(clinic.photo);
+  if (image) doc.image = image;
+  const logo = toAbsoluteUrl(clinic.logo);
+  if (logo) doc.logo = logo;
+
+  const latitude = Number(clinic.latitude);
+  const longitude = Number(clinic.longitude);
+  if (clinic.latitude != null && clinic.longitude != null && Number.isFinite(latitude) && Number.isFinite(longitude)) {
+    doc.geo = { '@type': 'GeoCoordinates', latitude, longitude };
+  }
+
+  const hours = openingHoursSpecificationJsonLd(clinic.openingHours);
+  if (hours.length > 0) doc.openingHoursSpecification = hours;
+
+  const rating = aggregateRatingJsonLd(Number(clinic.googleRating), Number(clinic.googleReviewCount));
+  if (rating) doc.aggregateRating = rating;
+
+  const sameAs = [
+    clinic.facebook, clinic.instagram, clinic.linkedin, clinic.twitter, clinic.youtube,
+    clinic.googleProfileLink, clinic.website
+  ].map(toAbsoluteUrl).filter(Boolean);
+  if (sameAs.length > 0) doc.sameAs = Array.from(new Set(sameAs));
+
+  const employees = providers
+    .filter(provider => nonEmptyString(provider.providerName))
+    .map(provider => {
+      const photo = toAbsoluteUrl(provider.photoUrl);
+      return {
+        '@type': 'Person',
+        name: provider.providerName.trim(),
+        ...(photo ? { image: photo } : {})
+      };
+    });
+  if (employees.length > 0) doc.employee = employees;
+
+  const offers = procedures.map(procedureOfferJsonLd).filter(Boolean);
+  if (offers.length > 0) {
+    doc.hasOfferCatalog = {
+      '@type': 'OfferCatalog',
+      name: 'Procedures',
+      itemListElement: offers
+    };
+  }
+
+  return doc;
+}
+
+function validateOffer(offer, path, errors) {
+  if (!offer.itemOffered || !nonEmptyString(offer.itemOffered.name)) {
+    errors.push(`${path}.itemOffered.name is required`);
+  }
+  const priced = offer.priceSpecification || offer;
+  if (priced.price !== undefined) {
+    if (!Number.isFinite(priced.price) || priced.price < 0) errors.push(`${path} price must be a non-negative number`);
+    if (priced.priceCurrency !== 'USD') errors.push(`${path} priceCurrency is required with a price`);
+  }
+}
+
+/**
+ * Check required properties and the shape of the optional ones.
+ * @param {Object} doc
+ * @returns {{ ok: true, value: Object } | { ok: false, errors: string[] }}
+ */
+function validateClinicJsonLd(doc) {
+  const errors = [];
+  if (!doc || typeof doc !== 'object') {
+    return { ok: false, errors: ['document must be an object'] };
+  }
+
+  if (doc['@context'] !== SCHEMA_ORG_CONTEXT) errors.push(`@context must be ${SCHEMA_ORG_CONTEXT}`);
+  if (doc['@type'] !== CLINIC_JSON_LD_TYPE) errors.push(`@type must be ${CLINIC_JSON_LD_TYPE}`);
+  if (!nonEmptyString(doc.name)) errors.push('name is required');
+  if (!isAbsoluteUrl(doc.url)) errors.push('url must be an absolute http(s) URL');
+
+  const address = doc.address;
+  if (!address || address['@type'] !== 'PostalAddress') {
+    errors.push('address must be a PostalAddress');
+  } else if (!address.streetAddress && !address.addressLocality) {
+    errors.push('address needs a streetAddress or addressLocality');
+  }
+
+  if (doc.geo) {
+    const { latitude, longitude } = doc.geo;
+    if (!(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+      errors.push('geo coordinates are out of range');
+    }
+  }
+
+  if (doc.aggregateRating) {
+    const { ratingValue, reviewCount } = doc.aggregateRating;
+    if (!(ratingValue >= 1 && ratingValue <= 5)) errors.push('aggregateRating.ratingValue must be between 1 and 5');
+    if (!Number.isInteger(reviewCount) || reviewCount < 1) errors.push('aggregateRating.reviewCount must be a positive integer');
+  }
+
+  (doc.openingHoursSpecification || []).forEach((spec, i) => {
+    if (!spec.dayOfWeek || (Array.isArray(spec.dayOfWeek) && spec.dayOfWeek.length === 0)) {
+      errors.push(`openingHoursSpecification[${i}].dayOfWeek is required`);
+    }
+    if (!CLOCK_PATTERN.test(spec.opens) || !CLOCK_PATTERN.test(spec.closes)) {
+      errors.push(`openingHoursSpecification[${i}] opens / closes must be HH:MM`);
+    }
+  });
+
+  (doc.sameAs || []).forEach((link, i) => {
+    if (!isAbsoluteUrl(link)) errors.push(`sameAs[${i}] must be an absolute http(s) URL`);
+  });
+
+  (doc.employee || []).forEach((person, i) => {
+    if (!nonEmptyString(person.name)) errors.push(`employee[${i}].name is required`);
+  });
+
+  if (doc.hasOfferCatalog) {
+    (doc.hasOfferCatalog.itemListElement || []).forEach((offer, i) => {
+      validateOffer(offer, `hasOfferCatalog.itemListElement[${i}]`, errors);
+    });
+  }
+
+  return errors.length > 0 ? { ok: false, errors } : { ok: true, value: doc };
+}
+
+module.exports = {
+  toAbsoluteUrl,
+  postalAddressJsonLd,
+  aggregateRatingJsonLd,
+  openingHoursSpecificationJsonLd,
+  buildClinicJsonLd,
+  validateClinicJsonLd
+};
@@ -0,0 +1,235 @@
+/**
+ * Composite ranking for `sort=relevance`: each clinic gets a 0–1 score per signal, and its
+ * rank score is the weighted mean of the signals that apply to the search (no distance
+ * signal without a geo center, no text signal without a term, ...).
+ *
+ * Weights are admin-managed (services/rankingWeightService.js); the defaults below are used
+ * until they load or when the table can't be read.
+ */
+
+const { calculateDistance } = require('./locationUtils');
+const { calculateRelevanceScore } = require('./searchUtils');
+const { bestClinicSearchRelevanceScore } = require('./clinicSearchFilters');
+const { clinicMatchedPrice } = require('./procedurePricing');
+const { weightedRating } = require('./clinicSort');
+const { createRuntimeSetting } = require('./runtimeSetting');
+
+const RANKING_SIGNALS = [
+  'textRelevance',
+  'distance',
+  'rating',
+  'reviewVolume',
+  'photos',
+  'profileCompleteness',
+  'priceMatch'
+];
+
+const DEFAULT_RANKING_WEIGHTS = Object.freeze({
+  textRelevance: 0.35,
+  distance: 0.2,
+  rating: 0.2,
+  reviewVolume: 0.1,
+  photos: 0.05,
+  profileCompleteness: 0.05,
+  priceMatch: 0.05
+});
+
+/** Distance at which the distance signal has halved (1 at the center, 0.5 here, 0.25 at twice this) */
+const DISTANCE_HALF_LIFE_MILES = 5;
+/** Review counts are log-scaled; this many reviews or more scores 1 */
+const REVIEW_VOLUME_SATURATION = 500;
+/** Primary photo plus gallery photos; this many or more scores 1 */
+const PHOTO_SATURATION = 5;
+
+/** Active weights; signals missing from an update keep their default */
+const rankingWeights = createRuntimeSetting(DEFAULT_RANKING_WEIGHTS, weights => {
+  const active = { ...DEFAULT_RANKING_WEIGHTS };
+  RANKING_SIGNALS.forEach(signal => {
+    if (typeof weights[signal] === 'number' && Number.isFinite(weights[signal])) {
+      active[signal] = weights[signal];
+    }
+  });
+  return active;
+});
+
+/**
+ * @returns {Record<string, number>} Copy of the active weights
+ */
+function getRankingWeights() {
+  return { ...rankingWeights.get() };
+}
+
+function textRelevanceSignal(clinic, { procedureTerm, clinicName }) {
+  const scores = [];
+  if (procedureTerm) {
+    scores.push((clinic.procedures || []).reduce(
+      (best, proc) => Math.max(best, calculateRelevanceScore(proc.procedureName, procedureTerm)),
+      0
+    ));
+  }
+  if (clinicName) {
+    scores.push(bestClinicSearchRelevanceScore(clinic, clinicName));
+  }
+  if (scores.length === 0) return null;
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length / 100;
+}
+
+function distanceSignal(clinic, { geoCenter }) {
+  if (!geoCenter) return null;
+  if (!clinic.latitude || !clinic.longitude) return 0;
+  const miles = calculateDistance(geoCenter.lat, geoCenter.lng, Number(clinic.latitude), Number(clinic.longitude));
+  return Math.pow(0.5, miles / DISTANCE_HALF_LIFE_MILES);
+}
+
+function ratingSignal(clinic) {
+  return weightedRating(clinic) / 5;
+}
+
+function reviewVolumeSignal(clinic) {
+  const reviews = Math.max(0, clinic.reviewCount || 0);
+  return Math.min(1, Math.log1p(reviews) / Math.log1p(REVIEW_VOLUME_SATURATION));
+}
+
+function photosSignal(clinic) {
+  const count = (clinic.photoURL ? 1 : 0) + (clinic.galleryPhotos ? clinic.galleryPhotos.length : 0);
+  return Math.min(1, count / PHOTO_SATURATION);
+}
+
+/**
+ * Share of the listing fields a patient relies on that the clinic has filled in.
+ * Clinics loaded without their procedures may carry procedureCount / pricedProcedureCount instead.
+ */
+function profileCompletenessSignal(clinic) {
+  const procedures = clinic.procedures || [];
+  const procedureCount = clinic.procedures ? procedures.length : (clinic.procedureCount || 0);
+  const pricedProcedureCount = clinic.procedures
+    ? procedures.filter(proc => proc.price > 0).length
+    : (clinic.pricedProcedureCount || 0);
+  const checks = [
+    !!clinic.address,
+    !!(clinic.city && clinic.state),
+    !!clinic.zipCode,
+    !!(clinic.latitude && clinic.longitude),
+    !!clinic.openingHours,
+    procedureCount > 0,
+    pricedProcedureCount > 0
+  ];
+  return checks.filter(Boolean).length / checks.length;
+}
+
+/** 1 when priced in the comparison unit, 0.5 when priced in another unit, 0 when unpriced */
+function priceMatchSignal(clinic, { procedureTerm, priceUnit }) {
+  if (!procedureTerm) return null;
+  const matched = clinicMatchedPrice(clinic, { procedureTerm, unit: priceUnit });
+  if (!matched) return 0;
+  return matched.comparable || !priceUnit ? 1 : 0.5;
+}
+
+const SIGNAL_FUNCTIONS = {
+  textRelevance: textRelevanceSignal,
+  distance: distanceSignal,
+  rating: ratingSignal,
+  reviewVolume: reviewVolumeSignal,
+  photos: photosSignal,
+  profileCompleteness: profileCompletenessSignal,
+  priceMatch: priceMatchSignal
+};
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * @param {{ procedureTerm?: string|null, clinicName?: string|null, geoCenter?: { lat: number, lng: number }|null,
+ *   priceUnit?: string|null }} [context]
+ */
+function normalizeContext({ procedureTerm = null, clinicName = null, geoCenter = null, priceUnit = null } = {}) {
+  const trimmed = (text) => (text && text.trim() ? text.trim() : null);
+  return { procedureTerm: trimmed(procedureTerm), clinicName: trimmed(clinicName), geoCenter, priceUnit };
+}
+
+/**
+ * Score one clinic.
+ *
+ * @param {Object} clinic - Search-index shaped clinic
+ * @param {Object} context - Output of normalizeContext
+ * @param {Record<string, number>} weights
+ * @returns {{ score: number, signals: Record<string, { value: number|null, weight: number, contribution: number }> }}
+ *   value is null when the signal doesn't apply to this search; contributions sum to score
+ */
+function scoreClinicWithContext(clinic, context, weights) {
+  const values = {};
+  let weightTotal = 0;
+  RANKING_SIGNALS.forEach(signal => {
+    values[signal] = SIGNAL_FUNCTIONS[signal](clinic, context);
+    if (values[signal] !== null) weightTotal += weights[signal];
+  });
+
+  const signals = {};
+  let score = 0;
+  RANKING_SIGNALS.forEach(signal => {
+    const value = values[signal];
+    const contribution = value !== null && weightTotal > 0 ? (weights[signal] * value) / weightTotal : 0;
+    score += contribution;
+    signals[signal] = {
+      value: value === null ? null : round(value),
+      weight: weights[signal],
+      contribution: round(contribution)
+    };
+  });
+  return { score: round(score), signals };
+}
+
+/**
+ * @param {Object} clinic
+ * @param {Parameters<typeof normalizeContext>[0]} [context]
+ * @param {{ weights?: Record<string, number> }} [opts] - weights default to the active weights
+ * @returns {ReturnType<typeof scoreClinicWithContext>}
+ */
+function scoreClinic(clinic, context, { weights = rankingWeights.get() } = {}) {
+  return scoreClinicWithContext(clinic, normalizeContext(context), weights);
+}
+
+/**
+ * Order clinics by rank score (higher first). Stable: ties keep the incoming order.
+ *
+ * @param {Array} clinics - Not mutated
+ * @param {Parameters<typeof normalizeContext>[0]} [context]
+ * @param {{ weights?: Record<string, number> }} [opts]
+ * @returns {{ clinics: Array, breakdowns: Map<Object, ReturnType<typeof scoreClinicWithContext>> }}
+ *   breakdowns is keyed by the clinic objects passed in
+ */
+function rankClinics(clinics, context, { weights = rankingWeights.get() } = {}) {
+  const normalized = normalizeContext(context);
+  const breakdowns = new Map();
+  clinics.forEach(clinic => {
+    breakdowns.set(clinic, scoreClinicWithContext(clinic, normalized, weights));
+  });
+  const ranked = clinics.slice().sort((a, b) => breakdowns.get(b).score - breakdowns.get(a).score);
+  return { clinics: ranked, breakdowns };
+}
+
+/**
+ * Whether the request asked for per-signal scores (`debug=rank`).
+ * @param {unknown} raw - req.query.debug
+ * @returns {boolean}
+ */
+function isRankDebugRequested(raw) {
+  const values = Array.isArray(raw) ? raw : [raw];
+  return values.some(value => typeof value === 'string' &&
+    value.split(',').some(part => part.trim().toLowerCase() === 'rank'));
+}
+
+module.exports = {
+  RANKING_SIGNALS,
+  DEFAULT_RANKING_WEIGHTS,
+  DISTANCE_HALF_LIFE_MILES,
+  REVIEW_VOLUME_SATURATION,
+  PHOTO_SATURATION,
+  setRankingWeights: rankingWeights.set,
+  resetRankingWeights: rankingWeights.reset,
+  getRankingWeights,
+  scoreClinic,
+  rankClinics,
+  isRankDebugRequested
+};
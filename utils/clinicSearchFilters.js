@@ -0,0 +1,416 @@
+/**
+ * Clinic search filters shared by the clinic-centric search endpoints.
+ * Operate on clinic objects built by services/clinicSearchIndexService.js
+ * ({ clinicId, clinicName, city, state, zipCode, latitude, longitude, procedures: [...] }).
+ */
+
+const { sql } = require('../db');
+const {
+  calculateDistance,
+  geocodeLocation,
+  parseLocationInput,
+  findMetroArea,
+  stateMatches
+} = require('./locationUtils');
+const { matchesProcedureSearch, matchesClinicNameSearch, calculateRelevanceScore } = require('./searchUtils');
+const { getProcedureAbbreviations, getSynonymAlternatives } = require('./procedureSynonyms');
+const { getLoadedClinicSpatialIndex } = require('../services/clinicSpatialIndexService');
+
+/**
+ * @param {string|number|undefined} raw
+ * @param {number} min
+ * @param {number} max
+ * @returns {number|null}
+ */
+function parseSearchCoordinate(raw, min, max) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const n = typeof raw === 'number' ? raw : parseFloat(String(raw).trim());
+  if (!Number.isFinite(n) || n < min || n > max) return null;
+  return n;
+}
+
+/**
+ * @param {Array} clinics
+ * @param {number} centerLat
+ * @param {number} centerLng
+ * @param {string|number|undefined} radiusQuery
+ * @returns {Array}
+ */
+function filterClinicsByLatLngRadius(clinics, centerLat, centerLng, radiusQuery) {
+  const r = radiusQuery !== undefined && radiusQuery !== null && radiusQuery !== ''
+    ? parseFloat(String(radiusQuery))
+    : 25;
+  const maxMiles = Number.isFinite(r) && r > 0 ? r : 25;
+  const distances = distancesWithinRadius(clinics, centerLat, centerLng, maxMiles);
+  return clinics.filter((c) => distances.has(c.clinicId));
+}
+
+/**
+ * Distance in miles from a center for each clinic within the radius, keyed by clinicId.
+ * Uses the shared clinic spatial index when it is loaded; clinics the index doesn't know
+ * (created since the last rebuild, or not from the Clinics table) are measured directly.
+ * @param {Array} clinics
+ * @param {number} centerLat
+ * @param {number} centerLng
+ * @param {number} radiusMiles
+ * @returns {Map<number, number>}
+ */
+function distancesWithinRadius(clinics, centerLat, centerLng, radiusMiles) {
+  const distances = new Map();
+  const index = getLoadedClinicSpatialIndex();
+  if (index) {
+    index.withinRadius(centerLat, centerLng, radiusMiles).forEach(hit => {
+      distances.set(hit.id, hit.distance);
+    });
+  }
+
+  clinics.forEach(clinic => {
+    if (index && index.has(clinic.clinicId)) return;
+    if (!clinic.latitude || !clinic.longitude) return;
+    const distance = calculateDistance(centerLat, centerLng, clinic.latitude, clinic.longitude);
+    if (distance !== null && distance <= radiusMiles) {
+      distances.set(clinic.clinicId, distance);
+    }
+  });
+  return distances;
+}
+
+/**
+ * Filter clinics by location (city, state, or zip)
+ * @param {Array} clinics - Array of clinic objects
+ * @param {string} location - Location string (city, state, or zip)
+ * @param {string|number} radius - Optional radius in miles
+ * @param {{ center?: { lat: number, lng: number } }} [context] - Optional; receives the resolved
+ *   search center for city / ZIP radius searches
+ * @returns {Promise<Array>} Filtered clinics array
+ */
+async function filterByLocation(clinics, location, radius, context = {}) {
+  const locationInfo = parseLocationInput(location);
+  
+  if (!locationInfo.type || !locationInfo.value) {
+    return [];
+  }
+
+  const searchRadius = radius ? parseFloat(radius) : null;
+
+  switch (locationInfo.type) {
+    case 'state':
+      // State search: matches both abbreviations (FL) and full names (Florida)
+      return clinics.filter(clinic => 
+        stateMatches(clinic.state, locationInfo.value)
+      );
+
+    case 'zip':
+      // ZIP code search
+      if (searchRadius && searchRadius > 0) {
+        // Use radius-based search
+        return await filterByZipRadius(clinics, locationInfo.value, searchRadius, context);
+      } else {
+        // Exact zip match or same first 3 digits (nearby zip codes)
+        const zipPrefix = locationInfo.value.substring(0, 3);
+        return clinics.filter(clinic => {
+          if (!clinic.zipCode) return false;
+          const clinicZip = clinic.zipCode.toString().trim();
+          return clinicZip === locationInfo.value || clinicZip.startsWith(zipPrefix);
+        });
+      }
+
+    case 'city':
+      // City search: exact city + metro area + nearby cities
+      return await filterByCity(clinics, locationInfo.value, searchRadius, context);
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Filter clinics by city, including metro area and nearby cities
+ * @param {Array} clinics - Array of clinic objects
+ * @param {string} cityName - City name
+ * @param {number|null} radius - Optional radius override
+ * @param {{ center?: { lat: number, lng: number }, metroArea?: Object }} [context] - Optional; receives the
+ *   resolved search center. metroArea replaces the active metro lookup (admin previews of unsaved definitions)
+ * @returns {Promise<Array>} Filtered clinics array
+ */
+async function filterByCity(clinics, locationString, radius, context = {}) {
+  const parsed = parseLocationInput(locationString);
+  if (!parsed.type || parsed.value == null) {
+    return [];
+  }
+
+  const cityPart = (parsed.cityPart || parsed.value).trim();
+  const stateHint = parsed.stateAbbr || null;
+  const lowerCityName = cityPart.toLowerCase();
+  const matchedClinics = new Set();
+  let primaryState = stateHint ? stateHint.toUpperCase() : null;
+
+  // Step 1: Find exact city matches and determine primary state
+  const exactMatches = [];
+  clinics.forEach(clinic => {
+    if (!clinic.city || clinic.city.toLowerCase().trim() !== lowerCityName) {
+      return;
+    }
+    if (stateHint && !stateMatches(clinic.state, stateHint)) {
+      return;
+    }
+    exactMatches.push(clinic);
+    matchedClinics.add(clinic.clinicId);
+    if (!primaryState && clinic.state) {
+      primaryState = clinic.state.toUpperCase();
+    }
+  });
+
+  // If we found exact matches, prefer clinics in the same state to prevent false positives
+  // (e.g., "Palo Alto" in CA should not match "Palo Alto" in other states)
+  if (primaryState && exactMatches.length > 0 && !stateHint) {
+    const sameStateMatches = exactMatches.filter(c => c.state && c.state.toUpperCase() === primaryState);
+    if (sameStateMatches.length > 0) {
+      matchedClinics.clear();
+      sameStateMatches.forEach(clinic => matchedClinics.add(clinic.clinicId));
+    }
+  }
+
+  // Step 2: Check if city is in a defined metro area
+  const metroArea = context.metroArea || findMetroArea(cityPart);
+  let searchRadius = radius || (metroArea ? metroArea.radius : 25); // Default 25 miles
+  let centerLat = null;
+  let centerLng = null;
+
+  if (metroArea) {
+    // Use metro area center coordinates
+    centerLat = metroArea.lat;
+    centerLng = metroArea.lng;
+    searchRadius = radius || metroArea.radius;
+
+    // Include all cities in the metro area (metro areas are typically single-state)
+    metroArea.cities.forEach(metroCity => {
+      clinics.forEach(clinic => {
+        if (clinic.city && clinic.city.toLowerCase().trim() === metroCity.toLowerCase()) {
+          if (!primaryState || !clinic.state || clinic.state.toUpperCase() === primaryState) {
+            matchedClinics.add(clinic.clinicId);
+          }
+        }
+      });
+    });
+  } else {
+    const geocodeQuery = parsed.value;
+    const geocoded = await geocodeLocation(geocodeQuery);
+    if (geocoded) {
+      centerLat = geocoded.lat;
+      centerLng = geocoded.lng;
+    } else {
+      const cityClinic = clinics.find(c =>
+        c.city && c.city.toLowerCase().trim() === lowerCityName &&
+        c.latitude && c.longitude &&
+        (!primaryState || !c.state || c.state.toUpperCase() === primaryState)
+      ) || clinics.find(c =>
+        c.city && c.city.toLowerCase().trim() === lowerCityName && c.latitude && c.longitude
+      );
+      if (cityClinic) {
+        centerLat = cityClinic.latitude;
+        centerLng = cityClinic.longitude;
+        if (!primaryState && cityClinic.state) {
+          primaryState = cityClinic.state.toUpperCase();
+        }
+      }
+    }
+  }
+
+  // Step 3: Include clinics within radius using coordinates
+  // Prefer clinics in the same state to prevent false positives
+  if (centerLat && centerLng) {
+    context.center = { lat: centerLat, lng: centerLng };
+    const distances = distancesWithinRadius(clinics, centerLat, centerLng, searchRadius);
+    clinics.forEach(clinic => {
+      const distance = distances.get(clinic.clinicId);
+      if (distance !== undefined) {
+        // If we have a primary state, prefer same-state matches
+        // But still include nearby clinics even if different state (for border cities)
+        // Only exclude if it's clearly a false positive (very far and different state)
+        const isSameState = primaryState && clinic.state && clinic.state.toUpperCase() === primaryState;
+        const isFarAway = distance > searchRadius * 0.8; // More than 80% of radius
+        
+        if (isSameState || !isFarAway || !primaryState) {
+          matchedClinics.add(clinic.clinicId);
+        }
+      }
+    });
+  }
+
+  // Return filtered clinics
+  return clinics.filter(clinic => matchedClinics.has(clinic.clinicId));
+}
+
+/**
+ * Filter clinics by ZIP code with radius
+ * @param {Array} clinics - Array of clinic objects
+ * @param {string} zipCode - ZIP code
+ * @param {number} radius - Radius in miles
+ * @param {{ center?: { lat: number, lng: number } }} [context] - Optional; receives the resolved search center
+ * @returns {Promise<Array>} Filtered clinics array
+ */
+async function filterByZipRadius(clinics, zipCode, radius, context = {}) {
+  // First, find a clinic with this zip code to get coordinates
+  let zipClinic = clinics.find(c => 
+    c.zipCode && c.zipCode.toString().trim() === zipCode && c.latitude && c.longitude
+  );
+
+  // If no clinic found with exact zip, try geocoding
+  let centerLat = null;
+  let centerLng = null;
+
+  if (zipClinic) {
+    centerLat = zipClinic.latitude;
+    centerLng = zipClinic.longitude;
+  } else {
+    const geocoded = await geocodeLocation(zipCode);
+    if (geocoded) {
+      centerLat = geocoded.lat;
+      centerLng = geocoded.lng;
+    } else {
+      // Fallback: return clinics with same first 3 digits
+      const zipPrefix = zipCode.substring(0, 3);
+      return clinics.filter(clinic => {
+        if (!clinic.zipCode) return false;
+        const clinicZip = clinic.zipCode.toString().trim();
+        return clinicZip.startsWith(zipPrefix);
+      });
+    }
+  }
+
+  // Filter clinics within radius
+  const matchedClinics = new Set();
+
+  // Include exact zip matches first
+  clinics.forEach(clinic => {
+    if (clinic.zipCode && clinic.zipCode.toString().trim() === zipCode) {
+      matchedClinics.add(clinic.clinicId);
+    }
+  });
+
+  // Include clinics within radius
+  if (centerLat && centerLng) {
+    context.center = { lat: centerLat, lng: centerLng };
+    distancesWithinRadius(clinics, centerLat, centerLng, radius).forEach((distance, clinicId) => {
+      matchedClinics.add(clinicId);
+    });
+  }
+
+  return clinics.filter(clinic => matchedClinics.has(clinic.clinicId));
+}
+
+/**
+ * Adds inputs and returns SQL AND fragment: clinic name OR procedure matches search text.
+ * Coarse SQL filter; JS refines with matchesClinicNameSearch / filterByProcedure.
+ * @param {import('mssql').Request} request
+ * @param {string} clinicNameTrimmed
+ * @returns {string}
+ */
+function bindClinicNameOrProcedureSearchSql(request, clinicNameTrimmed) {
+  const clinicNamePattern = `%${clinicNameTrimmed.toLowerCase()}%`;
+  const clinicNameNormalized = `%${clinicNameTrimmed.toLowerCase().replace(/\s+/g, '')}%`;
+  // Every other term in the search term's synonym group ("bbl" → "brazilian butt lift")
+  const expandedProcPatterns = getSynonymAlternatives(clinicNameTrimmed).map(term => `%${term}%`);
+
+  request.input('clinicNamePattern', sql.NVarChar, clinicNamePattern);
+  request.input('clinicNameNormalized', sql.NVarChar, clinicNameNormalized);
+  expandedProcPatterns.forEach((pattern, i) => {
+    request.input(`expandedProcPattern${i}`, sql.NVarChar, pattern);
+  });
+
+  let clause = `(
+      LOWER(c.ClinicName) LIKE @clinicNamePattern
+      OR LOWER(REPLACE(c.ClinicName, ' ', '')) LIKE @clinicNameNormalized
+      OR LOWER(p.ProcedureName) LIKE @clinicNamePattern
+      OR LOWER(REPLACE(p.ProcedureName, ' ', '')) LIKE @clinicNameNormalized`;
+  expandedProcPatterns.forEach((pattern, i) => {
+    clause += `
+      OR LOWER(p.ProcedureName) LIKE @expandedProcPattern${i}`;
+  });
+  clause += `
+    )`;
+  return clause;
+}
+
+/**
+ * Best relevance score for a clinic when user text may match name or any procedure.
+ * @param {{ clinicName: string, procedures: { procedureName: string }[] }} clinic
+ * @param {string} term
+ */
+function bestClinicSearchRelevanceScore(clinic, term) {
+  const nameScore = calculateRelevanceScore(clinic.clinicName, term);
+  const procScores = (clinic.procedures || []).map((p) =>
+    calculateRelevanceScore(p.procedureName, term)
+  );
+  const bestProc = procScores.length ? Math.max(...procScores) : 0;
+  return Math.max(nameScore, bestProc);
+}
+
+/**
+ * True if clinic name matches OR any procedure matches (including abbreviation expansion).
+ */
+function clinicMatchesClinicNameOrProcedureSearch(clinic, term) {
+  if (matchesClinicNameSearch(clinic.clinicName, term)) {
+    return true;
+  }
+  return filterByProcedure([clinic], term).length > 0;
+}
+
+/**
+ * True if a single procedure matches the search term (fuzzy match plus abbreviation expansion).
+ * @param {{ procedureName: string }} proc
+ * @param {string} procedureName - Search term
+ * @returns {boolean}
+ */
+function procedureMatchesSearch(proc, procedureName) {
+  const lowerProcedure = procedureName.toLowerCase().trim();
+
+  // Use fuzzy matching utility (handles word splits like "micro blading" vs "microblading")
+  if (matchesProcedureSearch(proc.procedureName, procedureName)) {
+    return true;
+  }
+
+  // Synonym match (e.g., "BBL" matches "Brazilian Butt Lift"; any term in a group matches the others)
+  if (getSynonymAlternatives(lowerProcedure).some(term => matchesProcedureSearch(proc.procedureName, term))) {
+    return true;
+  }
+
+  // Reverse: if search term contains a full name, check if procedure name contains abbreviation
+  // (e.g., "Brazilian Butt Lift Surgery" matches "BBL")
+  for (const [abbr, fullName] of Object.entries(getProcedureAbbreviations())) {
+    if (lowerProcedure.includes(fullName) && matchesProcedureSearch(proc.procedureName, abbr)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Filter clinics by procedure name with fuzzy matching
+ * Supports word splits (e.g., "micro blading" matches "microblading")
+ * @param {Array} clinics - Array of clinic objects
+ * @param {string} procedureName - Procedure name to search for (case-insensitive, fuzzy match)
+ * @returns {Array} Filtered clinics array
+ */
+function filterByProcedure(clinics, procedureName) {
+  // Check if clinic has any procedure matching the search term
+  return clinics.filter(clinic =>
+    clinic.procedures.some(proc => procedureMatchesSearch(proc, procedureName))
+  );
+}
+
+module.exports = {
+  parseSearchCoordinate,
+  filterClinicsByLatLngRadius,
+  distancesWithinRadius,
+  filterByLocation,
+  filterByCity,
+  filterByZipRadius,
+  bindClinicNameOrProcedureSearchSql,
+  bestClinicSearchRelevanceScore,
+  clinicMatchesClinicNameOrProcedureSearch,
+  procedureMatchesSearch,
+  filterByProcedure
+};
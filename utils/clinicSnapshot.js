@@ -0,0 +1,80 @@
+/**
+ * In-memory snapshot of data derived from the Clinics table, shared by the services that serve
+ * many requests from one load (sitemaps, procedure landing pages, price benchmarks, suggest).
+ *
+ * A snapshot is reloaded once older than ttlMs and marked stale on every clinic change
+ * (utils/clinicEvents). Loads are single-flight, and a load that started before a change is not
+ * treated as fresh, so a change committed mid-load is picked up by the next call.
+ */
+
+const { onClinicChange } = require('./clinicEvents');
+
+/**
+ * @template T
+ * @param {Object} opts
+ * @param {() => Promise<T>} opts.load - Builds the snapshot from the database
+ * @param {number} opts.ttlMs - How long a load stays fresh
+ * @param {string} opts.name - Used in the background-refresh failure log
+ * @param {boolean} [opts.serveStale=true] - Answer with the stale snapshot and reload in the
+ *   background; false makes callers wait for the reload (for data that must drop deleted clinics at once)
+ * @returns {{
+ *   get: () => Promise<T>,
+ *   refresh: () => Promise<T>,
+ *   peek: () => T|null,
+ *   replace: (value: T) => void
+ * }}
+ */
+function createClinicSnapshot({ load, ttlMs, name, serveStale = true }) {
+  let value = null;
+  let expiresAt = 0;
+  let refreshPromise = null;
+  /** Bumped on every clinic change so a load that started earlier is not treated as fresh */
+  let changeVersion = 0;
+
+  /** Reload now (single-flight: concurrent callers share one load). */
+  function refresh() {
+    if (!refreshPromise) {
+      const startedAtVersion = changeVersion;
+      refreshPromise = load()
+        .then(loaded => {
+          value = loaded;
+          expiresAt = changeVersion === startedAtVersion ? Date.now() + ttlMs : 0;
+          return value;
+        })
+        .finally(() => {
+          refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+  }
+
+  /** The snapshot, loading it first if there is none (or it is stale and serveStale is off). */
+  async function get() {
+    if (value && Date.now() < expiresAt) return value;
+    if (!value || !serveStale) return refresh();
+    refresh().catch(error => {
+      console.error(`${name} refresh failed:`, error.message);
+    });
+    return value;
+  }
+
+  onClinicChange(() => {
+    changeVersion += 1;
+    expiresAt = 0;
+  });
+
+  return {
+    get,
+    refresh,
+    /** The current snapshot without loading; null before the first load */
+    peek: () => value,
+    /** Swap in an edited snapshot (e.g. with deleted clinics removed), keeping its expiry */
+    replace: (next) => {
+      value = next;
+    }
+  };
+}
+
+module.exports = {
+  createClinicSnapshot
+};
@@ -0,0 +1,133 @@
+/**
+ * Explicit sort orders for clinic search results (`sort` on GET /api/clinics/search-index).
+ * Every order is stable: ties keep the incoming (filter relevance, then ClinicID) order.
+ */
+
+const { calculateDistance } = require('./locationUtils');
+const { buildPriceComparison, clinicMatchedPrice } = require('./procedurePricing');
+
+const SORT_OPTIONS = ['relevance', 'distance', 'rating', 'reviews', 'price_asc', 'price_desc', 'weighted_rating'];
+const DEFAULT_SORT = 'relevance';
+
+/**
+ * Bayesian prior for weighted_rating: a clinic is treated as if it had this many extra
+ * reviews at the prior rating, so a handful of 5-star reviews can't outrank hundreds of 4.8s.
+ * The prior sits a little below typical Google ratings for aesthetics clinics so that few
+ * reviews pull a clinic down rather than up. A fixed prior (rather than the result set's
+ * mean) keeps a clinic's score the same across searches.
+ */
+const WEIGHTED_RATING_PRIOR_REVIEWS = 50;
+const WEIGHTED_RATING_PRIOR_MEAN = 4.0;
+
+/**
+ * Parse the `sort` query parameter. Unknown values fall back to the default
+ * (same leniency as page/limit).
+ * @param {string|undefined} raw
+ * @returns {string} One of SORT_OPTIONS
+ */
+function parseSortParam(raw) {
+  const value = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+  return SORT_OPTIONS.includes(value) ? value : DEFAULT_SORT;
+}
+
+/**
+ * Bayesian average: (v·R + m·C) / (v + m)
+ * @param {{ rating?: number, reviewCount?: number }} clinic
+ * @param {{ priorMean?: number, priorReviews?: number }} [opts] - C and m
+ * @returns {number}
+ */
+function weightedRating(clinic, {
+  priorMean = WEIGHTED_RATING_PRIOR_MEAN,
+  priorReviews = WEIGHTED_RATING_PRIOR_REVIEWS
+} = {}) {
+  const reviews = clinic.reviewCount || 0;
+  const rating = reviews > 0 ? (clinic.rating || 0) : 0;
+  return (reviews * rating + priorReviews * priorMean) / (reviews + priorReviews);
+}
+
+function clinicDistance(clinic, geoCenter) {
+  if (!clinic.latitude || !clinic.longitude) return null;
+  return calculateDistance(geoCenter.lat, geoCenter.lng, clinic.latitude, clinic.longitude);
+}
+
+/**
+ * Sort by a numeric key, then an optional tie-break key (same direction).
+ * Clinics without a primary value (null) always go last.
+ */
+function sortByKey(clinics, keyFn, direction, tieKeyFn = () => 0) {
+  const sign = direction === 'asc' ? 1 : -1;
+  const keyed = clinics.map(clinic => ({ clinic, key: keyFn(clinic), tie: tieKeyFn(clinic) }));
+  keyed.sort((a, b) => {
+    if (a.key === null || b.key === null) {
+      return (a.key === null) - (b.key === null);
+    }
+    return sign * (a.key - b.key) || sign * (a.tie - b.tie);
+  });
+  return keyed.map(entry => entry.clinic);
+}
+
+/**
+ * Price sorts never rank different price units against each other: clinics priced in the
+ * comparison unit come first, then other units grouped together (alphabetically), then
+ * clinics without a matched price. Within a group, by price in the requested direction.
+ */
+function sortByPrice(clinics, direction, { procedureTerm, unit }) {
+  const sign = direction === 'asc' ? 1 : -1;
+  const keyed = clinics.map(clinic => ({ clinic, matched: clinicMatchedPrice(clinic, { procedureTerm, unit }) }));
+  const group = ({ matched }) => (!matched ? 2 : (matched.comparable ? 0 : 1));
+  keyed.sort((a, b) =>
+    group(a) - group(b) ||
+    (group(a) === 1 ? a.matched.priceUnit.localeCompare(b.matched.priceUnit) : 0) ||
+    (group(a) < 2 ? sign * (a.matched.price - b.matched.price) : 0)
+  );
+  return keyed.map(entry => entry.clinic);
+}
+
+/**
+ * Order filtered clinics. `relevance` keeps the order the filters produced (clinicName /
+ * procedure relevance, or distance for lat/lng searches); the search-index endpoint then
+ * orders it by rank score (utils/clinicRanking). `distance` needs a geo center;
+ * without one the relevance order is kept and the applied sort reported as `relevance`.
+ *
+ * @param {Array} clinics - Filtered clinics (not mutated)
+ * @param {string} sort - One of SORT_OPTIONS
+ * @param {{ geoCenter?: { lat: number, lng: number }|null, procedureTerm?: string|null, priceUnit?: string|null }} [opts]
+ *   priceUnit: comparison unit for price sorts (utils/procedurePricing); derived from the results when omitted
+ * @returns {{ clinics: Array, sort: string }} Sorted copy and the sort actually applied
+ */
+function sortClinics(clinics, sort, { geoCenter = null, procedureTerm = null, priceUnit = null } = {}) {
+  const term = procedureTerm && procedureTerm.trim() ? procedureTerm.trim() : null;
+
+  switch (sort) {
+    case 'distance':
+      if (!geoCenter) return { clinics: clinics.slice(), sort: DEFAULT_SORT };
+      return { clinics: sortByKey(clinics, c => clinicDistance(c, geoCenter), 'asc'), sort };
+    case 'rating':
+      // Review count breaks rating ties (4.9 with 300 reviews before 4.9 with 3)
+      return { clinics: sortByKey(clinics, c => c.rating || 0, 'desc', c => c.reviewCount || 0), sort };
+    case 'reviews':
+      return { clinics: sortByKey(clinics, c => c.reviewCount || 0, 'desc', c => c.rating || 0), sort };
+    case 'price_asc':
+    case 'price_desc': {
+      const unit = priceUnit || buildPriceComparison(clinics, { procedureTerm: term }).unit;
+      return {
+        clinics: sortByPrice(clinics, sort === 'price_asc' ? 'asc' : 'desc', { procedureTerm: term, unit }),
+        sort
+      };
+    }
+    case 'weighted_rating':
+      return { clinics: sortByKey(clinics, c => weightedRating(c), 'desc', c => c.reviewCount || 0), sort };
+    default:
+      return { clinics: clinics.slice(), sort: DEFAULT_SORT };
+  }
+}
+
+module.exports = {
+  SORT_OPTIONS,
+  DEFAULT_SORT,
+  WEIGHTED_RATING_PRIOR_REVIEWS,
+  WEIGHTED_RATING_PRIOR_MEAN,
+  parseSortParam,
+  weightedRating,
+  sortClinics
+};
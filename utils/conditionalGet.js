@@ -0,0 +1,142 @@
+/**
+ * Conditional GET for public read endpoints: validators (ETag, Last-Modified), 304 Not Modified
+ * and Cache-Control, in one middleware so every route behaves the same.
+ *
+ *   app.get('/api/clinics/:clinicId', conditionalGet(CACHE_POLICIES.clinicDetail), handler)
+ *
+ * The ETag is strong: a hash of the bytes sent, so it changes whenever the response does,
+ * including parts computed per request. The one exception is a JSON body's meta.timestamp (when
+ * the response was built): it is left out of the hash, so a rebuilt response with the same data
+ * keeps its tag. Handlers that know when their data last changed call
+ * setLastModified(res, ...dates) before responding. If-None-Match is evaluated first; per
+ * RFC 9110 If-Modified-Since is only consulted when the request has no If-None-Match, so clients
+ * that kept the ETag are never served a stale 304 because a timestamp didn't move.
+ *
+ * Only 200 responses to GET / HEAD get validators; errors pass through untouched.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * The JSON body to hash for the ETag: the body without meta.timestamp, or null when there is
+ * nothing to leave out (the serialized bytes are hashed then).
+ * @param {*} body - Value passed to res.json
+ * @returns {Object|null}
+ */
+function withoutGenerationTime(body) {
+  const meta = body && typeof body === 'object' && !Array.isArray(body) ? body.meta : null;
+  if (!meta || typeof meta !== 'object' || !('timestamp' in meta)) return null;
+  const { timestamp, ...rest } = meta;
+  return { ...body, meta: rest };
+}
+
+/** Cache-Control per route. Short lifetimes: clients and the CDN revalidate cheaply with the ETag. */
+const CACHE_POLICIES = Object.freeze({
+  clinicDetail: 'public, max-age=300',
+  clinicProcedures: 'public, max-age=600',
+  clinicPhotos: 'public, max-age=600',
+  searchIndex: 'public, max-age=60',
+  clinicMap: 'public, max-age=60',
+  procedureBenchmarks: 'public, max-age=300',
+  blogPosts: 'public, max-age=60'
+});
+
+/**
+ * @param {string|Buffer} body
+ * @returns {string} Quoted strong entity tag
+ */
+function strongETag(body) {
+  const hash = crypto.createHash('sha1').update(body).digest('base64url');
+  return `"${hash}"`;
+}
+
+/**
+ * Record the response's Last-Modified: the latest of the given dates, never later than now.
+ * Invalid or missing dates are ignored; with none left no header is sent.
+ *
+ * @param {import('express').Response} res
+ * @param {...(Date|string|number|null|undefined)} dates
+ */
+function setLastModified(res, ...dates) {
+  const times = dates
+    .filter(date => date !== null && date !== undefined)
+    .map(date => new Date(date).getTime())
+    .filter(Number.isFinite);
+  if (times.length === 0) return;
+  res.locals.lastModified = new Date(Math.min(Math.max(...times), Date.now()));
+}
+
+/**
+ * Whether If-None-Match matches the ETag. Uses the weak comparison RFC 9110 prescribes for
+ * this header, so a CDN that weakened our tag (W/"...") still gets a 304.
+ * @param {string} header
+ * @param {string} etag
+ * @returns {boolean}
+ */
+function ifNoneMatchMatches(header, etag) {
+  if (header.trim() === '*') return true;
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => opaque(tag) === opaque(etag));
+}
+
+/**
+ * Whether the request's validators show the client already has this response.
+ * @param {import('express').Request} req
+ * @param {{ etag: string, lastModified?: Date }} validators
+ * @returns {boolean}
+ */
+function isNotModified(req, { etag, lastModified }) {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) return ifNoneMatchMatches(ifNoneMatch, etag);
+
+  const ifModifiedSince = Date.parse(req.get('If-Modified-Since') || '');
+  if (!lastModified || !Number.isFinite(ifModifiedSince)) return false;
+  // HTTP dates have one-second resolution
+  return Math.floor(lastModified.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+}
+
+/**
+ * @param {string} cacheControl - Cache-Control for successful responses (see CACHE_POLICIES)
+ * @returns {import('express').RequestHandler}
+ */
+function conditionalGet(cacheControl) {
+  return (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+    const { json, send } = res;
+    let etagSource = null;
+    res.json = function jsonWithValidators(body) {
+      etagSource = withoutGenerationTime(body);
+      return json.call(this, body);
+    };
+    res.send = function sendWithValidators(body) {
+      // res.json serializes and calls send again with the string; validators are set on that call
+      if (res.statusCode !== 200 || !(typeof body === 'string' || Buffer.isBuffer(body))) {
+        return send.call(this, body);
+      }
+      res.send = send;
+      res.json = json;
+
+      const etag = strongETag(etagSource ? JSON.stringify(etagSource) : body);
+      const { lastModified } = res.locals;
+      res.set('ETag', etag);
+      res.set('Cache-Control', cacheControl);
+      if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+
+      if (isNotModified(req, { etag, lastModified })) {
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Length');
+        return res.status(304).end();
+      }
+      return send.call(this, body);
+    };
+    next();
+  };
+}
+
+module.exports = {
+  CACHE_POLICIES,
+  strongETag,
+  setLastModified,
+  conditionalGet
+};
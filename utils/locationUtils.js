@@ -1,4 +1,6 @@
 const axios = require('axios');
+const { lookupZip, lookupCity } = require('./offlineGeocoder');
+const { createRuntimeSetting } = require('./runtimeSetting');
 require('dotenv').config();
 
 const GOOGLE_PLACES_API_KEY = process.env.GOOGLE_PLACES_API_KEY;
@@ -38,9 +40,40 @@ function toRadians(degrees) {
   return degrees * (Math.PI / 180);
 }
 
+/**
+ * Geocode a ZIP or city from the bundled offline dataset (no network)
+ * @param {string} location - Location string (e.g., "Palo Alto, CA", "Austin, Texas", or "90210")
+ * @returns {Object|null} Object with lat, lng, formattedAddress, source: 'offline', or null if not found
+ */
+function geocodeOffline(location) {
+  const parsed = parseLocationInput(location);
+  if (parsed.type === 'zip') {
+    return lookupZip(parsed.value);
+  }
+  if (parsed.type !== 'city') {
+    return null;
+  }
+  if (parsed.stateAbbr) {
+    return lookupCity(parsed.cityPart, parsed.stateAbbr);
+  }
+
+  // "City, Full State Name"
+  const cityState = parsed.value.match(/^(.+?)\s*,\s*([A-Za-z .]+)$/);
+  if (cityState) {
+    const stateName = cityState[2].trim().toLowerCase();
+    const stateAbbr = Object.keys(STATE_ABBR_TO_NAME)
+      .find(abbr => STATE_ABBR_TO_NAME[abbr].toLowerCase() === stateName);
+    if (stateAbbr) {
+      return lookupCity(cityState[1], stateAbbr);
+    }
+  }
+  return lookupCity(parsed.value);
+}
+
 /**
  * Geocode a location string (city, state, or zip) to coordinates
- * Uses Google Geocoding API
+ * Checks the bundled offline ZIP/city dataset first; falls back to the Google Geocoding API only
+ * when GOOGLE_PLACES_API_KEY is set (GOOGLE_GEOCODING_FALLBACK=false keeps search fully offline)
  * @param {string} location - Location string (e.g., "Palo Alto, CA" or "90210")
  * @returns {Promise<Object|null>} Object with lat, lng, formattedAddress, or null if not found
  */
@@ -49,6 +82,15 @@ async function geocodeLocation(location) {
     return null;
   }
 
+  const offline = geocodeOffline(location);
+  if (offline) {
+    return offline;
+  }
+
+  if (process.env.GOOGLE_GEOCODING_FALLBACK === 'false') {
+    return null;
+  }
+
   if (!GOOGLE_PLACES_API_KEY) {
     console.warn('GOOGLE_PLACES_API_KEY not configured, geocoding unavailable');
     return null;
@@ -203,7 +245,9 @@ function isLikelyGeographicLocationString(location) {
 
 /**
  * Major metro area definitions with center coordinates
- * Used for city searches to include nearby suburbs
+ * Used for city searches to include nearby suburbs.
+ * Built-in defaults: services/metroAreaService replaces the active set with the MetroAreas
+ * table at startup and whenever admins edit it (seeded from this object).
  */
 const METRO_AREAS = {
   'chicago': { lat: 41.8781, lng: -87.6298, radius: 30, cities: ['chicago', 'evanston', 'oak park', 'schaumburg', 'naperville', 'arlington heights', 'joliet', 'aurora'] },
@@ -220,6 +264,9 @@ const METRO_AREAS = {
   'seattle': { lat: 47.6062, lng: -122.3321, radius: 25, cities: ['seattle', 'bellevue', 'redmond', 'tacoma', 'everett'] }
 };
 
+/** Active metro areas, keyed by lowercase metro name, same shape as METRO_AREAS */
+const metroAreas = createRuntimeSetting(METRO_AREAS);
+
 /**
  * Find metro area definition for a city
  * @param {string} cityName - City name (case-insensitive)
@@ -229,14 +276,15 @@ function findMetroArea(cityName) {
   if (!cityName) return null;
   
   const lowerCity = cityName.toLowerCase().trim();
+  const activeMetroAreas = metroAreas.get();
   
   // Check exact match first
-  if (METRO_AREAS[lowerCity]) {
-    return METRO_AREAS[lowerCity];
+  if (activeMetroAreas[lowerCity]) {
+    return activeMetroAreas[lowerCity];
   }
   
   // Check if city is in any metro area's cities list
-  for (const [metroName, metroData] of Object.entries(METRO_AREAS)) {
+  for (const [metroName, metroData] of Object.entries(activeMetroAreas)) {
     if (metroData.cities.some(c => c.toLowerCase() === lowerCity)) {
       return metroData;
     }
@@ -332,9 +380,13 @@ function stateMatches(clinicState, searchStateAbbr) {
 module.exports = {
   calculateDistance,
   geocodeLocation,
+  geocodeOffline,
   parseLocationInput,
   isLikelyGeographicLocationString,
   findMetroArea,
+  setMetroAreas: metroAreas.set,
+  resetMetroAreas: metroAreas.reset,
+  getMetroAreas: metroAreas.get,
   stateMatches,
   METRO_AREAS,
   STATE_ABBR_TO_NAME
@@ -0,0 +1,119 @@
+/**
+ * Bounding-box filtering and grid clustering for the clinic map (GET /api/clinics/map).
+ * Zoom levels follow web-map tiles (0 = whole world, ~10 = metro area, 15+ = streets).
+ */
+
+const MIN_ZOOM = 0;
+const MAX_ZOOM = 22;
+/** At this zoom and above, individual clinic pins are returned instead of clusters */
+const CLUSTER_MAX_ZOOM = 11;
+/** Grid cells per 256px map tile width (≈64px cells) */
+const CELLS_PER_TILE = 4;
+
+/**
+ * Parse and validate north / south / east / west / zoom query parameters.
+ * east < west is allowed and means the box crosses the antimeridian.
+ *
+ * @param {{ north?: string, south?: string, east?: string, west?: string, zoom?: string }} query
+ * @returns {{ bounds: { north: number, south: number, east: number, west: number }, zoom: number }|{ error: string }}
+ */
+function parseMapViewport(query) {
+  const bounds = {};
+  for (const [key, min, max] of [['north', -90, 90], ['south', -90, 90], ['east', -180, 180], ['west', -180, 180]]) {
+    const raw = query[key];
+    const value = raw === undefined || raw === '' ? NaN : Number(raw);
+    if (!Number.isFinite(value)) {
+      return { error: 'north, south, east and west are required and must be numbers' };
+    }
+    if (value < min || value > max) {
+      return { error: `${key} must be between ${min} and ${max}` };
+    }
+    bounds[key] = value;
+  }
+  if (bounds.south > bounds.north) {
+    return { error: 'south must not be greater than north' };
+  }
+
+  const zoomRaw = query.zoom === undefined || query.zoom === '' ? NaN : Number(query.zoom);
+  if (!Number.isFinite(zoomRaw)) {
+    return { error: 'zoom is required and must be a number' };
+  }
+  const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.floor(zoomRaw)));
+
+  return { bounds, zoom };
+}
+
+/**
+ * @param {number} lat
+ * @param {number} lng
+ * @param {{ north: number, south: number, east: number, west: number }} bounds
+ * @returns {boolean}
+ */
+function isInBounds(lat, lng, bounds) {
+  if (lat < bounds.south || lat > bounds.north) return false;
+  return bounds.west <= bounds.east
+    ? lng >= bounds.west && lng <= bounds.east
+    : lng >= bounds.west || lng <= bounds.east;
+}
+
+/**
+ * Grid cell size in degrees for a zoom level.
+ * @param {number} zoom
+ * @returns {number}
+ */
+function clusterCellDegrees(zoom) {
+  return 360 / (Math.pow(2, zoom) * CELLS_PER_TILE);
+}
+
+/**
+ * Group points into grid cells. Single-point cells stay as points.
+ *
+ * @template {{ latitude: number, longitude: number, rating?: number }} T
+ * @param {T[]} points - Already limited to the viewport
+ * @param {number} zoom
+ * @returns {{ clusters: Array<{ latitude: number, longitude: number, count: number, bestRating: number|null, bounds: { north: number, south: number, east: number, west: number } }>, points: T[] }}
+ */
+function clusterPoints(points, zoom) {
+  const cellDegrees = clusterCellDegrees(zoom);
+  const cells = new Map();
+
+  points.forEach(point => {
+    const key = `${Math.floor(point.latitude / cellDegrees)}:${Math.floor(point.longitude / cellDegrees)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(point);
+  });
+
+  const clusters = [];
+  const singles = [];
+  cells.forEach(members => {
+    if (members.length === 1) {
+      singles.push(members[0]);
+      return;
+    }
+    const ratings = members.map(m => m.rating).filter(r => typeof r === 'number' && r > 0);
+    clusters.push({
+      latitude: members.reduce((sum, m) => sum + m.latitude, 0) / members.length,
+      longitude: members.reduce((sum, m) => sum + m.longitude, 0) / members.length,
+      count: members.length,
+      bestRating: ratings.length > 0 ? Math.max(...ratings) : null,
+      bounds: {
+        north: Math.max(...members.map(m => m.latitude)),
+        south: Math.min(...members.map(m => m.latitude)),
+        east: Math.max(...members.map(m => m.longitude)),
+        west: Math.min(...members.map(m => m.longitude))
+      }
+    });
+  });
+
+  // Largest clusters first so clients drawing a capped number of markers keep the important ones
+  clusters.sort((a, b) => b.count - a.count || a.latitude - b.latitude || a.longitude - b.longitude);
+  return { clusters, points: singles };
+}
+
+module.exports = {
+  CLUSTER_MAX_ZOOM,
+  parseMapViewport,
+  isInBounds,
+  clusterCellDegrees,
+  clusterPoints
+};
@@ -0,0 +1,117 @@
+/**
+ * Offline US geocoding from the bundled ZIP centroid dataset (data/geo/usZipCentroids.json,
+ * built by scripts/buildGeoDataset.js). Lets location search resolve ZIPs and cities without
+ * calling Google. The dataset is loaded on first lookup and kept in memory.
+ */
+
+const path = require('path');
+
+const DATASET_PATH = path.join(__dirname, '..', 'data', 'geo', 'usZipCentroids.json');
+
+let index = null;
+
+function cityKey(city, state) {
+  return `${String(city).toLowerCase().trim().replace(/\s+/g, ' ')}|${state ? state.toUpperCase() : ''}`;
+}
+
+/**
+ * Index a dataset: ZIP → centroid, and (city, state) → mean of its ZIP centroids.
+ * @param {{ cities: Array<[string, string]>, zips: Object<string, [number, number, number]> }} dataset
+ */
+function buildIndex(dataset) {
+  const zips = new Map();
+  const cityTotals = new Map();
+
+  Object.entries(dataset.zips || {}).forEach(([zip, [lat, lng, cityIdx]]) => {
+    const [city, state] = dataset.cities[cityIdx] || [];
+    zips.set(zip, { lat, lng, city, state });
+    if (!city) return;
+
+    const key = cityKey(city, state);
+    const totals = cityTotals.get(key) || { city, state, latSum: 0, lngSum: 0, zipCount: 0 };
+    totals.latSum += lat;
+    totals.lngSum += lng;
+    totals.zipCount++;
+    cityTotals.set(key, totals);
+  });
+
+  const cities = new Map();
+  // City name without a state resolves to the state where that city has the most ZIPs
+  const citiesByName = new Map();
+  cityTotals.forEach((totals, key) => {
+    const entry = {
+      lat: totals.latSum / totals.zipCount,
+      lng: totals.lngSum / totals.zipCount,
+      city: totals.city,
+      state: totals.state,
+      zipCount: totals.zipCount
+    };
+    cities.set(key, entry);
+
+    const nameKey = cityKey(totals.city);
+    const best = citiesByName.get(nameKey);
+    if (!best || entry.zipCount > best.zipCount) {
+      citiesByName.set(nameKey, entry);
+    }
+  });
+
+  return { zips, cities, citiesByName };
+}
+
+function getIndex() {
+  if (!index) {
+    try {
+      index = buildIndex(require(DATASET_PATH));
+    } catch (error) {
+      console.error('Offline geocoding dataset unavailable:', error.message);
+      index = buildIndex({ cities: [], zips: {} });
+    }
+  }
+  return index;
+}
+
+/**
+ * Replace the loaded dataset (tests, or after regenerating the bundle).
+ * @param {Object|null} dataset - Same shape as the bundled JSON; null reloads the bundle on next lookup
+ */
+function loadGeoDataset(dataset) {
+  index = dataset ? buildIndex(dataset) : null;
+}
+
+function toGeocodeResult(entry, formattedAddress) {
+  return {
+    lat: entry.lat,
+    lng: entry.lng,
+    formattedAddress,
+    placeId: null,
+    source: 'offline'
+  };
+}
+
+/**
+ * @param {string} zip - 5-digit ZIP (ZIP+4 is trimmed)
+ * @returns {{ lat: number, lng: number, formattedAddress: string, placeId: null, source: 'offline' }|null}
+ */
+function lookupZip(zip) {
+  const zip5 = String(zip || '').trim().slice(0, 5);
+  const entry = getIndex().zips.get(zip5);
+  return entry ? toGeocodeResult(entry, `${entry.city}, ${entry.state} ${zip5}`) : null;
+}
+
+/**
+ * @param {string} city
+ * @param {string} [stateAbbr] - 2-letter state; without it the city with the most ZIPs wins
+ * @returns {{ lat: number, lng: number, formattedAddress: string, placeId: null, source: 'offline' }|null}
+ */
+function lookupCity(city, stateAbbr) {
+  if (!city || !city.trim()) return null;
+  const { cities, citiesByName } = getIndex();
+  const entry = stateAbbr ? cities.get(cityKey(city, stateAbbr)) : citiesByName.get(cityKey(city));
+  return entry ? toGeocodeResult(entry, `${entry.city}, ${entry.state}`) : null;
+}
+
+module.exports = {
+  lookupZip,
+  lookupCity,
+  loadGeoDataset
+};
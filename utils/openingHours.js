@@ -0,0 +1,344 @@
+/**
+ * Normalized weekly opening hours from GooglePlacesData.WorkingHours, with "open now" and
+ * "next opening" evaluated in the clinic's local time zone.
+ *
+ * Stored WorkingHours is a JSON object keyed by day name with free-text hours, e.g.
+ *   { "Monday": "9AM-5PM", "Saturday": "9AM-12PM,1-4PM", "Sunday": "Closed" }
+ * (values may also be arrays of ranges, or "Open 24 hours").
+ *
+ * Normalized model:
+ *   { timeZone: 'America/Chicago' | null,
+ *     days: { monday: [{ open: '09:00', close: '17:00' }], sunday: [], ... } }
+ * An empty array means closed that day; a day missing from `days` has unknown hours.
+ * close <= open means the interval runs past midnight; a full day is 00:00–24:00.
+ */
+
+const { STATE_ABBR_TO_NAME } = require('./locationUtils');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTES_PER_DAY = 24 * 60;
+
+const STATE_TIME_ZONES = {
+  AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+  CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DE: 'America/New_York',
+  DC: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+  ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis', IA: 'America/Chicago',
+  KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', ME: 'America/New_York',
+  MD: 'America/New_York', MA: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+  MS: 'America/Chicago', MO: 'America/Chicago', MT: 'America/Denver', NE: 'America/Chicago',
+  NV: 'America/Los_Angeles', NH: 'America/New_York', NJ: 'America/New_York', NM: 'America/Denver',
+  NY: 'America/New_York', NC: 'America/New_York', ND: 'America/Chicago', OH: 'America/New_York',
+  OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', RI: 'America/New_York',
+  SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago',
+  UT: 'America/Denver', VT: 'America/New_York', VA: 'America/New_York', WA: 'America/Los_Angeles',
+  WV: 'America/New_York', WI: 'America/Chicago', WY: 'America/Denver', PR: 'America/Puerto_Rico'
+};
+
+/**
+ * States split across two time zones: the zone for the other side of the line, by coordinates.
+ * Lines are approximate (county-level boundaries simplified to a longitude / latitude).
+ */
+const SPLIT_STATE_TIME_ZONES = {
+  FL: (lat, lng) => (lng < -85.0 ? 'America/Chicago' : null),
+  TX: (lat, lng) => (lng < -104.9 ? 'America/Denver' : null),
+  TN: (lat, lng) => (lng > -85.3 ? 'America/New_York' : null),
+  KY: (lat, lng) => (lng < -86.3 ? 'America/Chicago' : null),
+  IN: (lat, lng) => (lng < -86.9 && (lat > 41.0 || lat < 38.4) ? 'America/Chicago' : null),
+  MI: (lat, lng) => (lng < -87.5 && lat > 45.0 ? 'America/Chicago' : null),
+  ND: (lat, lng) => (lng < -101.5 && lat < 47.5 ? 'America/Denver' : null),
+  SD: (lat, lng) => (lng < -100.5 ? 'America/Denver' : null),
+  NE: (lat, lng) => (lng < -101.5 ? 'America/Denver' : null),
+  KS: (lat, lng) => (lng < -101.5 ? 'America/Denver' : null),
+  ID: (lat) => (lat > 45.5 ? 'America/Los_Angeles' : null),
+  OR: (lat, lng) => (lng > -117.8 && lat < 44.5 ? 'America/Boise' : null)
+};
+
+const STATE_NAME_TO_ABBR = Object.fromEntries(
+  Object.entries(STATE_ABBR_TO_NAME).map(([abbr, name]) => [name.toLowerCase(), abbr])
+);
+
+/**
+ * IANA time zone for a clinic from its state, refined by coordinates in split states.
+ * @param {{ state?: string|null, latitude?: number|null, longitude?: number|null }} clinic
+ * @returns {string|null} null when the state is unknown
+ */
+function resolveClinicTimeZone({ state, latitude, longitude }) {
+  if (!state || typeof state !== 'string') return null;
+  const trimmed = state.trim();
+  const abbr = trimmed.length === 2 ? trimmed.toUpperCase() : STATE_NAME_TO_ABBR[trimmed.toLowerCase()];
+  if (!abbr || !STATE_TIME_ZONES[abbr]) return null;
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  const split = SPLIT_STATE_TIME_ZONES[abbr];
+  if (split && latitude != null && longitude != null && Number.isFinite(lat) && Number.isFinite(lng)) {
+    return split(lat, lng) || STATE_TIME_ZONES[abbr];
+  }
+  return STATE_TIME_ZONES[abbr];
+}
+
+/**
+ * Day name ("Saturday", "sat") → index (0 = Sunday).
+ * @param {unknown} raw
+ * @returns {number|null}
+ */
+function parseDayName(raw) {
+  if (typeof raw !== 'string') return null;
+  const value = raw.trim().toLowerCase();
+  if (value.length < 3) return null;
+  const index = DAY_NAMES.findIndex(day => day.startsWith(value) || value.startsWith(day));
+  return index === -1 ? null : index;
+}
+
+/**
+ * "9AM", "9:30 pm", "12PM", "17:00", "9" → { hour, minute, meridiem }
+ */
+function parseTimeToken(token) {
+  const match = token.trim().toLowerCase().replace(/\./g, '').match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?$/);
+  if (!match) return null;
+  const hour = Number(match[1]);
+  const minute = match[2] ? Number(match[2]) : 0;
+  if (hour > 24 || minute > 59) return null;
+  const meridiem = match[3] ? match[3][0] : null;
+  return { hour, minute, meridiem };
+}
+
+function tokenToMinutes({ hour, minute }, meridiem) {
+  if (!meridiem) return hour * 60 + minute;
+  const hour24 = (hour % 12) + (meridiem === 'p' ? 12 : 0);
+  return hour24 * 60 + minute;
+}
+
+/**
+ * "9AM-5PM", "9–5PM", "11-2PM", "10:30AM–7:30PM" → { open, close } in minutes
+ */
+function parseTimeRange(text) {
+  const parts = text.split(/\s*[-–—]\s*|\s+to\s+/i);
+  if (parts.length !== 2) return null;
+  const start = parseTimeToken(parts[0]);
+  const end = parseTimeToken(parts[1]);
+  if (!start || !end) return null;
+
+  const close = tokenToMinutes(end, end.meridiem);
+  let open;
+  if (start.meridiem) {
+    open = tokenToMinutes(start, start.meridiem);
+  } else if (end.meridiem) {
+    // "9-5PM": the start shares the end's meridiem unless that would put it after the close ("11-2PM")
+    open = tokenToMinutes(start, end.meridiem);
+    if (open > close) open = tokenToMinutes(start, 'a');
+  } else {
+    open = tokenToMinutes(start, null);
+  }
+  // Midnight close ("6PM-12AM") is the end of the day, not its start
+  return { open, close: close === 0 ? MINUTES_PER_DAY : close };
+}
+
+/**
+ * One day's stored hours → intervals in minutes, [] when closed, null when unparseable.
+ */
+function parseDayHours(value) {
+  const entries = Array.isArray(value) ? value : [value];
+  const intervals = [];
+  for (const entry of entries) {
+    if (typeof entry !== 'string') return null;
+    const text = entry.trim().toLowerCase();
+    if (!text) continue;
+    if (text === 'closed') continue;
+    if (/^open 24 hours$|^24 hours$|^24\/7$/.test(text)) {
+      intervals.push({ open: 0, close: MINUTES_PER_DAY });
+      continue;
+    }
+    for (const range of text.split(/\s*[,;]\s*/)) {
+      const interval = parseTimeRange(range);
+      if (!interval) return null;
+      intervals.push(interval);
+    }
+  }
+  return intervals.sort((a, b) => a.open - b.open);
+}
+
+function formatMinutes(minutes) {
+  const hour = Math.floor(minutes / 60);
+  const minute = minutes % 60;
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+function parseClock(clock) {
+  const [hour, minute] = clock.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Parse stored WorkingHours (JSON string or object) into the normalized model.
+ * Days whose text can't be parsed are left out (unknown) rather than guessed.
+ *
+ * @param {string|Object|null} raw - GooglePlacesData.WorkingHours
+ * @param {{ timeZone?: string|null }} [opts]
+ * @returns {{ timeZone: string|null, days: Object<string, Array<{ open: string, close: string }>> }|null}
+ *   null when there are no usable hours
+ */
+function normalizeWorkingHours(raw, { timeZone = null } = {}) {
+  let source = raw;
+  if (typeof source === 'string') {
+    try {
+      source = JSON.parse(source);
+    } catch {
+      return null;
+    }
+  }
+  if (!source || typeof source !== 'object' || Array.isArray(source)) return null;
+
+  const days = {};
+  Object.entries(source).forEach(([dayName, value]) => {
+    const dayIndex = parseDayName(dayName);
+    if (dayIndex === null) return;
+    const intervals = parseDayHours(value);
+    if (!intervals) return;
+    days[DAY_NAMES[dayIndex]] = intervals.map(({ open, close }) => ({
+      open: formatMinutes(open),
+      close: formatMinutes(close)
+    }));
+  });
+
+  return Object.keys(days).length > 0 ? { timeZone, days } : null;
+}
+
+/** Intervals for a day index in minutes; close is extended past 24:00 for overnight ranges */
+function dayIntervals(model, dayIndex) {
+  const intervals = model.days[DAY_NAMES[dayIndex]] || [];
+  return intervals.map(({ open, close }) => {
+    const openMinutes = parseClock(open);
+    let closeMinutes = parseClock(close);
+    if (closeMinutes <= openMinutes) closeMinutes += MINUTES_PER_DAY;
+    return { open: openMinutes, close: closeMinutes };
+  });
+}
+
+const formatterCache = new Map();
+
+/**
+ * Wall-clock date/time of an instant in a time zone.
+ * @returns {{ year: number, month: number, day: number, dayIndex: number, minutes: number }}
+ */
+function zonedParts(date, timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'long',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    }));
+  }
+  const parts = Object.fromEntries(
+    formatterCache.get(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    dayIndex: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute)
+  };
+}
+
+/** The instant at a wall-clock time in a time zone (DST-aware) */
+function zonedTimeToDate(year, month, day, minutes, timeZone) {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, 0, minutes);
+  const offsetAt = (instant) => {
+    const parts = zonedParts(new Date(instant), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, 0, parts.minutes) - instant;
+  };
+  let instant = wallClockAsUtc - offsetAt(wallClockAsUtc);
+  // Second pass corrects guesses that landed on the other side of a DST change
+  instant = wallClockAsUtc - offsetAt(instant);
+  return new Date(instant);
+}
+
+/**
+ * Whether the clinic is open at a local day / minute of day.
+ */
+function isOpenAtLocal(model, dayIndex, minutes) {
+  if (dayIntervals(model, dayIndex).some(({ open, close }) => minutes >= open && minutes < close)) {
+    return true;
+  }
+  // Overnight ranges from the previous day ("8PM-2AM")
+  const previousDay = (dayIndex + 6) % 7;
+  return dayIntervals(model, previousDay).some(({ close }) => minutes + MINUTES_PER_DAY < close);
+}
+
+/**
+ * "Open now" and, when closed, the next opening time.
+ *
+ * @param {ReturnType<typeof normalizeWorkingHours>} model
+ * @param {Date} [now]
+ * @returns {{ isOpenNow: boolean|null, nextOpenAt: string|null }} isOpenNow is null when the
+ *   hours or time zone are unknown; nextOpenAt is an ISO timestamp, null when open or unknown
+ */
+function getOpenStatus(model, now = new Date()) {
+  if (!model || !model.timeZone) return { isOpenNow: null, nextOpenAt: null };
+
+  const local = zonedParts(now, model.timeZone);
+  if (isOpenAtLocal(model, local.dayIndex, local.minutes)) {
+    return { isOpenNow: true, nextOpenAt: null };
+  }
+  // Not open per the known hours, but today's hours aren't known
+  if (!model.days[DAY_NAMES[local.dayIndex]]) {
+    return { isOpenNow: null, nextOpenAt: null };
+  }
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const dayIndex = (local.dayIndex + offset) % 7;
+    const next = dayIntervals(model, dayIndex).find(({ open }) => offset > 0 || open > local.minutes);
+    if (next) {
+      const date = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+      const opensAt = zonedTimeToDate(
+        date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), next.open, model.timeZone
+      );
+      return { isOpenNow: false, nextOpenAt: opensAt.toISOString() };
+    }
+  }
+  return { isOpenNow: false, nextOpenAt: null };
+}
+
+/**
+ * Whether the clinic has any opening hours on a day (0 = Sunday). Unknown days are false.
+ * @param {ReturnType<typeof normalizeWorkingHours>} model
+ * @param {number} dayIndex
+ * @returns {boolean}
+ */
+function isOpenOnDay(model, dayIndex) {
+  return Boolean(model && (model.days[DAY_NAMES[dayIndex]] || []).length > 0);
+}
+
+/**
+ * Keep clinics matching openNow / openOn. Clinics with unknown hours never match.
+ *
+ * @param {Array<{ openingHours?: Object|null }>} clinics
+ * @param {{ openNow?: boolean, openOn?: number|null }} filters - openOn is a day index
+ * @param {Date} [now]
+ * @returns {Array}
+ */
+function filterByOpeningHours(clinics, { openNow = false, openOn = null }, now = new Date()) {
+  if (!openNow && openOn === null) return clinics;
+  return clinics.filter(clinic => {
+    const model = clinic.openingHours;
+    if (openOn !== null && !isOpenOnDay(model, openOn)) return false;
+    if (openNow && getOpenStatus(model, now).isOpenNow !== true) return false;
+    return true;
+  });
+}
+
+module.exports = {
+  DAY_NAMES,
+  resolveClinicTimeZone,
+  parseDayName,
+  normalizeWorkingHours,
+  getOpenStatus,
+  isOpenOnDay,
+  filterByOpeningHours
+};
@@ -0,0 +1,65 @@
+/**
+ * Page/limit pagination helpers for endpoints that filter in memory.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse `page` / `limit` query parameters.
+ * Returns null when neither is present so callers can keep their unpaginated response.
+ * Invalid values fall back to defaults (same clamping as the blog list endpoints).
+ *
+ * @param {{ page?: string|number, limit?: string|number }} query
+ * @param {{ defaultLimit?: number, maxLimit?: number }} [opts]
+ * @returns {{ page: number, limit: number }|null}
+ */
+function parsePaginationQuery(query, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+  const { page, limit } = query || {};
+  const hasPage = page !== undefined && page !== null && page !== '';
+  const hasLimit = limit !== undefined && limit !== null && limit !== '';
+  if (!hasPage && !hasLimit) {
+    return null;
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(maxLimit, Math.max(1, parseInt(limit, 10) || defaultLimit));
+  return { page: pageNum, limit: limitNum };
+}
+
+/**
+ * Slice an already-ordered array into one page.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {{ page: number, limit: number }|null} pagination - null returns every item
+ * @returns {{ items: T[], pagination: { page: number, limit: number, total: number, totalPages: number, hasNextPage: boolean }|null }}
+ */
+function paginateArray(items, pagination) {
+  if (!pagination) {
+    return { items, pagination: null };
+  }
+
+  const { page, limit } = pagination;
+  const total = items.length;
+  const offset = (page - 1) * limit;
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    items: items.slice(offset, offset + limit),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages
+    }
+  };
+}
+
+module.exports = {
+  parsePaginationQuery,
+  paginateArray,
+  DEFAULT_LIMIT,
+  MAX_LIMIT
+};
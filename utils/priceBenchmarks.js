@@ -0,0 +1,162 @@
+/**
+ * Price distribution ("is this a fair price?") for one procedure across a set of clinics.
+ * Each clinic contributes one sample per price unit (the mean of its matching procedures in
+ * that unit), so a clinic listing Botox three times does not outweigh its neighbours.
+ * Units are never mixed: "$12 /unit" and "$400 flat" are summarized separately.
+ */
+
+const { matchedPricedProcedures } = require('./procedurePricing');
+const { parseLocationInput } = require('./locationUtils');
+
+/** A geography needs this many clinics priced in one unit before its benchmark is used */
+const MIN_BENCHMARK_SAMPLES = 5;
+/** Tukey fences: samples beyond 1.5 × IQR outside the quartiles are trimmed */
+const OUTLIER_IQR_MULTIPLIER = 1.5;
+/** Below this many samples quartiles are too unstable to call anything an outlier */
+const MIN_SAMPLES_FOR_TRIMMING = 4;
+
+function roundPrice(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Linear-interpolated quantile of an ascending array.
+ * @param {number[]} sorted
+ * @param {number} q - 0..1
+ * @returns {number}
+ */
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Drop values outside the Tukey fences.
+ * @param {number[]} values
+ * @returns {{ kept: number[], trimmed: number }} kept is ascending
+ */
+function trimOutliers(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  if (sorted.length < MIN_SAMPLES_FOR_TRIMMING) return { kept: sorted, trimmed: 0 };
+
+  const p25 = quantile(sorted, 0.25);
+  const p75 = quantile(sorted, 0.75);
+  const fence = (p75 - p25) * OUTLIER_IQR_MULTIPLIER;
+  const kept = sorted.filter(value => value >= p25 - fence && value <= p75 + fence);
+  return { kept, trimmed: sorted.length - kept.length };
+}
+
+/**
+ * @param {number[]} values
+ * @returns {{ sampleCount: number, outliersTrimmed: number, min: number, p25: number, median: number, p75: number, max: number }|null}
+ *   sampleCount counts samples left after trimming; null for no values
+ */
+function summarizePrices(values) {
+  if (values.length === 0) return null;
+  const { kept, trimmed } = trimOutliers(values);
+  return {
+    sampleCount: kept.length,
+    outliersTrimmed: trimmed,
+    min: roundPrice(kept[0]),
+    p25: roundPrice(quantile(kept, 0.25)),
+    median: roundPrice(quantile(kept, 0.5)),
+    p75: roundPrice(quantile(kept, 0.75)),
+    max: roundPrice(kept[kept.length - 1])
+  };
+}
+
+/**
+ * Per-unit price distribution of a procedure across clinics.
+ *
+ * @param {Array} clinics - Search-index shaped clinics ({ procedures: [{ procedureName, price, priceUnit }] })
+ * @param {string} procedureTerm
+ * @returns {Array<{ unit: string } & ReturnType<typeof summarizePrices>>} Most-sampled unit first
+ */
+function buildPriceBenchmarks(clinics, procedureTerm) {
+  const samplesByUnit = new Map();
+  clinics.forEach(clinic => {
+    const pricesByUnit = new Map();
+    matchedPricedProcedures(clinic, procedureTerm).forEach(({ price, unit }) => {
+      if (!pricesByUnit.has(unit)) pricesByUnit.set(unit, []);
+      pricesByUnit.get(unit).push(price);
+    });
+    pricesByUnit.forEach((prices, unit) => {
+      if (!samplesByUnit.has(unit)) samplesByUnit.set(unit, []);
+      samplesByUnit.get(unit).push(prices.reduce((sum, price) => sum + price, 0) / prices.length);
+    });
+  });
+
+  return Array.from(samplesByUnit.entries())
+    .map(([unit, samples]) => ({ unit, ...summarizePrices(samples) }))
+    .sort((a, b) => b.sampleCount - a.sampleCount || a.unit.localeCompare(b.unit));
+}
+
+/**
+ * @param {ReturnType<typeof buildPriceBenchmarks>} benchmarks
+ * @returns {boolean} Whether any unit has enough samples to be trusted
+ */
+function hasEnoughSamples(benchmarks) {
+  return benchmarks.some(entry => entry.sampleCount >= MIN_BENCHMARK_SAMPLES);
+}
+
+/**
+ * Benchmark the narrowest geography with enough samples, widening in the given order
+ * (local → state → national). When none has enough, the widest is returned with
+ * sufficientSample false.
+ *
+ * @param {Array<{ level: string, region: string, clinics: Array }>} geographies - Narrowest first
+ * @param {string} procedureTerm
+ * @returns {{ level: string, region: string, sufficientSample: boolean, benchmarks: Array,
+ *   levelsTried: Array<{ level: string, region: string, sampleCount: number }> }}
+ */
+function selectBenchmarkGeography(geographies, procedureTerm) {
+  const levelsTried = [];
+  let chosen = null;
+  for (const geography of geographies) {
+    const benchmarks = buildPriceBenchmarks(geography.clinics, procedureTerm);
+    levelsTried.push({
+      level: geography.level,
+      region: geography.region,
+      sampleCount: benchmarks.reduce((max, entry) => Math.max(max, entry.sampleCount), 0)
+    });
+    chosen = { level: geography.level, region: geography.region, benchmarks };
+    if (hasEnoughSamples(benchmarks)) {
+      return { ...chosen, sufficientSample: true, levelsTried };
+    }
+  }
+  return { ...chosen, sufficientSample: false, levelsTried };
+}
+
+/**
+ * Most common state among clinics as an abbreviation ("Florida" and "FL" count together),
+ * used to widen a local search to its state.
+ * @param {Array<{ state?: string|null }>} clinics
+ * @returns {string|null}
+ */
+function dominantState(clinics) {
+  const counts = new Map();
+  clinics.forEach(clinic => {
+    const parsed = parseLocationInput(clinic.state || '');
+    if (parsed.type !== 'state') return;
+    counts.set(parsed.value, (counts.get(parsed.value) || 0) + 1);
+  });
+  let best = null;
+  counts.forEach((count, state) => {
+    if (!best || count > best.count || (count === best.count && state < best.state)) {
+      best = { state, count };
+    }
+  });
+  return best ? best.state : null;
+}
+
+module.exports = {
+  MIN_BENCHMARK_SAMPLES,
+  quantile,
+  trimOutliers,
+  summarizePrices,
+  buildPriceBenchmarks,
+  selectBenchmarkGeography,
+  dominantState
+};
@@ -0,0 +1,223 @@
+/**
+ * Procedure × place landing pages (/procedures/:procedureSlug/:stateOrCity): URL slugs,
+ * which clinics are listed, the intro copy and the schema.org ItemList.
+ */
+
+const { STATE_ABBR_TO_NAME } = require('./locationUtils');
+const { procedureMatchesSearch } = require('./clinicSearchFilters');
+const { buildPriceBenchmarks } = require('./priceBenchmarks');
+const { latestDate } = require('./sitemapXml');
+const { postalAddressJsonLd, aggregateRatingJsonLd } = require('./clinicJsonLd');
+
+const LANDING_PAGE_SIZE = 20;
+/** Pages listing fewer clinics than this are noindex (thin content) */
+const MIN_INDEXABLE_CLINICS = 3;
+
+/**
+ * @param {unknown} text
+ * @returns {string} "Austin, TX" → "austin-tx"
+ */
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function titleCase(text) {
+  return text.replace(/\b([a-z])/g, (m) => m.toUpperCase());
+}
+
+const STATE_ABBR_BY_NAME_SLUG = new Map(
+  Object.entries(STATE_ABBR_TO_NAME).map(([abbr, name]) => [slugify(name), abbr])
+);
+
+/**
+ * Parse the place segment. States: "tx" or "texas"; cities: "austin-tx" or "austin".
+ * A full state name wins over a city of the same name ("new-york" is the state; the city is "new-york-ny").
+ *
+ * @param {string} raw
+ * @returns {{ type: 'state'|'city', slug: string, label: string, location: string, stateAbbr: string|null }|null}
+ *   slug is the canonical form; location is what the search filters take
+ */
+function parseLocationSlug(raw) {
+  const slug = slugify(raw);
+  if (!slug) return null;
+
+  const stateAbbr = slug.length === 2 && STATE_ABBR_TO_NAME[slug.toUpperCase()]
+    ? slug.toUpperCase()
+    : STATE_ABBR_BY_NAME_SLUG.get(slug);
+  if (stateAbbr) {
+    return {
+      type: 'state',
+      slug: stateAbbr.toLowerCase(),
+      label: STATE_ABBR_TO_NAME[stateAbbr],
+      location: stateAbbr,
+      stateAbbr
+    };
+  }
+
+  const parts = slug.split('-');
+  const last = parts[parts.length - 1].toUpperCase();
+  if (parts.length > 1 && STATE_ABBR_TO_NAME[last]) {
+    const city = titleCase(parts.slice(0, -1).join(' '));
+    return { type: 'city', slug, label: `${city}, ${last}`, location: `${city}, ${last}`, stateAbbr: last };
+  }
+
+  const city = titleCase(parts.join(' '));
+  return { type: 'city', slug, label: city, location: city, stateAbbr: null };
+}
+
+/**
+ * Keep clinics offering the procedure, each with only its matching procedures (so prices are
+ * read from the right rows). A procedure matches when it is mapped to the catalog entry or
+ * its name matches the procedure name the way search does.
+ *
+ * @param {Array} clinics - Search-index clinics
+ * @param {{ name: string, canonicalProcedureId: number|null }} procedure
+ * @returns {Array}
+ */
+function clinicsOfferingProcedure(clinics, procedure) {
+  return clinics
+    .map(clinic => ({
+      ...clinic,
+      procedures: (clinic.procedures || []).filter(proc => isProcedureOffered(proc, procedure))
+    }))
+    .filter(clinic => clinic.procedures.length > 0);
+}
+
+function isProcedureOffered(proc, procedure) {
+  return (procedure.canonicalProcedureId != null && proc.canonicalProcedureId === procedure.canonicalProcedureId) ||
+    procedureMatchesSearch(proc, procedure.name);
+}
+
+/**
+ * Canonical place slugs a clinic is listed under by its own address: its state ("tx") and
+ * its city ("austin-tx"). Clinics without a recognizable state have none.
+ * @param {{ city?: string|null, state?: string|null }} clinic
+ * @returns {string[]}
+ */
+function clinicPlaceSlugs(clinic) {
+  const state = parseLocationSlug(clinic.state);
+  if (!state || state.type !== 'state') return [];
+  const city = clinic.city ? parseLocationSlug(`${clinic.city} ${state.stateAbbr}`) : null;
+  return city && city.type === 'city' ? [state.slug, city.slug] : [state.slug];
+}
+
+/**
+ * Landing pages worth listing in the sitemap: page 1 of every procedure × state and
+ * procedure × city with at least MIN_INDEXABLE_CLINICS offering clinics at that address.
+ * City pages also list metro and nearby clinics, so each page returned is indexable.
+ *
+ * @param {Array} clinics - Search-index clinics, optionally with lastModified (Date|null)
+ * @param {Array<{ slug: string, name: string, canonicalProcedureId: number|null }>} procedures
+ * @returns {Array<{ procedureSlug: string, locationSlug: string, lastModified: Date|null }>}
+ */
+function listIndexableLandingPages(clinics, procedures) {
+  const placesByClinic = clinics.map(clinicPlaceSlugs);
+  const pages = [];
+  procedures.forEach(procedure => {
+    const clinicsByPlace = new Map();
+    clinics.forEach((clinic, i) => {
+      if (!(clinic.procedures || []).some(proc => isProcedureOffered(proc, procedure))) return;
+      placesByClinic[i].forEach(placeSlug => {
+        if (!clinicsByPlace.has(placeSlug)) clinicsByPlace.set(placeSlug, []);
+        clinicsByPlace.get(placeSlug).push(clinic);
+      });
+    });
+    clinicsByPlace.forEach((placeClinics, locationSlug) => {
+      if (placeClinics.length < MIN_INDEXABLE_CLINICS) return;
+      pages.push({
+        procedureSlug: procedure.slug,
+        locationSlug,
+        lastModified: latestDate(placeClinics.map(clinic => clinic.lastModified))
+      });
+    });
+  });
+  return pages;
+}
+
+function formatPrice(value) {
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+/**
+ * Plain-text price label: "$12 / unit", or "$400" for flat prices.
+ * @param {{ price: number, priceUnit: string }|null} matchedPrice
+ * @returns {string|null}
+ */
+function formatMatchedPrice(matchedPrice) {
+  if (!matchedPrice) return null;
+  return matchedPrice.priceUnit === 'flat'
+    ? formatPrice(matchedPrice.price)
+    : `${formatPrice(matchedPrice.price)} / ${matchedPrice.priceUnit}`;
+}
+
+/**
+ * Short intro for the page: how many clinics, and the typical price range when at least
+ * two clinics are priced in the comparison unit.
+ *
+ * @param {{ procedureName: string, placeLabel: string, clinics: Array, unit: string|null }} opts
+ *   clinics: every listed clinic (all pages), already narrowed to the procedure
+ * @returns {string}
+ */
+function buildLandingIntro({ procedureName, placeLabel, clinics, unit }) {
+  const total = clinics.length;
+  if (total === 0) {
+    return `We don't list any clinics offering ${procedureName} in ${placeLabel} yet.`;
+  }
+  const sentences = [
+    `Compare ${total} ${total === 1 ? 'clinic' : 'clinics'} offering ${procedureName} in ${placeLabel}, ranked by Google rating weighted by review count.`
+  ];
+
+  const benchmark = unit ? buildPriceBenchmarks(clinics, null).find(entry => entry.unit === unit) : null;
+  if (benchmark && benchmark.sampleCount >= 2) {
+    const suffix = unit === 'flat' ? '' : ` per ${unit}`;
+    sentences.push(
+      `Most listed clinics charge ${formatPrice(benchmark.p25)}–${formatPrice(benchmark.p75)}${suffix} ` +
+      `(median ${formatPrice(benchmark.median)}, from ${benchmark.sampleCount} clinics with prices).`
+    );
+  }
+  return sentences.join(' ');
+}
+
+/**
+ * schema.org ItemList of the clinics on this page; positions continue across pages.
+ *
+ * @param {{ name: string, url: string, total: number, offset: number,
+ *   items: Array<{ clinicName: string, url: string, address?: string|null, city?: string|null, state?: string|null,
+ *     zipCode?: string|null, rating?: number, reviewCount?: number }> }} opts
+ * @returns {Object}
+ */
+function buildItemListJsonLd({ name, url, total, offset, items }) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'ItemList',
+    name,
+    url,
+    numberOfItems: total,
+    itemListElement: items.map((item, i) => {
+      const business = {
+        '@type': 'MedicalBusiness',
+        name: item.clinicName,
+        url: item.url,
+        address: postalAddressJsonLd(item)
+      };
+      const rating = aggregateRatingJsonLd(item.rating, item.reviewCount);
+      if (rating) business.aggregateRating = rating;
+      return { '@type': 'ListItem', position: offset + i + 1, url: item.url, item: business };
+    })
+  };
+}
+
+module.exports = {
+  LANDING_PAGE_SIZE,
+  MIN_INDEXABLE_CLINICS,
+  slugify,
+  parseLocationSlug,
+  clinicsOfferingProcedure,
+  listIndexableLandingPages,
+  formatMatchedPrice,
+  buildLandingIntro,
+  buildItemListJsonLd
+};
@@ -0,0 +1,100 @@
+/**
+ * Full HTML documents for crawler-friendly procedure × place landing pages.
+ */
+
+const { escapeHtml, stripHost, escapeJsonLdScriptContent } = require('./blogPageHtml');
+
+/**
+ * @param {object} opts
+ * @param {string} opts.siteOrigin - https://www.glowra.com
+ * @param {string} opts.title
+ * @param {string} opts.heading - Visible h1
+ * @param {string} opts.description
+ * @param {string} opts.intro
+ * @param {string} opts.canonicalPath - /procedures/botox/austin-tx (with ?page=N after page 1)
+ * @param {string|null} [opts.prevPath]
+ * @param {string|null} [opts.nextPath]
+ * @param {boolean} opts.noindex
+ * @param {Object} opts.jsonLd - schema.org ItemList
+ * @param {{ page: number, totalPages: number }} opts.pagination
+ * @param {Array<{ clinicName: string, path: string, city?: string|null, state?: string|null, rating: number,
+ *   reviewCount: number, priceLabel: string|null, photoURL?: string|null }>} opts.clinics
+ */
+function renderProcedureLandingHtmlDocument(opts) {
+  const origin = stripHost(opts.siteOrigin);
+  const canonicalUrl = `${origin}${opts.canonicalPath}`;
+  const safeTitle = escapeHtml(opts.title);
+  const safeDesc = escapeHtml(opts.description);
+  const linkTag = (rel, path) => (path ? `<link rel="${rel}" href="${escapeHtml(origin + path)}" />` : '');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${safeTitle}</title>
+  <meta name="description" content="${safeDesc}" />
+  <meta name="robots" content="${opts.noindex ? 'noindex, follow' : 'index, follow'}" />
+  <link rel="canonical" href="${escapeHtml(canonicalUrl)}" />
+  ${linkTag('prev', opts.prevPath)}
+  ${linkTag('next', opts.nextPath)}
+  <meta property="og:title" content="${safeTitle}" />
+  <meta property="og:description" content="${safeDesc}" />
+  <meta property="og:url" content="${escapeHtml(canonicalUrl)}" />
+  <meta property="og:type" content="website" />
+  <meta property="og:site_name" content="Glowra" />
+  <style>
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; line-height: 1.5; max-width: 720px; margin: 0 auto; padding: 1.5rem; color: #111; }
+    .clinic-list { list-style: none; padding: 0; }
+    .clinic-list li { margin-bottom: 1rem; display: flex; gap: 0.75rem; }
+    .clinic-list img { width: 72px; height: 72px; object-fit: cover; border-radius: 6px; }
+    .clinic-list a { color: #0b5; font-weight: 600; }
+    .clinic-meta { color: #555; font-size: 0.9rem; }
+    nav.pagination a { margin-right: 1rem; }
+  </style>
+  <script type="application/ld+json">${escapeJsonLdScriptContent(JSON.stringify(opts.jsonLd))}</script>
+</head>
+<body>
+  <header><a href="${escapeHtml(origin + '/')}">Glowra</a></header>
+  <main>
+    <h1>${escapeHtml(opts.heading)}</h1>
+    <p>${escapeHtml(opts.intro)}</p>
+    ${renderClinicListHtml(opts.clinics, origin)}
+    ${renderPaginationHtml(opts, origin)}
+  </main>
+</body>
+</html>`;
+}
+
+function renderClinicListHtml(clinics, origin) {
+  if (!clinics.length) {
+    return '';
+  }
+  const lis = clinics
+    .map((c) => {
+      const href = escapeHtml(origin + c.path);
+      const place = [c.city, c.state].filter(Boolean).join(', ');
+      const meta = [
+        place ? escapeHtml(place) : null,
+        c.rating > 0 ? `${escapeHtml(c.rating)}★ (${escapeHtml(c.reviewCount)} reviews)` : null,
+        c.priceLabel ? `from ${escapeHtml(c.priceLabel)}` : null
+      ].filter(Boolean).join(' · ');
+      const img = c.photoURL
+        ? `<img src="${escapeHtml(c.photoURL)}" alt="${escapeHtml(c.clinicName)}" loading="lazy" />`
+        : '';
+      return `<li>${img}<div><a href="${href}">${escapeHtml(c.clinicName)}</a><div class="clinic-meta">${meta}</div></div></li>`;
+    })
+    .join('\n');
+  return `<ol class="clinic-list">${lis}</ol>`;
+}
+
+function renderPaginationHtml(opts, origin) {
+  if (opts.pagination.totalPages <= 1) {
+    return '';
+  }
+  const prev = opts.prevPath ? `<a href="${escapeHtml(origin + opts.prevPath)}">← Previous</a>` : '';
+  const next = opts.nextPath ? `<a href="${escapeHtml(origin + opts.nextPath)}">Next →</a>` : '';
+  return `<nav class="pagination">${prev}<span>Page ${opts.pagination.page} of ${opts.pagination.totalPages}</span> ${next}</nav>`;
+}
+
+module.exports = { renderProcedureLandingHtmlDocument };
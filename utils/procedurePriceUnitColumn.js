@@ -46,7 +46,19 @@ function innerProcedurePriceUnitSelectSql(hasColumn) {
     : 'CAST(NULL AS NVARCHAR(50)) AS PriceUnit';
 }
 
+/**
+ * Optional procedure price unit suffix (e.g. "/unit", "/session"). Omit when empty.
+ * @param {unknown} raw
+ * @returns {Record<string, string>}
+ */
+function optionalPriceUnit(raw) {
+  if (raw == null) return {};
+  const s = String(raw).trim();
+  return s ? { priceUnit: s } : {};
+}
+
 module.exports = {
   proceduresTableHasPriceUnitColumn,
-  innerProcedurePriceUnitSelectSql
+  innerProcedurePriceUnitSelectSql,
+  optionalPriceUnit
 };
@@ -0,0 +1,175 @@
+/**
+ * Price filtering and unit-aware price comparison for clinic search.
+ * Procedures.AverageCost is either a flat price or a price per PriceUnit ("/unit", "/syringe",
+ * "/session", ...), so prices are only compared within one unit.
+ */
+
+const { procedureMatchesSearch } = require('./clinicSearchFilters');
+
+/** Unit key for procedures without a PriceUnit */
+const FLAT_PRICE_UNIT = 'flat';
+
+/**
+ * Canonical unit key: "/unit", "per unit", "Units" → "unit"; blank → "flat".
+ * @param {unknown} raw
+ * @returns {string}
+ */
+function normalizePriceUnit(raw) {
+  if (raw == null) return FLAT_PRICE_UNIT;
+  const unit = String(raw)
+    .toLowerCase()
+    .trim()
+    .replace(/^(\/|per\s+)/, '')
+    .trim()
+    .replace(/s$/, '');
+  return unit || FLAT_PRICE_UNIT;
+}
+
+function parsePrice(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+/**
+ * Parse minPrice / maxPrice / priceUnit query parameters. Invalid values are ignored.
+ * @param {{ minPrice?: string, maxPrice?: string, priceUnit?: string }} query
+ * @returns {{ minPrice: number|null, maxPrice: number|null, priceUnit: string|null }}
+ */
+function parsePriceFilters({ minPrice, maxPrice, priceUnit } = {}) {
+  return {
+    minPrice: parsePrice(minPrice),
+    maxPrice: parsePrice(maxPrice),
+    priceUnit: typeof priceUnit === 'string' && priceUnit.trim() ? normalizePriceUnit(priceUnit) : null
+  };
+}
+
+/**
+ * Check the price range of a request before searching: minPrice above maxPrice can match
+ * nothing, so it is rejected rather than answered with zero results.
+ * @param {{ minPrice?: string, maxPrice?: string }} query
+ * @returns {{ ok: true } | { ok: false, message: string }}
+ */
+function checkPriceRange(query) {
+  const { minPrice, maxPrice } = parsePriceFilters(query);
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    return { ok: false, message: 'minPrice must not be greater than maxPrice' };
+  }
+  return { ok: true };
+}
+
+/**
+ * Procedures with a known price (AverageCost > 0) that match the procedure search term,
+ * or all priced procedures when there is no term.
+ * @param {Object} clinic
+ * @param {string|null} procedureTerm
+ * @returns {Array<{ price: number, unit: string, procedure: Object }>}
+ */
+function matchedPricedProcedures(clinic, procedureTerm) {
+  return (clinic.procedures || [])
+    .filter(proc => !procedureTerm || procedureMatchesSearch(proc, procedureTerm))
+    .map(proc => ({ price: Number(proc.price), unit: normalizePriceUnit(proc.priceUnit), procedure: proc }))
+    .filter(entry => Number.isFinite(entry.price) && entry.price > 0);
+}
+
+/**
+ * Keep clinics with at least one matched procedure inside the price range (and unit, if given).
+ * Procedures without a price never match a price filter.
+ *
+ * @param {Array} clinics
+ * @param {{ minPrice?: number|null, maxPrice?: number|null, priceUnit?: string|null }} filters
+ * @param {string|null} procedureTerm
+ * @returns {Array}
+ */
+function filterByPrice(clinics, { minPrice = null, maxPrice = null, priceUnit = null }, procedureTerm) {
+  if (minPrice === null && maxPrice === null && priceUnit === null) return clinics;
+  return clinics.filter(clinic =>
+    matchedPricedProcedures(clinic, procedureTerm).some(({ price, unit }) =>
+      (priceUnit === null || unit === priceUnit) &&
+      (minPrice === null || price >= minPrice) &&
+      (maxPrice === null || price <= maxPrice)
+    )
+  );
+}
+
+/**
+ * Pick the unit prices are compared in: the requested priceUnit, otherwise the unit most
+ * matched clinics price in (ties prefer flat, then alphabetical).
+ *
+ * @param {Array} clinics
+ * @param {{ procedureTerm?: string|null, priceUnit?: string|null }} [opts]
+ * @returns {{ unit: string|null, comparableClinics: number, otherUnits: Array<{ unit: string, count: number }> }}
+ *   unit is null when no clinic has a matched price
+ */
+function buildPriceComparison(clinics, { procedureTerm = null, priceUnit = null } = {}) {
+  const clinicsByUnit = new Map();
+  clinics.forEach(clinic => {
+    new Set(matchedPricedProcedures(clinic, procedureTerm).map(entry => entry.unit)).forEach(unit => {
+      clinicsByUnit.set(unit, (clinicsByUnit.get(unit) || 0) + 1);
+    });
+  });
+
+  const ranked = Array.from(clinicsByUnit.entries())
+    .map(([unit, count]) => ({ unit, count }))
+    .sort((a, b) =>
+      b.count - a.count ||
+      (b.unit === FLAT_PRICE_UNIT) - (a.unit === FLAT_PRICE_UNIT) ||
+      a.unit.localeCompare(b.unit)
+    );
+
+  const unit = priceUnit || (ranked.length > 0 ? ranked[0].unit : null);
+  return {
+    unit,
+    comparableClinics: unit ? (clinicsByUnit.get(unit) || 0) : 0,
+    otherUnits: ranked.filter(entry => entry.unit !== unit)
+  };
+}
+
+/**
+ * The price a clinic is shown and ranked by: its cheapest matched procedure in the comparison
+ * unit when it has one (comparable), otherwise its cheapest matched procedure in any unit.
+ *
+ * @param {Object} clinic
+ * @param {{ procedureTerm?: string|null, unit?: string|null }} [opts]
+ * @returns {{ price: number, priceUnit: string, comparable: boolean }|null} null when nothing is priced
+ */
+function clinicMatchedPrice(clinic, { procedureTerm = null, unit = null } = {}) {
+  const priced = matchedPricedProcedures(clinic, procedureTerm);
+  if (priced.length === 0) return null;
+
+  const inUnit = unit ? priced.filter(entry => entry.unit === unit) : [];
+  const pool = inUnit.length > 0 ? inUnit : priced;
+  const cheapest = pool.reduce((best, entry) => (entry.price < best.price ? entry : best));
+  return { price: cheapest.price, priceUnit: cheapest.unit, comparable: inUnit.length > 0 };
+}
+
+/**
+ * Copy clinics with `priceComparable` and `matchedPrice` set, so clients can tell which
+ * prices are in the comparison unit and label the rest ("$400 flat" vs "$12 / unit").
+ *
+ * @param {Array} clinics
+ * @param {{ procedureTerm?: string|null, unit?: string|null }} opts
+ * @returns {Array}
+ */
+function annotateClinicPrices(clinics, opts) {
+  return clinics.map(clinic => {
+    const matchedPrice = clinicMatchedPrice(clinic, opts);
+    return {
+      ...clinic,
+      matchedPrice: matchedPrice ? { price: matchedPrice.price, priceUnit: matchedPrice.priceUnit } : null,
+      priceComparable: matchedPrice ? matchedPrice.comparable : false
+    };
+  });
+}
+
+module.exports = {
+  FLAT_PRICE_UNIT,
+  normalizePriceUnit,
+  parsePriceFilters,
+  checkPriceRange,
+  matchedPricedProcedures,
+  filterByPrice,
+  buildPriceComparison,
+  clinicMatchedPrice,
+  annotateClinicPrices
+};
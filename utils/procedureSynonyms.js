@@ -0,0 +1,93 @@
+/**
+ * Active procedure synonym dictionary used by search, the clinicName SQL pre-filter, and
+ * typeahead suggestions. Starts with the built-in defaults; services/procedureSynonymService
+ * replaces it with the ProcedureSynonymGroups table and swaps it again whenever admins edit it.
+ */
+
+const { createRuntimeSetting } = require('./runtimeSetting');
+
+/** Built-in nicknames → canonical phrases (fallback when the synonym tables are unavailable) */
+const PROCEDURE_ABBREVIATIONS = {
+  bbl: 'brazilian butt lift',
+  'tummy tuck': 'abdominoplasty',
+  'nose job': 'rhinoplasty',
+  'boob job': 'breast augmentation',
+  botox: 'botulinum toxin',
+  filler: 'dermal filler'
+};
+
+function normalizeSynonymTerm(term) {
+  return String(term || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * @param {Object<string, string>} abbreviations - nickname → canonical phrase
+ * @returns {Array<{ canonicalTerm: string, synonyms: string[] }>}
+ */
+function groupsFromAbbreviations(abbreviations) {
+  const byCanonical = new Map();
+  Object.entries(abbreviations).forEach(([term, canonicalTerm]) => {
+    if (!byCanonical.has(canonicalTerm)) byCanonical.set(canonicalTerm, []);
+    byCanonical.get(canonicalTerm).push(term);
+  });
+  return Array.from(byCanonical.entries()).map(([canonicalTerm, synonyms]) => ({ canonicalTerm, synonyms }));
+}
+
+/**
+ * @param {Array<{ canonicalTerm: string, synonyms: string[] }>} groups
+ * @returns {{ abbreviations: Object<string, string>, alternatives: Map<string, string[]> }}
+ *   abbreviations: synonym → canonical (same shape as PROCEDURE_ABBREVIATIONS);
+ *   alternatives: any term in a group → every other term in that group
+ */
+function buildSynonymIndex(groups) {
+  const abbreviations = {};
+  const alternatives = new Map();
+
+  groups.forEach(group => {
+    const canonicalTerm = normalizeSynonymTerm(group.canonicalTerm);
+    if (!canonicalTerm) return;
+    const synonyms = (group.synonyms || [])
+      .map(normalizeSynonymTerm)
+      .filter(term => term && term !== canonicalTerm);
+
+    const allTerms = [canonicalTerm, ...synonyms];
+    synonyms.forEach(term => {
+      abbreviations[term] = canonicalTerm;
+    });
+    allTerms.forEach(term => {
+      alternatives.set(term, allTerms.filter(other => other !== term));
+    });
+  });
+
+  return { abbreviations, alternatives };
+}
+
+/** Active dictionary, set from active groups ({ canonicalTerm, synonyms }) only */
+const synonymIndex = createRuntimeSetting(groupsFromAbbreviations(PROCEDURE_ABBREVIATIONS), buildSynonymIndex);
+
+/**
+ * @returns {Object<string, string>} Current synonym → canonical map
+ */
+function getProcedureAbbreviations() {
+  return synonymIndex.get().abbreviations;
+}
+
+/**
+ * Other terms in the same synonym group ("botox" → ["botulinum toxin", "tox", ...]).
+ * @param {string} term
+ * @returns {string[]}
+ */
+function getSynonymAlternatives(term) {
+  return synonymIndex.get().alternatives.get(normalizeSynonymTerm(term)) || [];
+}
+
+module.exports = {
+  PROCEDURE_ABBREVIATIONS,
+  normalizeSynonymTerm,
+  groupsFromAbbreviations,
+  buildSynonymIndex,
+  setProcedureSynonymGroups: synonymIndex.set,
+  resetProcedureSynonymGroups: synonymIndex.reset,
+  getProcedureAbbreviations,
+  getSynonymAlternatives
+};
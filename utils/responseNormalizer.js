@@ -46,6 +46,7 @@ const FIELD_MAPPINGS = {
   // Other IDs
   'ProviderID': 'providerId',
   'ProcedureID': 'procedureId',
+  'CanonicalProcedureID': 'canonicalProcedureId',
   'CategoryID': 'categoryId',
   'LocationID': 'locationId',
   'AdminUserID': 'adminUserId',
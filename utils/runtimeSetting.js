@@ -0,0 +1,28 @@
+/**
+ * A module-level value search reads on every request (ranking weights, metro areas, the synonym
+ * dictionary) that starts as built-in defaults and is replaced at runtime from the database
+ * (services/searchSettingSync). A replacement takes effect for the next search; no restart needed.
+ */
+
+/**
+ * @template Input, Active
+ * @param {Input} defaults - Built-in value, used until set() and again after reset()
+ * @param {(input: Input) => Active} [build] - Turns an input into the value get() returns
+ * @returns {{ set: (input: Input) => void, reset: () => void, get: () => Active }}
+ */
+function createRuntimeSetting(defaults, build = input => input) {
+  let active = build(defaults);
+  return {
+    set: (input) => {
+      active = build(input);
+    },
+    reset: () => {
+      active = build(defaults);
+    },
+    get: () => active
+  };
+}
+
+module.exports = {
+  createRuntimeSetting
+};
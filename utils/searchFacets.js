@@ -0,0 +1,121 @@
+/**
+ * Facet counts for clinic search results (filter chips such as "Dermatology (12)").
+ * Facets are computed over the filtered result set, before pagination.
+ */
+
+const { getValidCategories } = require('./categoryNormalizer');
+const { calculateDistance } = require('./locationUtils');
+const { procedureMatchesSearch } = require('./clinicSearchFilters');
+
+/** Cumulative "N stars & up" buckets */
+const RATING_BUCKETS = [4.5, 4, 3.5];
+
+/** Price ranges (USD, AverageCost); max is exclusive, null = open-ended */
+const PRICE_BUCKETS = [
+  { key: 'under-250', min: 0, max: 250 },
+  { key: '250-500', min: 250, max: 500 },
+  { key: '500-1000', min: 500, max: 1000 },
+  { key: '1000-2500', min: 1000, max: 2500 },
+  { key: '2500-5000', min: 2500, max: 5000 },
+  { key: '5000-plus', min: 5000, max: null }
+];
+
+/** Cumulative "within N miles" rings, only when a geo center is known */
+const DISTANCE_RINGS = [5, 10, 25, 50];
+
+/**
+ * @param {Map<string, number>} counts
+ * @returns {Array<{ value: string, count: number }>} Sorted by count desc, then name
+ */
+function countsToFacetList(counts) {
+  return Array.from(counts.entries())
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+/**
+ * Procedures that drive procedure-category and price facets: the ones matching the
+ * procedure search term when there is one, otherwise all of the clinic's procedures.
+ * @param {Object} clinic
+ * @param {string|null} procedureTerm
+ * @returns {Array}
+ */
+function facetProcedures(clinic, procedureTerm) {
+  const procedures = clinic.procedures || [];
+  if (!procedureTerm) return procedures;
+  return procedures.filter(proc => procedureMatchesSearch(proc, procedureTerm));
+}
+
+/**
+ * Build facet aggregations for a filtered list of clinics.
+ * Every count is a number of clinics (a clinic with three Face procedures counts once for Face).
+ *
+ * @param {Array} clinics - Filtered clinic objects from the search index
+ * @param {{ procedureTerm?: string|null, geoCenter?: { lat: number, lng: number }|null }} [opts]
+ * @returns {{
+ *   clinicCategories: Array<{ value: string, count: number }>,
+ *   procedureCategories: Array<{ value: string, count: number }>,
+ *   ratings: Array<{ min: number, count: number }>,
+ *   prices: Array<{ key: string, min: number, max: number|null, count: number }>,
+ *   distances: Array<{ maxMiles: number, count: number }>|null
+ * }}
+ */
+function buildSearchFacets(clinics, { procedureTerm = null, geoCenter = null } = {}) {
+  const term = procedureTerm && procedureTerm.trim() ? procedureTerm.trim() : null;
+
+  // Seed standard categories so chips render consistently even at zero
+  const clinicCategoryCounts = new Map(getValidCategories().map(category => [category, 0]));
+  const procedureCategoryCounts = new Map();
+  const ratingCounts = RATING_BUCKETS.map(() => 0);
+  const priceCounts = PRICE_BUCKETS.map(() => 0);
+  const distanceCounts = DISTANCE_RINGS.map(() => 0);
+
+  clinics.forEach(clinic => {
+    const category = clinic.clinicCategory || 'Other';
+    clinicCategoryCounts.set(category, (clinicCategoryCounts.get(category) || 0) + 1);
+
+    const procedures = facetProcedures(clinic, term);
+
+    new Set(procedures.map(proc => proc.category).filter(Boolean)).forEach(procCategory => {
+      procedureCategoryCounts.set(procCategory, (procedureCategoryCounts.get(procCategory) || 0) + 1);
+    });
+
+    RATING_BUCKETS.forEach((min, i) => {
+      if ((clinic.rating || 0) >= min) ratingCounts[i]++;
+    });
+
+    // Unknown prices are stored as 0; leave them out of price facets
+    const prices = procedures.map(proc => Number(proc.price)).filter(price => price > 0);
+    PRICE_BUCKETS.forEach((bucket, i) => {
+      if (prices.some(price => price >= bucket.min && (bucket.max === null || price < bucket.max))) {
+        priceCounts[i]++;
+      }
+    });
+
+    if (geoCenter && clinic.latitude && clinic.longitude) {
+      const distance = calculateDistance(geoCenter.lat, geoCenter.lng, clinic.latitude, clinic.longitude);
+      if (distance !== null) {
+        DISTANCE_RINGS.forEach((maxMiles, i) => {
+          if (distance <= maxMiles) distanceCounts[i]++;
+        });
+      }
+    }
+  });
+
+  return {
+    clinicCategories: countsToFacetList(clinicCategoryCounts),
+    procedureCategories: countsToFacetList(procedureCategoryCounts),
+    ratings: RATING_BUCKETS.map((min, i) => ({ min, count: ratingCounts[i] })),
+    prices: PRICE_BUCKETS.map((bucket, i) => ({ ...bucket, count: priceCounts[i] })),
+    distances: geoCenter
+      ? DISTANCE_RINGS.map((maxMiles, i) => ({ maxMiles, count: distanceCounts[i] }))
+      : null
+  };
+}
+
+module.exports = {
+  buildSearchFacets,
+  RATING_BUCKETS,
+  PRICE_BUCKETS,
+  DISTANCE_RINGS
+};
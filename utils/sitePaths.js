@@ -0,0 +1,55 @@
+/**
+ * Public site URLs for crawler-facing pages (blog, procedure landing pages, sitemaps).
+ */
+
+/** SPA route for a clinic profile */
+const CLINIC_PAGE_PATH_PREFIX = '/clinics';
+
+/**
+ * Public site origin: PUBLIC_SITE_URL, otherwise the request's own host.
+ * @param {import('express').Request} req
+ * @returns {string} No trailing slash
+ */
+function getSiteOrigin(req) {
+  if (process.env.PUBLIC_SITE_URL) {
+    return String(process.env.PUBLIC_SITE_URL).replace(/\/$/, '');
+  }
+  const proto = req.get('x-forwarded-proto') || req.protocol;
+  const host = req.get('host') || 'localhost';
+  return `${proto}://${host}`;
+}
+
+/**
+ * @param {number} clinicId
+ * @returns {string}
+ */
+function clinicPagePath(clinicId) {
+  return `${CLINIC_PAGE_PATH_PREFIX}/${encodeURIComponent(clinicId)}`;
+}
+
+/**
+ * @param {string} procedureSlug
+ * @param {string} locationSlug
+ * @param {number} [page] - Omitted from the URL for page 1
+ * @returns {string}
+ */
+function procedureLandingPath(procedureSlug, locationSlug, page = 1) {
+  const path = `/procedures/${encodeURIComponent(procedureSlug)}/${encodeURIComponent(locationSlug)}`;
+  return page > 1 ? `${path}?page=${page}` : path;
+}
+
+/**
+ * @param {string} kind - 'clinics' | 'procedures'
+ * @param {number} page - 1-based file number
+ * @returns {string} /sitemap-clinics-1.xml
+ */
+function sitemapPath(kind, page) {
+  return `/sitemap-${kind}-${page}.xml`;
+}
+
+module.exports = {
+  getSiteOrigin,
+  clinicPagePath,
+  procedureLandingPath,
+  sitemapPath
+};
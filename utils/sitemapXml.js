@@ -0,0 +1,108 @@
+/**
+ * sitemaps.org XML: URL sets, sitemap indexes, and splitting at the protocol limit.
+ */
+
+/** The sitemap protocol allows at most this many URLs per file */
+const MAX_SITEMAP_URLS = 50000;
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * @param {Date|string|null|undefined} value
+ * @returns {string|undefined} YYYY-MM-DD, or undefined for missing / invalid dates
+ */
+function formatLastmod(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Latest of several dates.
+ * @param {Array<Date|string|null|undefined>} values
+ * @returns {Date|null}
+ */
+function latestDate(values) {
+  let latest = null;
+  values.forEach(value => {
+    if (!value) return;
+    const date = new Date(value);
+    if (!Number.isNaN(date.getTime()) && (!latest || date > latest)) latest = date;
+  });
+  return latest;
+}
+
+/**
+ * @param {Array<{ loc: string, lastmod?: string, changefreq?: string, priority?: string }>} urls
+ * @returns {string}
+ */
+function buildUrlsetXml(urls) {
+  const urlBlocks = urls
+    .map((u) => {
+      const lines = [`    <loc>${escapeXml(u.loc)}</loc>`];
+      if (u.lastmod) lines.push(`    <lastmod>${u.lastmod}</lastmod>`);
+      if (u.changefreq) lines.push(`    <changefreq>${u.changefreq}</changefreq>`);
+      if (u.priority) lines.push(`    <priority>${u.priority}</priority>`);
+      return `  <url>
+${lines.join('\n')}
+  </url>`;
+    })
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urlBlocks}
+</urlset>`;
+}
+
+/**
+ * @param {Array<{ loc: string, lastmod?: string }>} sitemaps
+ * @returns {string}
+ */
+function buildSitemapIndexXml(sitemaps) {
+  const blocks = sitemaps
+    .map((s) => {
+      const lastmodLine = s.lastmod ? `\n    <lastmod>${s.lastmod}</lastmod>` : '';
+      return `  <sitemap>
+    <loc>${escapeXml(s.loc)}</loc>${lastmodLine}
+  </sitemap>`;
+    })
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${blocks}
+</sitemapindex>`;
+}
+
+/**
+ * Split URLs into sitemap-sized files.
+ * @template T
+ * @param {T[]} urls
+ * @param {number} [size]
+ * @returns {T[][]} No chunks for no URLs
+ */
+function chunkSitemapUrls(urls, size = MAX_SITEMAP_URLS) {
+  const chunks = [];
+  for (let start = 0; start < urls.length; start += size) {
+    chunks.push(urls.slice(start, start + size));
+  }
+  return chunks;
+}
+
+module.exports = {
+  MAX_SITEMAP_URLS,
+  escapeXml,
+  formatLastmod,
+  latestDate,
+  buildUrlsetXml,
+  buildSitemapIndexXml,
+  chunkSitemapUrls
+};
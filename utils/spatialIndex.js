@@ -0,0 +1,141 @@
+/**
+ * Grid-bucket spatial index for "within R miles", "inside a box" and "k nearest" queries over
+ * lat/lng points. Points are bucketed into fixed-size degree cells, so a query only looks at
+ * the points in the cells overlapping the search area instead of every point.
+ */
+
+const { calculateDistance } = require('./locationUtils');
+
+const DEFAULT_CELL_DEGREES = 0.5;
+const MILES_PER_DEGREE_LAT = 69;
+/** Half the Earth's circumference; any radius beyond this covers every point */
+const MAX_SEARCH_MILES = 12500;
+const NEAREST_START_MILES = 10;
+
+/**
+ * Longitude cells wrap at the antimeridian, so queries near ±180° also see the points on the
+ * other side; cellDegrees should divide 360.
+ *
+ * @param {Array<{ id: number, lat: number, lng: number }>} points
+ * @param {{ cellDegrees?: number }} [opts]
+ * @returns {{
+ *   size: number,
+ *   has: (id: number) => boolean,
+ *   withinRadius: (lat: number, lng: number, radiusMiles: number) => Array<{ id: number, lat: number, lng: number, distance: number }>,
+ *   withinBounds: (bounds: { north: number, south: number, east: number, west: number }) => Array<{ id: number, lat: number, lng: number }>,
+ *   nearest: (lat: number, lng: number, k: number, opts?: { maxMiles?: number }) => Array<{ id: number, lat: number, lng: number, distance: number }>
+ * }}
+ */
+function createSpatialIndex(points, { cellDegrees = DEFAULT_CELL_DEGREES } = {}) {
+  const cells = new Map();
+  const byId = new Map();
+
+  const cellCoord = (deg) => Math.floor(deg / cellDegrees);
+  const cellKey = (latCell, lngCell) => `${latCell}:${lngCell}`;
+  const lngCellCount = Math.round(360 / cellDegrees);
+  const firstLngCell = cellCoord(-180);
+  /** Same cell for longitudes 360° apart; 180° shares the -180° cell */
+  const wrapLngCell = (cell) =>
+    firstLngCell + ((((cell - firstLngCell) % lngCellCount) + lngCellCount) % lngCellCount);
+
+  /**
+   * Visit the buckets of every cell in a lat range and an eastward lng range, wrapping past 180°.
+   * Each cell is visited once even when the lng range spans the whole globe.
+   */
+  function forEachBucket(south, north, fromLng, toLng, visit) {
+    const fromLngCell = cellCoord(fromLng);
+    const lngCells = Math.min(cellCoord(toLng) - fromLngCell + 1, lngCellCount);
+    for (let latCell = cellCoord(south); latCell <= cellCoord(north); latCell++) {
+      for (let i = 0; i < lngCells; i++) {
+        const bucket = cells.get(cellKey(latCell, wrapLngCell(fromLngCell + i)));
+        if (bucket) visit(bucket);
+      }
+    }
+  }
+
+  points.forEach(point => {
+    const lat = Number(point.lat);
+    const lng = Number(point.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || (lat === 0 && lng === 0)) return;
+
+    const entry = { id: point.id, lat, lng };
+    byId.set(point.id, entry);
+    const key = cellKey(cellCoord(lat), wrapLngCell(cellCoord(lng)));
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(entry);
+  });
+
+  /**
+   * Every point within radiusMiles, nearest first.
+   */
+  function withinRadius(lat, lng, radiusMiles) {
+    const radius = Math.min(Number(radiusMiles) || 0, MAX_SEARCH_MILES);
+    if (radius <= 0) return [];
+
+    const latSpan = radius / MILES_PER_DEGREE_LAT;
+    const cosLat = Math.cos((Math.min(Math.abs(lat) + latSpan, 89.9) * Math.PI) / 180);
+    const lngSpan = Math.min(radius / (MILES_PER_DEGREE_LAT * cosLat), 180);
+
+    const matches = [];
+    forEachBucket(Math.max(lat - latSpan, -90), Math.min(lat + latSpan, 90), lng - lngSpan, lng + lngSpan, bucket => {
+      bucket.forEach(entry => {
+        const distance = calculateDistance(lat, lng, entry.lat, entry.lng);
+        if (distance !== null && distance <= radius) {
+          matches.push({ ...entry, distance });
+        }
+      });
+    });
+    return matches.sort((a, b) => a.distance - b.distance || a.id - b.id);
+  }
+
+  /**
+   * Every point inside a lat/lng box, in id order. west > east means the box crosses the
+   * antimeridian (as in utils/mapClustering.parseMapViewport).
+   */
+  function withinBounds({ north, south, east, west }) {
+    const crossesAntimeridian = west > east;
+    const inLngRange = (entryLng) => (crossesAntimeridian
+      ? entryLng >= west || entryLng <= east
+      : entryLng >= west && entryLng <= east);
+
+    const matches = [];
+    forEachBucket(south, north, west, crossesAntimeridian ? east + 360 : east, bucket => {
+      bucket.forEach(entry => {
+        if (entry.lat >= south && entry.lat <= north && inLngRange(entry.lng)) {
+          matches.push({ ...entry });
+        }
+      });
+    });
+    return matches.sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * The k nearest points (optionally capped at maxMiles), nearest first.
+   * Doubles the search radius until k points are found.
+   */
+  function nearest(lat, lng, k, { maxMiles = MAX_SEARCH_MILES } = {}) {
+    const count = Math.max(0, Math.floor(k));
+    if (count === 0 || byId.size === 0) return [];
+
+    let radius = Math.min(NEAREST_START_MILES, maxMiles);
+    for (;;) {
+      const matches = withinRadius(lat, lng, radius);
+      if (matches.length >= count || radius >= maxMiles) {
+        return matches.slice(0, count);
+      }
+      radius = Math.min(radius * 2, maxMiles);
+    }
+  }
+
+  return {
+    size: byId.size,
+    has: (id) => byId.has(id),
+    withinRadius,
+    withinBounds,
+    nearest
+  };
+}
+
+module.exports = {
+  createSpatialIndex
+};
@@ -0,0 +1,167 @@
+/**
+ * "Did you mean" spelling suggestions for zero-result clinic searches.
+ * Substring / in-order character matching (searchUtils) can't recover from typos such as
+ * "rhinoplsty" or "microbladding", so this scores terms by edit distance (fuzzball) against
+ * the known vocabulary: procedure names, clinic names, and place names.
+ */
+
+const fuzzball = require('fuzzball');
+const { getProcedureAbbreviations } = require('./procedureSynonyms');
+const { getMetroAreas, isLikelyGeographicLocationString } = require('./locationUtils');
+
+/** Minimum fuzzball ratio (0-100) for a term to be offered as a suggestion */
+const MIN_SUGGESTION_SCORE = 75;
+/** A top suggestion at or above this score may be applied automatically... */
+const AUTO_APPLY_SCORE = 88;
+/** ...as long as it beats the runner-up by at least this much */
+const AUTO_APPLY_MARGIN = 5;
+const MAX_SUGGESTIONS = 3;
+const MIN_TERM_LENGTH = 3;
+
+function normalizeTerm(str) {
+  return String(str || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Word windows of a vocabulary entry with the same word count as the search term, so
+ * "microbladding" is compared with "microblading" rather than "Microblading Eyebrows".
+ * @param {string} text
+ * @param {number} wordCount
+ * @returns {string[]}
+ */
+function phraseWindows(text, wordCount) {
+  const words = String(text).trim().split(/\s+/).filter(Boolean);
+  if (words.length <= wordCount) return [words.join(' ')];
+  const windows = [];
+  for (let i = 0; i + wordCount <= words.length; i++) {
+    windows.push(words.slice(i, i + wordCount).join(' '));
+  }
+  return windows;
+}
+
+/**
+ * Rank spelling suggestions for a term.
+ * Returns no suggestions when the term already appears in the vocabulary (a zero-result
+ * search for a real word is not a spelling problem).
+ *
+ * @param {string} term - What the user typed
+ * @param {Array<{ text: string, weight?: number }>} vocabulary - Known phrases; weight breaks score ties (e.g. clinic count)
+ * @param {{ limit?: number, minScore?: number }} [opts]
+ * @returns {Array<{ value: string, score: number }>} Best first
+ */
+function suggestCorrections(term, vocabulary, { limit = MAX_SUGGESTIONS, minScore = MIN_SUGGESTION_SCORE } = {}) {
+  const normalizedTerm = normalizeTerm(term);
+  if (normalizedTerm.length < MIN_TERM_LENGTH) return [];
+  const wordCount = normalizedTerm.split(' ').length;
+
+  const candidates = new Map();
+  for (const entry of vocabulary) {
+    if (!entry || !entry.text) continue;
+    for (const phrase of phraseWindows(entry.text, wordCount)) {
+      const key = normalizeTerm(phrase);
+      if (key.length < MIN_TERM_LENGTH) continue;
+      if (key === normalizedTerm) return [];
+
+      const weight = entry.weight || 1;
+      const existing = candidates.get(key);
+      if (existing) {
+        existing.weight += weight;
+        continue;
+      }
+      const score = fuzzball.ratio(normalizedTerm, key, { full_process: false });
+      if (score >= minScore) {
+        candidates.set(key, { value: phrase, score, weight });
+      }
+    }
+  }
+
+  return Array.from(candidates.values())
+    .sort((a, b) => b.score - a.score || b.weight - a.weight || a.value.localeCompare(b.value))
+    .slice(0, limit)
+    .map(({ value, score }) => ({ value, score }));
+}
+
+/**
+ * Whether the best suggestion is confident enough to search with it instead.
+ * @param {Array<{ value: string, score: number }>} suggestions - Output of suggestCorrections
+ * @returns {boolean}
+ */
+function isHighConfidence(suggestions) {
+  if (!suggestions.length || suggestions[0].score < AUTO_APPLY_SCORE) return false;
+  return suggestions.length === 1 || suggestions[0].score - suggestions[1].score >= AUTO_APPLY_MARGIN;
+}
+
+/**
+ * Build per-parameter vocabularies from the typeahead index (services/searchSuggestService).
+ * @param {{ procedures: Array<{ name: string, clinicCount: number }>, clinics: Array<{ clinicName: string }>, cities: Array<{ city: string, clinicCount: number }> }} index
+ * @returns {{ procedure: Array, clinicName: Array, location: Array }}
+ */
+function buildCorrectionVocabularies(index) {
+  const procedureVocabulary = [
+    ...index.procedures.map(proc => ({ text: proc.name, weight: proc.clinicCount })),
+    ...Object.entries(getProcedureAbbreviations()).flatMap(([abbr, fullName]) => [{ text: abbr }, { text: fullName }])
+  ];
+  const placeVocabulary = [
+    ...index.cities.map(entry => ({ text: entry.city, weight: entry.clinicCount })),
+    ...Object.keys(getMetroAreas()).map(name => ({ text: name }))
+  ];
+
+  return {
+    procedure: procedureVocabulary,
+    // clinicName matches clinic names OR procedures, so both are fair corrections
+    clinicName: [...index.clinics.map(clinic => ({ text: clinic.clinicName })), ...procedureVocabulary],
+    // Free-text location may be a procedure ("rhinoplsty") or a city ("chicgo")
+    location: [...procedureVocabulary, ...placeVocabulary]
+  };
+}
+
+/**
+ * Spelling suggestions for each text parameter of a zero-result search.
+ * `location` is only checked when it is free text (not a ZIP, state, or "City, ST") and no lat/lng was sent.
+ *
+ * @param {{ procedure?: string, clinicName?: string, location?: string, lat?: string, lng?: string }} params
+ * @param {Object} index - Typeahead index (see buildCorrectionVocabularies)
+ * @returns {{
+ *   didYouMean: Object<string, Array<{ value: string, score: number }>>|null,
+ *   corrections: Array<{ param: string, from: string, to: string, score: number }>
+ * }} corrections holds only the high-confidence fixes that are safe to auto-apply
+ */
+function buildSpellingCorrections(params, index) {
+  const vocabularies = buildCorrectionVocabularies(index);
+  const hasLatLng = params.lat !== undefined && params.lat !== '' && params.lng !== undefined && params.lng !== '';
+
+  const terms = {
+    procedure: params.procedure,
+    clinicName: params.clinicName,
+    location: !hasLatLng && params.location && !isLikelyGeographicLocationString(params.location)
+      ? params.location
+      : null
+  };
+
+  const didYouMean = {};
+  const corrections = [];
+  Object.entries(terms).forEach(([param, term]) => {
+    if (!term || !term.trim()) return;
+    const suggestions = suggestCorrections(term, vocabularies[param]);
+    if (!suggestions.length) return;
+
+    didYouMean[param] = suggestions;
+    if (isHighConfidence(suggestions)) {
+      corrections.push({ param, from: term.trim(), to: suggestions[0].value, score: suggestions[0].score });
+    }
+  });
+
+  return {
+    didYouMean: Object.keys(didYouMean).length ? didYouMean : null,
+    corrections
+  };
+}
+
+module.exports = {
+  suggestCorrections,
+  isHighConfidence,
+  buildSpellingCorrections,
+  MIN_SUGGESTION_SCORE,
+  AUTO_APPLY_SCORE,
+  AUTO_APPLY_MARGIN
+};